@@ -49,7 +49,7 @@ exports.analyzeVideo = asyncHandler(async (req, res) => {
     });
   }
 
-  const result = await freeResourceService.analyzeVideo(url);
+  const result = await freeResourceService.analyzeVideo(url, { userId: req.user?._id });
   res.status(200).json({
     success: true,
     ...result
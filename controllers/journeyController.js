@@ -3,6 +3,7 @@ const CareerRoadmap = require('../models/CareerRoadmap');
 const FreeResource = require('../models/FreeResource');
 const User = require('../models/User');
 const { EventService } = require('../services/EventService');
+const ReviewScheduler = require('../services/ReviewScheduler');
 
 /**
  * @desc    Get user's active career journey
@@ -263,6 +264,10 @@ exports.completeResource = async (req, res) => {
 
     await journey.completeResource(phaseId, resourceId);
 
+    // Queue it for spaced-repetition review (fire and forget)
+    ReviewScheduler.scheduleJourneyResource(req.user._id, journey, phaseId, resourceId)
+      .catch(err => console.error('Review scheduling failed:', err.message));
+
     // Record event
     if (EventService) {
       await EventService.recordEvent(req.user._id, 'VIDEO_COMPLETED', {
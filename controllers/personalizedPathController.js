@@ -2,6 +2,7 @@ const PersonalizedPath = require('../models/PersonalizedPath');
 const Resource = require('../models/Resource');
 const asyncHandler = require('../middleware/async');
 const groqService = require('../services/GroqService');
+const promptRegistry = require('../services/PromptRegistry');
 
 /**
  * @desc    Generate personalized learning path
@@ -56,40 +57,25 @@ exports.generatePath = asyncHandler(async (req, res) => {
   }));
 
   // Generate path using Groq AI
-  const prompt = `You are a learning path architect. Create a personalized learning path based on the following:
-
-USER GOAL: ${goal}
-CURRENT LEVEL: ${currentLevel || 'beginner'}
-PRIOR KNOWLEDGE: ${priorKnowledge?.join(', ') || 'None specified'}
-TIME AVAILABLE: ${timeAvailable || 'Not specified'}
-PREFERRED CONTENT: ${preferredContentType?.join(', ') || 'Any'}
-TARGET TIMEFRAME: ${targetTimeframe || 'Not specified'}
-
-AVAILABLE RESOURCES (use resource index numbers):
-${JSON.stringify(resourceList, null, 2)}
-
-Create a structured learning path with 3-6 milestones. For each milestone, select the most appropriate resources from the available list.
-
-Respond ONLY with valid JSON in this exact format:
-{
-  "title": "Path title",
-  "description": "Brief description of this learning path",
-  "estimatedDuration": "e.g., 40 hours",
-  "milestones": [
-    {
-      "title": "Milestone title",
-      "description": "What learner will achieve",
-      "estimatedDuration": "e.g., 2 weeks",
-      "resourceIndices": [0, 2, 5]
-    }
-  ]
-}`;
+  const prompt = await promptRegistry.render('personalizedPath', {
+    goal,
+    currentLevel: currentLevel || 'beginner',
+    priorKnowledge: priorKnowledge?.join(', ') || 'None specified',
+    timeAvailable: timeAvailable || 'Not specified',
+    preferredContentType: preferredContentType?.join(', ') || 'Any',
+    targetTimeframe: targetTimeframe || 'Not specified',
+    resources: resourceList
+  }, { assignmentKey: req.user.id });
 
   try {
-    const aiResponse = await groqService.chat([
-      { role: 'system', content: 'You are an expert learning path designer. Respond only with valid JSON.' },
-      { role: 'user', content: prompt }
-    ], { temperature: 0.7, maxTokens: 2000 });
+    const aiResponse = await groqService.chat(prompt.messages, {
+      temperature: 0.7,
+      maxTokens: 2000,
+      feature: 'personalized_path',
+      userId: req.user.id,
+      promptType: 'personalizedPath',
+      promptVersion: prompt.version
+    });
 
     // Parse AI response
     let pathData;
@@ -146,6 +132,7 @@ Respond ONLY with valid JSON in this exact format:
       generation: {
         model: 'groq-llama',
         prompt: goal,
+        promptVersion: prompt.version,
         resourcesConsidered: availableResources.length,
         generatedAt: new Date()
       },
@@ -42,6 +42,18 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Admin only - use after protect
+exports.requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+
+  next();
+};
+
 // Optional auth - attach user if token exists, but don't require it
 exports.optionalAuth = async (req, res, next) => {
   let token;
@@ -0,0 +1,58 @@
+/**
+ * Learning Path Access Middleware
+ * Loads a UserLearningPath the signed-in user owns or collaborates on and
+ * checks their role (owner > editor > viewer)
+ */
+
+const UserLearningPath = require('../models/UserLearningPath');
+
+/**
+ * Require at least minRole on the path in req.params[param]
+ * Sets req.learningPath and req.pathRole. Paths the user can't see at all
+ * are reported as not found.
+ * @param {'viewer'|'editor'|'owner'} minRole
+ * @param {Object} [options] - { param: route parameter holding the path id (default 'id') }
+ */
+const requirePathRole = (minRole, { param = 'id' } = {}) => async (req, res, next) => {
+  try {
+    const path = await UserLearningPath.findOne({
+      _id: req.params[param],
+      deletedAt: null,
+      $or: [
+        { userId: req.user.id },
+        { 'collaborators.userId': req.user.id }
+      ]
+    });
+
+    if (!path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Learning path not found'
+      });
+    }
+
+    const role = path.getRole(req.user.id);
+
+    if (!path.hasRole(req.user.id, minRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `This action requires the ${minRole} role on this path`,
+        role
+      });
+    }
+
+    req.learningPath = path;
+    req.pathRole = role;
+    next();
+  } catch (error) {
+    console.error('Path access check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load learning path'
+    });
+  }
+};
+
+module.exports = {
+  requirePathRole
+};
@@ -81,6 +81,29 @@ const checkFeature = (featureName) => {
   };
 };
 
+/**
+ * Enforce the monthly AI token budget on routes that also serve anonymous
+ * users (use after optionalAuth). Tokens are counted by AIUsageService.
+ */
+const checkAITokenBudget = async (req, res, next) => {
+  if (!req.user) return next();
+
+  const { allowed, reason, upgradeRequired } = req.user.checkTokenBudget();
+
+  if (!allowed) {
+    return res.status(403).json({
+      success: false,
+      error: reason,
+      upgradeRequired: upgradeRequired || false,
+      feature: 'ai_tokens',
+      currentTier: req.user.subscription?.tier || 'free',
+      upgradeUrl: '/pricing'
+    });
+  }
+
+  next();
+};
+
 /**
  * Track feature usage (increment counter after successful use)
  * Usage: router.post('/analyze', protect, checkFeature('ai_analysis'), trackUsage('ai_analysis'), analyzeController)
@@ -143,6 +166,7 @@ module.exports = {
   requirePremium,
   requirePro,
   checkFeature,
+  checkAITokenBudget,
   trackUsage,
   softCheckFeature,
   addTierInfo
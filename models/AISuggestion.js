@@ -105,6 +105,13 @@ const aiSuggestionSchema = new mongoose.Schema({
     }]
   },
 
+  // Version of the "suggestions" prompt that wrote the reasoning
+  // (null when the heuristic reasoning was kept)
+  promptVersion: {
+    type: Number,
+    default: null
+  },
+
   // Confidence score (0-1)
   confidence: {
     type: Number,
@@ -161,6 +168,7 @@ const aiSuggestionSchema = new mongoose.Schema({
 // Indexes
 aiSuggestionSchema.index({ pathId: 1, status: 1 });
 aiSuggestionSchema.index({ userId: 1, status: 1, createdAt: -1 });
+aiSuggestionSchema.index({ promptVersion: 1, createdAt: -1 });
 aiSuggestionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
 
 /**
@@ -294,6 +302,60 @@ aiSuggestionSchema.statics.getStats = async function(userId, days = 30) {
   return result;
 };
 
+/**
+ * Static: Get response stats per prompt version (for prompt A/B comparison)
+ */
+aiSuggestionSchema.statics.getStatsByPromptVersion = async function(days = 30) {
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+
+  const stats = await this.aggregate([
+    {
+      $match: {
+        promptVersion: { $ne: null },
+        createdAt: { $gte: since }
+      }
+    },
+    {
+      $group: {
+        _id: { version: '$promptVersion', status: '$status' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const byVersion = {};
+  stats.forEach(s => {
+    const version = s._id.version;
+    byVersion[version] = byVersion[version] || {
+      version,
+      total: 0,
+      pending: 0,
+      accepted: 0,
+      rejected: 0,
+      dismissed: 0,
+      expired: 0,
+      acceptanceRate: 0,
+      dismissRate: 0
+    };
+    byVersion[version][s._id.status] = s.count;
+    byVersion[version].total += s.count;
+  });
+
+  return Object.values(byVersion).map(result => {
+    if (result.accepted + result.rejected > 0) {
+      result.acceptanceRate = Math.round(
+        (result.accepted / (result.accepted + result.rejected)) * 100
+      );
+    }
+    const responded = result.accepted + result.rejected + result.dismissed;
+    if (responded > 0) {
+      result.dismissRate = Math.round((result.dismissed / responded) * 100);
+    }
+    return result;
+  }).sort((a, b) => a.version - b.version);
+};
+
 /**
  * Static: Expire old pending suggestions
  */
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * AIUsageLog Schema - One entry per model call made through LLMClient
+ *
+ * Records tokens, estimated cost, latency, model and outcome against the
+ * calling user (null for anonymous and system calls) and the product
+ * feature, for admin reporting and token-based tier limits.
+ * Entries expire after 180 days.
+ */
+
+const FEATURES = [
+  'video_analysis',
+  'career_explore',
+  'domain_details',
+  'job_role',
+  'trending_domains',
+  'roadmap',
+  'moderation',
+  'suggestions',
+  'personalized_path',
+  'bulk_import',
+  'video_quiz',
+  'chat',
+  'other'
+];
+
+const aiUsageLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  feature: {
+    type: String,
+    enum: FEATURES,
+    default: 'other'
+  },
+
+  // Prompt template / schema name (e.g. "roadmap") and template version
+  promptType: String,
+  promptVersion: Number,
+
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+
+  // Estimated from AIUsageService.MODEL_PRICING
+  costUsd: { type: Number, default: 0 },
+
+  latencyMs: { type: Number, default: 0 },
+
+  outcome: {
+    type: String,
+    enum: ['success', 'error', 'invalid_output'],
+    required: true
+  },
+  error: String,
+
+  // Attempt number within a structured call (re-asks after invalid output)
+  attempt: { type: Number, default: 1 },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+// Retention
+aiUsageLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+// Aggregations
+aiUsageLogSchema.index({ feature: 1, createdAt: -1 });
+aiUsageLogSchema.index({ model: 1, createdAt: -1 });
+aiUsageLogSchema.index({ userId: 1, createdAt: -1 });
+
+aiUsageLogSchema.statics.FEATURES = FEATURES;
+
+const AIUsageLog = mongoose.model('AIUsageLog', aiUsageLogSchema);
+
+module.exports = AIUsageLog;
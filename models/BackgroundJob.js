@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+/**
+ * BackgroundJob Schema - Persistent storage for JobQueue
+ *
+ * Every job added through JobQueue is written here so pending and
+ * retrying work survives a process restart:
+ * - Jobs are leased to one worker at a time (lockedBy / lockedUntil)
+ * - Expired leases are recovered and re-queued on boot
+ * - Each attempt is recorded in attemptHistory
+ * - Permanently failed jobs stay as a dead-letter list until re-queued
+ */
+
+const attemptSchema = new mongoose.Schema({
+  attempt: Number,
+  workerId: String,
+  startedAt: Date,
+  finishedAt: Date,
+  status: {
+    type: String,
+    enum: ['completed', 'failed', 'interrupted']
+  },
+  error: String
+}, { _id: false });
+
+const backgroundJobSchema = new mongoose.Schema({
+  // Queue-level job id (e.g. "video_analysis_1700000000000_abc123def")
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Registered job type
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // User the job runs for (taken from data.userId), used for user-scoped lookups
+  userId: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  // Processor payload
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+
+  // Lower value runs first (see JobQueue PRIORITY_LEVELS)
+  priority: {
+    type: Number,
+    default: 2
+  },
+
+  // Requested start delay in ms
+  delay: {
+    type: Number,
+    default: 0
+  },
+
+  // Earliest time the job may be leased (used for retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+
+  // Lease held by the worker currently processing the job
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  attemptHistory: [attemptSchema],
+
+  // Percent complete reported by the processor (0-100)
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+
+  // Number of times the job was re-queued from the dead-letter list
+  requeueCount: {
+    type: Number,
+    default: 0
+  },
+
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  completedAt: Date,
+  failedAt: Date,
+  cancelledAt: Date,
+  requeuedAt: Date
+}, {
+  timestamps: false
+});
+
+// Lease lookup: runnable jobs ordered by priority then age
+backgroundJobSchema.index({ status: 1, type: 1, runAt: 1, priority: 1, createdAt: 1 });
+// Lease recovery
+backgroundJobSchema.index({ status: 1, lockedUntil: 1 });
+// Cleanup of finished jobs
+backgroundJobSchema.index({ status: 1, completedAt: 1 });
+backgroundJobSchema.index({ status: 1, failedAt: 1 });
+backgroundJobSchema.index({ status: 1, cancelledAt: 1 });
+// Per-user job listing
+backgroundJobSchema.index({ userId: 1, createdAt: -1 });
+
+const BackgroundJob = mongoose.model('BackgroundJob', backgroundJobSchema);
+
+module.exports = BackgroundJob;
@@ -132,6 +132,7 @@ const careerRoadmapSchema = new mongoose.Schema({
   // AI generation metadata
   generatedBy: {
     model: String,
+    promptVersion: Number, // PromptRegistry version of the "roadmap" template
     webContextUsed: Boolean,
     webSearchDate: Date
   },
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * JobSchedule Schema - Recurring and run-at-time jobs for JobQueue
+ *
+ * A schedule enqueues a job of `jobType` whenever `nextRunAt` passes:
+ * - cron schedules move nextRunAt to the next matching time (UTC)
+ * - one-off schedules (runAt) clear nextRunAt after firing
+ *
+ * Firing claims the schedule by matching on the current nextRunAt, so
+ * only one process in a pm2 cluster enqueues a given run.
+ */
+
+const jobScheduleSchema = new mongoose.Schema({
+  // Unique schedule name (e.g. "nightly-free-resource-stats")
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Registered JobQueue job type to enqueue
+  jobType: {
+    type: String,
+    required: true
+  },
+
+  // Payload passed to the job
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Options passed to jobQueue.add (priority, maxAttempts)
+  jobOptions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // 5-field cron expression (recurring schedules)
+  cron: {
+    type: String,
+    default: null
+  },
+
+  // Fixed run time (one-off schedules)
+  runAt: {
+    type: Date,
+    default: null
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  pausedAt: Date,
+
+  // Next time the schedule fires (null once a one-off schedule has run)
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+
+  lastRunAt: Date,
+  lastJobId: String,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+// Due schedule lookup
+jobScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+const JobSchedule = mongoose.model('JobSchedule', jobScheduleSchema);
+
+module.exports = JobSchedule;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { toPlainSnapshot, applyDelta, encodeDelta } = require('../services/SnapshotDelta');
 
 /**
  * LearningPathVersion Schema - Version history for learning paths
@@ -12,8 +13,22 @@ const mongoose = require('mongoose');
  * - Undo/redo functionality
  * - Audit trail for path evolution
  * - AI suggestion tracking
+ *
+ * Storage: every KEYFRAME_INTERVAL-th version (and any version whose diff
+ * would be large) is a keyframe holding the full snapshot. The others store
+ * only a DiffComputer diff against their keyframe (see SnapshotDelta.js)
+ * and are rebuilt on read by getVersion/getHistory/compare, so callers
+ * always see `snapshot`.
+ * applyRetention() squashes runs of old minor versions. Neither it nor
+ * cleanup() deletes a version that a clone is synced with (upstream.versionNumber).
  */
 
+// A new keyframe is written at least this often
+const KEYFRAME_INTERVAL = 20;
+
+// Reasons whose versions can be squashed once they are old
+const MINOR_REASONS = ['node_completed', 'path_activated', 'video_added'];
+
 const learningPathVersionSchema = new mongoose.Schema({
   // Reference to the learning path
   pathId: {
@@ -31,6 +46,13 @@ const learningPathVersionSchema = new mongoose.Schema({
     index: true
   },
 
+  // User who made the change (the owner or a collaborator)
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
   // Version number (auto-incremented per path)
   versionNumber: {
     type: Number,
@@ -51,7 +73,10 @@ const learningPathVersionSchema = new mongoose.Schema({
       'branch_created',   // A branch was created
       'path_activated',   // Path was set as active
       'path_created',     // Initial version when path is created
-      'import',           // Imported from official path
+      'import',           // Imported from an official path or an export file
+      'merge',            // Three-way merge with another version
+      'migration',        // Created by a data migration script
+      'upstream_snapshot', // State captured so clones can sync against it
       'bulk_operation'    // Multiple changes at once
     ],
     default: 'user_edit'
@@ -63,7 +88,32 @@ const learningPathVersionSchema = new mongoose.Schema({
     maxlength: 500
   },
 
-  // Full snapshot of the path at this version
+  // How the snapshot is stored: full keyframe, or a diff against one
+  storage: {
+    type: String,
+    enum: ['keyframe', 'delta'],
+    default: 'keyframe'
+  },
+
+  // Version number of the keyframe a delta applies to
+  keyframeVersion: {
+    type: Number,
+    default: null
+  },
+
+  // DiffComputer.computePathDiff(keyframe snapshot, this snapshot)
+  diff: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+
+  // Number of minor versions folded into this one by applyRetention()
+  squashedCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Full snapshot of the path at this version (empty for deltas until rebuilt)
   snapshot: {
     title: String,
     description: String,
@@ -82,7 +132,7 @@ const learningPathVersionSchema = new mongoose.Schema({
       edges: [{
         from: String,
         to: String,
-        type: String
+        type: { type: String } // Wrapped: a bare `type` key would declare the element type
       }]
     },
     inferredSkills: [String],
@@ -126,6 +176,15 @@ const learningPathVersionSchema = new mongoose.Schema({
 learningPathVersionSchema.index({ pathId: 1, versionNumber: -1 });
 learningPathVersionSchema.index({ pathId: 1, createdAt: -1 });
 learningPathVersionSchema.index({ userId: 1, createdAt: -1 });
+learningPathVersionSchema.index({ pathId: 1, keyframeVersion: 1 });
+
+// The stored diff is an internal detail; responses carry the rebuilt snapshot
+learningPathVersionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.diff;
+    return ret;
+  }
+});
 
 /**
  * Static: Create a new version for a path
@@ -137,7 +196,7 @@ learningPathVersionSchema.statics.createVersion = async function(
   snapshot, 
   options = {}
 ) {
-  const { changeDescription, delta, aiSuggestion } = options;
+  const { changeDescription, delta, aiSuggestion, authorId = userId } = options;
 
   // Get the next version number
   const lastVersion = await this.findOne({ pathId })
@@ -146,16 +205,60 @@ learningPathVersionSchema.statics.createVersion = async function(
   
   const versionNumber = lastVersion ? lastVersion.versionNumber + 1 : 1;
 
-  return this.create({
+  // Store a delta against the latest keyframe when it is recent and the diff is small
+  const keyframe = await this.findOne({ pathId, storage: { $ne: 'delta' } })
+    .sort({ versionNumber: -1 });
+
+  const diff = keyframe && versionNumber - keyframe.versionNumber < KEYFRAME_INTERVAL
+    ? encodeDelta(keyframe.toObject().snapshot, snapshot)
+    : null;
+
+  const version = await this.create({
     pathId,
     userId,
     versionNumber,
+    authorId,
     reason,
     changeDescription,
-    snapshot,
+    ...(diff
+      ? { storage: 'delta', keyframeVersion: keyframe.versionNumber, diff }
+      : { storage: 'keyframe', snapshot }),
     delta,
     aiSuggestion
   });
+
+  if (diff) {
+    version.snapshot = toPlainSnapshot(snapshot);
+  }
+  return version;
+};
+
+/**
+ * Static: Fill in `snapshot` on delta versions from their keyframes
+ * Mutates and returns the given documents
+ */
+learningPathVersionSchema.statics.rebuildSnapshots = async function(versions) {
+  const deltas = versions.filter(v => v && v.storage === 'delta');
+  if (deltas.length === 0) return versions;
+
+  const keyOf = (pathId, versionNumber) => `${pathId}:${versionNumber}`;
+  const wanted = new Map(deltas.map(v => [
+    keyOf(v.pathId, v.keyframeVersion),
+    { pathId: v.pathId, versionNumber: v.keyframeVersion }
+  ]));
+
+  const keyframes = await this.find({ $or: [...wanted.values()] }).lean();
+  const snapshots = new Map(keyframes.map(k => [keyOf(k.pathId, k.versionNumber), k]));
+
+  deltas.forEach(version => {
+    const keyframe = snapshots.get(keyOf(version.pathId, version.keyframeVersion));
+    if (!keyframe || keyframe.storage === 'delta') {
+      throw new Error(`Keyframe ${version.keyframeVersion} missing for version ${version.versionNumber}`);
+    }
+    version.snapshot = applyDelta(keyframe.snapshot, version.diff);
+  });
+
+  return versions;
 };
 
 /**
@@ -164,26 +267,40 @@ learningPathVersionSchema.statics.createVersion = async function(
 learningPathVersionSchema.statics.getHistory = async function(pathId, options = {}) {
   const { limit = 20, offset = 0 } = options;
 
-  return this.find({ pathId })
+  const versions = await this.find({ pathId })
     .sort({ versionNumber: -1 })
     .skip(offset)
     .limit(limit)
-    .select('-snapshot.structureGraph.nodes.notes'); // Exclude notes for list view
+    .select('-snapshot.structureGraph.nodes.notes') // Exclude notes for list view
+    .populate('authorId', 'name');
+
+  await this.rebuildSnapshots(versions);
+
+  // Rebuilt deltas carry notes from their diff
+  versions
+    .filter(v => v.storage === 'delta')
+    .forEach(v => v.snapshot.structureGraph.nodes.forEach(node => { node.notes = undefined; }));
+
+  return versions;
 };
 
 /**
  * Static: Get a specific version
  */
 learningPathVersionSchema.statics.getVersion = async function(pathId, versionNumber) {
-  return this.findOne({ pathId, versionNumber });
+  const version = await this.findOne({ pathId, versionNumber });
+  if (version) await this.rebuildSnapshots([version]);
+  return version;
 };
 
 /**
  * Static: Get latest version
  */
 learningPathVersionSchema.statics.getLatestVersion = async function(pathId) {
-  return this.findOne({ pathId })
+  const version = await this.findOne({ pathId })
     .sort({ versionNumber: -1 });
+  if (version) await this.rebuildSnapshots([version]);
+  return version;
 };
 
 /**
@@ -192,8 +309,8 @@ learningPathVersionSchema.statics.getLatestVersion = async function(pathId) {
  */
 learningPathVersionSchema.statics.compare = async function(pathId, fromVersion, toVersion) {
   const [v1, v2] = await Promise.all([
-    this.findOne({ pathId, versionNumber: fromVersion }),
-    this.findOne({ pathId, versionNumber: toVersion })
+    this.getVersion(pathId, fromVersion),
+    this.getVersion(pathId, toVersion)
   ]);
 
   if (!v1 || !v2) {
@@ -237,7 +354,8 @@ learningPathVersionSchema.statics.compare = async function(pathId, fromVersion,
 };
 
 /**
- * Static: Cleanup old versions (keep last N versions per path)
+ * Static: Cleanup old versions (keep last N versions per path, plus the
+ * versions clones are synced with)
  */
 learningPathVersionSchema.statics.cleanup = async function(pathId, keepCount = 50) {
   const versions = await this.find({ pathId })
@@ -248,10 +366,178 @@ learningPathVersionSchema.statics.cleanup = async function(pathId, keepCount = 5
     return { deleted: 0 };
   }
 
-  const toDelete = versions.slice(keepCount).map(v => v._id);
-  const result = await this.deleteMany({ _id: { $in: toDelete } });
+  const pinned = await this.getPinnedVersionNumbers(pathId);
+  const toDelete = versions.slice(keepCount)
+    .map(v => v.versionNumber)
+    .filter(versionNumber => !pinned.has(versionNumber));
+  const deleted = await this.removeVersions(pathId, toDelete);
 
-  return { deleted: result.deletedCount };
+  return { deleted };
+};
+
+/**
+ * Static: Version numbers of a path that its clones are synced with
+ * (upstream.versionNumber). PathSyncService diffs against them, so they
+ * must survive cleanup and retention.
+ * @returns {Promise<Set<number>>}
+ */
+learningPathVersionSchema.statics.getPinnedVersionNumbers = async function(pathId) {
+  // Lazy load to avoid circular dependency
+  const UserLearningPath = require('./UserLearningPath');
+
+  const versionNumbers = await UserLearningPath.distinct('upstream.versionNumber', {
+    'upstream.pathId': pathId,
+    deletedAt: null
+  });
+  return new Set(versionNumbers.filter(v => v != null));
+};
+
+/**
+ * Static: Delete versions of a path. Deltas whose keyframe is deleted are
+ * re-based: the oldest surviving one becomes the new keyframe.
+ * @returns {Promise<number>} Number of versions deleted
+ */
+learningPathVersionSchema.statics.removeVersions = async function(pathId, versionNumbers) {
+  if (versionNumbers.length === 0) return 0;
+
+  const keyframes = await this.find({
+    pathId,
+    storage: { $ne: 'delta' },
+    versionNumber: { $in: versionNumbers }
+  }).lean();
+
+  for (const keyframe of keyframes) {
+    const dependents = await this.find({
+      pathId,
+      storage: 'delta',
+      keyframeVersion: keyframe.versionNumber,
+      versionNumber: { $nin: versionNumbers }
+    })
+      .sort({ versionNumber: 1 })
+      .lean();
+
+    if (dependents.length === 0) continue;
+
+    const [promoted, ...rest] = dependents;
+    const promotedSnapshot = applyDelta(keyframe.snapshot, promoted.diff);
+
+    await this.updateOne(
+      { _id: promoted._id },
+      { $set: { storage: 'keyframe', keyframeVersion: null, snapshot: promotedSnapshot }, $unset: { diff: 1 } }
+    );
+
+    for (const version of rest) {
+      const snapshot = applyDelta(keyframe.snapshot, version.diff);
+      const diff = encodeDelta(promotedSnapshot, snapshot);
+
+      await this.updateOne(
+        { _id: version._id },
+        diff
+          ? { $set: { keyframeVersion: promoted.versionNumber, diff } }
+          : { $set: { storage: 'keyframe', keyframeVersion: null, snapshot }, $unset: { diff: 1 } }
+      );
+    }
+  }
+
+  const result = await this.deleteMany({ pathId, versionNumber: { $in: versionNumbers } });
+  return result.deletedCount;
+};
+
+/**
+ * Static: Retention policy - squash each run of consecutive minor versions
+ * (MINOR_REASONS) into the newest version of the run, which already holds
+ * the run's end state. The newest keepRecent versions are left alone, and a
+ * version a clone is synced with ends its run so it is never folded.
+ * @returns {Promise<{ squashed: number, runs: number }>}
+ */
+learningPathVersionSchema.statics.applyRetention = async function(pathId, options = {}) {
+  const { keepRecent = 20, minorReasons = MINOR_REASONS } = options;
+
+  const versions = await this.find({ pathId })
+    .sort({ versionNumber: 1 })
+    .select('_id versionNumber reason squashedCount')
+    .lean();
+
+  const candidates = versions.slice(0, Math.max(0, versions.length - keepRecent));
+  const pinned = candidates.some(v => minorReasons.includes(v.reason))
+    ? await this.getPinnedVersionNumbers(pathId)
+    : new Set();
+  const toDelete = [];
+  const kept = [];
+  let run = [];
+
+  const closeRun = () => {
+    if (run.length > 1) {
+      const folded = run.slice(0, -1);
+      const last = run[run.length - 1];
+      toDelete.push(...folded.map(v => v.versionNumber));
+      kept.push({
+        _id: last._id,
+        squashedCount: run.reduce((sum, v) => sum + (v.squashedCount || 0), 0) + folded.length
+      });
+    }
+    run = [];
+  };
+
+  candidates.forEach(version => {
+    if (minorReasons.includes(version.reason)) {
+      run.push(version);
+      if (pinned.has(version.versionNumber)) closeRun();
+    } else {
+      closeRun();
+    }
+  });
+  closeRun();
+
+  if (toDelete.length === 0) {
+    return { squashed: 0, runs: 0 };
+  }
+
+  for (const { _id, squashedCount } of kept) {
+    await this.updateOne({ _id }, { $set: { squashedCount } });
+  }
+  await this.removeVersions(pathId, toDelete);
+
+  return { squashed: toDelete.length, runs: kept.length };
+};
+
+/**
+ * Static: Re-encode all versions of a path as keyframes plus deltas
+ * Used by scripts/migrateVersionStorage.js for versions stored before deltas
+ * @returns {Promise<{ keyframes: number, deltas: number }>}
+ */
+learningPathVersionSchema.statics.compactPath = async function(pathId, options = {}) {
+  const { dryRun = false } = options;
+
+  const versions = await this.find({ pathId }).sort({ versionNumber: 1 });
+  await this.rebuildSnapshots(versions);
+
+  const stats = { keyframes: 0, deltas: 0 };
+  let keyframe = null;
+
+  // Rewrite oldest first so every delta's keyframe is already full
+  for (const version of versions) {
+    const snapshot = toPlainSnapshot(version.toObject().snapshot);
+    const diff = keyframe && version.versionNumber - keyframe.versionNumber < KEYFRAME_INTERVAL
+      ? encodeDelta(keyframe.snapshot, snapshot)
+      : null;
+
+    let update;
+    if (diff) {
+      update = { $set: { storage: 'delta', keyframeVersion: keyframe.versionNumber, diff }, $unset: { snapshot: 1 } };
+      stats.deltas++;
+    } else {
+      keyframe = { versionNumber: version.versionNumber, snapshot };
+      update = { $set: { storage: 'keyframe', keyframeVersion: null, snapshot }, $unset: { diff: 1 } };
+      stats.keyframes++;
+    }
+
+    if (!dryRun) {
+      await this.updateOne({ _id: version._id }, update);
+    }
+  }
+
+  return stats;
 };
 
 /**
@@ -290,4 +576,7 @@ learningPathVersionSchema.statics.getAISuggestionStats = async function(userId,
 
 const LearningPathVersion = mongoose.model('LearningPathVersion', learningPathVersionSchema);
 
+LearningPathVersion.KEYFRAME_INTERVAL = KEYFRAME_INTERVAL;
+LearningPathVersion.MINOR_REASONS = MINOR_REASONS;
+
 module.exports = LearningPathVersion;
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+/**
+ * PathRating Schema - A 1-5 rating and short review of a public learning path
+ *
+ * Only users who cloned the path and made progress on their clone can rate
+ * (checked in PathDiscoveryService.ratePath). One rating per user per path;
+ * rating again replaces it.
+ */
+
+const pathRatingSchema = new mongoose.Schema({
+  // The public path being rated
+  pathId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLearningPath',
+    required: true,
+    index: true
+  },
+
+  // Rating user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // The rater's clone (where their progress was made)
+  clonePathId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLearningPath',
+    required: true
+  },
+
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+
+  review: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+
+  // Rater's clone progress (0-100) when they rated
+  progressAtRating: {
+    type: Number,
+    min: 0,
+    max: 100
+  }
+
+}, {
+  timestamps: true
+});
+
+// One rating per user per path
+pathRatingSchema.index({ pathId: 1, userId: 1 }, { unique: true });
+
+// Recent reviews for a path
+pathRatingSchema.index({ pathId: 1, updatedAt: -1 });
+
+/**
+ * Static: Average and count of ratings for a path
+ * @returns {Promise<Object>} { average, count, distribution: { 1..5: count } }
+ */
+pathRatingSchema.statics.getSummary = async function(pathId) {
+  const groups = await this.aggregate([
+    { $match: { pathId: new mongoose.Types.ObjectId(String(pathId)) } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+
+  groups.forEach(({ _id: rating, count: n }) => {
+    distribution[rating] = n;
+    count += n;
+    total += rating * n;
+  });
+
+  return {
+    average: count > 0 ? Math.round((total / count) * 10) / 10 : null,
+    count,
+    distribution
+  };
+};
+
+const PathRating = mongoose.model('PathRating', pathRatingSchema);
+
+module.exports = PathRating;
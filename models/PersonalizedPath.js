@@ -81,6 +81,7 @@ const PersonalizedPathSchema = new mongoose.Schema({
       default: 'groq-llama' // AI model used
     },
     prompt: String, // The prompt used for generation
+    promptVersion: Number, // PromptRegistry version of the "personalizedPath" template
     resourcesConsidered: Number, // How many resources were in the pool
     generatedAt: {
       type: Date,
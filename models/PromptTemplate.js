@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * PromptTemplate Schema - One version of a named AI prompt
+ *
+ * Built-in versions (services/PromptTemplates.js) are stored on first load;
+ * admins add further versions. Traffic is split between the versions of a
+ * name in proportion to trafficWeight; versions with weight 0 are kept for
+ * comparison but not used.
+ */
+
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  system: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: String,
+    required: true
+  },
+
+  description: String,
+
+  source: {
+    type: String,
+    enum: ['builtin', 'admin'],
+    default: 'admin'
+  },
+
+  // Relative share of traffic (0 = inactive)
+  trafficWeight: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+promptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+
+module.exports = PromptTemplate;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+/**
+ * Quiz Schema - A quiz learners can attempt
+ *
+ * A quiz either lists its questions (questionIds) or draws questionCount
+ * questions at random from the banks of its skills on every attempt.
+ * 'skill' quizzes are created on demand, one per skill, the first time a
+ * learner takes a skill's quiz (see QuizService.getSkillQuiz). 'video'
+ * quizzes are generated from a video's analysis, one per video, with fixed
+ * AI-written questions (see VideoQuizService).
+ */
+
+const quizSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Skills the questions come from and a pass counts towards
+  skills: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+
+  source: {
+    type: String,
+    enum: ['admin', 'skill', 'video'],
+    default: 'admin'
+  },
+
+  // YouTube video id of a 'video' quiz
+  videoId: String,
+
+  // Fixed questions; when empty, questions are drawn from the skill banks
+  questionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizQuestion'
+  }],
+  questionCount: {
+    type: Number,
+    default: 10,
+    min: 1,
+    max: 50
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard', null],
+    default: null
+  },
+
+  // Null allows a minute per question
+  timeLimitSeconds: {
+    type: Number,
+    min: 30,
+    default: null
+  },
+
+  // Percentage needed to pass
+  passingScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 70
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+quizSchema.index({ skills: 1, isActive: 1 });
+quizSchema.index({ source: 1, skills: 1 });
+quizSchema.index({ videoId: 1 }, { sparse: true });
+
+const Quiz = mongoose.model('Quiz', quizSchema);
+
+module.exports = Quiz;
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+/**
+ * QuizAttempt Schema - One learner's attempt at a quiz
+ *
+ * Questions are copied in when the attempt starts, in shuffled order and
+ * with shuffled options, together with their answer key, so later edits to
+ * the bank don't change an attempt. The answer key is only sent to the
+ * learner for graded attempts at quizzes that draw new questions each time
+ * (see QuizService.toClient).
+ */
+
+const attemptQuestionSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizQuestion',
+    required: true
+  },
+  skillName: String,
+  type: {
+    type: String,
+    required: true
+  },
+  prompt: {
+    type: String,
+    required: true
+  },
+  code: String,
+  language: String,
+  options: [{
+    _id: false,
+    id: String,
+    text: String
+  }],
+  points: {
+    type: Number,
+    default: 1
+  },
+  explanation: String,
+
+  // Option ids (choice and ordering questions) or accepted outputs
+  answerKey: [String],
+
+  // Filled in by grading
+  response: mongoose.Schema.Types.Mixed,
+  isCorrect: Boolean,
+  pointsEarned: Number
+}, { _id: false });
+
+const quizAttemptSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  quizTitle: String,
+
+  status: {
+    type: String,
+    // 'grading' while a submission is being graded
+    enum: ['in_progress', 'grading', 'graded', 'expired'],
+    default: 'in_progress'
+  },
+
+  questions: [attemptQuestionSchema],
+
+  // The quiz lists its questions, so a retake asks the same ones
+  fixedQuestions: {
+    type: Boolean,
+    default: false
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  submittedAt: Date,
+
+  // Results
+  score: {
+    type: Number,
+    default: 0
+  },
+  maxScore: {
+    type: Number,
+    default: 0
+  },
+  percentage: {
+    type: Number,
+    default: 0
+  },
+  passingScore: Number,
+  passed: {
+    type: Boolean,
+    default: false
+  },
+  timeTaken: Number, // seconds
+  skillUpdates: [mongoose.Schema.Types.Mixed]
+}, {
+  timestamps: true
+});
+
+quizAttemptSchema.index({ userId: 1, quizId: 1, createdAt: -1 });
+quizAttemptSchema.index({ userId: 1, status: 1 });
+
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
+
+module.exports = QuizAttempt;
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+/**
+ * QuizQuestion Schema - One question in a skill's question bank
+ *
+ * Answers by type:
+ *   multiple_choice: correctOptionIds holds the one correct option
+ *   multi_select:    correctOptionIds holds every correct option
+ *   ordering:        options are stored in the correct order (shown shuffled)
+ *   code_output:     acceptedOutputs holds what running code may print
+ *                    (compared ignoring trailing whitespace)
+ */
+
+const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'ordering', 'code_output'];
+
+const optionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
+const quizQuestionSchema = new mongoose.Schema({
+  // Canonical skill name (UserSkill.skillName)
+  skillName: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true
+  },
+
+  prompt: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+
+  // Snippet shown with the prompt (required for code_output)
+  code: String,
+  language: String,
+
+  options: [optionSchema],
+  correctOptionIds: [String],
+  acceptedOutputs: [String],
+
+  // Shown once the attempt is graded
+  explanation: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+
+  points: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 10
+  },
+
+  // 'ai' questions belong to a video quiz and aren't drawn into skill quizzes
+  source: {
+    type: String,
+    enum: ['admin', 'ai'],
+    default: 'admin'
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Drawing questions from a skill's bank
+quizQuestionSchema.index({ skillName: 1, isActive: 1, difficulty: 1 });
+
+const QuizQuestion = mongoose.model('QuizQuestion', quizQuestionSchema);
+
+module.exports = QuizQuestion;
+module.exports.QUESTION_TYPES = QUESTION_TYPES;
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+/**
+ * ReviewCard Schema - Spaced-repetition state for one completed item
+ *
+ * A card is created when a user completes a learning path node or a career
+ * journey resource, and is scheduled with SM-2 (see ReviewScheduler).
+ * sourceKey identifies the item so completing it again reuses the card:
+ *   path_node:        "<pathId>:<nodeId>"
+ *   journey_resource: "<journeyId>:<phaseId>:<resourceId>"
+ */
+
+const reviewCardSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  sourceType: {
+    type: String,
+    enum: ['path_node', 'journey_resource'],
+    required: true
+  },
+  sourceKey: {
+    type: String,
+    required: true
+  },
+
+  // Source references (by type)
+  pathId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserLearningPath'
+  },
+  nodeId: String,
+  journeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserCareerJourney'
+  },
+  phaseId: String,
+  resourceId: String,
+
+  // What to review
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  videoId: String,
+  url: String,
+
+  // Skills a review outcome counts towards (SkillService names)
+  skills: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+
+  // SM-2 state
+  easeFactor: {
+    type: Number,
+    default: 2.5,
+    min: 1.3
+  },
+  intervalDays: {
+    type: Number,
+    default: 0
+  },
+  repetitions: {
+    type: Number,
+    default: 0
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+
+  // Review history
+  lastReviewedAt: Date,
+  lastRating: Number,
+  reviewCount: {
+    type: Number,
+    default: 0
+  },
+  // Reviews rated below 3 (forgotten)
+  lapses: {
+    type: Number,
+    default: 0
+  },
+  // Due date whose missed review was already counted against skills
+  missedPenaltyFor: Date,
+  missedCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Suspended cards are never due (the source was removed or reset)
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  }
+
+}, {
+  timestamps: true
+});
+
+// One card per user per item
+reviewCardSchema.index({ userId: 1, sourceType: 1, sourceKey: 1 }, { unique: true });
+
+// Due queue
+reviewCardSchema.index({ userId: 1, status: 1, dueAt: 1 });
+
+// Missed review sweep
+reviewCardSchema.index({ status: 1, dueAt: 1 });
+
+const ReviewCard = mongoose.model('ReviewCard', reviewCardSchema);
+
+module.exports = ReviewCard;
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * RoleProfile Schema - One version of a role's skill requirements
+ *
+ * Used for skill gap analysis: each required skill has a weight (how much
+ * it counts towards coverage) and the minimum level a learner needs.
+ * Built-in profiles (services/RoleProfileDefaults.js) are stored on first
+ * load; further versions come from admins or are seeded from cached job
+ * role analyses and career roadmaps. The latest version of a role is the
+ * one in use; earlier versions are kept for history.
+ */
+
+const REQUIRED_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+const requiredSkillSchema = new mongoose.Schema({
+  // Canonical skill name (UserSkill.skillName)
+  skillName: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Shown for skills the taxonomy doesn't know
+  displayName: {
+    type: String,
+    trim: true
+  },
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0.1,
+    max: 10
+  },
+  minLevel: {
+    type: String,
+    enum: REQUIRED_LEVELS,
+    default: 'beginner'
+  }
+}, { _id: false });
+
+const roleProfileSchema = new mongoose.Schema({
+  // Slug used in URLs and matched against career ids (e.g. frontend-developer)
+  roleId: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Other slugs that resolve to this role (e.g. front-end-developer)
+  aliases: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+
+  skills: [requiredSkillSchema],
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  source: {
+    type: String,
+    enum: ['builtin', 'admin', 'job_role', 'roadmap'],
+    default: 'admin'
+  },
+
+  // CareerJobRoleCache.cacheKey or CareerRoadmap.keyword a seeded version came from
+  sourceRef: {
+    type: String,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+roleProfileSchema.index({ roleId: 1, version: 1 }, { unique: true });
+
+const RoleProfile = mongoose.model('RoleProfile', roleProfileSchema);
+
+module.exports = RoleProfile;
+module.exports.REQUIRED_LEVELS = REQUIRED_LEVELS;
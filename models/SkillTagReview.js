@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * SkillTagReview Schema - A tag from video analysis that matched no skill
+ *
+ * Tags are queued as they are seen (see SkillTaxonomyService.recordUnknownTags)
+ * and an admin either approves the tag as a new skill, maps it onto an
+ * existing skill as a synonym, or ignores it. Ignored tags stay ignored.
+ */
+
+const skillTagReviewSchema = new mongoose.Schema({
+  tag: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    unique: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'mapped', 'ignored'],
+    default: 'pending'
+  },
+
+  // How often the tag was seen, and a few recent videos it came from
+  occurrences: {
+    type: Number,
+    default: 0
+  },
+  sampleVideoIds: [String],
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Skill the tag was approved as or mapped to
+  resolvedSkill: {
+    type: String,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+// Review queue, most seen first
+skillTagReviewSchema.index({ status: 1, occurrences: -1 });
+
+const SkillTagReview = mongoose.model('SkillTagReview', skillTagReviewSchema);
+
+module.exports = SkillTagReview;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * SkillTaxonomy Schema - One canonical skill in the skill taxonomy
+ *
+ * Skills form a hierarchy through parent (React -> JavaScript -> Web
+ * Development). Synonyms are other tags that normalize to this skill.
+ * Built-in skills (services/SkillTaxonomyDefaults.js) are stored on first
+ * load; admins edit them and add more. Archived skills are kept so the
+ * built-in isn't stored again, but no longer match tags.
+ */
+
+const SKILL_CATEGORIES = ['language', 'framework', 'tools', 'concepts', 'soft-skills', 'domain', 'other'];
+
+const skillTaxonomySchema = new mongoose.Schema({
+  // Canonical name (UserSkill.skillName)
+  skillName: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    unique: true
+  },
+
+  displayName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  category: {
+    type: String,
+    enum: SKILL_CATEGORIES,
+    required: true
+  },
+
+  // skillName of the broader skill, if any
+  parent: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+
+  // Tags that normalize to this skill
+  synonyms: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+
+  // skillNames of skills often learned alongside this one
+  related: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  source: {
+    type: String,
+    enum: ['builtin', 'admin', 'review'],
+    default: 'admin'
+  },
+
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+skillTaxonomySchema.index({ synonyms: 1 });
+skillTaxonomySchema.index({ parent: 1 });
+skillTaxonomySchema.index({ category: 1, skillName: 1 });
+
+const SkillTaxonomy = mongoose.model('SkillTaxonomy', skillTaxonomySchema);
+
+module.exports = SkillTaxonomy;
+module.exports.SKILL_CATEGORIES = SKILL_CATEGORIES;
@@ -46,6 +46,13 @@ const userSchema = new mongoose.Schema({
     default: false
   },
 
+  // Admins can use /api/admin (see requireAdmin); set with scripts/setUserRole.js
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+
   // Subscription & Premium Features
   subscription: {
     tier: {
@@ -162,7 +169,10 @@ const userSchema = new mongoose.Schema({
     aiAnalysisResetAt: Date,
     quizAttempts: { type: Number, default: 0 },
     quizAttemptsResetAt: Date,
-    pathsEnrolled: { type: Number, default: 0 }
+    pathsEnrolled: { type: Number, default: 0 },
+    // Model tokens used this month across all AI features (see AIUsageService)
+    aiTokensUsed: { type: Number, default: 0 },
+    aiTokensResetAt: Date
   },
 
   createdAt: {
@@ -218,6 +228,7 @@ userSchema.methods.getTierLimits = function() {
   const limits = {
     free: {
       aiAnalysisPerMonth: 10,
+      aiTokensPerMonth: 200000,
       quizzesPerMonth: 5,
       maxPaths: 3,
       codingChallenges: false,
@@ -226,6 +237,7 @@ userSchema.methods.getTierLimits = function() {
     },
     premium: {
       aiAnalysisPerMonth: -1, // unlimited
+      aiTokensPerMonth: 5000000,
       quizzesPerMonth: -1,
       maxPaths: -1,
       codingChallenges: true,
@@ -234,6 +246,7 @@ userSchema.methods.getTierLimits = function() {
     },
     pro: {
       aiAnalysisPerMonth: -1,
+      aiTokensPerMonth: -1,
       quizzesPerMonth: -1,
       maxPaths: -1,
       codingChallenges: true,
@@ -248,12 +261,36 @@ userSchema.methods.getTierLimits = function() {
   return limits[this.subscription?.tier || 'free'];
 };
 
+// Check the monthly AI token budget (returns { allowed: bool, reason: string })
+userSchema.methods.checkTokenBudget = function() {
+  const limits = this.getTierLimits();
+  if (limits.aiTokensPerMonth === -1) return { allowed: true };
+  
+  const tokensUsed = this.usageLimits?.aiTokensUsed || 0;
+  const resetNeeded = !this.usageLimits?.aiTokensResetAt ||
+    new Date() > new Date(this.usageLimits.aiTokensResetAt);
+  if (resetNeeded || tokensUsed < limits.aiTokensPerMonth) {
+    return { allowed: true };
+  }
+  const tier = this.subscription?.tier || 'free';
+  return {
+    allowed: false,
+    reason: `${tier.charAt(0).toUpperCase() + tier.slice(1)} tier limit: ${limits.aiTokensPerMonth} AI tokens per month`,
+    upgradeRequired: true
+  };
+};
+
 // Check if user can use a feature (returns { allowed: bool, reason: string })
 userSchema.methods.canUseFeature = function(feature) {
   const limits = this.getTierLimits();
   
   switch (feature) {
+    case 'ai_tokens':
+      return this.checkTokenBudget();
+      
     case 'ai_analysis':
+      const tokenBudget = this.checkTokenBudget();
+      if (!tokenBudget.allowed) return tokenBudget;
       if (limits.aiAnalysisPerMonth === -1) return { allowed: true };
       const analysisCount = this.usageLimits?.aiAnalysisCount || 0;
       const resetNeeded = !this.usageLimits?.aiAnalysisResetAt || 
@@ -359,6 +396,23 @@ userSchema.methods.generatePublicSlug = function() {
   return this.profile.publicSlug;
 };
 
+// Static: Add AI tokens to a user's monthly usage, starting a new month when due
+userSchema.statics.addTokenUsage = async function(userId, tokens) {
+  const now = new Date();
+  
+  const current = await this.updateOne(
+    { _id: userId, 'usageLimits.aiTokensResetAt': { $gt: now } },
+    { $inc: { 'usageLimits.aiTokensUsed': tokens } }
+  );
+  if (current.matchedCount > 0) return;
+  
+  const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  await this.updateOne(
+    { _id: userId },
+    { $set: { 'usageLimits.aiTokensUsed': tokens, 'usageLimits.aiTokensResetAt': nextMonth } }
+  );
+};
+
 // Static: Find by public slug
 userSchema.statics.findByPublicSlug = function(slug) {
   return this.findOne({ 'profile.publicSlug': slug, 'profile.isPublic': true });
@@ -126,6 +126,9 @@ const UserEventSchema = new mongoose.Schema({
     skillAfter: Number,
     skillLevel: String,
     xpEarned: Number,
+    changeReason: String, // 'activity', 'review', 'decay'
+    skillRawScore: Number, // Score before review penalties and time decay
+    decayPoints: Number, // Points lost to time decay after the change
     
     // Project related
     projectId: mongoose.Schema.Types.ObjectId,
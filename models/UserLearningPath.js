@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const crypto = require("crypto");
+const PathGraphValidator = require("../services/PathGraphValidator");
 
 /**
  * UserLearningPath Schema - User-specific learning paths
@@ -15,8 +17,25 @@ const mongoose = require("mongoose");
  * - Readiness score tracking
  * - Visibility controls (private/public)
  * - Soft delete support
+ *
+ * Structural mutations (edges, branches, reorder, restore, clone) are
+ * checked with PathGraphValidator and rejected if they leave a cycle,
+ * self-loop or dangling edge.
+ *
+ * Collaboration: the owner (userId) can invite editors and viewers by
+ * email. The structure is shared; completion is per user - the owner's
+ * lives on the nodes, each collaborator's in collaborators[].completedNodes.
  */
 
+// Higher rank includes the permissions of lower ones
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// How long an emailed invitation stays valid
+const INVITATION_TTL_DAYS = 7;
+
+const hashInvitationToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
 const nodeSchema = new mongoose.Schema(
   {
     id: {
@@ -70,6 +89,75 @@ const edgeSchema = new mongoose.Schema(
   { _id: false },
 );
 
+const collaboratorSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["editor", "viewer"],
+      default: "viewer",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // This collaborator's own completion state
+    completedNodes: [
+      {
+        _id: false,
+        nodeId: { type: String, required: true },
+        completedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { _id: false },
+);
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ["editor", "viewer"],
+    default: "viewer",
+  },
+  // SHA-256 of the token sent by email; the token itself is not stored
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined", "revoked"],
+    default: "pending",
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  respondedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const userLearningPathSchema = new mongoose.Schema(
   {
     // Owner
@@ -80,6 +168,10 @@ const userLearningPathSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Shared access (the owner is userId)
+    collaborators: [collaboratorSchema],
+    invitations: [invitationSchema],
+
     // Career association (from CareerDomain collection)
     careerId: {
       type: String,
@@ -112,6 +204,56 @@ const userLearningPathSchema = new mongoose.Schema(
       default: null,
     },
 
+    // Upstream tracking for clones of another path: the source path and
+    // the source version this clone was last synced with
+    upstream: {
+      pathId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "UserLearningPath",
+        default: null,
+      },
+      versionNumber: {
+        type: Number,
+        default: null,
+      },
+      syncedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+
+    // Set for paths generated from a YouTube playlist (PlaylistPathService)
+    sourcePlaylist: {
+      playlistId: {
+        type: String,
+        default: null,
+      },
+      url: String,
+      minScore: Number,
+      generatedAt: Date,
+      // The playlist_path job that generated the path; a retry reuses it
+      jobId: {
+        type: String,
+        default: null,
+      },
+      // Videos scoring below minScore, not programming tutorials, or not
+      // analyzable; kept as flagged nodes unless skipped
+      flaggedVideos: [
+        {
+          _id: false,
+          videoId: String,
+          title: String,
+          nodeId: String,
+          score: Number,
+          reason: {
+            type: String,
+            enum: ["low_score", "not_programming", "unscored", "unavailable"],
+          },
+          skipped: Boolean,
+        },
+      ],
+    },
+
     // Status
     status: {
       type: String,
@@ -174,6 +316,29 @@ const userLearningPathSchema = new mongoose.Schema(
       sparse: true,
     },
 
+    // Public discovery stats (refreshed by PathDiscoveryService)
+    discovery: {
+      cloneCount: { type: Number, default: 0 },
+      // Clones with at least one completed node
+      activeCloneCount: { type: Number, default: 0 },
+      // Mean share of nodes completed across clones (0-1)
+      completionRate: { type: Number, default: 0 },
+      ratingAverage: { type: Number, default: null },
+      ratingCount: { type: Number, default: 0 },
+      // Sum of the owner's saved video durations
+      totalMinutes: { type: Number, default: 0 },
+      // Ranking score used by public browse
+      score: { type: Number, default: 0 },
+      refreshedAt: Date,
+    },
+
+    // Learners must pass a node's video quiz before completing it
+    // (VideoQuizService.assertCanComplete)
+    requireQuizToComplete: {
+      type: Boolean,
+      default: false,
+    },
+
     // Soft delete
     deletedAt: {
       type: Date,
@@ -190,6 +355,25 @@ userLearningPathSchema.index({ userId: 1, status: 1 });
 userLearningPathSchema.index({ userId: 1, careerId: 1 });
 userLearningPathSchema.index({ userId: 1, deletedAt: 1 });
 userLearningPathSchema.index({ visibility: 1, publicSlug: 1 });
+userLearningPathSchema.index({ visibility: 1, "discovery.score": -1 });
+
+// Text index for public path search
+userLearningPathSchema.index(
+  {
+    title: "text",
+    description: "text",
+    inferredSkills: "text",
+    inferredCareers: "text",
+  },
+  {
+    weights: { title: 10, inferredSkills: 5, inferredCareers: 3, description: 1 },
+    name: "public_path_search",
+  },
+);
+userLearningPathSchema.index({ "upstream.pathId": 1, deletedAt: 1 });
+userLearningPathSchema.index({ basedOnPathId: 1, deletedAt: 1 });
+userLearningPathSchema.index({ "collaborators.userId": 1, deletedAt: 1 });
+userLearningPathSchema.index({ "invitations.tokenHash": 1 });
 
 /**
  * Virtual: Progress percentage
@@ -208,6 +392,54 @@ userLearningPathSchema.pre("save", function () {
     this.structureGraph?.nodes?.filter((n) => n.isCompleted)?.length || 0;
 });
 
+/**
+ * Instance method: Get the versioned fields as a plain snapshot
+ */
+userLearningPathSchema.methods.getSnapshot = function () {
+  return {
+    title: this.title,
+    description: this.description,
+    careerId: this.careerId,
+    status: this.status,
+    structureGraph: JSON.parse(JSON.stringify(this.structureGraph)), // Deep clone
+    inferredSkills: [...this.inferredSkills],
+    inferredCareers: [...this.inferredCareers],
+    readinessScore: this.readinessScore,
+    visibility: this.visibility,
+  };
+};
+
+/**
+ * Instance method: Replace the versioned fields from a snapshot
+ * @param {Object} [options] - { preserveOwnerState: keep the owner's node
+ *   completion and the visibility as they are (for collaborators' changes) }
+ */
+userLearningPathSchema.methods.applySnapshot = function (
+  snapshot,
+  { preserveOwnerState = false } = {},
+) {
+  const ownerCompletion = this.getCompletionFor(null);
+  const visibility = this.visibility;
+
+  this.title = snapshot.title;
+  this.description = snapshot.description;
+  this.careerId = snapshot.careerId;
+  this.status = snapshot.status || "draft";
+  this.structureGraph = snapshot.structureGraph;
+  this.inferredSkills = snapshot.inferredSkills || [];
+  this.inferredCareers = snapshot.inferredCareers || [];
+  this.readinessScore = snapshot.readinessScore || 0;
+  this.visibility = snapshot.visibility || "private";
+
+  if (preserveOwnerState) {
+    this.visibility = visibility;
+    this.structureGraph.nodes.forEach((node) => {
+      node.isCompleted = ownerCompletion.has(node.id);
+      node.completedAt = ownerCompletion.get(node.id) || null;
+    });
+  }
+};
+
 /**
  * Instance method: Create a version snapshot of current state
  * Call this before making significant changes
@@ -215,6 +447,7 @@ userLearningPathSchema.pre("save", function () {
 userLearningPathSchema.methods.createVersionSnapshot = async function (
   reason,
   changeDescription = null,
+  authorId = null,
 ) {
   // Lazy load to avoid circular dependency
   const LearningPathVersion = require("./LearningPathVersion");
@@ -223,19 +456,188 @@ userLearningPathSchema.methods.createVersionSnapshot = async function (
     this._id,
     this.userId,
     reason,
-    {
-      title: this.title,
-      description: this.description,
-      careerId: this.careerId,
-      status: this.status,
-      structureGraph: JSON.parse(JSON.stringify(this.structureGraph)), // Deep clone
-      inferredSkills: [...this.inferredSkills],
-      inferredCareers: [...this.inferredCareers],
-      readinessScore: this.readinessScore,
-      visibility: this.visibility,
-    },
-    { changeDescription },
+    this.getSnapshot(),
+    { changeDescription, authorId: authorId || this.userId },
+  );
+};
+
+/**
+ * Instance method: Get a version matching the current state, creating one
+ * if the path changed since its latest version
+ */
+userLearningPathSchema.methods.ensureCurrentVersion = async function (
+  reason = "upstream_snapshot",
+  changeDescription = null,
+) {
+  // Lazy load to avoid circular dependency
+  const LearningPathVersion = require("./LearningPathVersion");
+  const DiffComputer = require("../services/DiffComputer");
+
+  const latest = await LearningPathVersion.getLatestVersion(this._id);
+  if (latest) {
+    const diff = DiffComputer.computePathDiff(
+      JSON.parse(JSON.stringify(latest.toObject().snapshot)),
+      JSON.parse(JSON.stringify(this.getSnapshot())),
+    );
+    if (!DiffComputer.hasChanges(diff)) return latest;
+  }
+
+  return this.createVersionSnapshot(reason, changeDescription);
+};
+
+// ============================================
+// Collaboration
+// ============================================
+
+/**
+ * Instance method: Get a user's role on this path
+ * @returns {'owner'|'editor'|'viewer'|null}
+ */
+userLearningPathSchema.methods.getRole = function (userId) {
+  if (!userId) return null;
+  if (this.userId.toString() === userId.toString()) return "owner";
+
+  const collaborator = this.collaborators.find(
+    (c) => c.userId.toString() === userId.toString(),
   );
+  return collaborator ? collaborator.role : null;
+};
+
+/**
+ * Instance method: Check a user has at least the given role
+ */
+userLearningPathSchema.methods.hasRole = function (userId, minRole) {
+  const role = this.getRole(userId);
+  return !!role && ROLE_RANK[role] >= ROLE_RANK[minRole];
+};
+
+/**
+ * Instance method: Get a user's completed nodes as nodeId -> completedAt
+ */
+userLearningPathSchema.methods.getCompletionFor = function (userId = null) {
+  if (!userId || this.getRole(userId) === "owner") {
+    return new Map(
+      this.structureGraph.nodes
+        .filter((n) => n.isCompleted)
+        .map((n) => [n.id, n.completedAt || null]),
+    );
+  }
+
+  const collaborator = this.collaborators.find(
+    (c) => c.userId.toString() === userId.toString(),
+  );
+  const nodeIds = new Set(this.structureGraph.nodes.map((n) => n.id));
+
+  return new Map(
+    (collaborator?.completedNodes || [])
+      .filter((c) => nodeIds.has(c.nodeId))
+      .map((c) => [c.nodeId, c.completedAt]),
+  );
+};
+
+/**
+ * Instance method: Mark a node complete for a collaborator
+ * (the owner's completion uses the completeNode static)
+ */
+userLearningPathSchema.methods.completeNodeForCollaborator = async function (
+  userId,
+  nodeId,
+) {
+  if (!this.structureGraph.nodes.some((n) => n.id === nodeId)) {
+    throw new Error("Node not found");
+  }
+
+  const collaborator = this.collaborators.find(
+    (c) => c.userId.toString() === userId.toString(),
+  );
+  if (!collaborator) throw new Error("Not a collaborator on this path");
+
+  if (!collaborator.completedNodes.some((c) => c.nodeId === nodeId)) {
+    collaborator.completedNodes.push({ nodeId, completedAt: new Date() });
+    await this.save();
+  }
+  return this;
+};
+
+/**
+ * Instance method: Plain view of the path for a user - completion and
+ * progress are theirs, other collaborators' progress and invitation
+ * details are left out
+ */
+userLearningPathSchema.methods.toViewFor = function (userId) {
+  const role = this.getRole(userId);
+  const view = this.toObject();
+
+  view.role = role;
+  view.collaborators = view.collaborators.map(
+    ({ completedNodes, ...collaborator }) => collaborator,
+  );
+
+  if (role !== "owner") {
+    const completion = this.getCompletionFor(userId);
+    view.structureGraph.nodes = view.structureGraph.nodes.map((node) => ({
+      ...node,
+      isCompleted: completion.has(node.id),
+      completedAt: completion.get(node.id) || null,
+    }));
+    const total = view.structureGraph.nodes.length;
+    view.completedNodesCount = completion.size;
+    view.progressPercentage = total
+      ? Math.round((completion.size / total) * 100)
+      : 0;
+    delete view.invitations;
+  }
+
+  return view;
+};
+
+/**
+ * Instance method: Create an email invitation
+ * Replaces any pending invitation for the same email.
+ * @returns {{ invitation: Object, token: string }} The token goes in the email link
+ */
+userLearningPathSchema.methods.createInvitation = function (
+  email,
+  role,
+  invitedBy,
+) {
+  const normalized = email.toLowerCase().trim();
+
+  this.invitations
+    .filter((i) => i.email === normalized && i.status === "pending")
+    .forEach((i) => {
+      i.status = "revoked";
+      i.respondedAt = new Date();
+    });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  this.invitations.push({
+    email: normalized,
+    role,
+    tokenHash: hashInvitationToken(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return { invitation: this.invitations[this.invitations.length - 1], token };
+};
+
+/**
+ * Instance method: Find an invitation by its emailed token
+ */
+userLearningPathSchema.methods.findInvitation = function (token) {
+  const tokenHash = hashInvitationToken(token);
+  return this.invitations.find((i) => i.tokenHash === tokenHash) || null;
+};
+
+/**
+ * Static: Find the path holding an invitation token
+ */
+userLearningPathSchema.statics.findByInvitationToken = async function (token) {
+  return this.findOne({
+    "invitations.tokenHash": hashInvitationToken(token),
+    deletedAt: null,
+  });
 };
 
 /**
@@ -250,9 +652,12 @@ userLearningPathSchema.statics.getUserPaths = async function (
     careerId = null,
     limit = 20,
     includeDeleted = false,
+    includeShared = false,
   } = options;
 
-  const filter = { userId };
+  const filter = includeShared
+    ? { $or: [{ userId }, { "collaborators.userId": userId }] }
+    : { userId };
 
   if (!includeDeleted) {
     filter.deletedAt = null;
@@ -357,6 +762,8 @@ userLearningPathSchema.statics.addVideoToPath = async function (
     });
   }
 
+  path.assertValidGraph();
+
   // Update inferred skills
   if (video.inferredSkills) {
     const existingSkills = new Set(path.inferredSkills);
@@ -433,13 +840,17 @@ userLearningPathSchema.statics.activatePath = async function (pathId, userId) {
  * Instance method: Get nodes that can be started next
  * Returns nodes whose prerequisites are all completed
  */
-userLearningPathSchema.methods.getNextAvailableNodes = function () {
+userLearningPathSchema.methods.getNextAvailableNodes = function (
+  userId = null,
+) {
   const nodes = this.structureGraph.nodes;
   const edges = this.structureGraph.edges;
+  const completion = this.getCompletionFor(userId);
+  const isCompleted = (n) => completion.has(n.id);
 
   return nodes.filter((node) => {
     // Skip completed nodes
-    if (node.isCompleted) return false;
+    if (isCompleted(node)) return false;
 
     // Find prerequisite edges pointing TO this node
     const prerequisites = edges.filter(
@@ -450,7 +861,7 @@ userLearningPathSchema.methods.getNextAvailableNodes = function () {
     if (prerequisites.length === 0) {
       // But check if it's the first node or all previous in order are done
       const lowerOrderNodes = nodes.filter(
-        (n) => n.order < node.order && !n.isCompleted,
+        (n) => n.order < node.order && !isCompleted(n),
       );
       return lowerOrderNodes.length === 0;
     }
@@ -458,7 +869,7 @@ userLearningPathSchema.methods.getNextAvailableNodes = function () {
     // Check if all prerequisite nodes are completed
     return prerequisites.every((prereq) => {
       const prereqNode = nodes.find((n) => n.id === prereq.from);
-      return prereqNode?.isCompleted;
+      return prereqNode ? isCompleted(prereqNode) : false;
     });
   });
 };
@@ -513,6 +924,22 @@ userLearningPathSchema.methods.getAdjacencyList = function () {
   return adjacency;
 };
 
+/**
+ * Instance method: Report cycles, self-loops and dangling edges
+ * Returns { valid, errors, warnings } (see PathGraphValidator.validate)
+ */
+userLearningPathSchema.methods.validateGraph = function () {
+  return PathGraphValidator.validate(this.structureGraph);
+};
+
+/**
+ * Instance method: Throw a PathGraphError if the graph has errors
+ * Call after a structural change and before saving
+ */
+userLearningPathSchema.methods.assertValidGraph = function () {
+  PathGraphValidator.assertValid(this.structureGraph);
+};
+
 /**
  * Static: Create a branch from an existing node
  */
@@ -544,6 +971,8 @@ userLearningPathSchema.statics.createBranch = async function (
     type: edgeType,
   });
 
+  path.assertValidGraph();
+
   await path.save();
   return { path, newNodeId };
 };
@@ -609,12 +1038,6 @@ userLearningPathSchema.statics.addOptionalEdge = async function (
   const path = await this.findById(pathId);
   if (!path) throw new Error("Path not found");
 
-  // Validate both nodes exist
-  const fromNode = path.structureGraph.nodes.find((n) => n.id === fromNodeId);
-  const toNode = path.structureGraph.nodes.find((n) => n.id === toNodeId);
-
-  if (!fromNode || !toNode) throw new Error("One or both nodes not found");
-
   // Check if edge already exists
   const existingEdge = path.structureGraph.edges.find(
     (e) => e.from === fromNodeId && e.to === toNodeId,
@@ -630,6 +1053,9 @@ userLearningPathSchema.statics.addOptionalEdge = async function (
     type: "optional",
   });
 
+  // Rejects self-loops, missing nodes and edges that close a cycle
+  path.assertValidGraph();
+
   await path.save();
   return path;
 };
@@ -657,12 +1083,22 @@ userLearningPathSchema.statics.removeEdge = async function (
 };
 
 // Ensure virtuals are included in JSON
-userLearningPathSchema.set("toJSON", { virtuals: true });
-userLearningPathSchema.set("toObject", { virtuals: true });
+// Invitation token hashes never leave the server
+const hideTokenHashes = (doc, ret) => {
+  (ret.invitations || []).forEach((invitation) => {
+    delete invitation.tokenHash;
+  });
+  return ret;
+};
+
+userLearningPathSchema.set("toJSON", { virtuals: true, transform: hideTokenHashes });
+userLearningPathSchema.set("toObject", { virtuals: true, transform: hideTokenHashes });
 
 const UserLearningPath = mongoose.model(
   "UserLearningPath",
   userLearningPathSchema,
 );
 
+UserLearningPath.ROLE_RANK = ROLE_RANK;
+
 module.exports = UserLearningPath;
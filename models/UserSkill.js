@@ -5,6 +5,50 @@ const mongoose = require('mongoose');
  * Tracks individual skill scores and progression for each user
  * Enables skill-based recommendations and profile generation
  */
+
+// Most score points missed reviews can take away
+const MAX_RETENTION_PENALTY = 30;
+
+// Days without practice after which a category's skills have lost half of
+// their decayable score. SKILL_DECAY_HALF_LIFE_DAYS overrides some, e.g.
+// "framework:120,tools:90".
+const DEFAULT_DECAY_HALF_LIFE_DAYS = {
+  language: 365,
+  framework: 180,
+  tools: 180,
+  concepts: 540,
+  'soft-skills': 730,
+  domain: 540,
+  other: 180
+};
+
+const parseHalfLives = (value = '') => value
+  .split(',')
+  .map(entry => entry.split(':').map(part => part.trim()))
+  .filter(([category, days]) => DEFAULT_DECAY_HALF_LIFE_DAYS[category] && Number(days) > 0)
+  .reduce((halfLives, [category, days]) => ({ ...halfLives, [category]: Number(days) }), {});
+
+const DECAY_HALF_LIFE_DAYS = {
+  ...DEFAULT_DECAY_HALF_LIFE_DAYS,
+  ...parseHalfLives(process.env.SKILL_DECAY_HALF_LIFE_DAYS)
+};
+
+// Share of a score time decay never takes away
+const DECAY_FLOOR = 0.5;
+
+// Confidence each kind of evidence adds once there are
+// CONFIDENCE_SATURATION activities of that kind (sums to 1)
+const EVIDENCE_CONFIDENCE = {
+  videosCompleted: 0.15,
+  quizzesPassed: 0.25,
+  challengesSolved: 0.25,
+  projectsCompleted: 0.25,
+  reviewsReceived: 0.1
+};
+const CONFIDENCE_SATURATION = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 const UserSkillSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -38,12 +82,21 @@ const UserSkillSchema = new mongoose.Schema({
       'tools',         // Git, Docker, VS Code, etc.
       'concepts',      // DSA, System Design, OOP, etc.
       'soft-skills',   // Communication, Problem Solving, etc.
-      'domain'         // Web Dev, Mobile, Data Science, etc.
+      'domain',        // Web Dev, Mobile, Data Science, etc.
+      'other'          // Not in the skill taxonomy yet
     ],
     default: 'language'
   },
 
-  // Current skill score (0-100)
+  // Score from evidence alone, before review penalties and time decay (0-100)
+  rawScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+
+  // Effective skill score (0-100): rawScore less retentionPenalty and decayPoints
   score: {
     type: Number,
     min: 0,
@@ -76,6 +129,34 @@ const UserSkillSchema = new mongoose.Schema({
     reviewsReceived: { type: Number, default: 0 }
   },
 
+  // Score points lost to missed or failed spaced-repetition reviews;
+  // successful recall wins them back (see SkillService.updateFromReview)
+  retentionPenalty: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: MAX_RETENTION_PENALTY
+  },
+
+  // Score points currently lost to time since lastPracticedAt
+  decayPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // How much to trust the score (0-1), from the variety of evidence
+  confidence: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1
+  },
+
+  // Last activity or successful review; time decay counts from here.
+  // Skills scored before decay existed start from lastUpdatedAt.
+  lastPracticedAt: Date,
+
   // XP earned for this skill
   xpEarned: {
     type: Number,
@@ -134,12 +215,33 @@ UserSkillSchema.methods.calculateLevel = function() {
   return 'novice';
 };
 
-// Recalculate total score from breakdown
-UserSkillSchema.methods.recalculateScore = function() {
+// Share of the score left after time decay (DECAY_FLOOR to 1)
+UserSkillSchema.methods.decayFactor = function(now = new Date()) {
+  if (!this.lastPracticedAt) return 1;
+
+  const days = Math.max(0, (now - new Date(this.lastPracticedAt)) / DAY_MS);
+  const halfLife = DECAY_HALF_LIFE_DAYS[this.category] || DECAY_HALF_LIFE_DAYS.other;
+  return DECAY_FLOOR + (1 - DECAY_FLOOR) * Math.pow(0.5, days / halfLife);
+};
+
+// Confidence from how many kinds of evidence back the score
+UserSkillSchema.methods.calculateConfidence = function() {
+  const activities = this.activities || {};
+  const confidence = Object.entries(EVIDENCE_CONFIDENCE).reduce((sum, [activity, weight]) =>
+    sum + weight * Math.min(1, (activities[activity] || 0) / CONFIDENCE_SATURATION), 0);
+  return Math.round(confidence * 100) / 100;
+};
+
+// Recalculate raw and effective score from breakdown, penalty and decay
+UserSkillSchema.methods.recalculateScore = function(now = new Date()) {
+  if (!this.lastPracticedAt) {
+    this.lastPracticedAt = this.lastUpdatedAt || this.firstEarnedAt || now;
+  }
+
   const { videos, quizzes, challenges, projects, peerReviews } = this.scoreBreakdown;
   
   // Weighted sum with diminishing returns
-  const rawScore = 
+  const weightedSum = 
     (videos * ACTIVITY_WEIGHTS.video) +
     (quizzes * ACTIVITY_WEIGHTS.quiz) +
     (challenges * ACTIVITY_WEIGHTS.challenge) +
@@ -148,9 +250,13 @@ UserSkillSchema.methods.recalculateScore = function() {
   
   // Apply logarithmic scaling to prevent score inflation
   // Score approaches 100 asymptotically
-  this.score = Math.min(100, Math.round(100 * (1 - Math.exp(-rawScore / 500))));
+  this.rawScore = Math.min(100, Math.round(100 * (1 - Math.exp(-weightedSum / 500))));
+  const retained = Math.max(0, this.rawScore - (this.retentionPenalty || 0));
+  this.decayPoints = Math.round(retained * (1 - this.decayFactor(now)));
+  this.score = retained - this.decayPoints;
+  this.confidence = this.calculateConfidence();
   this.level = this.calculateLevel();
-  this.lastUpdatedAt = new Date();
+  this.lastUpdatedAt = now;
   
   return this.score;
 };
@@ -174,6 +280,7 @@ UserSkillSchema.methods.addActivity = async function(activityType, points = 1) {
   
   this.scoreBreakdown[activityType] += points;
   this.activities[activityCountMap[activityType]] += 1;
+  this.lastPracticedAt = new Date();
   this.recalculateScore();
   
   const leveledUp = this.level !== previousLevel && 
@@ -188,18 +295,93 @@ UserSkillSchema.methods.addActivity = async function(activityType, points = 1) {
   };
 };
 
+// Change the retention penalty by delta points (negative recovers and
+// counts as practice)
+UserSkillSchema.methods.adjustRetention = async function(delta) {
+  const previousLevel = this.level;
+
+  this.retentionPenalty = Math.min(
+    MAX_RETENTION_PENALTY,
+    Math.max(0, (this.retentionPenalty || 0) + delta)
+  );
+  if (delta < 0) this.lastPracticedAt = new Date();
+  this.recalculateScore();
+
+  const leveledUp = this.level !== previousLevel &&
+    LEVEL_THRESHOLDS[this.level] > LEVEL_THRESHOLDS[previousLevel];
+
+  await this.save();
+
+  return {
+    newScore: this.score,
+    newLevel: this.level,
+    leveledUp
+  };
+};
+
+// Bring time decay up to date; saves only if the score changed
+UserSkillSchema.methods.applyDecay = async function(now = new Date()) {
+  const previousScore = this.score;
+  const previousRawScore = this.rawScore;
+
+  this.recalculateScore(now);
+
+  const changed = this.score !== previousScore;
+  if (changed || this.rawScore !== previousRawScore) {
+    await this.save();
+  }
+
+  return {
+    previousScore,
+    newScore: this.score,
+    newLevel: this.level,
+    rawScore: this.rawScore,
+    decayPoints: this.decayPoints,
+    changed
+  };
+};
+
+// Fold another score of the same user into this one (e.g. one kept under a
+// name that became a synonym). Doesn't save either document.
+UserSkillSchema.methods.mergeFrom = function(other, now = new Date()) {
+  ['videos', 'quizzes', 'challenges', 'projects', 'peerReviews'].forEach(key => {
+    this.scoreBreakdown[key] += other.scoreBreakdown?.[key] || 0;
+  });
+  Object.keys(EVIDENCE_CONFIDENCE).forEach(key => {
+    this.activities[key] += other.activities?.[key] || 0;
+  });
+  this.xpEarned = (this.xpEarned || 0) + (other.xpEarned || 0);
+  this.retentionPenalty = Math.max(this.retentionPenalty || 0, other.retentionPenalty || 0);
+
+  const practicedAt = [this, other].map(skill => skill.lastPracticedAt || skill.lastUpdatedAt).filter(Boolean);
+  if (practicedAt.length > 0) this.lastPracticedAt = new Date(Math.max(...practicedAt));
+  const earnedAt = [this.firstEarnedAt, other.firstEarnedAt].filter(Boolean);
+  if (earnedAt.length > 0) this.firstEarnedAt = new Date(Math.min(...earnedAt));
+
+  if (other.isVerified && !this.isVerified) {
+    this.isVerified = true;
+    this.verifiedAt = other.verifiedAt;
+    this.verificationScore = other.verificationScore;
+  }
+
+  this.recalculateScore(now);
+  return this;
+};
+
 // Static: Get or create skill for user
-UserSkillSchema.statics.getOrCreate = async function(userId, skillName, displayName = null, category = 'language') {
-  const normalizedName = skillName.toLowerCase().trim();
+// Name, display name and category default to the skill taxonomy's
+UserSkillSchema.statics.getOrCreate = async function(userId, skillName, displayName = null, category = null) {
+  const skillTaxonomy = require('../services/SkillTaxonomyService');
+  const info = skillTaxonomy.getSkillInfo(skillName);
   
-  let skill = await this.findOne({ user: userId, skillName: normalizedName });
+  let skill = await this.findOne({ user: userId, skillName: info.skillName });
   
   if (!skill) {
     skill = await this.create({
       user: userId,
-      skillName: normalizedName,
-      displayName: displayName || skillName,
-      category
+      skillName: info.skillName,
+      displayName: displayName || info.displayName,
+      category: category || info.category
     });
   }
   
@@ -224,7 +406,7 @@ UserSkillSchema.statics.getTopSkills = function(userId, limit = 10) {
   return this.find({ user: userId, score: { $gte: 20 } }) // Only skills above beginner
     .sort({ score: -1 })
     .limit(limit)
-    .select('skillName displayName score level category isVerified')
+    .select('skillName displayName score rawScore confidence level category isVerified')
     .lean();
 };
 
@@ -256,13 +438,17 @@ UserSkillSchema.statics.compareSkills = async function(userId1, userId2) {
 
 // Static: Bulk update skills from video tags
 UserSkillSchema.statics.updateFromVideoCompletion = async function(userId, tags) {
+  const skillTaxonomy = require('../services/SkillTaxonomyService');
+  await skillTaxonomy.ready();
+
   const updates = [];
+  const skillNames = [...new Set(tags.map(tag => skillTaxonomy.normalizeSkill(tag)))];
   
-  for (const tag of tags) {
-    const skill = await this.getOrCreate(userId, tag, tag, 'language');
+  for (const skillName of skillNames) {
+    const skill = await this.getOrCreate(userId, skillName);
     const result = await skill.addActivity('videos', 1);
     updates.push({
-      skillName: tag,
+      skillName,
       ...result
     });
   }
@@ -270,4 +456,7 @@ UserSkillSchema.statics.updateFromVideoCompletion = async function(userId, tags)
   return updates;
 };
 
-module.exports = mongoose.model('UserSkill', UserSkillSchema);
+const UserSkill = mongoose.model('UserSkill', UserSkillSchema);
+
+module.exports = UserSkill;
+module.exports.DECAY_HALF_LIFE_DAYS = DECAY_HALF_LIFE_DAYS;
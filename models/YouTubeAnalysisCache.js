@@ -35,6 +35,10 @@ const youtubeAnalysisCacheSchema = new mongoose.Schema({
   },
   thumbnail: String,
   duration: String,
+  description: {
+    type: String,
+    trim: true
+  },
 
   // Hierarchical categorization (auto-detected by AI)
   category: {
@@ -62,6 +66,26 @@ const youtubeAnalysisCacheSchema = new mongoose.Schema({
     required: true
   },
 
+  // Comprehension quiz generated from the analysis (videos only, see
+  // VideoQuizService)
+  quiz: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'ready', 'failed'],
+      default: 'none'
+    },
+    quizId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      default: null
+    },
+    jobId: String,
+    promptVersion: Number,
+    error: String,
+    requestedAt: Date,
+    generatedAt: Date
+  },
+
   // Usage tracking
   usageCount: {
     type: Number,
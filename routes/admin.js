@@ -1,12 +1,18 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, requireAdmin } = require('../middleware/auth');
 const jobQueue = require('../services/JobQueue');
 const caches = require('../services/CacheService');
+const AIUsageService = require('../services/AIUsageService');
+const promptRegistry = require('../services/PromptRegistry');
+const skillTaxonomy = require('../services/SkillTaxonomyService');
+const roleProfiles = require('../services/RoleProfileService');
+const QuizService = require('../services/QuizService');
 
 /**
  * Admin routes for system monitoring and management
- * These endpoints should be protected with additional admin checks in production
+ * Every route except /health requires an admin (User.role, see requireAdmin)
  */
 
 /**
@@ -14,18 +20,16 @@ const caches = require('../services/CacheService');
  * @desc    Get system statistics
  * @access  Private (Admin)
  */
-router.get('/stats', protect, async (req, res) => {
+router.get('/stats', protect, requireAdmin, async (req, res) => {
   try {
-    // In production, add admin role check here
-    // if (!req.user.isAdmin) return res.status(403).json({ success: false });
-
+    await jobQueue.refreshStats();
     const stats = {
       jobQueue: jobQueue.getStats(),
       cache: {
-        videoAnalysis: caches.videoAnalysis.getStats(),
-        readiness: caches.readiness.getStats(),
-        careerData: caches.careerData.getStats(),
-        general: caches.general.getStats()
+        videoAnalysis: await caches.videoAnalysis.getStats(),
+        readiness: await caches.readiness.getStats(),
+        careerData: await caches.careerData.getStats(),
+        general: await caches.general.getStats()
       },
       timestamp: new Date().toISOString()
     };
@@ -46,25 +50,22 @@ router.get('/stats', protect, async (req, res) => {
 /**
  * @route   POST /api/admin/cache/clear
  * @desc    Clear a specific cache or all caches
+ *          (all processes when the shared cache backend is configured)
  * @access  Private (Admin)
  */
-router.post('/cache/clear', protect, async (req, res) => {
+router.post('/cache/clear', protect, requireAdmin, async (req, res) => {
   try {
     const { namespace } = req.body;
 
-    if (namespace && caches[namespace]) {
-      caches[namespace].clear();
+    if (namespace && caches[namespace] instanceof caches.CacheService) {
+      await caches[namespace].clear();
       res.json({
         success: true,
         message: `${namespace} cache cleared`
       });
     } else if (!namespace) {
       // Clear all caches
-      Object.values(caches).forEach(cache => {
-        if (typeof cache.clear === 'function') {
-          cache.clear();
-        }
-      });
+      await Promise.all(caches.cacheInstances().map(cache => cache.clear()));
       res.json({
         success: true,
         message: 'All caches cleared'
@@ -84,15 +85,56 @@ router.post('/cache/clear', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/admin/cache/invalidate
+ * @desc    Invalidate cache entries by tag, or everything cached for a user
+ * @access  Private (Admin)
+ */
+router.post('/cache/invalidate', protect, requireAdmin, async (req, res) => {
+  try {
+    const { tags = [], userId } = req.body;
+
+    if (!userId && (!Array.isArray(tags) || tags.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a userId or a non-empty tags array'
+      });
+    }
+
+    let removed = 0;
+    if (userId) {
+      removed += await caches.invalidateUser(userId);
+    }
+    if (tags.length > 0) {
+      const results = await Promise.all(
+        caches.cacheInstances().map(cache => cache.invalidateTags(tags))
+      );
+      removed += results.reduce((sum, n) => sum + n, 0);
+    }
+
+    res.json({
+      success: true,
+      message: `Invalidated ${removed} cache entries`,
+      data: { removed }
+    });
+  } catch (error) {
+    console.error('Invalidate cache error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to invalidate cache'
+    });
+  }
+});
+
 /**
  * @route   POST /api/admin/jobs/cleanup
- * @desc    Cleanup completed/failed jobs
+ * @desc    Cleanup completed/cancelled jobs (failed jobs only with includeFailed)
  * @access  Private (Admin)
  */
-router.post('/jobs/cleanup', protect, async (req, res) => {
+router.post('/jobs/cleanup', protect, requireAdmin, async (req, res) => {
   try {
-    const { maxAgeHours = 1 } = req.body;
-    const removed = jobQueue.cleanup(maxAgeHours * 3600000);
+    const { maxAgeHours = 1, includeFailed = false } = req.body;
+    const removed = await jobQueue.cleanup(maxAgeHours * 3600000, { includeFailed });
 
     res.json({
       success: true,
@@ -107,6 +149,933 @@ router.post('/jobs/cleanup', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    List jobs, optionally filtered by status, type or user
+ * @access  Private (Admin)
+ */
+router.get('/jobs', protect, requireAdmin, async (req, res) => {
+  try {
+    const { status, type, userId, limit = 20, offset = 0 } = req.query;
+
+    const { jobs, total } = await jobQueue.listJobs(
+      { status, type, userId },
+      { limit: Math.min(parseInt(limit) || 20, 200), offset: Math.max(parseInt(offset) || 0, 0) }
+    );
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      total,
+      data: jobs.map(job => jobQueue.formatJob(job, { includeData: true }))
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list jobs'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs/failed
+ * @desc    Dead-letter view of permanently failed jobs
+ * @access  Private (Admin)
+ */
+router.get('/jobs/failed', protect, requireAdmin, async (req, res) => {
+  try {
+    const { type, userId, limit = 20, offset = 0 } = req.query;
+
+    const { jobs, total } = await jobQueue.getDeadLetter(
+      { type, userId },
+      { limit: Math.min(parseInt(limit) || 20, 200), offset: Math.max(parseInt(offset) || 0, 0) }
+    );
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      total,
+      data: jobs.map(job => jobQueue.formatJob(job, { includeData: true }))
+    });
+  } catch (error) {
+    console.error('Get failed jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get failed jobs'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs/:jobId
+ * @desc    Get a job with progress, result and attempt history
+ * @access  Private (Admin)
+ */
+router.get('/jobs/:jobId', protect, requireAdmin, async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: jobQueue.formatJob(job, { includeData: true })
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get job'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/:jobId/cancel
+ * @desc    Cancel a pending job
+ * @access  Private (Admin)
+ */
+router.post('/jobs/:jobId/cancel', protect, requireAdmin, async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const cancelled = await jobQueue.cancel(job.id);
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: `Only pending jobs can be cancelled (job is ${job.status})`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job cancelled',
+      data: jobQueue.formatJob(cancelled, { includeData: true })
+    });
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel job'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/:jobId/retry
+ * @desc    Re-queue a failed or cancelled job
+ * @access  Private (Admin)
+ */
+router.post('/jobs/:jobId/retry', protect, requireAdmin, async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const requeued = await jobQueue.retry(job.id);
+
+    if (!requeued) {
+      return res.status(409).json({
+        success: false,
+        message: `Only failed or cancelled jobs can be re-queued (job is ${job.status})`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job re-queued',
+      data: jobQueue.formatJob(requeued, { includeData: true })
+    });
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to re-queue job'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/schedules
+ * @desc    List recurring and run-at-time job schedules
+ * @access  Private (Admin)
+ */
+router.get('/schedules', protect, requireAdmin, async (req, res) => {
+  try {
+    const schedules = await jobQueue.listSchedules();
+
+    res.json({
+      success: true,
+      count: schedules.length,
+      data: schedules
+    });
+  } catch (error) {
+    console.error('List schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list schedules'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/schedules/:name/pause
+ * @desc    Pause a schedule
+ * @access  Private (Admin)
+ */
+router.post('/schedules/:name/pause', protect, requireAdmin, async (req, res) => {
+  try {
+    const schedule = await jobQueue.pauseSchedule(req.params.name);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Schedule ${schedule.name} paused`,
+      data: schedule
+    });
+  } catch (error) {
+    console.error('Pause schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause schedule'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/schedules/:name/resume
+ * @desc    Resume a paused schedule
+ * @access  Private (Admin)
+ */
+router.post('/schedules/:name/resume', protect, requireAdmin, async (req, res) => {
+  try {
+    const schedule = await jobQueue.resumeSchedule(req.params.name);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Schedule ${schedule.name} resumed`,
+      data: schedule
+    });
+  } catch (error) {
+    console.error('Resume schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume schedule'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/schedules/:name/run
+ * @desc    Run a schedule's job now (does not change its next run)
+ * @access  Private (Admin)
+ */
+router.post('/schedules/:name/run', protect, requireAdmin, async (req, res) => {
+  try {
+    const jobId = await jobQueue.triggerSchedule(req.params.name);
+
+    if (!jobId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled job queued',
+      data: { jobId }
+    });
+  } catch (error) {
+    console.error('Run schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run schedule'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/ai-usage/users/:userId
+ * @desc    A user's AI token usage this month, by feature, against their tier budget
+ * @access  Private (Admin)
+ */
+router.get('/ai-usage/users/:userId', protect, requireAdmin, async (req, res) => {
+  try {
+    const usage = await AIUsageService.getUserUsage(req.params.userId);
+
+    if (!usage) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: usage
+    });
+  } catch (error) {
+    console.error('Get user AI usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user AI usage'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/ai-usage/:groupBy
+ * @desc    AI calls, tokens, estimated cost, errors and latency grouped by
+ *          day, feature, user, model or promptVersion
+ *          (filters: from, to, feature, model, promptType, userId)
+ * @access  Private (Admin)
+ */
+router.get('/ai-usage/:groupBy', protect, requireAdmin, async (req, res) => {
+  try {
+    const { groupBy } = req.params;
+    const { from, to, feature, model, promptType, userId, limit } = req.query;
+
+    if (!['day', 'feature', 'user', 'model', 'promptVersion'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'groupBy must be one of: day, feature, user, model, promptVersion'
+      });
+    }
+
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId must be a valid user id'
+      });
+    }
+
+    const rows = await AIUsageService.aggregate(groupBy, { from, to, feature, model, promptType, userId, limit });
+    const totals = rows.reduce((sum, row) => ({
+      calls: sum.calls + row.calls,
+      totalTokens: sum.totalTokens + row.totalTokens,
+      costUsd: sum.costUsd + row.costUsd
+    }), { calls: 0, totalTokens: 0, costUsd: 0 });
+
+    res.json({
+      success: true,
+      count: rows.length,
+      totals,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Get AI usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get AI usage'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/prompts
+ * @desc    List prompt templates with their versions and traffic weights
+ * @access  Private (Admin)
+ */
+router.get('/prompts', protect, requireAdmin, async (req, res) => {
+  try {
+    const templates = await promptRegistry.listTemplates();
+
+    res.json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    console.error('List prompts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list prompt templates'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/prompts/:name
+ * @desc    Get every version of a prompt template, including its text
+ * @access  Private (Admin)
+ */
+router.get('/prompts/:name', protect, requireAdmin, async (req, res) => {
+  try {
+    const versions = await promptRegistry.getTemplate(req.params.name);
+
+    res.json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Get prompt error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get prompt template'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/prompts/:name/versions
+ * @desc    Add a prompt version ({ system, user, description, trafficWeight })
+ * @access  Private (Admin)
+ */
+router.post('/prompts/:name/versions', protect, requireAdmin, async (req, res) => {
+  try {
+    const { system, user, description, trafficWeight = 0 } = req.body;
+
+    const version = await promptRegistry.createVersion(req.params.name, {
+      system,
+      user,
+      description,
+      trafficWeight,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Created ${req.params.name} v${version.version}`,
+      data: version
+    });
+  } catch (error) {
+    console.error('Create prompt version error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create prompt version'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/prompts/:name/traffic
+ * @desc    Split traffic between versions ({ weights: { "1": 50, "2": 50 } });
+ *          versions not listed stop receiving traffic
+ * @access  Private (Admin)
+ */
+router.put('/prompts/:name/traffic', protect, requireAdmin, async (req, res) => {
+  try {
+    const versions = await promptRegistry.setTrafficSplit(req.params.name, req.body.weights);
+
+    res.json({
+      success: true,
+      data: versions.map(v => ({ version: v.version, trafficWeight: v.trafficWeight }))
+    });
+  } catch (error) {
+    console.error('Set prompt traffic error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to set prompt traffic'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/prompts/:name/compare
+ * @desc    Compare prompt versions by usage, invalid output and (for
+ *          suggestions) accept/reject/dismiss rates
+ * @access  Private (Admin)
+ */
+router.get('/prompts/:name/compare', protect, requireAdmin, async (req, res) => {
+  try {
+    const { days = 30 } = req.query;
+    const comparison = await promptRegistry.compareVersions(req.params.name, {
+      days: parseInt(days)
+    });
+
+    res.json({
+      success: true,
+      data: comparison
+    });
+  } catch (error) {
+    console.error('Compare prompts error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to compare prompt versions'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/skills
+ * @desc    List taxonomy skills (filters: category, q, includeArchived)
+ * @access  Private (Admin)
+ */
+router.get('/skills', protect, requireAdmin, async (req, res) => {
+  try {
+    const { category, q, includeArchived } = req.query;
+    const skills = await skillTaxonomy.listSkills({
+      category,
+      q,
+      includeArchived: includeArchived === 'true'
+    });
+
+    res.json({
+      success: true,
+      count: skills.length,
+      data: skills
+    });
+  } catch (error) {
+    console.error('List skills error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to list skills'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/skills/review-queue
+ * @desc    Tags from video analysis that matched no skill, most seen first
+ *          (status: pending (default), approved, mapped, ignored or all)
+ * @access  Private (Admin)
+ */
+router.get('/skills/review-queue', protect, requireAdmin, async (req, res) => {
+  try {
+    const { status = 'pending', limit = 50, offset = 0 } = req.query;
+    const { tags, total } = await skillTaxonomy.listReviewQueue({
+      status,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+
+    res.json({
+      success: true,
+      count: tags.length,
+      total,
+      data: tags
+    });
+  } catch (error) {
+    console.error('List skill review queue error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to list the skill review queue'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/skills/review-queue/:tag/approve
+ * @desc    Add a queued tag as a new skill
+ *          ({ displayName, category, parent, synonyms, related, description, skillName? })
+ * @access  Private (Admin)
+ */
+router.post('/skills/review-queue/:tag/approve', protect, requireAdmin, async (req, res) => {
+  try {
+    const skill = await skillTaxonomy.approveTag(req.params.tag, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Added skill ${skill.skillName}`,
+      data: skill
+    });
+  } catch (error) {
+    console.error('Approve skill tag error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to approve tag'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/skills/review-queue/:tag/map
+ * @desc    Make a queued tag a synonym of an existing skill ({ skillName })
+ * @access  Private (Admin)
+ */
+router.post('/skills/review-queue/:tag/map', protect, requireAdmin, async (req, res) => {
+  try {
+    const skill = await skillTaxonomy.mapTag(req.params.tag, req.body.skillName, req.user.id);
+
+    res.json({
+      success: true,
+      message: `${req.params.tag} now maps to ${skill.skillName}`,
+      data: skill
+    });
+  } catch (error) {
+    console.error('Map skill tag error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to map tag'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/skills/review-queue/:tag/ignore
+ * @desc    Stop queueing a tag
+ * @access  Private (Admin)
+ */
+router.post('/skills/review-queue/:tag/ignore', protect, requireAdmin, async (req, res) => {
+  try {
+    const review = await skillTaxonomy.ignoreTag(req.params.tag, req.user.id);
+
+    res.json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    console.error('Ignore skill tag error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to ignore tag'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/skills
+ * @desc    Add a skill ({ skillName, displayName, category, parent, synonyms, related, description })
+ * @access  Private (Admin)
+ */
+router.post('/skills', protect, requireAdmin, async (req, res) => {
+  try {
+    const skill = await skillTaxonomy.createSkill(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: skill
+    });
+  } catch (error) {
+    console.error('Create skill error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create skill'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/skills/:skillName
+ * @desc    Change a skill (any of displayName, category, parent, synonyms, related, description)
+ * @access  Private (Admin)
+ */
+router.put('/skills/:skillName', protect, requireAdmin, async (req, res) => {
+  try {
+    const skill = await skillTaxonomy.updateSkill(req.params.skillName, req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: skill
+    });
+  } catch (error) {
+    console.error('Update skill error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update skill'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/skills/:skillName
+ * @desc    Archive a skill (it stops matching tags)
+ * @access  Private (Admin)
+ */
+router.delete('/skills/:skillName', protect, requireAdmin, async (req, res) => {
+  try {
+    const skill = await skillTaxonomy.archiveSkill(req.params.skillName, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Archived skill ${skill.skillName}`,
+      data: skill
+    });
+  } catch (error) {
+    console.error('Archive skill error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to archive skill'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/role-profiles
+ * @desc    List role profiles (latest version of each)
+ * @access  Private (Admin)
+ */
+router.get('/role-profiles', protect, requireAdmin, async (req, res) => {
+  try {
+    const profiles = await roleProfiles.listProfiles();
+
+    res.json({
+      success: true,
+      count: profiles.length,
+      data: profiles
+    });
+  } catch (error) {
+    console.error('List role profiles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list role profiles'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/role-profiles/seed
+ * @desc    Seed role profiles from cached job role analyses and career
+ *          roadmaps ({ from: ['job_role', 'roadmap'], overwrite, dryRun })
+ * @access  Private (Admin)
+ */
+router.post('/role-profiles/seed', protect, requireAdmin, async (req, res) => {
+  try {
+    const { from = ['job_role', 'roadmap'], overwrite = false, dryRun = false } = req.body;
+    const options = { overwrite: Boolean(overwrite), dryRun: Boolean(dryRun), createdBy: req.user.id };
+
+    const results = {};
+    if (from.includes('job_role')) results.jobRoles = await roleProfiles.seedFromJobRoles(options);
+    if (from.includes('roadmap')) results.roadmaps = await roleProfiles.seedFromRoadmaps(options);
+
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    console.error('Seed role profiles error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to seed role profiles'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/role-profiles/:roleId
+ * @desc    Get every version of a role profile
+ * @access  Private (Admin)
+ */
+router.get('/role-profiles/:roleId', protect, requireAdmin, async (req, res) => {
+  try {
+    const versions = await roleProfiles.getProfile(req.params.roleId);
+
+    res.json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Get role profile error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get role profile'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/role-profiles/:roleId/versions
+ * @desc    Add a role profile version, creating the role if it is new
+ *          ({ title, aliases, description, skills: [{ skillName, weight, minLevel }] })
+ * @access  Private (Admin)
+ */
+router.post('/role-profiles/:roleId/versions', protect, requireAdmin, async (req, res) => {
+  try {
+    const { title, aliases, description, skills } = req.body;
+
+    const version = await roleProfiles.createVersion(req.params.roleId, {
+      title,
+      aliases,
+      description,
+      skills
+    }, { createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: `Created ${version.roleId} v${version.version}`,
+      data: version
+    });
+  } catch (error) {
+    console.error('Create role profile version error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create role profile version'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/quiz-questions
+ * @desc    List bank questions (filters: skill, type, includeInactive; page, limit)
+ * @access  Private (Admin)
+ */
+router.get('/quiz-questions', protect, requireAdmin, async (req, res) => {
+  try {
+    const { skill, type, includeInactive, page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+
+    const { questions, total } = await QuizService.listQuestions({
+      skillName: skill,
+      type,
+      includeInactive: includeInactive === 'true',
+      page: pageNum,
+      limit: limitNum
+    });
+
+    res.json({
+      success: true,
+      count: questions.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: questions
+    });
+  } catch (error) {
+    console.error('List quiz questions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to list quiz questions'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/quiz-questions
+ * @desc    Add a question to a skill's bank ({ skillName, type, prompt, code, language,
+ *          options, correctOptionIds, acceptedOutputs, explanation, difficulty, points })
+ * @access  Private (Admin)
+ */
+router.post('/quiz-questions', protect, requireAdmin, async (req, res) => {
+  try {
+    const question = await QuizService.createQuestion(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: question
+    });
+  } catch (error) {
+    console.error('Create quiz question error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create quiz question'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/quiz-questions/:questionId
+ * @desc    Change a question (attempts already started keep their copy)
+ * @access  Private (Admin)
+ */
+router.put('/quiz-questions/:questionId', protect, requireAdmin, async (req, res) => {
+  try {
+    const question = await QuizService.updateQuestion(req.params.questionId, req.body);
+
+    res.json({
+      success: true,
+      data: question
+    });
+  } catch (error) {
+    console.error('Update quiz question error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update quiz question'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/quiz-questions/:questionId
+ * @desc    Archive a question (it is no longer drawn into attempts)
+ * @access  Private (Admin)
+ */
+router.delete('/quiz-questions/:questionId', protect, requireAdmin, async (req, res) => {
+  try {
+    const question = await QuizService.archiveQuestion(req.params.questionId);
+
+    res.json({
+      success: true,
+      message: 'Archived quiz question',
+      data: question
+    });
+  } catch (error) {
+    console.error('Archive quiz question error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to archive quiz question'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/quizzes
+ * @desc    Create a quiz ({ title, description, skills, questionIds, questionCount,
+ *          difficulty, timeLimitSeconds, passingScore })
+ * @access  Private (Admin)
+ */
+router.post('/quizzes', protect, requireAdmin, async (req, res) => {
+  try {
+    const quiz = await QuizService.createQuiz(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: quiz
+    });
+  } catch (error) {
+    console.error('Create quiz error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create quiz'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/quizzes/:quizId
+ * @desc    Change a quiz or deactivate it ({ isActive: false })
+ * @access  Private (Admin)
+ */
+router.put('/quizzes/:quizId', protect, requireAdmin, async (req, res) => {
+  try {
+    const quiz = await QuizService.updateQuiz(req.params.quizId, req.body);
+
+    res.json({
+      success: true,
+      data: quiz
+    });
+  } catch (error) {
+    console.error('Update quiz error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update quiz'
+    });
+  }
+});
+
 /**
  * @route   GET /api/admin/health
  * @desc    Detailed health check
@@ -114,7 +1083,10 @@ router.post('/jobs/cleanup', protect, async (req, res) => {
  */
 router.get('/health', async (req, res) => {
   try {
-    const mongoose = require('mongoose');
+    const jobStats = jobQueue.getStats();
+    const cacheStats = await Promise.all(
+      caches.cacheInstances().map(cache => cache.getStats())
+    );
     
     const health = {
       status: 'healthy',
@@ -123,13 +1095,11 @@ router.get('/health', async (req, res) => {
         database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
         jobQueue: {
           status: 'running',
-          pending: jobQueue.getStats().total.pending
+          pending: jobStats.total.pending
         },
         cache: {
           status: 'running',
-          totalSize: Object.values(caches).reduce((sum, c) => 
-            sum + (c.getStats?.()?.size || 0), 0
-          )
+          totalSize: cacheStats.reduce((sum, stats) => sum + stats.size, 0)
         }
       }
     };
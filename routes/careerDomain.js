@@ -3,6 +3,8 @@ const router = express.Router();
 const careerDomainService = require('../services/CareerDomainService');
 const jobApiService = require('../services/JobApiService');
 const CareerKeywordCache = require('../models/CareerKeywordCache');
+const { optionalAuth } = require('../middleware/auth');
+const { checkAITokenBudget } = require('../middleware/premium');
 
 /**
  * @route   GET /api/career/cached
@@ -137,7 +139,7 @@ router.get('/categories', async (req, res) => {
  * @desc    Generate comprehensive career roadmap with real-time web context
  * @access  Public
  */
-router.post('/roadmap', async (req, res) => {
+router.post('/roadmap', optionalAuth, checkAITokenBudget, async (req, res) => {
   try {
     const { keyword } = req.body;
 
@@ -148,7 +150,7 @@ router.post('/roadmap', async (req, res) => {
       });
     }
 
-    const result = await careerDomainService.generateCareerRoadmap(keyword.trim());
+    const result = await careerDomainService.generateCareerRoadmap(keyword.trim(), { userId: req.user?._id });
 
     if (!result.success) {
       return res.status(400).json({
@@ -166,7 +168,7 @@ router.post('/roadmap', async (req, res) => {
     });
   } catch (error) {
     console.error('Career roadmap error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to generate career roadmap',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -179,7 +181,7 @@ router.post('/roadmap', async (req, res) => {
  * @desc    Check if a keyword is appropriate for career search
  * @access  Public
  */
-router.post('/moderate', async (req, res) => {
+router.post('/moderate', optionalAuth, checkAITokenBudget, async (req, res) => {
   try {
     const { keyword } = req.body;
 
@@ -190,7 +192,7 @@ router.post('/moderate', async (req, res) => {
       });
     }
 
-    const result = await careerDomainService.moderateKeyword(keyword);
+    const result = await careerDomainService.moderateKeyword(keyword, { userId: req.user?._id });
 
     res.json({
       success: true,
@@ -233,7 +235,7 @@ router.get('/roadmaps/popular', async (req, res) => {
  * @desc    Analyze a keyword and return career domains with job data
  * @access  Public
  */
-router.post('/explore', async (req, res) => {
+router.post('/explore', optionalAuth, checkAITokenBudget, async (req, res) => {
   try {
     const { keyword, location = 'India' } = req.body;
 
@@ -248,7 +250,7 @@ router.post('/explore', async (req, res) => {
     const normalizedLocation = location || 'India';
 
     // Get AI analysis
-    const analysis = await careerDomainService.analyzeKeyword(normalizedKeyword);
+    const analysis = await careerDomainService.analyzeKeyword(normalizedKeyword, { userId: req.user?._id });
 
     // Get initial job counts with location filter
     const jobData = await jobApiService.searchJobs(normalizedKeyword, { 
@@ -268,7 +270,7 @@ router.post('/explore', async (req, res) => {
     });
   } catch (error) {
     console.error('Career explore error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to analyze keyword',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -281,7 +283,7 @@ router.post('/explore', async (req, res) => {
  * @desc    Get detailed information about a specific domain
  * @access  Public
  */
-router.get('/domain/:domainName', async (req, res) => {
+router.get('/domain/:domainName', optionalAuth, checkAITokenBudget, async (req, res) => {
   try {
     const { domainName } = req.params;
     const { parentKeyword } = req.query;
@@ -296,7 +298,8 @@ router.get('/domain/:domainName', async (req, res) => {
     // Get domain details from AI
     const domainDetails = await careerDomainService.getDomainDetails(
       decodeURIComponent(domainName),
-      parentKeyword || domainName
+      parentKeyword || domainName,
+      { userId: req.user?._id }
     );
 
     // Get jobs for this domain
@@ -313,7 +316,7 @@ router.get('/domain/:domainName', async (req, res) => {
     });
   } catch (error) {
     console.error('Domain details error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to get domain details',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -326,7 +329,7 @@ router.get('/domain/:domainName', async (req, res) => {
  * @desc    Get detailed information about a specific job role
  * @access  Public
  */
-router.get('/job-role/:roleName', async (req, res) => {
+router.get('/job-role/:roleName', optionalAuth, checkAITokenBudget, async (req, res) => {
   try {
     const { roleName } = req.params;
     const { domain } = req.query;
@@ -341,7 +344,8 @@ router.get('/job-role/:roleName', async (req, res) => {
     // Get job role details from AI
     const roleDetails = await careerDomainService.getJobRoleDetails(
       decodeURIComponent(roleName),
-      domain || 'Technology'
+      domain || 'Technology',
+      { userId: req.user?._id }
     );
 
     // Get actual job listings for this role
@@ -360,7 +364,7 @@ router.get('/job-role/:roleName', async (req, res) => {
     });
   } catch (error) {
     console.error('Job role details error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to get job role details',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -410,9 +414,9 @@ router.get('/jobs/search', async (req, res) => {
  * @desc    Get trending tech domains
  * @access  Public
  */
-router.get('/trending', async (req, res) => {
+router.get('/trending', optionalAuth, checkAITokenBudget, async (req, res) => {
   try {
-    const trendingDomains = await careerDomainService.getTrendingDomains();
+    const trendingDomains = await careerDomainService.getTrendingDomains({ userId: req.user?._id });
 
     res.json({
       success: true,
@@ -420,7 +424,7 @@ router.get('/trending', async (req, res) => {
     });
   } catch (error) {
     console.error('Trending domains error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to get trending domains',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -19,6 +19,8 @@ const FreeResource = require('../models/FreeResource');
 
 // Import auth middleware (uncomment when auth is needed)
 // const { protect, authorize } = require('../middleware/auth');
+const { optionalAuth } = require('../middleware/auth');
+const { checkAITokenBudget } = require('../middleware/premium');
 
 /**
  * Cached Tutorials Routes
@@ -132,7 +134,7 @@ router.get('/', getResources);
 router.get('/categories', getCategories);
 
 // Analyze a YouTube URL
-router.post('/analyze', analyzeVideo);
+router.post('/analyze', optionalAuth, checkAITokenBudget, analyzeVideo);
 
 // Get resources by category
 router.get('/category/:category', getByCategory);
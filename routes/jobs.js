@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const jobQueue = require('../services/JobQueue');
+
+/**
+ * User-scoped background job routes
+ * Users can only see and manage jobs queued on their behalf
+ */
+
+/**
+ * Load a job owned by the current user, or send 404
+ */
+const findOwnJob = async (req, res) => {
+  const job = await jobQueue.getJob(req.params.jobId);
+
+  if (!job || job.userId !== String(req.user.id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+    return null;
+  }
+
+  return job;
+};
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List the current user's jobs
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const { status, type, limit = 20, offset = 0 } = req.query;
+
+    const { jobs, total } = await jobQueue.listJobs(
+      { userId: req.user.id, status, type },
+      { limit: Math.min(parseInt(limit) || 20, 100), offset: Math.max(parseInt(offset) || 0, 0) }
+    );
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      total,
+      data: jobs.map(job => jobQueue.formatJob(job))
+    });
+  } catch (error) {
+    console.error('List user jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list jobs'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/jobs/failed
+ * @desc    List the current user's permanently failed jobs
+ * @access  Private
+ */
+router.get('/failed', protect, async (req, res) => {
+  try {
+    const { type, limit = 20, offset = 0 } = req.query;
+
+    const { jobs, total } = await jobQueue.getDeadLetter(
+      { userId: req.user.id, type },
+      { limit: Math.min(parseInt(limit) || 20, 100), offset: Math.max(parseInt(offset) || 0, 0) }
+    );
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      total,
+      data: jobs.map(job => jobQueue.formatJob(job))
+    });
+  } catch (error) {
+    console.error('Get user failed jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get failed jobs'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/jobs/:jobId
+ * @desc    Get a job's status, progress and result
+ * @access  Private
+ */
+router.get('/:jobId', protect, async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    res.json({
+      success: true,
+      data: jobQueue.formatJob(job)
+    });
+  } catch (error) {
+    console.error('Get user job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get job'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/jobs/:jobId/cancel
+ * @desc    Cancel one of the current user's pending jobs
+ * @access  Private
+ */
+router.post('/:jobId/cancel', protect, async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    const cancelled = await jobQueue.cancel(job.id);
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: `Only pending jobs can be cancelled (job is ${job.status})`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job cancelled',
+      data: jobQueue.formatJob(cancelled)
+    });
+  } catch (error) {
+    console.error('Cancel user job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel job'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/jobs/:jobId/retry
+ * @desc    Re-queue one of the current user's failed or cancelled jobs
+ * @access  Private
+ */
+router.post('/:jobId/retry', protect, async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    const requeued = await jobQueue.retry(job.id);
+
+    if (!requeued) {
+      return res.status(409).json({
+        success: false,
+        message: `Only failed or cancelled jobs can be re-queued (job is ${job.status})`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job re-queued',
+      data: jobQueue.formatJob(requeued)
+    });
+  } catch (error) {
+    console.error('Retry user job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to re-queue job'
+    });
+  }
+});
+
+module.exports = router;
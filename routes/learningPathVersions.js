@@ -1,32 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const { requirePathRole } = require('../middleware/pathAccess');
 const LearningPathVersion = require('../models/LearningPathVersion');
-const UserLearningPath = require('../models/UserLearningPath');
+const PathGraphValidator = require('../services/PathGraphValidator');
+const DiffComputer = require('../services/DiffComputer');
+
+// Version numbers start at 1; accepts numbers and numeric strings
+const isVersionNumber = (value) => /^[1-9]\d*$/.test(String(value));
+
+/**
+ * Load base and target versions for a merge request and run the three-way
+ * merge into req.learningPath. Responds and returns null on 400/404.
+ */
+const runMerge = async (req, res) => {
+  const { baseVersion, targetVersion, resolutions = {} } = req.body;
+
+  if (!baseVersion || !targetVersion) {
+    res.status(400).json({
+      success: false,
+      message: 'Both baseVersion and targetVersion are required'
+    });
+    return null;
+  }
+
+  if (!isVersionNumber(baseVersion) || !isVersionNumber(targetVersion)) {
+    res.status(400).json({
+      success: false,
+      message: 'baseVersion and targetVersion must be positive integers'
+    });
+    return null;
+  }
+
+  const path = req.learningPath;
+
+  const [base, target] = await Promise.all([
+    LearningPathVersion.getVersion(req.params.pathId, Number(baseVersion)),
+    LearningPathVersion.getVersion(req.params.pathId, Number(targetVersion))
+  ]);
+
+  if (!base || !target) {
+    res.status(404).json({
+      success: false,
+      message: 'One or both versions not found'
+    });
+    return null;
+  }
+
+  const result = DiffComputer.mergeThreeWay(
+    base.toObject().snapshot,
+    path.getSnapshot(),
+    target.toObject().snapshot,
+    resolutions
+  );
+
+  return { path, base, target, result };
+};
 
 /**
  * @route   GET /api/user/learning-paths/:pathId/versions
  * @desc    Get version history for a learning path
  * @access  Private
  */
-router.get('/:pathId/versions', protect, async (req, res) => {
+router.get('/:pathId/versions', protect, requirePathRole('viewer', { param: 'pathId' }), async (req, res) => {
   try {
     const { limit = 20, offset = 0 } = req.query;
 
-    // Verify ownership
-    const path = await UserLearningPath.findOne({
-      _id: req.params.pathId,
-      userId: req.user.id,
-      deletedAt: null
-    });
-
-    if (!path) {
-      return res.status(404).json({
-        success: false,
-        message: 'Learning path not found'
-      });
-    }
-
     const versions = await LearningPathVersion.getHistory(req.params.pathId, {
       limit: parseInt(limit),
       offset: parseInt(offset)
@@ -47,96 +86,69 @@ router.get('/:pathId/versions', protect, async (req, res) => {
 });
 
 /**
- * @route   GET /api/user/learning-paths/:pathId/versions/:versionNumber
- * @desc    Get a specific version
+ * @route   GET /api/user/learning-paths/:pathId/versions/compare
+ * @desc    Compare two versions (registered before /versions/:versionNumber,
+ *          which would otherwise match "compare")
  * @access  Private
  */
-router.get('/:pathId/versions/:versionNumber', protect, async (req, res) => {
+router.get('/:pathId/versions/compare', protect, requirePathRole('viewer', { param: 'pathId' }), async (req, res) => {
   try {
-    // Verify ownership
-    const path = await UserLearningPath.findOne({
-      _id: req.params.pathId,
-      userId: req.user.id,
-      deletedAt: null
-    });
+    const { from, to } = req.query;
 
-    if (!path) {
-      return res.status(404).json({
+    if (!from || !to) {
+      return res.status(400).json({
         success: false,
-        message: 'Learning path not found'
+        message: 'Both from and to version numbers are required'
       });
     }
 
-    const version = await LearningPathVersion.getVersion(
+    const comparison = await LearningPathVersion.compare(
       req.params.pathId,
-      parseInt(req.params.versionNumber)
+      parseInt(from),
+      parseInt(to)
     );
 
-    if (!version) {
-      return res.status(404).json({
-        success: false,
-        message: 'Version not found'
-      });
-    }
-
     res.json({
       success: true,
-      data: version
+      data: comparison
     });
   } catch (error) {
-    console.error('Get version error:', error);
+    console.error('Compare versions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch version'
+      message: error.message || 'Failed to compare versions'
     });
   }
 });
 
 /**
- * @route   GET /api/user/learning-paths/:pathId/versions/compare
- * @desc    Compare two versions
+ * @route   GET /api/user/learning-paths/:pathId/versions/:versionNumber
+ * @desc    Get a specific version
  * @access  Private
  */
-router.get('/:pathId/versions/compare', protect, async (req, res) => {
+router.get('/:pathId/versions/:versionNumber', protect, requirePathRole('viewer', { param: 'pathId' }), async (req, res) => {
   try {
-    const { from, to } = req.query;
-
-    if (!from || !to) {
-      return res.status(400).json({
-        success: false,
-        message: 'Both from and to version numbers are required'
-      });
-    }
-
-    // Verify ownership
-    const path = await UserLearningPath.findOne({
-      _id: req.params.pathId,
-      userId: req.user.id,
-      deletedAt: null
-    });
+    const version = await LearningPathVersion.getVersion(
+      req.params.pathId,
+      parseInt(req.params.versionNumber)
+    );
 
-    if (!path) {
+    if (!version) {
       return res.status(404).json({
         success: false,
-        message: 'Learning path not found'
+        message: 'Version not found'
       });
     }
 
-    const comparison = await LearningPathVersion.compare(
-      req.params.pathId,
-      parseInt(from),
-      parseInt(to)
-    );
-
     res.json({
       success: true,
-      data: comparison
+      data: version
     });
   } catch (error) {
-    console.error('Compare versions error:', error);
+    console.error('Get version error:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Failed to compare versions'
+      message: 'Failed to fetch version'
     });
   }
 });
@@ -146,21 +158,9 @@ router.get('/:pathId/versions/compare', protect, async (req, res) => {
  * @desc    Restore a path to a specific version
  * @access  Private
  */
-router.post('/:pathId/versions/restore/:versionNumber', protect, async (req, res) => {
+router.post('/:pathId/versions/restore/:versionNumber', protect, requirePathRole('editor', { param: 'pathId' }), async (req, res) => {
   try {
-    // Verify ownership
-    const path = await UserLearningPath.findOne({
-      _id: req.params.pathId,
-      userId: req.user.id,
-      deletedAt: null
-    });
-
-    if (!path) {
-      return res.status(404).json({
-        success: false,
-        message: 'Learning path not found'
-      });
-    }
+    const path = req.learningPath;
 
     // Get the version to restore
     const version = await LearningPathVersion.getVersion(
@@ -175,65 +175,133 @@ router.post('/:pathId/versions/restore/:versionNumber', protect, async (req, res
       });
     }
 
+    // Refuse to restore a snapshot whose graph is invalid
+    PathGraphValidator.assertValid(version.snapshot.structureGraph);
+
     // Create a version of current state before restoring
-    await LearningPathVersion.createVersion(
-      path._id,
-      req.user.id,
+    await path.createVersionSnapshot(
       'user_edit',
-      {
-        title: path.title,
-        description: path.description,
-        careerId: path.careerId,
-        status: path.status,
-        structureGraph: path.structureGraph,
-        inferredSkills: path.inferredSkills,
-        inferredCareers: path.inferredCareers,
-        readinessScore: path.readinessScore,
-        visibility: path.visibility
-      },
-      {
-        changeDescription: `State before restoring to version ${version.versionNumber}`
-      }
+      `State before restoring to version ${version.versionNumber}`,
+      req.user.id
     );
 
-    // Restore the path to the version snapshot
-    path.title = version.snapshot.title;
-    path.description = version.snapshot.description;
-    path.careerId = version.snapshot.careerId;
-    path.status = version.snapshot.status || 'draft';
-    path.structureGraph = version.snapshot.structureGraph;
-    path.inferredSkills = version.snapshot.inferredSkills || [];
-    path.inferredCareers = version.snapshot.inferredCareers || [];
-    path.readinessScore = version.snapshot.readinessScore || 0;
-    path.visibility = version.snapshot.visibility || 'private';
+    // Restore the path to the version snapshot (collaborators can't change
+    // the owner's completion or visibility)
+    path.applySnapshot(version.snapshot, {
+      preserveOwnerState: req.pathRole !== 'owner'
+    });
 
     await path.save();
 
     // Create a new version for the restoration
-    const newVersion = await LearningPathVersion.createVersion(
-      path._id,
-      req.user.id,
+    const newVersion = await path.createVersionSnapshot(
       'user_edit',
-      version.snapshot,
-      {
-        changeDescription: `Restored to version ${version.versionNumber}`
-      }
+      `Restored to version ${version.versionNumber}`,
+      req.user.id
     );
 
     res.json({
       success: true,
       message: `Restored to version ${version.versionNumber}`,
       data: {
-        path,
+        path: path.toViewFor(req.user.id),
         restoredFromVersion: version.versionNumber,
         newVersion: newVersion.versionNumber
       }
     });
   } catch (error) {
     console.error('Restore version error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to restore version',
+      problems: error.problems
+    });
+  }
+});
+
+/**
+ * @route   POST /api/user/learning-paths/:pathId/versions/merge/preview
+ * @desc    Preview a three-way merge of a target version into the current path
+ * @body    { baseVersion, targetVersion, resolutions?: { [conflictId]: 'current' | 'target' } }
+ * @access  Private
+ */
+router.post('/:pathId/versions/merge/preview', protect, requirePathRole('viewer', { param: 'pathId' }), async (req, res) => {
+  try {
+    const inputs = await runMerge(req, res);
+    if (!inputs) return;
+
+    res.json({
+      success: true,
+      data: inputs.result
+    });
+  } catch (error) {
+    console.error('Preview merge error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to restore version'
+      message: 'Failed to preview merge'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/user/learning-paths/:pathId/versions/merge
+ * @desc    Merge the changes between a base and target version into the
+ *          current path. Every conflict needs a resolution.
+ * @body    { baseVersion, targetVersion, resolutions?: { [conflictId]: 'current' | 'target' } }
+ * @access  Private
+ */
+router.post('/:pathId/versions/merge', protect, requirePathRole('editor', { param: 'pathId' }), async (req, res) => {
+  try {
+    const inputs = await runMerge(req, res);
+    if (!inputs) return;
+
+    const { path, base, target, result } = inputs;
+
+    if (result.unresolvedCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${result.unresolvedCount} conflict(s) need a resolution`,
+        data: result
+      });
+    }
+
+    PathGraphValidator.assertValid(result.merged.structureGraph);
+
+    // Keep the pre-merge state so the merge can be undone
+    await path.createVersionSnapshot(
+      'user_edit',
+      `State before merging version ${target.versionNumber}`,
+      req.user.id
+    );
+
+    path.applySnapshot(result.merged, {
+      preserveOwnerState: req.pathRole !== 'owner'
+    });
+    await path.save();
+
+    const newVersion = await path.createVersionSnapshot(
+      'merge',
+      `Merged changes from version ${base.versionNumber} to ${target.versionNumber}`,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: `Merged version ${target.versionNumber}`,
+      data: {
+        path: path.toViewFor(req.user.id),
+        conflicts: result.conflicts,
+        droppedEdges: result.droppedEdges,
+        summary: result.summary,
+        newVersion: newVersion.versionNumber
+      }
+    });
+  } catch (error) {
+    console.error('Merge versions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to merge versions',
+      problems: error.problems
     });
   }
 });
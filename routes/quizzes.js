@@ -0,0 +1,247 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { checkFeature, trackUsage, checkAITokenBudget } = require('../middleware/premium');
+const QuizService = require('../services/QuizService');
+const VideoQuizService = require('../services/VideoQuizService');
+
+/**
+ * Quiz routes
+ * Starting an attempt counts towards the monthly quiz limit of the free tier,
+ * except at video quizzes: paths with requireQuizToComplete need those
+ * passed to complete nodes
+ */
+
+/**
+ * Load :quizId into req.quiz and apply the quiz limit unless it is a video quiz
+ */
+const quizLimit = async (req, res, next) => {
+  try {
+    req.quiz = await QuizService.getQuiz(req.params.quizId);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to start quiz'
+    });
+  }
+
+  if (req.quiz.source === 'video') return next();
+  checkFeature('quiz')(req, res, () => trackUsage('quiz')(req, res, next));
+};
+
+/**
+ * @route   GET /api/quizzes
+ * @desc    List active quizzes (?skill= to filter)
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const quizzes = await QuizService.listQuizzes({ skillName: req.query.skill });
+
+    res.json({
+      success: true,
+      count: quizzes.length,
+      data: quizzes
+    });
+  } catch (error) {
+    console.error('List quizzes error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to list quizzes'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quizzes/attempts
+ * @desc    Current user's attempts, newest first (?quizId=, ?limit=)
+ * @access  Private
+ */
+router.get('/attempts', protect, async (req, res) => {
+  try {
+    const { quizId, limit = 20 } = req.query;
+    const attempts = await QuizService.listAttempts(req.user.id, {
+      quizId,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      count: attempts.length,
+      data: attempts
+    });
+  } catch (error) {
+    console.error('List quiz attempts error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to list quiz attempts'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quizzes/attempts/:attemptId
+ * @desc    Get an attempt (once graded: results, plus answers for quizzes that draw new questions)
+ * @access  Private
+ */
+router.get('/attempts/:attemptId', protect, async (req, res) => {
+  try {
+    const attempt = await QuizService.getAttempt(req.user.id, req.params.attemptId);
+
+    res.json({
+      success: true,
+      data: QuizService.toClient(attempt)
+    });
+  } catch (error) {
+    console.error('Get quiz attempt error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get quiz attempt'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quizzes/attempts/:attemptId/submit
+ * @desc    Submit answers for grading
+ * @body    { answers: { [questionId]: optionId | optionId[] | output } }
+ * @access  Private
+ */
+router.post('/attempts/:attemptId/submit', protect, async (req, res) => {
+  try {
+    const attempt = await QuizService.submitAttempt(req.user.id, req.params.attemptId, req.body.answers);
+
+    res.json({
+      success: true,
+      message: attempt.status === 'expired'
+        ? 'Time ran out before the answers were submitted'
+        : `${attempt.passed ? 'Passed' : 'Not passed'}: ${attempt.percentage}%`,
+      data: QuizService.toClient(attempt)
+    });
+  } catch (error) {
+    console.error('Submit quiz attempt error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to submit quiz attempt'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quizzes/skill/:skillName/attempts
+ * @desc    Start an attempt at a skill's quiz (questions from its bank)
+ * @access  Private
+ */
+router.post('/skill/:skillName/attempts', protect, checkFeature('quiz'), trackUsage('quiz'), async (req, res) => {
+  try {
+    const quiz = await QuizService.getSkillQuiz(req.params.skillName);
+    const attempt = await QuizService.startAttempt(req.user.id, quiz);
+
+    res.status(201).json({
+      success: true,
+      data: QuizService.toClient(attempt)
+    });
+  } catch (error) {
+    console.error('Start skill quiz error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to start quiz',
+      attemptId: error.attemptId
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quizzes/videos/:videoId
+ * @desc    Quiz state for an analyzed video (status none, pending, ready or failed)
+ * @access  Private
+ */
+router.get('/videos/:videoId', protect, async (req, res) => {
+  try {
+    const state = await VideoQuizService.getStatus(req.params.videoId);
+
+    res.json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    console.error('Get video quiz error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get video quiz'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quizzes/videos/:videoId
+ * @desc    Generate the quiz for an analyzed video (background job; poll the
+ *          GET route or /api/jobs/:jobId). Start attempts at the returned quizId.
+ * @access  Private
+ */
+router.post('/videos/:videoId', protect, checkAITokenBudget, async (req, res) => {
+  try {
+    const state = await VideoQuizService.requestQuiz(req.params.videoId, { userId: req.user.id });
+
+    res.status(state.status === 'ready' ? 200 : 202).json({
+      success: true,
+      message: state.status === 'ready' ? 'Quiz is ready' : 'Quiz queued for generation',
+      data: state
+    });
+  } catch (error) {
+    console.error('Request video quiz error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to queue quiz generation'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quizzes/:quizId
+ * @desc    Get a quiz with the current user's recent attempts
+ * @access  Private
+ */
+router.get('/:quizId', protect, async (req, res) => {
+  try {
+    const quiz = await QuizService.getQuiz(req.params.quizId);
+    const attempts = await QuizService.listAttempts(req.user.id, { quizId: quiz._id, limit: 5 });
+
+    res.json({
+      success: true,
+      data: { ...quiz.toObject(), attempts }
+    });
+  } catch (error) {
+    console.error('Get quiz error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get quiz'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quizzes/:quizId/attempts
+ * @desc    Start an attempt (questions and options in random order); video
+ *          quizzes don't count towards the free tier's quiz limit
+ * @access  Private
+ */
+router.post('/:quizId/attempts', protect, quizLimit, async (req, res) => {
+  try {
+    const attempt = await QuizService.startAttempt(req.user.id, req.quiz);
+
+    res.status(201).json({
+      success: true,
+      data: QuizService.toClient(attempt)
+    });
+  } catch (error) {
+    console.error('Start quiz error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to start quiz',
+      attemptId: error.attemptId
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const ReviewScheduler = require('../services/ReviewScheduler');
+
+/**
+ * Spaced-repetition review routes
+ * Cards are created when learning path nodes and journey resources are completed
+ */
+
+/**
+ * @route   GET /api/reviews/due
+ * @desc    Cards due for review today (overdue first)
+ * @access  Private
+ */
+router.get('/due', protect, async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const { cards, total, nextDueAt } = await ReviewScheduler.getDue(req.user.id, {
+      limit: Math.min(parseInt(limit) || 50, 200)
+    });
+
+    res.json({
+      success: true,
+      count: cards.length,
+      total,
+      nextDueAt,
+      data: cards
+    });
+  } catch (error) {
+    console.error('Get due reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get due reviews'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/reviews/stats
+ * @desc    Review counts for the current user
+ * @access  Private
+ */
+router.get('/stats', protect, async (req, res) => {
+  try {
+    const stats = await ReviewScheduler.getStats(req.user.id);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Get review stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get review stats'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reviews/:cardId
+ * @desc    Record a recall self-rating for a due card
+ * @body    { rating: 'again' | 'hard' | 'good' | 'easy' | 0-5 }
+ * @access  Private
+ */
+router.post('/:cardId', protect, async (req, res) => {
+  try {
+    const { card, skillUpdates } = await ReviewScheduler.recordReview(
+      req.user.id,
+      req.params.cardId,
+      req.body.rating
+    );
+
+    res.json({
+      success: true,
+      message: `Next review in ${card.intervalDays} day${card.intervalDays === 1 ? '' : 's'}`,
+      data: { card, skillUpdates }
+    });
+  } catch (error) {
+    console.error('Record review error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to record review'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,10 +3,12 @@ const router = express.Router();
 const { protect } = require('../middleware/auth');
 const asyncHandler = require('../middleware/async');
 const SkillService = require('../services/SkillService');
+const skillTaxonomy = require('../services/SkillTaxonomyService');
 const UserSkill = require('../models/UserSkill');
 
 /**
- * @desc    Get user's skills
+ * @desc    Get user's skills, with the effective (decayed) score, the raw
+ *          score from evidence alone, and confidence
  * @route   GET /api/skills/me
  * @access  Private
  */
@@ -22,7 +24,13 @@ router.get('/me', protect, asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     count: skills.length,
-    data: skills
+    data: skills.map(skill => ({
+      ...skill,
+      effectiveScore: skill.score,
+      rawScore: skill.rawScore ?? skill.score,
+      decayPoints: skill.decayPoints || 0,
+      confidence: skill.confidence || 0
+    }))
   });
 }));
 
@@ -43,7 +51,7 @@ router.get('/top', protect, asyncHandler(async (req, res) => {
 }));
 
 /**
- * @desc    Get skill gaps for career goal
+ * @desc    Get skill gaps for a role or career (role profiles, see RoleProfileService)
  * @route   GET /api/skills/gaps/:targetRole
  * @access  Private
  */
@@ -100,14 +108,7 @@ router.get('/:skillName/history', protect, asyncHandler(async (req, res) => {
  * @access  Public
  */
 router.get('/meta/categories', asyncHandler(async (req, res) => {
-  const categories = [
-    { id: 'language', name: 'Programming Languages', icon: 'code' },
-    { id: 'framework', name: 'Frameworks & Libraries', icon: 'cubes' },
-    { id: 'tools', name: 'Tools & Technologies', icon: 'wrench' },
-    { id: 'concepts', name: 'Core Concepts', icon: 'lightbulb' },
-    { id: 'soft-skills', name: 'Soft Skills', icon: 'users' },
-    { id: 'domain', name: 'Domain Knowledge', icon: 'folder' }
-  ];
+  const categories = await skillTaxonomy.getCategories();
   
   res.status(200).json({
     success: true,
@@ -115,6 +116,34 @@ router.get('/meta/categories', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @desc    Get the skill hierarchy (optionally one category)
+ * @route   GET /api/skills/meta/taxonomy
+ * @access  Public
+ */
+router.get('/meta/taxonomy', asyncHandler(async (req, res) => {
+  const tree = await skillTaxonomy.getTree({ category: req.query.category });
+  
+  res.status(200).json({
+    success: true,
+    data: tree
+  });
+}));
+
+/**
+ * @desc    Get a skill with its parents, children, synonyms and related skills
+ * @route   GET /api/skills/meta/skill/:skillName
+ * @access  Public
+ */
+router.get('/meta/skill/:skillName', asyncHandler(async (req, res) => {
+  const skill = await skillTaxonomy.getSkill(req.params.skillName);
+  
+  res.status(200).json({
+    success: true,
+    data: skill
+  });
+}));
+
 /**
  * @desc    Get popular skills (for exploration)
  * @route   GET /api/skills/meta/popular
@@ -122,23 +151,32 @@ router.get('/meta/categories', asyncHandler(async (req, res) => {
  */
 router.get('/meta/popular', asyncHandler(async (req, res) => {
   // Aggregate most common skills across all users
-  const popularSkills = await UserSkill.aggregate([
-    {
-      $group: {
-        _id: '$skillName',
-        displayName: { $first: '$displayName' },
-        category: { $first: '$category' },
-        userCount: { $sum: 1 },
-        avgScore: { $avg: '$score' }
-      }
-    },
-    { $sort: { userCount: -1 } },
-    { $limit: 20 }
+  const [popularSkills] = await Promise.all([
+    UserSkill.aggregate([
+      {
+        $group: {
+          _id: '$skillName',
+          displayName: { $first: '$displayName' },
+          category: { $first: '$category' },
+          userCount: { $sum: 1 },
+          avgScore: { $avg: '$score' }
+        }
+      },
+      { $sort: { userCount: -1 } },
+      { $limit: 20 }
+    ]),
+    skillTaxonomy.ready()
   ]);
   
+  // Names and categories follow the taxonomy
   res.status(200).json({
     success: true,
-    data: popularSkills
+    data: popularSkills.map(skill => {
+      const info = skillTaxonomy.getSkillInfo(skill._id);
+      return info.known
+        ? { ...skill, displayName: info.displayName, category: info.category }
+        : skill;
+    })
   });
 }));
 
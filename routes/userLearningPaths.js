@@ -1,13 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const { requirePathRole } = require('../middleware/pathAccess');
+const { checkAITokenBudget } = require('../middleware/premium');
 const UserLearningPath = require('../models/UserLearningPath');
 const SavedVideo = require('../models/SavedVideo');
 const User = require('../models/User');
+const PathAnalyticsService = require('../services/PathAnalyticsService');
+const PathSyncService = require('../services/PathSyncService');
+const PathCollaborationService = require('../services/PathCollaborationService');
+const PathPortabilityService = require('../services/PathPortabilityService');
+const PathDiscoveryService = require('../services/PathDiscoveryService');
+const ReviewScheduler = require('../services/ReviewScheduler');
+const PlaylistPathService = require('../services/PlaylistPathService');
+const VideoQuizService = require('../services/VideoQuizService');
+const jobQueue = require('../services/JobQueue');
+
+/**
+ * Find a public path by slug (id only)
+ */
+const findPublicPath = (slug) => UserLearningPath.findOne({
+  publicSlug: slug,
+  visibility: 'public',
+  deletedAt: null
+}).select('_id');
 
 /**
  * @route   GET /api/user/learning-paths
- * @desc    Get user's learning paths
+ * @desc    Get user's learning paths, including ones shared with them
  * @access  Private
  */
 router.get('/', protect, async (req, res) => {
@@ -17,13 +37,14 @@ router.get('/', protect, async (req, res) => {
     const paths = await UserLearningPath.getUserPaths(req.user.id, {
       status,
       careerId,
-      limit: parseInt(limit)
+      limit: parseInt(limit),
+      includeShared: true
     });
 
     res.json({
       success: true,
       count: paths.length,
-      data: paths
+      data: paths.map(p => p.toViewFor(req.user.id))
     });
   } catch (error) {
     console.error('Get user paths error:', error);
@@ -64,29 +85,89 @@ router.get('/active', protect, async (req, res) => {
   }
 });
 
+// ============================================
+// Invitation Routes (invitee side)
+// ============================================
+
 /**
- * @route   GET /api/user/learning-paths/:id
- * @desc    Get a specific learning path
+ * @route   GET /api/user/learning-paths/invitations/:token
+ * @desc    Preview an invitation to collaborate on a path
  * @access  Private
  */
-router.get('/:id', protect, async (req, res) => {
+router.get('/invitations/:token', protect, async (req, res) => {
   try {
-    const path = await UserLearningPath.findOne({
-      _id: req.params.id,
-      userId: req.user.id,
-      deletedAt: null
+    const invitation = await PathCollaborationService.describeInvitation(req.params.token);
+
+    res.json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch invitation'
     });
+  }
+});
 
-    if (!path) {
-      return res.status(404).json({
-        success: false,
-        message: 'Learning path not found'
-      });
-    }
+/**
+ * @route   POST /api/user/learning-paths/invitations/:token/accept
+ * @desc    Accept an invitation (must be signed in with the invited email)
+ * @access  Private
+ */
+router.post('/invitations/:token/accept', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const path = await PathCollaborationService.acceptInvitation(req.params.token, user);
 
     res.json({
       success: true,
-      data: path
+      message: `You can now ${path.getRole(user._id) === 'editor' ? 'edit' : 'view'} this path`,
+      data: path.toViewFor(user._id)
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to accept invitation'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/user/learning-paths/invitations/:token/decline
+ * @desc    Decline an invitation
+ * @access  Private
+ */
+router.post('/invitations/:token/decline', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    await PathCollaborationService.declineInvitation(req.params.token, user);
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to decline invitation'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/user/learning-paths/:id
+ * @desc    Get a specific learning path
+ * @access  Private
+ */
+router.get('/:id', protect, requirePathRole('viewer'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: req.learningPath.toViewFor(req.user.id)
     });
   } catch (error) {
     console.error('Get path error:', error);
@@ -182,25 +263,129 @@ router.post('/', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/user/learning-paths/import
+ * @desc    Import a path from a JSON export (see PathPortabilityService)
+ * @body    The export document, or { data: document or JSON text }
+ * @access  Private
+ */
+router.post('/import', protect, async (req, res) => {
+  try {
+    const data = req.body.data !== undefined ? req.body.data : req.body;
+
+    const result = await PathPortabilityService.importPath(req.user.id, data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Learning path imported',
+      data: {
+        path: result.path,
+        savedVideosCreated: result.savedVideosCreated,
+        savedVideosReused: result.savedVideosReused,
+        warnings: result.warnings
+      }
+    });
+  } catch (error) {
+    console.error('Import path error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to import learning path',
+      problems: error.problems
+    });
+  }
+});
+
+/**
+ * @route   POST /api/user/learning-paths/from-playlist
+ * @desc    Generate a draft path from a YouTube playlist (background job;
+ *          poll /api/jobs/:jobId for progress and the new pathId)
+ * @body    { url, minScore?, skipLowScoring?, maxVideos? (default 50, up to 200), title?, careerId? }
+ * @access  Private
+ */
+router.post('/from-playlist', protect, checkAITokenBudget, async (req, res) => {
+  try {
+    const options = PlaylistPathService.normalizeOptions(req.body);
+
+    const jobId = await jobQueue.add(
+      'playlist_path',
+      { userId: String(req.user.id), ...options },
+      { priority: 'high', maxAttempts: 2 }
+    );
+
+    res.status(202).json({
+      success: true,
+      message: 'Playlist queued for path generation',
+      data: {
+        jobId,
+        statusUrl: `/api/jobs/${jobId}`
+      }
+    });
+  } catch (error) {
+    console.error('Playlist path error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to queue playlist path generation'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/user/learning-paths/:id/export
+ * @desc    Export a path as portable JSON or a Markdown outline
+ * @query   format=json|markdown, includeProgress=true|false
+ * @access  Private
+ */
+router.get('/:id/export', protect, requirePathRole('viewer'), async (req, res) => {
+  try {
+    const { format = 'json', includeProgress } = req.query;
+    const options = { includeProgress: includeProgress === 'true' };
+    const path = req.learningPath;
+    const filename = path.title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'learning-path';
+
+    if (format === 'markdown') {
+      const markdown = await PathPortabilityService.exportMarkdown(path, req.user.id, options);
+      res.set('Content-Disposition', `attachment; filename="${filename}.md"`);
+      return res.type('text/markdown').send(markdown);
+    }
+
+    if (format !== 'json') {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be "json" or "markdown"'
+      });
+    }
+
+    const doc = await PathPortabilityService.exportJson(path, req.user.id, options);
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json(doc);
+  } catch (error) {
+    console.error('Export path error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export learning path'
+    });
+  }
+});
+
 /**
  * @route   PUT /api/user/learning-paths/:id
  * @desc    Update a learning path
  * @access  Private
  */
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, requirePathRole('editor'), async (req, res) => {
   try {
-    const { title, description, careerId, visibility } = req.body;
+    const { title, description, careerId, visibility, requireQuizToComplete } = req.body;
 
-    const path = await UserLearningPath.findOne({
-      _id: req.params.id,
-      userId: req.user.id,
-      deletedAt: null
-    });
+    const path = req.learningPath;
 
-    if (!path) {
-      return res.status(404).json({
+    if (visibility && visibility !== path.visibility && req.pathRole !== 'owner') {
+      return res.status(403).json({
         success: false,
-        message: 'Learning path not found'
+        message: 'Only the owner can change visibility',
+        role: req.pathRole
       });
     }
 
@@ -209,13 +394,15 @@ router.put('/:id', protect, async (req, res) => {
     if (description !== undefined) path.description = description;
     if (careerId !== undefined) path.careerId = careerId;
     if (visibility) path.visibility = visibility;
+    if (requireQuizToComplete !== undefined) path.requireQuizToComplete = Boolean(requireQuizToComplete);
 
     await path.save();
+    await path.createVersionSnapshot('user_edit', 'Updated path details', req.user.id);
 
     res.json({
       success: true,
       message: 'Learning path updated',
-      data: path
+      data: path.toViewFor(req.user.id)
     });
   } catch (error) {
     console.error('Update path error:', error);
@@ -266,7 +453,7 @@ router.put('/:id/activate', protect, async (req, res) => {
  * @desc    Add a video to a learning path
  * @access  Private
  */
-router.post('/:id/add-video', protect, async (req, res) => {
+router.post('/:id/add-video', protect, requirePathRole('editor'), async (req, res) => {
   try {
     const { videoId, previousNodeId } = req.body;
 
@@ -298,6 +485,8 @@ router.post('/:id/add-video', protect, async (req, res) => {
       previousNodeId
     );
 
+    await path.createVersionSnapshot('video_added', `Added "${savedVideo.title}"`, req.user.id);
+
     // Update saved video association
     savedVideo.addedToPathId = path._id;
     savedVideo.pathStatus = 'in_path';
@@ -306,13 +495,14 @@ router.post('/:id/add-video', protect, async (req, res) => {
     res.json({
       success: true,
       message: 'Video added to path',
-      data: path
+      data: path.toViewFor(req.user.id)
     });
   } catch (error) {
     console.error('Add video to path error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to add video to path'
+      message: error.statusCode ? error.message : 'Failed to add video to path',
+      problems: error.problems
     });
   }
 });
@@ -322,7 +512,7 @@ router.post('/:id/add-video', protect, async (req, res) => {
  * @desc    Reorder nodes in a learning path
  * @access  Private
  */
-router.put('/:id/reorder', protect, async (req, res) => {
+router.put('/:id/reorder', protect, requirePathRole('editor'), async (req, res) => {
   try {
     const { nodeOrder } = req.body; // Array of node IDs in new order
 
@@ -333,18 +523,7 @@ router.put('/:id/reorder', protect, async (req, res) => {
       });
     }
 
-    const path = await UserLearningPath.findOne({
-      _id: req.params.id,
-      userId: req.user.id,
-      deletedAt: null
-    });
-
-    if (!path) {
-      return res.status(404).json({
-        success: false,
-        message: 'Learning path not found'
-      });
-    }
+    const path = req.learningPath;
 
     // Reorder nodes
     const nodeMap = new Map(path.structureGraph.nodes.map(n => [n.id, n]));
@@ -367,44 +546,46 @@ router.put('/:id/reorder', protect, async (req, res) => {
       });
     }
 
+    // Catches node ids repeated in nodeOrder
+    path.assertValidGraph();
+
     await path.save();
+    await path.createVersionSnapshot('reorder', 'Reordered videos', req.user.id);
 
     res.json({
       success: true,
       message: 'Path reordered',
-      data: path
+      data: path.toViewFor(req.user.id)
     });
   } catch (error) {
     console.error('Reorder path error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to reorder path'
+      message: error.statusCode ? error.message : 'Failed to reorder path',
+      problems: error.problems
     });
   }
 });
 
 /**
  * @route   PUT /api/user/learning-paths/:id/complete-node/:nodeId
- * @desc    Mark a node as complete
+ * @desc    Mark a node as complete for the current user (on paths with
+ *          requireQuizToComplete, once its video's quiz is passed)
  * @access  Private
  */
-router.put('/:id/complete-node/:nodeId', protect, async (req, res) => {
+router.put('/:id/complete-node/:nodeId', protect, requirePathRole('viewer'), async (req, res) => {
   try {
-    // Verify ownership
-    const ownerCheck = await UserLearningPath.findOne({
-      _id: req.params.id,
-      userId: req.user.id,
-      deletedAt: null
-    });
-
-    if (!ownerCheck) {
-      return res.status(404).json({
-        success: false,
-        message: 'Learning path not found'
-      });
-    }
+    await VideoQuizService.assertCanComplete(
+      req.user.id,
+      req.learningPath,
+      req.learningPath.structureGraph.nodes.find(n => n.id === req.params.nodeId)
+    );
 
-    const path = await UserLearningPath.completeNode(req.params.id, req.params.nodeId);
+    // Completion is per user: the owner's is stored on the nodes,
+    // collaborators' alongside their membership
+    const path = req.pathRole === 'owner'
+      ? await UserLearningPath.completeNode(req.params.id, req.params.nodeId)
+      : await req.learningPath.completeNodeForCollaborator(req.user.id, req.params.nodeId);
 
     // Also update the saved video
     const node = path.structureGraph.nodes.find(n => n.id === req.params.nodeId);
@@ -413,18 +594,85 @@ router.put('/:id/complete-node/:nodeId', protect, async (req, res) => {
         { userId: req.user.id, videoId: node.videoId },
         { $set: { isCompleted: true, completedAt: new Date() } }
       );
+
+      // Queue it for spaced-repetition review (fire and forget)
+      ReviewScheduler.scheduleNode(req.user.id, path, node)
+        .catch(err => console.error('Review scheduling failed:', err.message));
     }
 
     res.json({
       success: true,
       message: 'Node marked as complete',
-      data: path
+      data: path.toViewFor(req.user.id)
     });
   } catch (error) {
     console.error('Complete node error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to complete node',
+      quiz: error.quiz
+    });
+  }
+});
+
+/**
+ * @route   GET /api/user/learning-paths/:id/nodes/:nodeId/quiz
+ * @desc    Quiz state for a node's video (status none, pending, ready or failed)
+ * @access  Private
+ */
+router.get('/:id/nodes/:nodeId/quiz', protect, requirePathRole('viewer'), async (req, res) => {
+  try {
+    const node = req.learningPath.structureGraph.nodes.find(n => n.id === req.params.nodeId);
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        message: 'Node not found'
+      });
+    }
+
+    const state = await VideoQuizService.getStatus(node.videoId);
+
+    res.json({
+      success: true,
+      data: { ...state, requiredToComplete: req.learningPath.requireQuizToComplete }
+    });
+  } catch (error) {
+    console.error('Get node quiz error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get node quiz'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/user/learning-paths/:id/nodes/:nodeId/quiz
+ * @desc    Generate the quiz for a node's video (background job; poll the
+ *          GET route or /api/jobs/:jobId)
+ * @access  Private
+ */
+router.post('/:id/nodes/:nodeId/quiz', protect, requirePathRole('viewer'), checkAITokenBudget, async (req, res) => {
+  try {
+    const node = req.learningPath.structureGraph.nodes.find(n => n.id === req.params.nodeId);
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        message: 'Node not found'
+      });
+    }
+
+    const state = await VideoQuizService.requestQuiz(node.videoId, { userId: req.user.id });
+
+    res.status(state.status === 'ready' ? 200 : 202).json({
+      success: true,
+      message: state.status === 'ready' ? 'Quiz is ready' : 'Quiz queued for generation',
+      data: state
+    });
+  } catch (error) {
+    console.error('Request node quiz error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to complete node'
+      message: error.statusCode ? error.message : 'Failed to queue quiz generation'
     });
   }
 });
@@ -481,18 +729,21 @@ router.delete('/:id', protect, async (req, res) => {
  * @desc    Remove a node from the path (keeps video in library)
  * @access  Private
  */
-router.delete('/:id/remove-node/:nodeId', protect, async (req, res) => {
+router.delete('/:id/remove-node/:nodeId', protect, requirePathRole('editor'), async (req, res) => {
   try {
     const path = await UserLearningPath.removeNode(
       req.params.id,
       req.params.nodeId,
-      req.user.id
+      req.learningPath.userId
     );
 
+    await path.createVersionSnapshot('video_removed', 'Removed a video', req.user.id);
+    await ReviewScheduler.suspendNode(path._id, req.params.nodeId);
+
     res.json({
       success: true,
       message: 'Node removed from path',
-      data: path
+      data: path.toViewFor(req.user.id)
     });
   } catch (error) {
     console.error('Remove node error:', error);
@@ -508,7 +759,7 @@ router.delete('/:id/remove-node/:nodeId', protect, async (req, res) => {
  * @desc    Create a branch from an existing node (for non-linear paths)
  * @access  Private
  */
-router.post('/:id/create-branch', protect, async (req, res) => {
+router.post('/:id/create-branch', protect, requirePathRole('editor'), async (req, res) => {
   try {
     const { fromNodeId, videoId, edgeType = 'optional' } = req.body;
 
@@ -519,20 +770,6 @@ router.post('/:id/create-branch', protect, async (req, res) => {
       });
     }
 
-    // Verify ownership
-    const ownerCheck = await UserLearningPath.findOne({
-      _id: req.params.id,
-      userId: req.user.id,
-      deletedAt: null
-    });
-
-    if (!ownerCheck) {
-      return res.status(404).json({
-        success: false,
-        message: 'Learning path not found'
-      });
-    }
-
     // Get saved video
     const savedVideo = await SavedVideo.findOne({
       userId: req.user.id,
@@ -554,6 +791,8 @@ router.post('/:id/create-branch', protect, async (req, res) => {
       edgeType
     );
 
+    await path.createVersionSnapshot('branch_created', `Branched to "${savedVideo.title}"`, req.user.id);
+
     // Update saved video association
     savedVideo.addedToPathId = path._id;
     savedVideo.pathStatus = 'in_path';
@@ -562,13 +801,14 @@ router.post('/:id/create-branch', protect, async (req, res) => {
     res.json({
       success: true,
       message: 'Branch created',
-      data: { path, newNodeId }
+      data: { path: path.toViewFor(req.user.id), newNodeId }
     });
   } catch (error) {
     console.error('Create branch error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: error.message || 'Failed to create branch'
+      message: error.message || 'Failed to create branch',
+      problems: error.problems
     });
   }
 });
@@ -578,7 +818,7 @@ router.post('/:id/create-branch', protect, async (req, res) => {
  * @desc    Add an optional edge between existing nodes
  * @access  Private
  */
-router.post('/:id/add-edge', protect, async (req, res) => {
+router.post('/:id/add-edge', protect, requirePathRole('editor'), async (req, res) => {
   try {
     const { fromNodeId, toNodeId } = req.body;
 
@@ -589,36 +829,25 @@ router.post('/:id/add-edge', protect, async (req, res) => {
       });
     }
 
-    // Verify ownership
-    const ownerCheck = await UserLearningPath.findOne({
-      _id: req.params.id,
-      userId: req.user.id,
-      deletedAt: null
-    });
-
-    if (!ownerCheck) {
-      return res.status(404).json({
-        success: false,
-        message: 'Learning path not found'
-      });
-    }
-
     const path = await UserLearningPath.addOptionalEdge(
       req.params.id,
       fromNodeId,
       toNodeId
     );
 
+    await path.createVersionSnapshot('user_edit', 'Added an optional edge', req.user.id);
+
     res.json({
       success: true,
       message: 'Edge added',
-      data: path
+      data: path.toViewFor(req.user.id)
     });
   } catch (error) {
     console.error('Add edge error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: error.message || 'Failed to add edge'
+      message: error.message || 'Failed to add edge',
+      problems: error.problems
     });
   }
 });
@@ -628,7 +857,7 @@ router.post('/:id/add-edge', protect, async (req, res) => {
  * @desc    Remove an edge between nodes
  * @access  Private
  */
-router.delete('/:id/remove-edge', protect, async (req, res) => {
+router.delete('/:id/remove-edge', protect, requirePathRole('editor'), async (req, res) => {
   try {
     const { fromNodeId, toNodeId } = req.body;
 
@@ -639,30 +868,18 @@ router.delete('/:id/remove-edge', protect, async (req, res) => {
       });
     }
 
-    // Verify ownership
-    const ownerCheck = await UserLearningPath.findOne({
-      _id: req.params.id,
-      userId: req.user.id,
-      deletedAt: null
-    });
-
-    if (!ownerCheck) {
-      return res.status(404).json({
-        success: false,
-        message: 'Learning path not found'
-      });
-    }
-
     const path = await UserLearningPath.removeEdge(
       req.params.id,
       fromNodeId,
       toNodeId
     );
 
+    await path.createVersionSnapshot('user_edit', 'Removed an edge', req.user.id);
+
     res.json({
       success: true,
       message: 'Edge removed',
-      data: path
+      data: path.toViewFor(req.user.id)
     });
   } catch (error) {
     console.error('Remove edge error:', error);
@@ -678,22 +895,13 @@ router.delete('/:id/remove-edge', protect, async (req, res) => {
  * @desc    Get nodes that can be started next (prerequisites completed)
  * @access  Private
  */
-router.get('/:id/next-available', protect, async (req, res) => {
+router.get('/:id/next-available', protect, requirePathRole('viewer'), async (req, res) => {
   try {
-    const path = await UserLearningPath.findOne({
-      _id: req.params.id,
-      userId: req.user.id,
-      deletedAt: null
-    });
+    const path = req.learningPath;
 
-    if (!path) {
-      return res.status(404).json({
-        success: false,
-        message: 'Learning path not found'
-      });
-    }
-
-    const availableNodes = path.getNextAvailableNodes();
+    // Node completion flags are the owner's; these are all open for this user
+    const availableNodes = path.getNextAvailableNodes(req.user.id)
+      .map(node => ({ ...node.toObject(), isCompleted: false, completedAt: null }));
 
     res.json({
       success: true,
@@ -714,20 +922,9 @@ router.get('/:id/next-available', protect, async (req, res) => {
  * @desc    Check if a path has non-linear structure
  * @access  Private
  */
-router.get('/:id/has-branching', protect, async (req, res) => {
+router.get('/:id/has-branching', protect, requirePathRole('viewer'), async (req, res) => {
   try {
-    const path = await UserLearningPath.findOne({
-      _id: req.params.id,
-      userId: req.user.id,
-      deletedAt: null
-    });
-
-    if (!path) {
-      return res.status(404).json({
-        success: false,
-        message: 'Learning path not found'
-      });
-    }
+    const path = req.learningPath;
 
     const hasBranching = path.hasBranching();
 
@@ -744,6 +941,53 @@ router.get('/:id/has-branching', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/user/learning-paths/:id/analytics
+ * @desc    Topological order, critical path, parallel tracks and estimated completion
+ * @access  Private
+ */
+router.get('/:id/analytics', protect, requirePathRole('viewer'), async (req, res) => {
+  try {
+    const path = req.learningPath;
+
+    const analytics = await PathAnalyticsService.getPathAnalytics(path, req.user.id);
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+  } catch (error) {
+    console.error('Path analytics error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to compute path analytics',
+      problems: error.problems
+    });
+  }
+});
+
+/**
+ * @route   GET /api/user/learning-paths/:id/validate
+ * @desc    Report cycles, self-loops and dangling edges in a path's graph
+ * @access  Private
+ */
+router.get('/:id/validate', protect, requirePathRole('viewer'), async (req, res) => {
+  try {
+    const path = req.learningPath;
+
+    res.json({
+      success: true,
+      data: path.validateGraph()
+    });
+  } catch (error) {
+    console.error('Validate path error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate path'
+    });
+  }
+});
+
 // ============================================
 // Visibility & Sharing Routes
 // ============================================
@@ -753,7 +997,7 @@ router.get('/:id/has-branching', protect, async (req, res) => {
  * @desc    Toggle path visibility (private/public)
  * @access  Private
  */
-router.put('/:id/visibility', protect, async (req, res) => {
+router.put('/:id/visibility', protect, requirePathRole('owner'), async (req, res) => {
   try {
     const { visibility } = req.body;
 
@@ -764,18 +1008,7 @@ router.put('/:id/visibility', protect, async (req, res) => {
       });
     }
 
-    const path = await UserLearningPath.findOne({
-      _id: req.params.id,
-      userId: req.user.id,
-      deletedAt: null
-    });
-
-    if (!path) {
-      return res.status(404).json({
-        success: false,
-        message: 'Learning path not found'
-      });
-    }
+    const path = req.learningPath;
 
     // Update visibility
     path.visibility = visibility;
@@ -791,6 +1024,10 @@ router.put('/:id/visibility', protect, async (req, res) => {
 
     await path.save();
 
+    if (visibility === 'public') {
+      await PathDiscoveryService.refreshStats(path._id);
+    }
+
     res.json({
       success: true,
       message: `Path is now ${visibility}`,
@@ -812,32 +1049,32 @@ router.put('/:id/visibility', protect, async (req, res) => {
 });
 
 /**
- * @route   GET /api/user/learning-paths/public
- * @desc    Get list of public learning paths (browse)
+ * @route   GET /api/user/learning-paths/public/browse
+ * @desc    Search and rank public learning paths
+ * @query   q (full text), careerId, minMinutes, maxMinutes,
+ *          sort=relevance|rank|rating|clones|newest, limit, offset
  * @access  Public
  */
 router.get('/public/browse', async (req, res) => {
   try {
-    const { limit = 20, offset = 0, careerId } = req.query;
-
-    const filter = {
-      visibility: 'public',
-      deletedAt: null,
-      'structureGraph.nodes.0': { $exists: true } // Has at least one node
-    };
+    const { limit = 20, offset = 0, q, careerId, minMinutes, maxMinutes, sort } = req.query;
 
-    if (careerId) {
-      filter.careerId = careerId;
+    if (sort && !PathDiscoveryService.SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        message: `sort must be one of: ${PathDiscoveryService.SORTS.join(', ')}`
+      });
     }
 
-    const paths = await UserLearningPath.find(filter)
-      .sort({ createdAt: -1 })
-      .skip(parseInt(offset))
-      .limit(parseInt(limit))
-      .select('title description careerId publicSlug totalNodesCount completedNodesCount createdAt userId')
-      .populate('userId', 'name');
-
-    const total = await UserLearningPath.countDocuments(filter);
+    const { paths, total } = await PathDiscoveryService.search({
+      q,
+      careerId,
+      minMinutes,
+      maxMinutes,
+      sort,
+      limit: parseInt(limit) || 20,
+      offset: parseInt(offset) || 0
+    });
 
     res.json({
       success: true,
@@ -851,9 +1088,137 @@ router.get('/public/browse', async (req, res) => {
     });
   } catch (error) {
     console.error('Get public paths error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch public paths'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/user/learning-paths/author/stats
+ * @desc    Clone, completion and rating stats for the user's public paths
+ * @access  Private
+ */
+router.get('/author/stats', protect, async (req, res) => {
+  try {
+    const stats = await PathDiscoveryService.getAuthorStats(req.user.id);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Get author stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch author stats'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/user/learning-paths/public/:slug/ratings
+ * @desc    Rating summary and reviews for a public path
+ * @access  Public
+ */
+router.get('/public/:slug/ratings', async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+    const path = await findPublicPath(req.params.slug);
+
+    if (!path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Path not found or is private'
+      });
+    }
+
+    const ratings = await PathDiscoveryService.getRatings(path._id, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: ratings
+    });
+  } catch (error) {
+    console.error('Get path ratings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ratings'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/user/learning-paths/public/:slug/ratings
+ * @desc    Rate a public path (requires a clone with progress)
+ * @body    { rating: 1-5, review? }
+ * @access  Private
+ */
+router.post('/public/:slug/ratings', protect, async (req, res) => {
+  try {
+    const path = await findPublicPath(req.params.slug);
+
+    if (!path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Path not found or is private'
+      });
+    }
+
+    const { rating, stats } = await PathDiscoveryService.ratePath(path._id, req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Rating saved',
+      data: { rating, stats }
+    });
+  } catch (error) {
+    console.error('Rate path error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to save rating'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/user/learning-paths/public/:slug/ratings
+ * @desc    Remove your rating of a public path
+ * @access  Private
+ */
+router.delete('/public/:slug/ratings', protect, async (req, res) => {
+  try {
+    const path = await findPublicPath(req.params.slug);
+
+    if (!path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Path not found or is private'
+      });
+    }
+
+    const removed = await PathDiscoveryService.removeRating(path._id, req.user.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not rated this path'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rating removed'
+    });
+  } catch (error) {
+    console.error('Remove rating error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch public paths'
+      message: 'Failed to remove rating'
     });
   }
 });
@@ -885,7 +1250,9 @@ router.get('/public/:slug', async (req, res) => {
       data: {
         ...path.toObject(),
         authorName: path.userId?.name || 'Anonymous',
-        userId: undefined // Don't expose userId
+        userId: undefined, // Don't expose userId
+        collaborators: undefined,
+        invitations: undefined
       }
     });
   } catch (error) {
@@ -904,13 +1271,14 @@ router.get('/public/:slug', async (req, res) => {
  */
 router.post('/clone/:id', protect, async (req, res) => {
   try {
-    // Find the source path (must be public or owned by user)
+    // Find the source path (must be public or shared with the user)
     const sourcePath = await UserLearningPath.findOne({
       _id: req.params.id,
       deletedAt: null,
       $or: [
         { visibility: 'public' },
-        { userId: req.user.id }
+        { userId: req.user.id },
+        { 'collaborators.userId': req.user.id }
       ]
     });
 
@@ -921,7 +1289,13 @@ router.post('/clone/:id', protect, async (req, res) => {
       });
     }
 
-    // Create a copy for the user
+    // Don't copy a broken graph into a new path
+    sourcePath.assertValidGraph();
+
+    // Record the source version so the clone can pull later changes
+    const upstream = await PathSyncService.getCloneBase(sourcePath);
+
+    // Create a copy for the user (completion and notes are the cloner's own)
     const clonedPath = await UserLearningPath.create({
       userId: req.user.id,
       title: `${sourcePath.title} (Copy)`,
@@ -929,20 +1303,28 @@ router.post('/clone/:id', protect, async (req, res) => {
       careerId: sourcePath.careerId,
       isAutoGenerated: false,
       basedOnPathId: sourcePath._id,
+      upstream,
       status: 'draft',
       structureGraph: {
         nodes: sourcePath.structureGraph.nodes.map(node => ({
-          ...node,
+          ...node.toObject(),
           isCompleted: false,
-          completedAt: null
+          completedAt: null,
+          notes: undefined
         })),
-        edges: [...sourcePath.structureGraph.edges]
+        edges: sourcePath.structureGraph.edges.map(edge => edge.toObject())
       },
       inferredSkills: [...sourcePath.inferredSkills],
       inferredCareers: [...sourcePath.inferredCareers],
       visibility: 'private'
     });
 
+    // Clone count feeds public ranking; a stale count is fine if this fails
+    if (sourcePath.visibility === 'public') {
+      PathDiscoveryService.refreshStats(sourcePath._id)
+        .catch(err => console.error('Refresh discovery stats error:', err.message));
+    }
+
     res.status(201).json({
       success: true,
       message: 'Path cloned successfully',
@@ -950,9 +1332,247 @@ router.post('/clone/:id', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Clone path error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to clone path',
+      problems: error.problems
+    });
+  }
+});
+
+// ============================================
+// Collaborator Routes
+// ============================================
+
+/**
+ * @route   GET /api/user/learning-paths/:id/collaborators
+ * @desc    List the owner and collaborators (owners also see pending invitations)
+ * @access  Private
+ */
+router.get('/:id/collaborators', protect, requirePathRole('viewer'), async (req, res) => {
+  try {
+    const members = await PathCollaborationService.listMembers(req.learningPath, req.pathRole);
+
+    res.json({
+      success: true,
+      data: members
+    });
+  } catch (error) {
+    console.error('Get collaborators error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch collaborators'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/user/learning-paths/:id/collaborators/invite
+ * @desc    Invite a collaborator by email
+ * @body    { email, role: 'editor' | 'viewer' }
+ * @access  Private
+ */
+router.post('/:id/collaborators/invite', protect, requirePathRole('owner'), async (req, res) => {
+  try {
+    const inviter = await User.findById(req.user.id);
+    const result = await PathCollaborationService.invite(req.learningPath, inviter, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: result.emailSent
+        ? `Invitation sent to ${result.invitation.email}`
+        : 'Invitation created, but the email could not be sent. Share the link instead.',
+      data: result
+    });
+  } catch (error) {
+    console.error('Invite collaborator error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to invite collaborator'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/user/learning-paths/:id/collaborators/:userId
+ * @desc    Change a collaborator's role
+ * @body    { role: 'editor' | 'viewer' }
+ * @access  Private
+ */
+router.put('/:id/collaborators/:userId', protect, requirePathRole('owner'), async (req, res) => {
+  try {
+    const path = await PathCollaborationService.updateRole(
+      req.learningPath,
+      req.params.userId,
+      req.body.role
+    );
+
+    res.json({
+      success: true,
+      message: 'Collaborator role updated',
+      data: path.toViewFor(req.user.id)
+    });
+  } catch (error) {
+    console.error('Update collaborator error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update collaborator'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/user/learning-paths/:id/collaborators/:userId
+ * @desc    Remove a collaborator (owner), or leave a shared path (yourself)
+ * @access  Private
+ */
+router.delete('/:id/collaborators/:userId', protect, requirePathRole('viewer'), async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id.toString();
+
+    if (!leaving && req.pathRole !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can remove collaborators',
+        role: req.pathRole
+      });
+    }
+
+    const path = await PathCollaborationService.removeCollaborator(
+      req.learningPath,
+      req.params.userId
+    );
+
+    res.json({
+      success: true,
+      message: leaving ? 'You left the path' : 'Collaborator removed',
+      data: leaving ? null : path.toViewFor(req.user.id)
+    });
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to remove collaborator'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/user/learning-paths/:id/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private
+ */
+router.delete('/:id/invitations/:invitationId', protect, requirePathRole('owner'), async (req, res) => {
+  try {
+    await PathCollaborationService.revokeInvitation(req.learningPath, req.params.invitationId);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to revoke invitation'
+    });
+  }
+});
+
+// ============================================
+// Upstream Sync Routes (clones of other paths)
+// ============================================
+
+/**
+ * @route   GET /api/user/learning-paths/:id/upstream
+ * @desc    Preview upstream changes since the clone was last synced
+ *          (read-only, compares against the upstream's latest version)
+ * @access  Private
+ */
+router.get('/:id/upstream', protect, requirePathRole('viewer'), async (req, res) => {
+  try {
+    const path = req.learningPath;
+
+    const preview = await PathSyncService.previewUpstream(path);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    console.error('Preview upstream error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to preview upstream changes'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/user/learning-paths/:id/upstream/pull
+ * @desc    Pull upstream changes, keeping completion, notes and added nodes
+ * @body    { resolutions?: { [conflictId]: 'current' | 'target' } }
+ * @access  Private
+ */
+router.post('/:id/upstream/pull', protect, requirePathRole('editor'), async (req, res) => {
+  try {
+    const path = req.learningPath;
+
+    const { pulled, preview } = await PathSyncService.pullUpstream(
+      path,
+      req.body.resolutions,
+      req.user.id
+    );
+
+    if (!pulled && preview.merge.unresolvedCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${preview.merge.unresolvedCount} conflict(s) need a resolution`,
+        data: preview
+      });
+    }
+
+    res.json({
+      success: true,
+      message: pulled ? 'Upstream changes pulled' : 'Already up to date',
+      data: {
+        path: path.toViewFor(req.user.id),
+        upstream: preview.upstream,
+        summary: preview.summary,
+        conflicts: preview.merge.conflicts,
+        droppedEdges: preview.merge.droppedEdges
+      }
+    });
+  } catch (error) {
+    console.error('Pull upstream error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to pull upstream changes',
+      problems: error.problems
+    });
+  }
+});
+
+/**
+ * @route   GET /api/user/learning-paths/:id/clones
+ * @desc    Count clones following one of the user's paths
+ * @access  Private
+ */
+router.get('/:id/clones', protect, requirePathRole('owner'), async (req, res) => {
+  try {
+    const path = req.learningPath;
+
+    const stats = await PathSyncService.getCloneStats(path._id);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Get clone stats error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to clone path'
+      message: 'Failed to fetch clone stats'
     });
   }
 });
@@ -0,0 +1,100 @@
+/**
+ * Version Storage Migration Script
+ *
+ * Re-encodes existing LearningPathVersion documents, which each hold a full
+ * snapshot, as periodic keyframes plus DiffComputer deltas.
+ * With --squash, also applies the retention policy that squashes runs of
+ * old minor versions (see LearningPathVersion.applyRetention).
+ *
+ * Run with: node scripts/migrateVersionStorage.js [--dry-run] [--squash]
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const LearningPathVersion = require('../models/LearningPathVersion');
+
+const isDryRun = process.argv.includes('--dry-run');
+const shouldSquash = process.argv.includes('--squash');
+
+async function migrate() {
+  console.log('===================================');
+  console.log('Learning Path Version Storage Migration');
+  console.log('===================================');
+  console.log(`Mode: ${isDryRun ? 'DRY RUN (no changes)' : 'LIVE'}${shouldSquash ? ' + squash' : ''}`);
+  console.log('');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    console.log('');
+
+    const stats = {
+      pathsProcessed: 0,
+      keyframes: 0,
+      deltas: 0,
+      versionsSquashed: 0,
+      errors: []
+    };
+
+    const pathIds = await LearningPathVersion.distinct('pathId');
+    console.log(`📋 Found ${pathIds.length} paths with versions`);
+    console.log('');
+
+    for (const pathId of pathIds) {
+      try {
+        if (shouldSquash && !isDryRun) {
+          const { squashed } = await LearningPathVersion.applyRetention(pathId);
+          stats.versionsSquashed += squashed;
+        }
+
+        const { keyframes, deltas } = await LearningPathVersion.compactPath(pathId, { dryRun: isDryRun });
+        stats.keyframes += keyframes;
+        stats.deltas += deltas;
+        stats.pathsProcessed++;
+
+        console.log(`  Path ${pathId}: ${keyframes} keyframe(s), ${deltas} delta(s)`);
+      } catch (error) {
+        console.error(`  ❌ Error processing path ${pathId}:`, error.message);
+        stats.errors.push({ pathId, error: error.message });
+      }
+    }
+
+    // Print summary
+    console.log('');
+    console.log('===================================');
+    console.log('Migration Summary');
+    console.log('===================================');
+    console.log(`Paths processed: ${stats.pathsProcessed}`);
+    console.log(`Keyframes: ${stats.keyframes}`);
+    console.log(`Deltas: ${stats.deltas}`);
+    if (shouldSquash) {
+      console.log(`Versions squashed: ${stats.versionsSquashed}`);
+    }
+    console.log(`Errors: ${stats.errors.length}`);
+
+    if (stats.errors.length > 0) {
+      console.log('');
+      console.log('Errors:');
+      stats.errors.forEach(e => console.log(`  - Path ${e.pathId}: ${e.error}`));
+    }
+
+    if (isDryRun) {
+      console.log('');
+      console.log('⚠️  This was a dry run. No changes were made.');
+      console.log('    Run without --dry-run to apply changes.');
+    }
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('');
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run migration
+migrate().catch(console.error);
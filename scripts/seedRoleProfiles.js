@@ -0,0 +1,74 @@
+/**
+ * Role Profile Seed Script
+ *
+ * Adds role profile versions from cached job role analyses
+ * (CareerJobRoleCache) and career roadmaps (CareerRoadmap). Roles whose
+ * current version came from elsewhere (built-in, an admin, or the other
+ * seed source) are left alone unless --overwrite is given; roles whose
+ * skills haven't changed get no new version.
+ *
+ * Run with: node scripts/seedRoleProfiles.js [--dry-run] [--overwrite]
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const roleProfiles = require('../services/RoleProfileService');
+
+const isDryRun = process.argv.includes('--dry-run');
+const overwrite = process.argv.includes('--overwrite');
+
+const printResult = (label, result) => {
+  console.log(`${label}:`);
+  console.log(`  New versions: ${result.created.length}`);
+  result.created.forEach(({ roleId, version, skillCount }) =>
+    console.log(`    + ${roleId} v${version} (${skillCount} skills)`)
+  );
+  console.log(`  Unchanged: ${result.unchanged.length}`);
+  console.log(`  Skipped: ${result.skipped.length}`);
+  result.skipped.forEach(({ roleId, reason }) => console.log(`    - ${roleId}: ${reason}`));
+};
+
+async function seed() {
+  console.log('===================================');
+  console.log('Role Profile Seed');
+  console.log('===================================');
+  console.log(`Mode: ${isDryRun ? 'DRY RUN (no changes)' : 'LIVE'}${overwrite ? ', overwriting curated roles' : ''}`);
+  console.log('');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    console.log('');
+
+    const options = { dryRun: isDryRun, overwrite };
+    const jobRoles = await roleProfiles.seedFromJobRoles(options);
+    const roadmaps = await roleProfiles.seedFromRoadmaps(options);
+
+    // Print summary
+    console.log('===================================');
+    console.log('Seed Summary');
+    console.log('===================================');
+    printResult('Job role analyses', jobRoles);
+    console.log('');
+    printResult('Career roadmaps', roadmaps);
+
+    if (isDryRun) {
+      console.log('');
+      console.log('⚠️  This was a dry run. No changes were made.');
+      console.log('    Run without --dry-run to apply changes.');
+    }
+
+  } catch (error) {
+    console.error('Seed failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('');
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run seed
+seed().catch(console.error);
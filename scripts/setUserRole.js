@@ -0,0 +1,64 @@
+/**
+ * Set User Role Script
+ *
+ * Grants or removes admin access (User.role). Admin routes under
+ * /api/admin require role 'admin'.
+ *
+ * Run with: node scripts/setUserRole.js <email> <user|admin> [--dry-run]
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const User = require('../models/User');
+
+const isDryRun = process.argv.includes('--dry-run');
+const [email, role] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const ROLES = User.schema.path('role').enumValues;
+
+async function setRole() {
+  console.log('===================================');
+  console.log('Set User Role');
+  console.log('===================================');
+  console.log(`Mode: ${isDryRun ? 'DRY RUN (no changes)' : 'LIVE'}`);
+  console.log('');
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/setUserRole.js <email> <${ROLES.join('|')}> [--dry-run]`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    console.log('');
+
+    const user = await User.findOne({ email: email.toLowerCase() }).select('email role');
+    if (!user) {
+      console.error(`No user with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`${user.email}: ${user.role || 'user'} -> ${role}`);
+    if (!isDryRun) {
+      await User.updateOne({ _id: user._id }, { $set: { role } });
+    } else {
+      console.log('');
+      console.log('⚠️  This was a dry run. No changes were made.');
+      console.log('    Run without --dry-run to apply changes.');
+    }
+
+  } catch (error) {
+    console.error('Setting role failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('');
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run
+setRole().catch(console.error);
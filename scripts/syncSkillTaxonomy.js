@@ -0,0 +1,138 @@
+/**
+ * Skill Taxonomy Sync Script
+ *
+ * Stores the built-in skill taxonomy and brings existing UserSkill display
+ * names and categories in line with it. Skills the taxonomy doesn't know
+ * (previously all classed as 'language') move to 'other' and are queued
+ * for review. Scores kept under a name that is now a synonym move onto the
+ * skill, merged with the user's score for it if they have one.
+ *
+ * Run with: node scripts/syncSkillTaxonomy.js [--dry-run]
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const UserSkill = require('../models/UserSkill');
+const skillTaxonomy = require('../services/SkillTaxonomyService');
+
+const isDryRun = process.argv.includes('--dry-run');
+
+async function sync() {
+  console.log('===================================');
+  console.log('Skill Taxonomy Sync');
+  console.log('===================================');
+  console.log(`Mode: ${isDryRun ? 'DRY RUN (no changes)' : 'LIVE'}`);
+  console.log('');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    console.log('');
+
+    await skillTaxonomy.refresh();
+
+    const stats = {
+      skillNames: 0,
+      updated: 0,
+      uncategorized: 0,
+      renamed: 0,
+      merged: 0,
+      synonymNames: []
+    };
+
+    const groups = await UserSkill.aggregate([
+      {
+        $group: {
+          _id: { skillName: '$skillName', displayName: '$displayName', category: '$category' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    console.log(`📋 Found ${groups.length} skill name/category combinations`);
+    console.log('');
+
+    const unknownTags = new Set();
+    const synonymsBySkill = new Map();
+
+    for (const { _id: current, count } of groups) {
+      stats.skillNames++;
+      const info = skillTaxonomy.getSkillInfo(current.skillName);
+
+      if (info.skillName !== current.skillName) {
+        stats.synonymNames.push(`${current.skillName} -> ${info.skillName} (${count})`);
+        if (!synonymsBySkill.has(info.skillName)) synonymsBySkill.set(info.skillName, new Set());
+        synonymsBySkill.get(info.skillName).add(current.skillName);
+        continue;
+      }
+
+      const target = info.known
+        ? { displayName: info.displayName, category: info.category }
+        : { displayName: current.displayName, category: 'other' };
+      if (!info.known) unknownTags.add(current.skillName);
+
+      if (target.displayName === current.displayName && target.category === current.category) continue;
+
+      console.log(`  ${current.skillName}: ${current.category} -> ${target.category} (${count} users)`);
+      if (!isDryRun) {
+        await UserSkill.updateMany(
+          { skillName: current.skillName, category: current.category, displayName: current.displayName },
+          { $set: target }
+        );
+      }
+      stats.updated += count;
+      if (!info.known) stats.uncategorized += count;
+    }
+
+    if (!isDryRun) {
+      for (const [skillName, names] of synonymsBySkill) {
+        const { renamed, merged } = await skillTaxonomy.mergeUserSkills(
+          skillTaxonomy.getSkillInfo(skillName),
+          [...names]
+        );
+        stats.renamed += renamed;
+        stats.merged += merged;
+      }
+    }
+
+    if (!isDryRun && unknownTags.size > 0) {
+      await skillTaxonomy.recordUnknownTags([...unknownTags]);
+    }
+
+    // Print summary
+    console.log('');
+    console.log('===================================');
+    console.log('Sync Summary');
+    console.log('===================================');
+    console.log(`Skill names checked: ${stats.skillNames}`);
+    console.log(`User skills updated: ${stats.updated}`);
+    console.log(`Moved to 'other': ${stats.uncategorized}`);
+    console.log(`Unknown skills queued for review: ${unknownTags.size}`);
+
+    if (stats.synonymNames.length > 0) {
+      console.log('');
+      console.log('Scores kept under a synonym:');
+      stats.synonymNames.forEach(line => console.log(`  - ${line}`));
+      console.log(`Moved to the skill's name: ${stats.renamed}`);
+      console.log(`Merged into an existing score: ${stats.merged}`);
+    }
+
+    if (isDryRun) {
+      console.log('');
+      console.log('⚠️  This was a dry run. No changes were made.');
+      console.log('    Run without --dry-run to apply changes.');
+    }
+
+  } catch (error) {
+    console.error('Sync failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('');
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run sync
+sync().catch(console.error);
@@ -6,16 +6,18 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/db');
 const errorHandler = require('./middleware/error');
-const caches = require('./services/CacheService');
 
 // Load env vars
 dotenv.config();
 
+// Cache backend is chosen from env, so load it after dotenv
+const caches = require('./services/CacheService');
+
 // Connect to database
 connectDB();
 
-// Cache service is ready immediately (in-memory)
-console.log('🚀 Cache layer ready (in-memory)');
+// Cache service is ready immediately
+console.log(`🚀 Cache layer ready (${caches.general.backend.constructor.name})`);
 
 const app = express();
 
@@ -133,6 +135,8 @@ const savedVideosRoutes = require('./routes/savedVideos');
 const userLearningPathsRoutes = require('./routes/userLearningPaths');
 const learningPathVersionsRoutes = require('./routes/learningPathVersions');
 const aiSuggestionsRoutes = require('./routes/aiSuggestions');
+const reviewsRoutes = require('./routes/reviews');
+const quizzesRoutes = require('./routes/quizzes');
 
 // Mount routers
 app.use('/api/auth', authRoutes);
@@ -154,19 +158,33 @@ app.use('/api/saved-videos', savedVideosRoutes);
 app.use('/api/user/learning-paths', userLearningPathsRoutes);
 app.use('/api/user/learning-paths', learningPathVersionsRoutes); // Version routes
 app.use('/api/ai-suggestions', aiSuggestionsRoutes);
+app.use('/api/reviews', reviewsRoutes);
+app.use('/api/quizzes', quizzesRoutes);
 
 // Career Readiness Routes
 const careerReadinessRoutes = require('./routes/careerReadiness');
 app.use('/api/readiness', careerReadinessRoutes);
 
+// Background job status routes (user-scoped)
+const jobsRoutes = require('./routes/jobs');
+app.use('/api/jobs', jobsRoutes);
+
 // Admin Routes (system stats, cache management)
 const adminRoutes = require('./routes/admin');
 app.use('/api/admin', adminRoutes);
 
 // Initialize background workers
-const { initializeWorkers } = require('./services/BackgroundWorkers');
+const { initializeWorkers, initializeSchedules, jobQueue } = require('./services/BackgroundWorkers');
 initializeWorkers();
 
+// Register recurring schedules, recover jobs interrupted by a restart
+// and start polling the job store
+initializeSchedules()
+  .then(() => jobQueue.start())
+  .catch(error => {
+    console.error('Failed to start job queue:', error.message);
+  });
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.status(200).json({
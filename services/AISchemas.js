@@ -0,0 +1,561 @@
+/**
+ * AI Schemas
+ *
+ * JSON schemas for every structured AI prompt (see LLMClient.completeStructured)
+ * and for the documents persisted from AI output (see SchemaValidator.assertValid).
+ * Prompt schemas describe what the model must return; record schemas describe
+ * what may be saved to CareerRoadmap and YouTubeAnalysisCache.
+ */
+
+const string = { type: 'string' };
+const stringList = { type: 'array', items: string, default: [] };
+const score = { type: 'number', minimum: 0, maximum: 10 };
+const salaryRange = {
+  type: 'object',
+  properties: {
+    min: { type: 'number', minimum: 0 },
+    max: { type: 'number', minimum: 0 },
+    currency: string
+  }
+};
+
+const RECOMMENDATIONS = ['strongly_recommend', 'recommend', 'neutral', 'caution', 'avoid', 'not_applicable'];
+const QUALITY_TIERS = ['excellent', 'good', 'average', 'below_average', 'poor', 'not_applicable'];
+// Matches CareerRoadmap.marketInsights.demandLevel
+const DEMAND_LEVELS = ['Very Low', 'Low', 'Medium', 'High', 'Very High', 'Extreme'];
+// Matches QuizQuestion.QUESTION_TYPES
+const QUIZ_QUESTION_TYPES = ['multiple_choice', 'multi_select', 'ordering', 'code_output'];
+
+/**
+ * Prompt response schemas, keyed by prompt type
+ */
+const PROMPT_SCHEMAS = {
+  // GroqService.evaluateVideoQuality
+  videoEvaluation: {
+    type: 'object',
+    required: [
+      'isProgrammingTutorial', 'detectedCategory', 'contentQuality', 'teachingClarity',
+      'practicalValue', 'upToDateScore', 'commentSentiment', 'overallRecommendation', 'summary'
+    ],
+    properties: {
+      isProgrammingTutorial: { type: 'boolean' },
+      detectedCategory: { type: 'string', minLength: 1 },
+      contentQuality: score,
+      teachingClarity: score,
+      practicalValue: score,
+      upToDateScore: score,
+      commentSentiment: score,
+      overallRecommendation: { type: 'string', enum: RECOMMENDATIONS },
+      evaluationConfidence: { type: 'string', enum: ['low', 'medium', 'high'], default: 'medium' },
+      strengths: stringList,
+      weaknesses: stringList,
+      redFlags: stringList,
+      recommendedFor: { type: 'string', default: 'General learners' },
+      notRecommendedFor: { type: 'string', default: '' },
+      summary: string
+    }
+  },
+
+  // CareerDomainService.analyzeKeyword
+  keywordAnalysis: {
+    type: 'object',
+    required: ['isCareerRelated', 'summary', 'categories'],
+    properties: {
+      isCareerRelated: { type: 'boolean' },
+      primaryCategory: { type: 'string', default: 'technology' },
+      subcategory: { type: 'string', default: '' },
+      tags: stringList,
+      summary: string,
+      totalDomainsFound: { type: 'integer', minimum: 0 },
+      categories: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'domains'],
+          properties: {
+            id: string,
+            name: { type: 'string', minLength: 1 },
+            icon: string,
+            description: string,
+            jobCount: { type: 'number', minimum: 0 },
+            avgSalaryRange: salaryRange,
+            demandLevel: string,
+            domains: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  id: string,
+                  name: { type: 'string', minLength: 1 },
+                  description: string,
+                  popularityScore: { type: 'number', minimum: 0, maximum: 100 },
+                  requiredSkills: stringList,
+                  relatedJobTitles: stringList,
+                  companies: stringList,
+                  entryLevel: { type: 'boolean' },
+                  remoteOpportunities: string
+                }
+              }
+            }
+          }
+        }
+      },
+      careerProgression: {
+        type: 'object',
+        properties: {
+          entry: stringList,
+          mid: stringList,
+          senior: stringList,
+          leadership: stringList
+        }
+      }
+    }
+  },
+
+  // CareerDomainService.getDomainDetails
+  domainDetails: {
+    type: 'object',
+    required: ['domain', 'detailedDescription', 'jobRoles', 'skills'],
+    properties: {
+      domain: string,
+      detailedDescription: string,
+      dailyWork: string,
+      jobRoles: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['title'],
+          properties: {
+            id: string,
+            title: { type: 'string', minLength: 1 },
+            description: string,
+            salaryRange,
+            experience: string,
+            demandLevel: string,
+            topCompanies: stringList,
+            linkedinSearchUrl: string
+          }
+        }
+      },
+      skills: {
+        type: 'object',
+        properties: {
+          technical: stringList,
+          soft: stringList,
+          tools: stringList
+        }
+      },
+      certifications: stringList,
+      interviewTopics: stringList,
+      careerPath: { type: 'object' }
+    }
+  },
+
+  // CareerDomainService.getJobRoleDetails
+  jobRole: {
+    type: 'object',
+    required: ['role', 'overview', 'responsibilities', 'requiredSkills'],
+    properties: {
+      role: string,
+      domain: string,
+      overview: string,
+      responsibilities: { type: 'array', items: string },
+      requiredSkills: {
+        type: 'object',
+        required: ['mustHave'],
+        properties: {
+          mustHave: { type: 'array', items: string },
+          niceToHave: stringList
+        }
+      },
+      salaryInsights: {
+        type: 'object',
+        properties: {
+          entry: salaryRange,
+          mid: salaryRange,
+          senior: salaryRange,
+          currency: string,
+          factors: stringList
+        }
+      },
+      topHiringCompanies: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: string,
+            linkedinUrl: string,
+            glassdoorRating: { type: 'number', minimum: 0, maximum: 5 },
+            avgSalary: { type: 'number', minimum: 0 }
+          }
+        }
+      },
+      jobBoards: { type: 'array', items: { type: 'object' }, default: [] },
+      interviewPrep: {
+        type: 'object',
+        properties: {
+          commonQuestions: stringList,
+          technicalTopics: stringList,
+          resources: stringList
+        }
+      },
+      growthPath: stringList,
+      dayInLife: string
+    }
+  },
+
+  // CareerDomainService.getTrendingDomains
+  trendingDomains: {
+    type: 'object',
+    required: ['domains'],
+    properties: {
+      domains: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            description: string,
+            demandLevel: string,
+            avgSalaryUSD: { type: 'number', minimum: 0 },
+            growthRate: string,
+            topSkills: stringList,
+            icon: string
+          }
+        }
+      }
+    }
+  },
+
+  // CareerDomainService.generateCareerRoadmap
+  roadmap: {
+    type: 'object',
+    required: ['name', 'description', 'learningPath'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      description: string,
+      latestVersion: string,
+      category: string,
+      subcategory: string,
+      marketDemand: { type: 'string', enum: DEMAND_LEVELS, default: 'Medium' },
+      growthRate: string,
+      salary: {
+        type: 'object',
+        properties: {
+          entry: salaryRange,
+          mid: salaryRange,
+          senior: salaryRange,
+          currency: string
+        }
+      },
+      topCompanies: stringList,
+      hotLocations: { type: 'array', items: string, default: ['Bangalore', 'Mumbai', 'Delhi', 'Hyderabad'] },
+      estimatedJobs: { type: 'number', minimum: 0 },
+      relatedDomains: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: string,
+            description: string,
+            relevanceScore: { type: 'number', minimum: 0, maximum: 100 },
+            jobTitles: stringList,
+            skills: stringList
+          }
+        }
+      },
+      prerequisites: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['skill'],
+          properties: {
+            skill: string,
+            importance: string,
+            resources: stringList
+          }
+        }
+      },
+      learningPath: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['phase', 'title'],
+          properties: {
+            phase: { type: 'integer', minimum: 1 },
+            title: { type: 'string', minLength: 1 },
+            duration: string,
+            objectives: stringList,
+            skills: stringList,
+            projects: stringList,
+            resources: {
+              type: 'array',
+              default: [],
+              items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: string,
+                  type: string,
+                  url: string,
+                  isFree: { type: 'boolean' }
+                }
+              }
+            }
+          }
+        }
+      },
+      certifications: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: string,
+            provider: string,
+            cost: string,
+            difficulty: string,
+            url: string
+          }
+        }
+      },
+      timeline: {
+        type: 'object',
+        default: {},
+        properties: {
+          beginnerToJob: string,
+          beginnerToMid: string,
+          beginnerToSenior: string
+        }
+      },
+      entryJobs: { type: 'array', items: { type: 'object', required: ['title'] }, default: [] },
+      midJobs: { type: 'array', items: { type: 'object', required: ['title'] }, default: [] },
+      seniorJobs: { type: 'array', items: { type: 'object', required: ['title'] }, default: [] },
+      leadershipJobs: { type: 'array', items: { type: 'object', required: ['title'] }, default: [] }
+    }
+  },
+
+  // CareerDomainService.moderateKeyword
+  moderation: {
+    type: 'object',
+    required: ['isAppropriate'],
+    properties: {
+      isAppropriate: { type: 'boolean' },
+      reason: { type: 'string', default: '' },
+      careerConnection: { type: 'string', default: '' },
+      suggestion: { type: 'string', default: '' }
+    }
+  },
+
+  // AISuggestionService._personalizeReasoning
+  suggestions: {
+    type: 'object',
+    required: ['suggestions'],
+    properties: {
+      suggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['index', 'summary'],
+          properties: {
+            index: { type: 'integer', minimum: 0 },
+            summary: { type: 'string', minLength: 1, maxLength: 500 },
+            details: { type: 'array', items: string, maxItems: 5, default: [] }
+          }
+        }
+      }
+    }
+  },
+
+  // VideoQuizService.generate (answers are checked again by QuizService.validateQuestion)
+  videoQuiz: {
+    type: 'object',
+    required: ['questions'],
+    properties: {
+      questions: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 10,
+        items: {
+          type: 'object',
+          required: ['type', 'prompt'],
+          properties: {
+            type: { type: 'string', enum: QUIZ_QUESTION_TYPES },
+            skill: { type: 'string', default: '' },
+            prompt: { type: 'string', minLength: 1, maxLength: 500 },
+            code: { type: 'string', maxLength: 1500, default: '' },
+            language: { type: 'string', default: '' },
+            options: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 300 }, maxItems: 6, default: [] },
+            // Indexes into options (multiple_choice, multi_select)
+            correctOptions: { type: 'array', items: { type: 'integer', minimum: 0 }, default: [] },
+            acceptedOutputs: { type: 'array', items: string, maxItems: 3, default: [] },
+            explanation: { type: 'string', maxLength: 500, default: '' },
+            difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'], default: 'medium' }
+          }
+        }
+      }
+    }
+  }
+};
+
+const breakdown = {
+  type: 'object',
+  required: ['contentQuality', 'teachingClarity', 'practicalValue', 'upToDateScore', 'commentSentiment'],
+  properties: {
+    engagement: score,
+    contentQuality: score,
+    teachingClarity: score,
+    practicalValue: score,
+    upToDateScore: score,
+    commentSentiment: score
+  }
+};
+
+/**
+ * Schemas for documents persisted from AI output
+ */
+const RECORD_SCHEMAS = {
+  // YouTubeAnalysisCache.analysisData for type 'video'
+  videoAnalysis: {
+    type: 'object',
+    required: ['evaluation'],
+    properties: {
+      evaluation: {
+        type: 'object',
+        required: ['isProgrammingTutorial', 'codeLearnnScore', 'qualityTier', 'breakdown', 'recommendation', 'summary'],
+        properties: {
+          isProgrammingTutorial: { type: 'boolean' },
+          detectedCategory: string,
+          codeLearnnScore: { type: 'number', minimum: 0, maximum: 100 },
+          qualityTier: { type: 'string', enum: QUALITY_TIERS },
+          breakdown,
+          recommendation: { type: 'string', enum: RECOMMENDATIONS },
+          strengths: { type: 'array', items: string },
+          weaknesses: { type: 'array', items: string },
+          redFlags: { type: 'array', items: string },
+          summary: string
+        }
+      },
+      engagement: { type: 'object' }
+    }
+  },
+
+  // YouTubeAnalysisCache.analysisData for type 'playlist'
+  playlistAnalysis: {
+    type: 'object',
+    required: ['evaluation', 'aggregateStats'],
+    properties: {
+      evaluation: {
+        type: 'object',
+        required: ['codeLearnnScore', 'qualityTier', 'recommendation', 'breakdown', 'videoAnalyses'],
+        properties: {
+          codeLearnnScore: { type: 'number', minimum: 0, maximum: 100 },
+          qualityTier: { type: 'string', enum: QUALITY_TIERS },
+          recommendation: { type: 'string', enum: RECOMMENDATIONS },
+          isProgrammingPlaylist: { type: 'boolean' },
+          breakdown: {
+            type: 'object',
+            properties: breakdown.properties
+          },
+          videoAnalyses: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['videoId', 'score'],
+              properties: {
+                videoId: string,
+                title: string,
+                score: { type: 'number', minimum: 0, maximum: 100 }
+              }
+            }
+          },
+          summary: string
+        }
+      },
+      aggregateStats: {
+        type: 'object',
+        required: ['programmingVideoCount'],
+        properties: {
+          avgDurationMinutes: { type: 'number', minimum: 0 },
+          programmingVideoCount: { type: 'integer', minimum: 0 }
+        }
+      }
+    }
+  },
+
+  // CareerRoadmap document fields built by generateCareerRoadmap
+  careerRoadmap: {
+    type: 'object',
+    required: ['isAppropriate', 'overview', 'marketInsights', 'roadmap', 'careerPath'],
+    properties: {
+      isAppropriate: { type: 'boolean' },
+      overview: {
+        type: 'object',
+        required: ['name', 'description'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          description: string
+        }
+      },
+      marketInsights: {
+        type: 'object',
+        required: ['demandLevel'],
+        properties: {
+          demandLevel: { type: 'string', enum: DEMAND_LEVELS },
+          topHiringCompanies: { type: 'array', items: string },
+          hotLocations: { type: 'array', items: string }
+        }
+      },
+      relatedDomains: PROMPT_SCHEMAS.roadmap.properties.relatedDomains,
+      roadmap: {
+        type: 'object',
+        required: ['phases'],
+        properties: {
+          prerequisites: PROMPT_SCHEMAS.roadmap.properties.prerequisites,
+          phases: PROMPT_SCHEMAS.roadmap.properties.learningPath,
+          certifications: PROMPT_SCHEMAS.roadmap.properties.certifications,
+          timeline: PROMPT_SCHEMAS.roadmap.properties.timeline
+        }
+      },
+      careerPath: {
+        type: 'object',
+        properties: {
+          entryLevel: { type: 'array', items: { type: 'object' } },
+          midLevel: { type: 'array', items: { type: 'object' } },
+          seniorLevel: { type: 'array', items: { type: 'object' } },
+          leadership: { type: 'array', items: { type: 'object' } }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Look up a prompt schema by type
+ * @param {string} promptType
+ * @returns {Object} Schema
+ */
+const getPromptSchema = (promptType) => {
+  const schema = PROMPT_SCHEMAS[promptType];
+  if (!schema) {
+    throw new Error(`Unknown AI prompt type: ${promptType}`);
+  }
+  return schema;
+};
+
+module.exports = {
+  PROMPT_SCHEMAS,
+  RECORD_SCHEMAS,
+  getPromptSchema
+};
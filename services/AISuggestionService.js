@@ -2,6 +2,8 @@ const AISuggestion = require('../models/AISuggestion');
 const UserLearningPath = require('../models/UserLearningPath');
 const SavedVideo = require('../models/SavedVideo');
 const User = require('../models/User');
+const llmClient = require('./LLMClient');
+const promptRegistry = require('./PromptRegistry');
 
 /**
  * AI Suggestion Service
@@ -12,7 +14,9 @@ const User = require('../models/User');
  * - Skill gap analysis
  * - Career alignment
  * 
- * All suggestions include clear reasoning for transparency.
+ * All suggestions include clear reasoning for transparency. Candidates are
+ * picked by heuristics; when an AI provider is configured, LLMClient
+ * rewrites their reasoning for the user's path and career.
  */
 
 class AISuggestionService {
@@ -68,6 +72,8 @@ class AISuggestionService {
           break;
       }
       
+      await this._personalizeReasoning(suggestions, path, user);
+      
       // Save suggestions to database
       const savedSuggestions = await Promise.all(
         suggestions.map(s => AISuggestion.create({
@@ -455,6 +461,55 @@ class AISuggestionService {
     return suggestions;
   }
   
+  /**
+   * Rewrite suggestion reasoning for this path and user via the LLM.
+   * The heuristic reasoning is kept if the call fails or a rewrite is unusable.
+   */
+  static async _personalizeReasoning(suggestions, path, user) {
+    if (suggestions.length === 0 || !llmClient.isConfigured()) return suggestions;
+    
+    const candidates = suggestions.map((s, index) => ({
+      index,
+      type: s.suggestionType,
+      summary: s.reasoning.summary,
+      details: s.reasoning.details,
+      videos: (s.proposedChange.suggestedVideos || []).map(v => v.title)
+    }));
+    
+    try {
+      const prompt = await promptRegistry.render('suggestions', {
+        pathTitle: path.title,
+        completedNodes: path.completedNodesCount || 0,
+        totalNodes: path.totalNodesCount || 0,
+        careerGoal: user?.activeCareerId || 'not set',
+        suggestions: candidates
+      }, { assignmentKey: user?._id });
+      
+      const { data: response } = await llmClient.completeStructured(prompt.messages, 'suggestions', {
+        temperature: 0.4,
+        maxTokens: 1000,
+        feature: 'suggestions',
+        userId: user?._id,
+        promptVersion: prompt.version
+      });
+      
+      for (const rewrite of response.suggestions) {
+        const suggestion = suggestions[rewrite.index];
+        if (!suggestion || !rewrite.summary.trim()) continue;
+        
+        suggestion.reasoning.summary = rewrite.summary.trim();
+        if (rewrite.details.length > 0) {
+          suggestion.reasoning.details = rewrite.details;
+        }
+        suggestion.promptVersion = prompt.version;
+      }
+    } catch (error) {
+      console.error('AI suggestion reasoning error:', error.message);
+    }
+    
+    return suggestions;
+  }
+  
   /**
    * Helper: Find videos related to a node
    */
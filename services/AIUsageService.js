@@ -0,0 +1,174 @@
+/**
+ * AI Usage Service
+ * Records token usage, estimated cost and outcome for every model call
+ * and aggregates it for admin reporting. Signed-in users' tokens count
+ * against their monthly tier budget (User.usageLimits.aiTokensUsed).
+ */
+
+const mongoose = require('mongoose');
+const AIUsageLog = require('../models/AIUsageLog');
+const User = require('../models/User');
+
+// USD per 1M tokens (input, output); unknown models are costed at 0
+const MODEL_PRICING = {
+  'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'fixture': { input: 0, output: 0 }
+};
+
+const GROUP_BY_FIELDS = {
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+  feature: '$feature',
+  user: '$userId',
+  model: '$model',
+  promptVersion: '$promptVersion'
+};
+
+class AIUsageService {
+  /**
+   * Estimate the cost of a call in USD
+   */
+  static estimateCost(model, promptTokens = 0, completionTokens = 0) {
+    const pricing = MODEL_PRICING[model];
+    if (!pricing) return 0;
+    return (promptTokens * pricing.input + completionTokens * pricing.output) / 1000000;
+  }
+
+  /**
+   * Record one model call
+   * @param {Object} entry - { userId, feature, promptType, provider, model,
+   *   promptVersion, usage: { promptTokens, completionTokens, totalTokens }, latencyMs,
+   *   outcome, error, attempt }
+   */
+  static async record(entry) {
+    if (mongoose.connection.readyState !== 1) return null;
+
+    try {
+      const { promptTokens = 0, completionTokens = 0, totalTokens = 0 } = entry.usage || {};
+
+      const log = await AIUsageLog.create({
+        userId: entry.userId || null,
+        feature: AIUsageLog.FEATURES.includes(entry.feature) ? entry.feature : 'other',
+        promptType: entry.promptType,
+        promptVersion: entry.promptVersion,
+        provider: entry.provider,
+        model: entry.model,
+        promptTokens,
+        completionTokens,
+        totalTokens,
+        costUsd: this.estimateCost(entry.model, promptTokens, completionTokens),
+        latencyMs: entry.latencyMs || 0,
+        outcome: entry.outcome,
+        error: entry.error,
+        attempt: entry.attempt || 1
+      });
+
+      if (entry.userId && totalTokens > 0) {
+        await User.addTokenUsage(entry.userId, totalTokens);
+      }
+
+      return log;
+    } catch (error) {
+      console.error('Error recording AI usage:', error.message);
+      // Don't throw - usage accounting shouldn't break the main flow
+      return null;
+    }
+  }
+
+  /**
+   * Aggregate usage by day, feature, user, model or prompt version
+   * @param {string} groupBy - day | feature | user | model | promptVersion
+   * @param {Object} [filters] - { from, to, feature, model, promptType, userId, limit }
+   * @returns {Promise<Object[]>} Rows sorted by key (day) or total tokens
+   */
+  static async aggregate(groupBy, filters = {}) {
+    const groupField = GROUP_BY_FIELDS[groupBy];
+    if (!groupField) {
+      throw new Error(`Invalid groupBy: ${groupBy}`);
+    }
+
+    const match = {};
+    if (filters.from || filters.to) {
+      match.createdAt = {};
+      if (filters.from) match.createdAt.$gte = new Date(filters.from);
+      if (filters.to) match.createdAt.$lte = new Date(filters.to);
+    }
+    if (filters.feature) match.feature = filters.feature;
+    if (filters.model) match.model = filters.model;
+    if (filters.promptType) match.promptType = filters.promptType;
+    if (filters.userId) match.userId = new mongoose.Types.ObjectId(String(filters.userId));
+
+    const pipeline = [
+      { $match: match },
+      {
+        $group: {
+          _id: groupField,
+          calls: { $sum: 1 },
+          errors: { $sum: { $cond: [{ $eq: ['$outcome', 'success'] }, 0, 1] } },
+          invalidOutputs: { $sum: { $cond: [{ $eq: ['$outcome', 'invalid_output'] }, 1, 0] } },
+          promptTokens: { $sum: '$promptTokens' },
+          completionTokens: { $sum: '$completionTokens' },
+          totalTokens: { $sum: '$totalTokens' },
+          costUsd: { $sum: '$costUsd' },
+          avgLatencyMs: { $avg: '$latencyMs' }
+        }
+      },
+      { $sort: groupBy === 'day' ? { _id: 1 } : { totalTokens: -1 } },
+      { $limit: parseInt(filters.limit) || 100 }
+    ];
+
+    if (groupBy === 'user') {
+      pipeline.push(
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+        { $addFields: { user: { $arrayElemAt: ['$user', 0] } } },
+        { $project: { 'user.password': 0 } }
+      );
+    }
+
+    const rows = await AIUsageLog.aggregate(pipeline);
+
+    return rows.map(({ _id, user, avgLatencyMs, costUsd, ...totals }) => ({
+      key: _id,
+      ...(groupBy === 'user' && {
+        user: user ? { id: user._id, name: user.name, email: user.email } : null
+      }),
+      ...totals,
+      costUsd: Math.round(costUsd * 1000000) / 1000000,
+      avgLatencyMs: Math.round(avgLatencyMs || 0)
+    }));
+  }
+
+  /**
+   * Get a user's usage this month by feature, with their token budget
+   * @returns {Promise<Object|null>} null if the id is invalid or the user doesn't exist
+   */
+  static async getUserUsage(userId) {
+    if (!mongoose.isValidObjectId(userId)) return null;
+
+    const user = await User.findById(userId).select('subscription usageLimits');
+    if (!user) return null;
+
+    const now = new Date();
+    const byFeature = await this.aggregate('feature', {
+      userId,
+      from: new Date(now.getFullYear(), now.getMonth(), 1)
+    });
+    const limit = user.getTierLimits().aiTokensPerMonth;
+    const resetAt = user.usageLimits?.aiTokensResetAt;
+    const used = resetAt && resetAt > now ? user.usageLimits.aiTokensUsed || 0 : 0;
+
+    return {
+      tokensUsed: used,
+      tokenLimit: limit,
+      remaining: limit === -1 ? -1 : Math.max(0, limit - used),
+      resetAt,
+      byFeature
+    };
+  }
+}
+
+AIUsageService.MODEL_PRICING = MODEL_PRICING;
+
+module.exports = AIUsageService;
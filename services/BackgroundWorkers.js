@@ -6,10 +6,15 @@
  * - AI suggestions
  * - Readiness calculation
  * - Path inference updates
+ * - Learning path generation from YouTube playlists
+ * - Comprehension quizzes for analyzed videos
+ * - Scheduled maintenance (statistics refresh, readiness recalculation, cache cleanup,
+ *   version retention, public path ranking, missed review decay, skill time decay)
  */
 
 const jobQueue = require('./JobQueue');
 const caches = require('./CacheService');
+const { userTag } = caches;
 
 // Initialize workers when module loads
 const initializeWorkers = () => {
@@ -24,7 +29,7 @@ const initializeWorkers = () => {
     
     // Check cache first (skip if force refresh)
     if (!forceRefresh) {
-      const cached = caches.videoAnalysis.get('analysis', videoId);
+      const cached = await caches.videoAnalysis.get('analysis', videoId);
       if (cached) {
         console.log(`Video analysis cache hit for ${videoId}`);
         return cached;
@@ -44,11 +49,11 @@ const initializeWorkers = () => {
       
       // If already analyzed and not forcing refresh, return existing
       if (video.codelearnnScore && video.inferredSkills?.length > 0 && !forceRefresh) {
-        caches.videoAnalysis.set('analysis', videoId, {
+        await caches.videoAnalysis.set('analysis', videoId, {
           skills: video.inferredSkills,
           careers: video.inferredCareers,
           score: video.codelearnnScore
-        });
+        }, null, { tags: [userTag(userId)] });
         return video;
       }
       
@@ -69,11 +74,11 @@ const initializeWorkers = () => {
       await video.save();
       
       // Cache the result
-      caches.videoAnalysis.set('analysis', videoId, {
+      await caches.videoAnalysis.set('analysis', videoId, {
         skills: video.inferredSkills,
         careers: video.inferredCareers,
         score: video.codelearnnScore
-      });
+      }, null, { tags: [userTag(userId)] });
       
       console.log(`Video ${videoId} analyzed successfully`);
       return video;
@@ -82,6 +87,10 @@ const initializeWorkers = () => {
       console.error(`Video analysis failed for ${videoId}:`, error.message);
       throw error;
     }
+  }, {
+    // Each analysis is a Groq call. Limits are per process (see JobQueue).
+    concurrency: 2,
+    rateLimit: { tokens: 20, intervalMs: 60000 }
   });
 
   /**
@@ -107,6 +116,9 @@ const initializeWorkers = () => {
       console.error(`AI suggestion generation failed for ${pathId}:`, error.message);
       throw error;
     }
+  }, {
+    concurrency: 2,
+    rateLimit: { tokens: 20, intervalMs: 60000 }
   });
 
   /**
@@ -117,7 +129,7 @@ const initializeWorkers = () => {
     
     // Check cache
     const cacheKey = `${userId}_${careerId || 'default'}`;
-    const cached = caches.readiness.get('score', cacheKey);
+    const cached = await caches.readiness.get('score', cacheKey);
     
     if (cached) {
       return cached;
@@ -137,7 +149,9 @@ const initializeWorkers = () => {
       }
       
       // Cache result
-      caches.readiness.set('score', cacheKey, readiness);
+      await caches.readiness.set('score', cacheKey, readiness, null, {
+        tags: [userTag(userId)]
+      });
       
       console.log(`Readiness calculated for user ${userId}: ${readiness.score}%`);
       return readiness;
@@ -146,7 +160,7 @@ const initializeWorkers = () => {
       console.error(`Readiness calculation failed for ${userId}:`, error.message);
       throw error;
     }
-  });
+  }, { concurrency: 3 });
 
   /**
    * Path Inference Update Worker
@@ -194,7 +208,7 @@ const initializeWorkers = () => {
         await path.save();
         
         // Invalidate readiness cache for user
-        caches.readiness.deleteNamespace('score');
+        await caches.readiness.invalidateTags([userTag(userId)]);
         
         console.log(`Path ${pathId} inference updated`);
       } else {
@@ -211,7 +225,7 @@ const initializeWorkers = () => {
       console.error(`Path inference update failed for ${pathId}:`, error.message);
       throw error;
     }
-  });
+  }, { concurrency: 3 });
 
   /**
    * Batch Video Analysis Worker
@@ -224,35 +238,380 @@ const initializeWorkers = () => {
       failed: []
     };
     
-    for (const videoId of videoIds) {
+    for (const [index, videoId] of videoIds.entries()) {
       try {
-        // Add individual job with delay
+        // Stagger and deprioritise so user-facing jobs are not starved
         await jobQueue.add('video_analysis', {
           videoId,
           userId,
           forceRefresh: false
-        }, { delay: delayBetween });
+        }, { delay: delayBetween * index, priority: 'low' });
         
         results.successful.push(videoId);
       } catch (error) {
         results.failed.push({ videoId, error: error.message });
       }
+
+      await jobQueue.updateProgress(job.id, ((index + 1) / videoIds.length) * 100);
     }
     
     console.log(`Batch analysis queued: ${results.successful.length} videos`);
     return results;
+  }, { concurrency: 1 });
+
+  /**
+   * FreeResource Statistics Refresh Worker
+   * Refreshes YouTube view/like/comment counts for the stalest resources
+   */
+  jobQueue.register('free_resource_stats_refresh', async (data, job) => {
+    const { limit = 500, maxAgeHours = 20 } = data;
+
+    try {
+      const FreeResource = require('../models/FreeResource');
+      const youtubeService = require('./YouTubeService');
+
+      const cutoff = new Date(Date.now() - maxAgeHours * 3600000);
+      const resources = await FreeResource.find({
+        isActive: true,
+        'statistics.lastUpdated': { $lt: cutoff }
+      })
+        .sort({ 'statistics.lastUpdated': 1 })
+        .limit(limit)
+        .select('youtubeId');
+
+      if (resources.length === 0) {
+        return { checked: 0, updated: 0 };
+      }
+
+      // Batched 50 ids per YouTube request
+      const videos = await youtubeService.getMultipleVideoDetails(
+        resources.map(r => r.youtubeId)
+      );
+
+      const now = new Date();
+      const operations = videos.map(video => ({
+        updateOne: {
+          filter: { youtubeId: video.id },
+          update: { $set: { statistics: { ...video.statistics, lastUpdated: now } } }
+        }
+      }));
+
+      if (operations.length > 0) {
+        await FreeResource.bulkWrite(operations, { ordered: false });
+      }
+
+      console.log(`Refreshed statistics for ${operations.length}/${resources.length} free resources`);
+      return { checked: resources.length, updated: operations.length };
+
+    } catch (error) {
+      console.error('FreeResource statistics refresh failed:', error.message);
+      throw error;
+    }
+  }, {
+    // YouTube quota is shared with user-facing playlist analysis
+    concurrency: 1,
+    rateLimit: { tokens: 1, intervalMs: 60000 }
   });
 
+  /**
+   * Readiness Recalculation Worker
+   * Queues a readiness_calc job for every user with an active career
+   */
+  jobQueue.register('readiness_recalc_all', async (data, job) => {
+    try {
+      const User = require('../models/User');
+
+      const users = await User.find({ activeCareerId: { $ne: null } })
+        .select('_id activeCareerId')
+        .lean();
+
+      // Force fresh scores instead of cached ones
+      await caches.readiness.deleteNamespace('score');
+
+      for (const [index, user] of users.entries()) {
+        await jobQueue.add('readiness_calc', {
+          userId: user._id.toString(),
+          careerId: user.activeCareerId
+        }, { priority: 'low' });
+
+        await jobQueue.updateProgress(job.id, ((index + 1) / users.length) * 100);
+      }
+
+      console.log(`Readiness recalculation queued for ${users.length} users`);
+      return { queued: users.length };
+
+    } catch (error) {
+      console.error('Readiness recalculation failed:', error.message);
+      throw error;
+    }
+  }, { concurrency: 1 });
+
+  /**
+   * Cache Cleanup Worker
+   * Removes stale entries from cache collections and old finished jobs
+   */
+  jobQueue.register('cache_cleanup', async (data, job) => {
+    const { webSearchMaxAgeDays = 30, jobMaxAgeDays = 7 } = data;
+
+    try {
+      const WebSearchCache = require('../models/WebSearchCache');
+      const TrendingDomainsCache = require('../models/TrendingDomainsCache');
+
+      const webSearchCutoff = new Date(Date.now() - webSearchMaxAgeDays * 24 * 3600000);
+
+      const [webSearch, trending] = await Promise.all([
+        WebSearchCache.deleteMany({ lastAccessedAt: { $lt: webSearchCutoff } }),
+        // Backstop for the TTL index, which only runs about once a minute
+        TrendingDomainsCache.deleteMany({ expiresAt: { $lt: new Date() } })
+      ]);
+
+      const jobsRemoved = await jobQueue.cleanup(jobMaxAgeDays * 24 * 3600000);
+
+      const result = {
+        webSearchRemoved: webSearch.deletedCount,
+        trendingRemoved: trending.deletedCount,
+        jobsRemoved
+      };
+
+      console.log('Cache cleanup completed:', result);
+      return result;
+
+    } catch (error) {
+      console.error('Cache cleanup failed:', error.message);
+      throw error;
+    }
+  }, { concurrency: 1 });
+
+  /**
+   * Version Retention Worker
+   * Squashes runs of old minor learning path versions
+   */
+  jobQueue.register('version_retention', async (data, job) => {
+    const { keepRecent = 20 } = data;
+
+    try {
+      const LearningPathVersion = require('../models/LearningPathVersion');
+
+      // Only paths with more versions than are always kept
+      const paths = await LearningPathVersion.aggregate([
+        { $group: { _id: '$pathId', count: { $sum: 1 } } },
+        { $match: { count: { $gt: keepRecent } } }
+      ]);
+
+      let squashed = 0;
+      for (const [index, { _id: pathId }] of paths.entries()) {
+        const result = await LearningPathVersion.applyRetention(pathId, { keepRecent });
+        squashed += result.squashed;
+        await jobQueue.updateProgress(job.id, ((index + 1) / paths.length) * 100);
+      }
+
+      const result = { pathsChecked: paths.length, versionsSquashed: squashed };
+      console.log('Version retention completed:', result);
+      return result;
+
+    } catch (error) {
+      console.error('Version retention failed:', error.message);
+      throw error;
+    }
+  }, { concurrency: 1 });
+
+  /**
+   * Path Discovery Stats Worker
+   * Refreshes clone, completion and rating stats for public learning paths
+   */
+  jobQueue.register('path_discovery_stats', async (data, job) => {
+    try {
+      const UserLearningPath = require('../models/UserLearningPath');
+      const PathDiscoveryService = require('./PathDiscoveryService');
+
+      const paths = await UserLearningPath.find({ visibility: 'public', deletedAt: null })
+        .select('_id')
+        .lean();
+
+      for (const [index, { _id: pathId }] of paths.entries()) {
+        await PathDiscoveryService.refreshStats(pathId);
+        await jobQueue.updateProgress(job.id, ((index + 1) / paths.length) * 100);
+      }
+
+      const result = { pathsRefreshed: paths.length };
+      console.log('Path discovery stats refresh completed:', result);
+      return result;
+
+    } catch (error) {
+      console.error('Path discovery stats refresh failed:', error.message);
+      throw error;
+    }
+  }, { concurrency: 1 });
+
+  /**
+   * Playlist Path Worker
+   * Scores each video in a YouTube playlist and builds a draft learning path
+   */
+  jobQueue.register('playlist_path', async (data, job) => {
+    const { userId, ...options } = data;
+
+    const PlaylistPathService = require('./PlaylistPathService');
+
+    try {
+      const { path, flaggedVideos, savedVideosCreated, savedVideosReused, playlistVideoCount, truncated } =
+        await PlaylistPathService.generate(userId, options, {
+          onProgress: (percent) => jobQueue.updateProgress(job.id, percent),
+          jobId: job.id
+        });
+
+      console.log(`Generated path ${path._id} from playlist for user ${userId}`);
+      return {
+        pathId: String(path._id),
+        title: path.title,
+        nodeCount: path.structureGraph.nodes.length,
+        flaggedVideos,
+        savedVideosCreated,
+        savedVideosReused,
+        playlistVideoCount,
+        truncated
+      };
+
+    } catch (error) {
+      console.error(`Playlist path generation failed for user ${userId}:`, error.message);
+      // Bad input (private playlist, no usable videos, ...) fails the same way on retry
+      if (error instanceof PlaylistPathService.PlaylistPathError) {
+        error.retryable = false;
+      }
+      throw error;
+    }
+  }, {
+    // Each video without a cached analysis is a Groq call
+    concurrency: 1
+  });
+
+  /**
+   * Video Quiz Worker
+   * Generates the comprehension quiz for an analyzed video
+   */
+  jobQueue.register('video_quiz', async (data) => {
+    const { videoId, userId } = data;
+
+    try {
+      const VideoQuizService = require('./VideoQuizService');
+
+      const result = await VideoQuizService.generate(videoId, { userId });
+      console.log(`Generated quiz ${result.quizId} for video ${videoId} (${result.questionCount} questions)`);
+      return result;
+
+    } catch (error) {
+      console.error(`Video quiz generation failed for ${videoId}:`, error.message);
+      throw error;
+    }
+  }, {
+    // Each quiz is a Groq call
+    concurrency: 2,
+    rateLimit: { tokens: 20, intervalMs: 60000 }
+  });
+
+  /**
+   * Review Decay Worker
+   * Decays skills for spaced-repetition reviews left overdue
+   */
+  jobQueue.register('review_decay', async (data) => {
+    try {
+      const ReviewScheduler = require('./ReviewScheduler');
+
+      const result = await ReviewScheduler.applyMissedReviews(
+        data.graceDays !== undefined ? { graceDays: data.graceDays } : {}
+      );
+      console.log('Review decay completed:', result);
+      return result;
+
+    } catch (error) {
+      console.error('Review decay failed:', error.message);
+      throw error;
+    }
+  }, { concurrency: 1 });
+
+  /**
+   * Skill Decay Worker
+   * Lowers skill scores that haven't been practised recently
+   */
+  jobQueue.register('skill_decay', async () => {
+    try {
+      const SkillService = require('./SkillService');
+
+      const result = await SkillService.applyTimeDecay();
+      console.log('Skill decay completed:', result);
+      return result;
+
+    } catch (error) {
+      console.error('Skill decay failed:', error.message);
+      throw error;
+    }
+  }, { concurrency: 1 });
+
   console.log('Background job workers initialized');
 };
 
+/**
+ * Default recurring schedules (cron times are UTC)
+ */
+const DEFAULT_SCHEDULES = [
+  {
+    name: 'nightly-free-resource-stats',
+    jobType: 'free_resource_stats_refresh',
+    cron: '0 2 * * *',
+    description: 'Refresh YouTube statistics for free resources'
+  },
+  {
+    name: 'weekly-readiness-recalc',
+    jobType: 'readiness_recalc_all',
+    cron: '0 3 * * 1',
+    description: 'Recalculate career readiness for users with an active career'
+  },
+  {
+    name: 'daily-cache-cleanup',
+    jobType: 'cache_cleanup',
+    cron: '30 3 * * *',
+    description: 'Remove stale cache collection entries and old finished jobs'
+  },
+  {
+    name: 'weekly-version-retention',
+    jobType: 'version_retention',
+    cron: '0 4 * * 0',
+    description: 'Squash old minor learning path versions'
+  },
+  {
+    name: 'nightly-path-discovery-stats',
+    jobType: 'path_discovery_stats',
+    cron: '30 4 * * *',
+    description: 'Refresh ranking stats for public learning paths'
+  },
+  {
+    name: 'daily-review-decay',
+    jobType: 'review_decay',
+    cron: '0 5 * * *',
+    description: 'Decay skills for spaced-repetition reviews left overdue'
+  },
+  {
+    name: 'daily-skill-decay',
+    jobType: 'skill_decay',
+    cron: '30 5 * * *',
+    description: 'Apply time decay to skills not practised recently'
+  }
+];
+
+// Register default schedules (safe to call from every cluster process)
+const initializeSchedules = async () => {
+  for (const { name, jobType, data = {}, ...options } of DEFAULT_SCHEDULES) {
+    await jobQueue.schedule(name, jobType, data, { priority: 'low', ...options });
+  }
+  console.log(`${DEFAULT_SCHEDULES.length} job schedules registered`);
+};
+
 // Helper to queue common jobs
 const queueJobs = {
   analyzeVideo: (videoId, userId, options = {}) => 
     jobQueue.add('video_analysis', { videoId, userId, ...options }),
   
   generateSuggestions: (pathId, userId, trigger, context = {}) =>
-    jobQueue.add('ai_suggestions', { pathId, userId, trigger, context }),
+    jobQueue.add('ai_suggestions', { pathId, userId, trigger, context }, { priority: 'high' }),
   
   calculateReadiness: (userId, careerId = null, pathId = null) =>
     jobQueue.add('readiness_calc', { userId, careerId, pathId }),
@@ -266,6 +625,7 @@ const queueJobs = {
 
 module.exports = {
   initializeWorkers,
+  initializeSchedules,
   queueJobs,
   jobQueue
 };
@@ -237,7 +237,7 @@ Respond in JSON format only.`
           role: 'user',
           content: prompt
         }
-      ], { temperature: 0.3, maxTokens: 1000 });
+      ], { temperature: 0.3, maxTokens: 1000, feature: 'bulk_import' });
 
       const parsed = JSON.parse(response);
       
@@ -360,7 +360,7 @@ Generate JSON:
   "recommendedPath": "how to approach this course"
 }`
         }
-      ], { temperature: 0.3, maxTokens: 800 });
+      ], { temperature: 0.3, maxTokens: 800, feature: 'bulk_import' });
 
       const parsed = JSON.parse(response);
       return {
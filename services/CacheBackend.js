@@ -0,0 +1,412 @@
+/**
+ * Cache Backends
+ *
+ * Storage used by CacheService:
+ * - MemoryCacheBackend: per-process Map (default)
+ * - RedisCacheBackend: shared Redis store, so every pm2 process sees the
+ *   same entries and invalidations
+ * - InMemoryRedisClient: in-process stand-in for the Redis client, for
+ *   tests and local development without a Redis server
+ *
+ * Entries carry tags; deleting by tag removes every entry that has it.
+ */
+
+// Tag every entry receives, used to clear a whole cache
+const ALL_TAG = '__all';
+
+const patternToRegex = (pattern) =>
+  new RegExp('^' + pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+
+// Fallback size for values that can't be serialized (e.g. circular)
+const UNSERIALIZABLE_SIZE = 1024;
+
+/**
+ * Rough in-memory size of an entry: UTF-16 key plus its JSON payload
+ */
+const estimateSize = (key, value) => {
+  let payload;
+  try {
+    payload = JSON.stringify(value);
+  } catch (error) {
+    return key.length * 2 + UNSERIALIZABLE_SIZE;
+  }
+  return (key.length + (payload ? payload.length : 0)) * 2;
+};
+
+/**
+ * In-memory backend
+ *
+ * Bounded by an estimated memory budget (maxBytes) rather than an entry
+ * count. When a new entry would exceed the budget, entries are evicted by
+ * policy:
+ * - 'lru': least recently read or written first (Map order is recency)
+ * - 'lfu': fewest reads first, least recently used among ties
+ *
+ * Entries stay readable until staleUntil so callers can serve them while
+ * a refresh runs (see CacheService.getOrSet).
+ */
+class MemoryCacheBackend {
+  constructor(options = {}) {
+    this.cache = new Map(); // key -> entry, least recently used first
+    this.tags = new Map(); // tag -> Set of keys
+    this.maxBytes = options.maxBytes || 16 * 1024 * 1024; // 16 MB
+    this.evictionPolicy = options.evictionPolicy === 'lfu' ? 'lfu' : 'lru';
+    this.bytes = 0;
+    this.evictions = 0;
+
+    // Start cleanup interval
+    this.cleanupInterval = setInterval(() => {
+      this._cleanup();
+    }, 60000); // Every minute
+  }
+
+  async get(key) {
+    const item = this.cache.get(key);
+    if (!item) return null;
+
+    if (item.staleUntil < Date.now()) {
+      this._remove(key);
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.cache.delete(key);
+    this.cache.set(key, item);
+    item.accessCount++;
+    return item;
+  }
+
+  async set(key, value, ttl, tags = [], staleTTL = 0) {
+    // Replace any previous entry (and its tag links)
+    this._remove(key);
+
+    const size = estimateSize(key, value);
+    if (size > this.maxBytes) {
+      console.warn(`Cache entry ${key} (${size} bytes) exceeds the ${this.maxBytes} byte budget, not cached`);
+      return;
+    }
+
+    while (this.bytes + size > this.maxBytes && this.cache.size > 0) {
+      this._evict();
+    }
+
+    const now = Date.now();
+    this.cache.set(key, {
+      value,
+      tags,
+      size,
+      createdAt: now,
+      expiresAt: now + ttl,
+      staleUntil: now + ttl + staleTTL,
+      accessCount: 0
+    });
+    this.bytes += size;
+
+    for (const tag of tags) {
+      if (!this.tags.has(tag)) this.tags.set(tag, new Set());
+      this.tags.get(tag).add(key);
+    }
+  }
+
+  async delete(key) {
+    return this._remove(key);
+  }
+
+  async deleteByTags(tags) {
+    let deleted = 0;
+    for (const tag of tags) {
+      for (const key of [...(this.tags.get(tag) || [])]) {
+        if (this._remove(key)) deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async deleteMatching(pattern) {
+    const regex = patternToRegex(pattern);
+    let deleted = 0;
+    for (const key of [...this.cache.keys()]) {
+      if (regex.test(key) && this._remove(key)) deleted++;
+    }
+    return deleted;
+  }
+
+  async clear() {
+    this.cache.clear();
+    this.tags.clear();
+    this.bytes = 0;
+  }
+
+  async size() {
+    return this.cache.size;
+  }
+
+  /**
+   * Memory budget usage
+   */
+  usage() {
+    return {
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      evictionPolicy: this.evictionPolicy,
+      evictions: this.evictions
+    };
+  }
+
+  destroy() {
+    clearInterval(this.cleanupInterval);
+    this.cache.clear();
+    this.tags.clear();
+    this.bytes = 0;
+  }
+
+  _remove(key) {
+    const item = this.cache.get(key);
+    if (!item) return false;
+
+    for (const tag of item.tags) {
+      const keys = this.tags.get(tag);
+      if (keys) {
+        keys.delete(key);
+        if (keys.size === 0) this.tags.delete(tag);
+      }
+    }
+    this.bytes -= item.size;
+    return this.cache.delete(key);
+  }
+
+  /**
+   * Cleanup entries past their stale window
+   */
+  _cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, item] of this.cache.entries()) {
+      if (item.staleUntil < now) {
+        this._remove(key);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`Cache cleanup: removed ${removed} expired entries`);
+    }
+  }
+
+  /**
+   * Evict one entry according to the eviction policy
+   */
+  _evict() {
+    let victim = this.cache.keys().next().value;
+
+    if (this.evictionPolicy === 'lfu') {
+      let fewest = Infinity;
+      // Iteration runs least recently used first, so ties keep the older entry
+      for (const [key, item] of this.cache) {
+        if (item.accessCount < fewest) {
+          fewest = item.accessCount;
+          victim = key;
+        }
+      }
+    }
+
+    this._remove(victim);
+    this.evictions++;
+  }
+}
+
+/**
+ * Shared Redis backend
+ *
+ * Works with any client exposing the @upstash/redis command subset used
+ * here (get, set with px, del, sadd, smembers, scard, pexpire, scan).
+ * Entries expire through Redis TTLs (kept for the stale window past
+ * expiresAt); tag sets hold the keys tagged with them and expire after
+ * tagTTL of inactivity. Eviction under memory pressure is left to the
+ * server's maxmemory-policy (allkeys-lru or allkeys-lfu).
+ */
+class RedisCacheBackend {
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new Error('RedisCacheBackend requires a client');
+    }
+    this.client = options.client;
+    this.prefix = options.prefix || 'cache';
+    this.tagTTL = options.tagTTL || 24 * 60 * 60 * 1000; // 24 hours
+  }
+
+  _entryKey(key) {
+    return `${this.prefix}:entry:${key}`;
+  }
+
+  _tagKey(tag) {
+    return `${this.prefix}:tag:${tag}`;
+  }
+
+  async get(key) {
+    const entry = await this.client.get(this._entryKey(key));
+    return entry || null;
+  }
+
+  async set(key, value, ttl, tags = [], staleTTL = 0) {
+    const entryKey = this._entryKey(key);
+    const now = Date.now();
+    const entry = {
+      value,
+      tags,
+      createdAt: now,
+      expiresAt: now + ttl,
+      staleUntil: now + ttl + staleTTL
+    };
+
+    await this.client.set(entryKey, entry, { px: ttl + staleTTL });
+
+    for (const tag of [...tags, ALL_TAG]) {
+      const tagKey = this._tagKey(tag);
+      await this.client.sadd(tagKey, entryKey);
+      await this.client.pexpire(tagKey, Math.max(ttl + staleTTL, this.tagTTL));
+    }
+  }
+
+  async delete(key) {
+    return (await this.client.del(this._entryKey(key))) > 0;
+  }
+
+  async deleteByTags(tags) {
+    const entryKeys = new Set();
+    for (const tag of tags) {
+      const members = await this.client.smembers(this._tagKey(tag));
+      members.forEach(member => entryKeys.add(member));
+    }
+
+    const deleted = entryKeys.size > 0
+      ? await this.client.del(...entryKeys)
+      : 0;
+    await this.client.del(...tags.map(tag => this._tagKey(tag)));
+
+    return deleted;
+  }
+
+  async deleteMatching(pattern) {
+    const regex = patternToRegex(pattern);
+    const entryPrefix = this._entryKey('');
+    const matched = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, keys] = await this.client.scan(cursor, {
+        match: `${entryPrefix}*`,
+        count: 500
+      });
+      cursor = String(nextCursor);
+      for (const key of keys) {
+        if (regex.test(key.slice(entryPrefix.length))) matched.push(key);
+      }
+    } while (cursor !== '0');
+
+    return matched.length > 0 ? this.client.del(...matched) : 0;
+  }
+
+  async clear() {
+    await this.deleteByTags([ALL_TAG]);
+  }
+
+  /**
+   * Approximate entry count (tag set members may include expired keys)
+   */
+  async size() {
+    return this.client.scard(this._tagKey(ALL_TAG));
+  }
+
+  /**
+   * Memory usage is tracked by the Redis server, not per process
+   */
+  usage() {
+    return null;
+  }
+
+  destroy() {}
+}
+
+/**
+ * In-process stand-in for the Redis client.
+ * Values are stored JSON-serialized, matching @upstash/redis behaviour.
+ */
+class InMemoryRedisClient {
+  constructor() {
+    this.store = new Map(); // key -> { value, expiresAt }
+  }
+
+  _read(key) {
+    const item = this.store.get(key);
+    if (!item) return undefined;
+    if (item.expiresAt && item.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return undefined;
+    }
+    return item;
+  }
+
+  async get(key) {
+    const item = this._read(key);
+    return item ? JSON.parse(item.value) : null;
+  }
+
+  async set(key, value, options = {}) {
+    this.store.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: options.px ? Date.now() + options.px : null
+    });
+    return 'OK';
+  }
+
+  async del(...keys) {
+    let deleted = 0;
+    for (const key of keys) {
+      if (this._read(key) && this.store.delete(key)) deleted++;
+    }
+    return deleted;
+  }
+
+  async sadd(key, ...members) {
+    let item = this._read(key);
+    if (!item) {
+      item = { value: new Set(), expiresAt: null };
+      this.store.set(key, item);
+    }
+    const before = item.value.size;
+    members.forEach(member => item.value.add(member));
+    return item.value.size - before;
+  }
+
+  async smembers(key) {
+    const item = this._read(key);
+    return item ? [...item.value] : [];
+  }
+
+  async scard(key) {
+    const item = this._read(key);
+    return item ? item.value.size : 0;
+  }
+
+  async pexpire(key, ms) {
+    const item = this._read(key);
+    if (!item) return 0;
+    item.expiresAt = Date.now() + ms;
+    return 1;
+  }
+
+  async scan(cursor, options = {}) {
+    const regex = patternToRegex(options.match || '*');
+    const keys = [...this.store.keys()].filter(key => this._read(key) && regex.test(key));
+    return ['0', keys];
+  }
+}
+
+module.exports = {
+  MemoryCacheBackend,
+  RedisCacheBackend,
+  InMemoryRedisClient,
+  ALL_TAG
+};
@@ -1,31 +1,57 @@
 /**
  * Cache Service
- * 
- * In-memory cache with TTL support for:
+ *
+ * Cache with TTL and tag support for:
  * - Video analysis results
  * - Readiness scores
  * - Skills data
  * - Career information
- * 
- * For production, extend to use Redis
+ *
+ * Storage is pluggable (see CacheBackend.js). The in-memory backend is the
+ * default; set CACHE_BACKEND=redis (with UPSTASH_REDIS_REST_URL and
+ * UPSTASH_REDIS_REST_TOKEN) to share entries and invalidations across
+ * every pm2 process.
+ *
+ * Entries can be tagged on set, e.g. userTag(userId), so everything cached
+ * for one user can be dropped with a single invalidateTags call.
+ *
+ * The in-memory backend is bounded by a byte budget with LRU eviction
+ * (CACHE_EVICTION_POLICY=lfu for least-frequently-used). getOrSet
+ * coalesces concurrent loads of the same key and, for caches with a
+ * staleTTL, serves expired values while one background refresh runs.
  */
 
+const { MemoryCacheBackend, RedisCacheBackend } = require('./CacheBackend');
+
+// Tag helpers shared by callers
+const userTag = (userId) => `user:${userId}`;
+const namespaceTag = (namespace) => `ns:${namespace}`;
+
+const hitRate = ({ hits, staleHits = 0, misses }) => {
+  const lookups = hits + staleHits + misses;
+  return lookups > 0 ? Math.round(((hits + staleHits) / lookups) * 100) : 0;
+};
+
 class CacheService {
   constructor(options = {}) {
-    this.cache = new Map();
+    this.name = options.name || 'general';
     this.defaultTTL = options.defaultTTL || 300000; // 5 minutes
-    this.maxSize = options.maxSize || 1000;
+    this.staleTTL = options.staleTTL || 0; // Serve-stale window after expiry
+    this.backend = options.backend || new MemoryCacheBackend({
+      maxBytes: options.maxBytes,
+      evictionPolicy: options.evictionPolicy
+    });
+    this.inFlight = new Map(); // cache key -> pending load promise
     this.stats = {
       hits: 0,
+      staleHits: 0,
       misses: 0,
       sets: 0,
-      deletes: 0
+      deletes: 0,
+      coalesced: 0,
+      refreshErrors: 0
     };
-    
-    // Start cleanup interval
-    this.cleanupInterval = setInterval(() => {
-      this._cleanup();
-    }, 60000); // Every minute
+    this.namespaceStats = new Map(); // namespace -> { hits, staleHits, misses }
   }
 
   /**
@@ -36,55 +62,56 @@ class CacheService {
   }
 
   /**
-   * Get value from cache
+   * Count a lookup outcome (hits, staleHits or misses) overall and per namespace
    */
-  get(namespace, key) {
-    const cacheKey = this._key(namespace, key);
-    const item = this.cache.get(cacheKey);
-    
-    if (!item) {
-      this.stats.misses++;
-      return null;
+  _record(namespace, outcome) {
+    this.stats[outcome]++;
+
+    if (!this.namespaceStats.has(namespace)) {
+      this.namespaceStats.set(namespace, { hits: 0, staleHits: 0, misses: 0 });
     }
-    
-    // Check expiration
-    if (item.expiresAt && item.expiresAt < Date.now()) {
-      this.cache.delete(cacheKey);
-      this.stats.misses++;
+    this.namespaceStats.get(namespace)[outcome]++;
+  }
+
+  /**
+   * Get value from cache (expired entries count as misses)
+   */
+  async get(namespace, key) {
+    const item = await this.backend.get(this._key(namespace, key));
+
+    if (!item || (item.expiresAt && item.expiresAt < Date.now())) {
+      this._record(namespace, 'misses');
       return null;
     }
-    
-    this.stats.hits++;
+
+    this._record(namespace, 'hits');
     return item.value;
   }
 
   /**
    * Set value in cache
+   * @param {Object} [options] - { tags } to attach to the entry, { staleTTL }
+   *   to override how long the entry may be served stale after expiry
    */
-  set(namespace, key, value, ttl = null) {
-    const cacheKey = this._key(namespace, key);
-    
-    // Enforce max size
-    if (this.cache.size >= this.maxSize) {
-      this._evict();
-    }
-    
-    this.cache.set(cacheKey, {
+  async set(namespace, key, value, ttl = null, options = {}) {
+    const { tags = [], staleTTL = this.staleTTL } = options;
+
+    await this.backend.set(
+      this._key(namespace, key),
       value,
-      createdAt: Date.now(),
-      expiresAt: Date.now() + (ttl || this.defaultTTL),
-      accessCount: 0
-    });
-    
+      ttl || this.defaultTTL,
+      [namespaceTag(namespace), ...tags],
+      staleTTL
+    );
+
     this.stats.sets++;
   }
 
   /**
    * Delete from cache
    */
-  delete(namespace, key) {
-    const cacheKey = this._key(namespace, key);
-    const deleted = this.cache.delete(cacheKey);
+  async delete(namespace, key) {
+    const deleted = await this.backend.delete(this._key(namespace, key));
     if (deleted) this.stats.deletes++;
     return deleted;
   }
@@ -92,142 +119,213 @@ class CacheService {
   /**
    * Delete all keys in a namespace
    */
-  deleteNamespace(namespace) {
-    let deleted = 0;
-    const prefix = `${namespace}:`;
-    
-    for (const key of this.cache.keys()) {
-      if (key.startsWith(prefix)) {
-        this.cache.delete(key);
-        deleted++;
-      }
-    }
-    
+  async deleteNamespace(namespace) {
+    return this.invalidateTags([namespaceTag(namespace)]);
+  }
+
+  /**
+   * Delete every entry carrying any of the given tags
+   */
+  async invalidateTags(tags) {
+    const deleted = await this.backend.deleteByTags(tags);
     this.stats.deletes += deleted;
     return deleted;
   }
 
+  /**
+   * Run a loader at most once at a time per key in this process.
+   * Concurrent callers for the same key share the pending promise.
+   */
+  coalesce(namespace, key, loader) {
+    const cacheKey = this._key(namespace, key);
+
+    if (this.inFlight.has(cacheKey)) {
+      this.stats.coalesced++;
+      return this.inFlight.get(cacheKey);
+    }
+
+    const pending = Promise.resolve()
+      .then(loader)
+      .finally(() => this.inFlight.delete(cacheKey));
+
+    this.inFlight.set(cacheKey, pending);
+    return pending;
+  }
+
   /**
    * Get or set with callback
+   *
+   * - Fresh entry: returned as is
+   * - Expired but inside the stale window: returned immediately while a
+   *   single background refresh reloads it
+   * - Missing: loaded once, concurrent callers wait on the same load
+   *
+   * @param {Object} [options] - Passed to set ({ tags, staleTTL })
    */
-  async getOrSet(namespace, key, callback, ttl = null) {
-    let value = this.get(namespace, key);
-    
-    if (value === null) {
-      value = await callback();
-      this.set(namespace, key, value, ttl);
+  async getOrSet(namespace, key, callback, ttl = null, options = {}) {
+    const item = await this.backend.get(this._key(namespace, key));
+    const load = () => this.coalesce(namespace, key, async () => {
+      const value = await callback();
+      await this.set(namespace, key, value, ttl, options);
+      return value;
+    });
+
+    if (item && item.expiresAt >= Date.now()) {
+      this._record(namespace, 'hits');
+      return item.value;
+    }
+
+    if (item) {
+      this._record(namespace, 'staleHits');
+      load().catch(error => {
+        this.stats.refreshErrors++;
+        console.error(`Cache refresh failed for ${this.name}/${namespace}:${key}:`, error.message);
+      });
+      return item.value;
     }
-    
-    return value;
+
+    this._record(namespace, 'misses');
+    return load();
   }
 
   /**
    * Invalidate cache on data change
+   * Patterns are full "namespace:key" keys and may use * wildcards
    */
-  invalidate(patterns) {
+  async invalidate(patterns) {
     let invalidated = 0;
-    
+
     for (const pattern of patterns) {
       if (pattern.includes('*')) {
-        // Wildcard pattern
-        const regex = new RegExp(
-          '^' + pattern.replace(/\*/g, '.*') + '$'
-        );
-        
-        for (const key of this.cache.keys()) {
-          if (regex.test(key)) {
-            this.cache.delete(key);
-            invalidated++;
-          }
-        }
-      } else {
-        // Exact key
-        if (this.cache.delete(pattern)) {
-          invalidated++;
-        }
+        invalidated += await this.backend.deleteMatching(pattern);
+      } else if (await this.backend.delete(pattern)) {
+        invalidated++;
       }
     }
-    
+
+    this.stats.deletes += invalidated;
     return invalidated;
   }
 
   /**
-   * Get cache stats
+   * Get cache stats (hit/miss counters are per process).
+   * Stale hits count towards the hit rate.
    */
-  getStats() {
+  async getStats() {
+    const namespaces = {};
+    for (const [namespace, counts] of this.namespaceStats) {
+      namespaces[namespace] = {
+        ...counts,
+        hitRate: hitRate(counts)
+      };
+    }
+
     return {
       ...this.stats,
-      size: this.cache.size,
-      maxSize: this.maxSize,
-      hitRate: this.stats.hits + this.stats.misses > 0
-        ? Math.round((this.stats.hits / (this.stats.hits + this.stats.misses)) * 100)
-        : 0
+      size: await this.backend.size(),
+      memory: this.backend.usage(),
+      backend: this.backend.constructor.name,
+      inFlight: this.inFlight.size,
+      hitRate: hitRate(this.stats),
+      namespaces
     };
   }
 
   /**
    * Clear all cache
    */
-  clear() {
-    this.cache.clear();
-  }
-
-  /**
-   * Cleanup expired entries
-   */
-  _cleanup() {
-    const now = Date.now();
-    let removed = 0;
-    
-    for (const [key, item] of this.cache.entries()) {
-      if (item.expiresAt && item.expiresAt < now) {
-        this.cache.delete(key);
-        removed++;
-      }
-    }
-    
-    if (removed > 0) {
-      console.log(`Cache cleanup: removed ${removed} expired entries`);
-    }
-  }
-
-  /**
-   * Evict oldest entries when at capacity
-   */
-  _evict() {
-    const entries = Array.from(this.cache.entries());
-    entries.sort((a, b) => a[1].createdAt - b[1].createdAt);
-    
-    // Remove oldest 10%
-    const toRemove = Math.ceil(this.maxSize * 0.1);
-    for (let i = 0; i < toRemove; i++) {
-      this.cache.delete(entries[i][0]);
-    }
+  async clear() {
+    await this.backend.clear();
   }
 
   /**
    * Destroy cache (cleanup interval)
    */
   destroy() {
-    clearInterval(this.cleanupInterval);
-    this.cache.clear();
+    this.backend.destroy();
   }
 }
 
+/**
+ * Build the backend for a named cache from environment configuration
+ */
+const createBackend = (name, options = {}) => {
+  if (process.env.CACHE_BACKEND === 'redis') {
+    const { Redis } = require('@upstash/redis');
+    return new RedisCacheBackend({ client: Redis.fromEnv(), prefix: `cache:${name}` });
+  }
+  return new MemoryCacheBackend({
+    maxBytes: options.maxBytes,
+    evictionPolicy: options.evictionPolicy || process.env.CACHE_EVICTION_POLICY
+  });
+};
+
+const createCache = (name, options = {}) => new CacheService({
+  ...options,
+  name,
+  backend: createBackend(name, options)
+});
+
 // Pre-configured cache instances
 const caches = {
-  // Video analysis cache (1 hour TTL)
-  videoAnalysis: new CacheService({ defaultTTL: 3600000 }),
-  
+  // Video analysis cache (1 hour TTL, 32 MB)
+  videoAnalysis: createCache('videoAnalysis', {
+    defaultTTL: 3600000,
+    maxBytes: 32 * 1024 * 1024
+  }),
+
   // User readiness cache (5 minutes TTL)
-  readiness: new CacheService({ defaultTTL: 300000 }),
-  
-  // Skills/Career data cache (30 minutes TTL)
-  careerData: new CacheService({ defaultTTL: 1800000 }),
-  
+  readiness: createCache('readiness', { defaultTTL: 300000 }),
+
+  // Skills/Career data cache (30 minutes TTL, served stale for up to
+  // 10 minutes while refreshing, 32 MB)
+  careerData: createCache('careerData', {
+    defaultTTL: 1800000,
+    staleTTL: 600000,
+    maxBytes: 32 * 1024 * 1024
+  }),
+
   // General purpose cache
-  general: new CacheService()
+  general: createCache('general')
 };
 
+// Cache instances only (the export below also carries helper functions)
+const cacheInstances = () =>
+  Object.values(caches).filter(cache => cache instanceof CacheService);
+
 module.exports = caches;
 module.exports.CacheService = CacheService;
+module.exports.cacheInstances = cacheInstances;
+module.exports.userTag = userTag;
+
+/**
+ * Drop every entry tagged for a user (readiness, skills, paths, ...)
+ * across all caches
+ */
+module.exports.invalidateUser = async (userId) => {
+  const results = await Promise.all(
+    cacheInstances().map(cache => cache.invalidateTags([userTag(userId)]))
+  );
+  return results.reduce((sum, n) => sum + n, 0);
+};
+
+/**
+ * User skills helpers (used by SkillService and EventService)
+ */
+module.exports.getUserSkills = (userId) =>
+  caches.careerData.get('userSkills', userId);
+
+module.exports.cacheUserSkills = (userId, skills) =>
+  caches.careerData.set('userSkills', userId, skills, null, {
+    tags: [userTag(userId), `${userTag(userId)}:skills`]
+  });
+
+module.exports.invalidateUserSkills = (userId) =>
+  caches.careerData.invalidateTags([`${userTag(userId)}:skills`]);
+
+/**
+ * Progress changes affect skills and readiness, so drop everything
+ * cached for the user
+ */
+module.exports.invalidateUserProgress = (userId) =>
+  module.exports.invalidateUser(userId);
@@ -1,11 +1,16 @@
 const BaseService = require('./BaseService');
-const axios = require('axios');
 const CareerKeywordCache = require('../models/CareerKeywordCache');
 const CareerDomainCache = require('../models/CareerDomainCache');
 const CareerJobRoleCache = require('../models/CareerJobRoleCache');
 const TrendingDomainsCache = require('../models/TrendingDomainsCache');
 const CareerRoadmap = require('../models/CareerRoadmap');
 const webSearchService = require('./WebSearchService');
+const llmClient = require('./LLMClient');
+const promptRegistry = require('./PromptRegistry');
+const { AIOutputValidationError } = llmClient;
+const { RECORD_SCHEMAS } = require('./AISchemas');
+const { assertValid } = require('./SchemaValidator');
+const caches = require('./CacheService');
 
 /**
  * CareerDomainService - AI-powered career domain analysis
@@ -19,87 +24,17 @@ const webSearchService = require('./WebSearchService');
 class CareerDomainService extends BaseService {
   constructor() {
     super('CareerDomainService');
-    this.groqApiKeys = [
-      process.env.GROQ_API_KEY,
-      process.env.GROQ_API_KEY2
-    ].filter(Boolean); // Filter out undefined/empty keys
-    this.currentKeyIndex = 0;
-    this.groqBaseUrl = 'https://api.groq.com/openai/v1';
     this.cache = new Map(); // In-memory cache for non-career keywords
     this.cacheExpiry = 24 * 60 * 60 * 1000; // 24 hours
   }
 
-  /**
-   * Get current Groq API key
-   * @returns {string} Current API key
-   */
-  get groqApiKey() {
-    return this.groqApiKeys[this.currentKeyIndex];
-  }
-
-  /**
-   * Switch to the next available API key
-   * @returns {boolean} True if switched successfully, false if no more keys
-   */
-  switchToNextKey() {
-    if (this.currentKeyIndex < this.groqApiKeys.length - 1) {
-      this.currentKeyIndex++;
-      this.log('info', `Switched to API key ${this.currentKeyIndex + 1} of ${this.groqApiKeys.length}`);
-      return true;
-    }
-    return false;
-  }
-
-  /**
-   * Reset to the first API key
-   */
-  resetApiKey() {
-    this.currentKeyIndex = 0;
-  }
-
-  /**
-   * Make API call with automatic fallback to secondary key on rate limit
-   * @param {Function} apiCall - Function that makes the API call (receives apiKey as param)
-   * @returns {Promise<*>} API response
-   */
-  async withApiKeyFallback(apiCall) {
-    let lastError;
-    const startKeyIndex = this.currentKeyIndex;
-    
-    // Try each API key
-    do {
-      try {
-        return await apiCall(this.groqApiKey);
-      } catch (error) {
-        lastError = error;
-        const statusCode = error.response?.status;
-        
-        // If rate limited (429) or unauthorized (401), try next key
-        if (statusCode === 429 || statusCode === 401) {
-          this.log('warn', `API key ${this.currentKeyIndex + 1} failed with status ${statusCode}, trying next key...`);
-          if (!this.switchToNextKey()) {
-            // Reset to first key for next request attempt
-            this.resetApiKey();
-            break;
-          }
-        } else {
-          // For other errors, don't switch keys
-          throw error;
-        }
-      }
-    } while (this.currentKeyIndex !== startKeyIndex);
-    
-    // All keys exhausted
-    this.log('error', 'All API keys exhausted or rate limited');
-    throw lastError;
-  }
-
   /**
    * Analyze a keyword and return career domains with hierarchical data
    * @param {string} keyword - The keyword to analyze (e.g., "Python", "Machine Learning")
+   * @param {Object} [context] - { userId } for usage accounting
    * @returns {Promise<Object>} Hierarchical career data
    */
-  async analyzeKeyword(keyword) {
+  async analyzeKeyword(keyword, context = {}) {
     const normalizedKeyword = keyword.toLowerCase().trim();
     
     // Check database cache first (permanent storage)
@@ -124,33 +59,39 @@ class CareerDomainService extends BaseService {
       return memCached;
     }
 
+    // Concurrent requests for the same keyword share one AI call
+    return caches.careerData.coalesce('keywordAnalysis', normalizedKeyword, () =>
+      this.generateKeywordAnalysis(normalizedKeyword, context)
+    );
+  }
+
+  /**
+   * Run the AI analysis for a keyword and persist the result
+   * @param {string} normalizedKeyword - Lowercased, trimmed keyword
+   * @param {Object} [context] - { userId } for usage accounting
+   * @returns {Promise<Object>} Hierarchical career data
+   */
+  async generateKeywordAnalysis(normalizedKeyword, context = {}) {
     this.log('info', `Analyzing keyword: ${normalizedKeyword}`);
 
     try {
-      const response = await this.withApiKeyFallback(async (apiKey) => {
-        return axios.post(
-          `${this.groqBaseUrl}/chat/completions`,
-          {
-            model: 'llama-3.3-70b-versatile',
-            messages: [
-              { role: 'system', content: this.getSystemPrompt() },
-              { role: 'user', content: this.buildAnalysisPrompt(normalizedKeyword) }
-            ],
-            temperature: 0.7,
-            max_tokens: 4000,
-            response_format: { type: 'json_object' }
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-      });
-
-      const aiResponse = JSON.parse(response.data.choices[0].message.content);
-      const result = this.processAIResponse(aiResponse, normalizedKeyword);
+      const prompt = await promptRegistry.render(
+        'keywordAnalysis',
+        { keyword: normalizedKeyword },
+        { assignmentKey: normalizedKeyword }
+      );
+      const { data: aiResponse } = await llmClient.completeStructured(
+        prompt.messages,
+        'keywordAnalysis',
+        {
+          temperature: 0.7,
+          maxTokens: 4000,
+          feature: 'career_explore',
+          userId: context.userId,
+          promptVersion: prompt.version
+        }
+      );
+      const result = this.processAIResponse(aiResponse, normalizedKeyword, prompt.version);
       
       // Always save to database (default assumption: everything can be career-related)
       // Only skip if AI explicitly says it's NOT career-related
@@ -167,6 +108,7 @@ class CareerDomainService extends BaseService {
       return result;
     } catch (error) {
       this.log('error', `Failed to analyze keyword: ${error.message}`);
+      if (error instanceof AIOutputValidationError) throw error;
       throw new Error(`Failed to analyze keyword: ${error.message}`);
     }
   }
@@ -202,9 +144,10 @@ class CareerDomainService extends BaseService {
    * Get detailed information about a specific domain
    * @param {string} domainName - The domain to get details for
    * @param {string} parentKeyword - The original keyword for context
+   * @param {Object} [context] - { userId } for usage accounting
    * @returns {Promise<Object>} Domain details with jobs and skills
    */
-  async getDomainDetails(domainName, parentKeyword) {
+  async getDomainDetails(domainName, parentKeyword, context = {}) {
     this.log('info', `Getting domain details: ${domainName} (from ${parentKeyword})`);
 
     // Check database cache first (persistent storage)
@@ -223,29 +166,23 @@ class CareerDomainService extends BaseService {
     }
 
     try {
-      const response = await this.withApiKeyFallback(async (apiKey) => {
-        return axios.post(
-          `${this.groqBaseUrl}/chat/completions`,
-          {
-            model: 'llama-3.3-70b-versatile',
-            messages: [
-              { role: 'system', content: this.getDomainDetailSystemPrompt() },
-              { role: 'user', content: this.buildDomainDetailPrompt(domainName, parentKeyword) }
-            ],
-            temperature: 0.7,
-            max_tokens: 4000,
-            response_format: { type: 'json_object' }
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-      });
-
-      const result = JSON.parse(response.data.choices[0].message.content);
+      const prompt = await promptRegistry.render(
+        'domainDetails',
+        { domainName, parentKeyword },
+        { assignmentKey: domainName }
+      );
+      const { data } = await llmClient.completeStructured(
+        prompt.messages,
+        'domainDetails',
+        {
+          temperature: 0.7,
+          maxTokens: 4000,
+          feature: 'domain_details',
+          userId: context.userId,
+          promptVersion: prompt.version
+        }
+      );
+      const result = { ...data, promptVersion: prompt.version };
 
       // Save to database for persistent caching
       try {
@@ -258,6 +195,7 @@ class CareerDomainService extends BaseService {
       return result;
     } catch (error) {
       this.log('error', `Failed to get domain details: ${error.message}`);
+      if (error instanceof AIOutputValidationError) throw error;
       throw new Error(`Failed to get domain details: ${error.message}`);
     }
   }
@@ -266,9 +204,10 @@ class CareerDomainService extends BaseService {
    * Get job role details with specific skills and opportunities
    * @param {string} jobRole - The job role to explore
    * @param {string} domain - The domain context
+   * @param {Object} [context] - { userId } for usage accounting
    * @returns {Promise<Object>} Job role details
    */
-  async getJobRoleDetails(jobRole, domain) {
+  async getJobRoleDetails(jobRole, domain, context = {}) {
     this.log('info', `Getting job role details: ${jobRole} in ${domain}`);
 
     // Check database cache first (persistent storage)
@@ -287,29 +226,23 @@ class CareerDomainService extends BaseService {
     }
 
     try {
-      const response = await this.withApiKeyFallback(async (apiKey) => {
-        return axios.post(
-          `${this.groqBaseUrl}/chat/completions`,
-          {
-            model: 'llama-3.3-70b-versatile',
-            messages: [
-              { role: 'system', content: this.getJobRoleSystemPrompt() },
-              { role: 'user', content: this.buildJobRolePrompt(jobRole, domain) }
-            ],
-            temperature: 0.7,
-            max_tokens: 3000,
-            response_format: { type: 'json_object' }
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-      });
-
-      const result = JSON.parse(response.data.choices[0].message.content);
+      const prompt = await promptRegistry.render(
+        'jobRole',
+        { jobRole, domain },
+        { assignmentKey: jobRole }
+      );
+      const { data } = await llmClient.completeStructured(
+        prompt.messages,
+        'jobRole',
+        {
+          temperature: 0.7,
+          maxTokens: 3000,
+          feature: 'job_role',
+          userId: context.userId,
+          promptVersion: prompt.version
+        }
+      );
+      const result = { ...data, promptVersion: prompt.version };
 
       // Save to database for persistent caching
       try {
@@ -322,15 +255,17 @@ class CareerDomainService extends BaseService {
       return result;
     } catch (error) {
       this.log('error', `Failed to get job role details: ${error.message}`);
+      if (error instanceof AIOutputValidationError) throw error;
       throw new Error(`Failed to get job role details: ${error.message}`);
     }
   }
 
   /**
    * Get trending tech domains
+   * @param {Object} [context] - { userId } for usage accounting
    * @returns {Promise<Object>} List of trending domains with stats
    */
-  async getTrendingDomains() {
+  async getTrendingDomains(context = {}) {
     // Check database cache first (persistent storage with 24h TTL)
     try {
       const dbCached = await TrendingDomainsCache.getCached();
@@ -351,47 +286,19 @@ class CareerDomainService extends BaseService {
     if (cached) return cached;
 
     try {
-      const response = await this.withApiKeyFallback(async (apiKey) => {
-        return axios.post(
-          `${this.groqBaseUrl}/chat/completions`,
-          {
-            model: 'llama-3.3-70b-versatile',
-            messages: [
-              { role: 'system', content: 'You are a tech industry expert. Return JSON only.' },
-              { 
-                role: 'user', 
-                content: `List the top 10 trending tech domains for 2025-2026 with high job demand.
-                
-                Return JSON format:
-                {
-                  "domains": [
-                    {
-                      "name": "Domain Name",
-                      "description": "Brief 1-line description",
-                      "demandLevel": "High/Very High/Extreme",
-                      "avgSalaryUSD": 120000,
-                      "growthRate": "25%",
-                      "topSkills": ["skill1", "skill2", "skill3"],
-                      "icon": "emoji representing domain"
-                    }
-                  ]
-                }`
-              }
-            ],
-            temperature: 0.7,
-            max_tokens: 2000,
-            response_format: { type: 'json_object' }
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-      });
-
-      const result = JSON.parse(response.data.choices[0].message.content);
+      const prompt = await promptRegistry.render('trendingDomains');
+      const { data } = await llmClient.completeStructured(
+        prompt.messages,
+        'trendingDomains',
+        {
+          temperature: 0.7,
+          maxTokens: 2000,
+          feature: 'trending_domains',
+          userId: context.userId,
+          promptVersion: prompt.version
+        }
+      );
+      const result = { ...data, promptVersion: prompt.version };
       
       // Save to database for persistent caching (24h TTL)
       try {
@@ -406,168 +313,11 @@ class CareerDomainService extends BaseService {
       return result;
     } catch (error) {
       this.log('error', `Failed to get trending domains: ${error.message}`);
+      if (error instanceof AIOutputValidationError) throw error;
       throw new Error(`Failed to get trending domains: ${error.message}`);
     }
   }
 
-  // System prompts
-  getSystemPrompt() {
-    return `You are an expert career counselor and tech industry analyst. Your job is to analyze technology keywords and identify ALL possible career domains, job opportunities, and career paths related to that keyword.
-
-FIRST: Determine if the keyword is career/tech related. If it's about cooking, weather, entertainment, or non-professional topics, set isCareerRelated to false.
-
-IMPORTANT: Think beyond the obvious. Students often only know common domains like "web development" or "data science". Your goal is to reveal HIDDEN and NICHE domains that have real job opportunities.
-
-You must return a JSON object with this exact structure:
-{
-  "isCareerRelated": true/false,
-  "primaryCategory": "web-dev|python|java|data-science|dsa|devops|mobile|other",
-  "subcategory": "frontend|backend|fullstack|core|automation|enterprise|android|ios|ml|etc",
-  "tags": ["specific", "technology", "tags"],
-  "keyword": "the analyzed keyword",
-  "summary": "Brief overview of career landscape for this skill",
-  "totalDomainsFound": number,
-  "categories": [
-    {
-      "id": "unique_id",
-      "name": "Category Name",
-      "icon": "emoji",
-      "description": "What this category encompasses",
-      "jobCount": estimated jobs in last 30 days,
-      "avgSalaryRange": { "min": 50000, "max": 150000, "currency": "USD" },
-      "demandLevel": "High/Medium/Low",
-      "domains": [
-        {
-          "id": "unique_domain_id",
-          "name": "Specific Domain",
-          "description": "What professionals do in this domain",
-          "popularityScore": 1-100,
-          "requiredSkills": ["skill1", "skill2"],
-          "relatedJobTitles": ["Job Title 1", "Job Title 2"],
-          "companies": ["Company1", "Company2"],
-          "entryLevel": true/false,
-          "remoteOpportunities": "High/Medium/Low"
-        }
-      ]
-    }
-  ],
-  "careerProgression": {
-    "entry": ["Entry level roles"],
-    "mid": ["Mid-level roles"],
-    "senior": ["Senior roles"],
-    "leadership": ["Leadership roles"]
-  },
-  "learningPath": ["Step 1", "Step 2", "Step 3"],
-  "marketTrends": "Current trends affecting this skill"
-}`;
-  }
-
-  getDomainDetailSystemPrompt() {
-    return `You are a career expert. Provide detailed information about a specific tech domain including job roles, skills, and companies. Return JSON only.`;
-  }
-
-  getJobRoleSystemPrompt() {
-    return `You are a job market expert. Provide detailed information about a specific job role including required skills, salary expectations, companies hiring, and career growth. Return JSON only.`;
-  }
-
-  // Prompt builders
-  buildAnalysisPrompt(keyword) {
-    return `Analyze the keyword "${keyword}" and identify ALL possible career domains and job opportunities.
-
-Think creatively and include:
-1. Obvious mainstream domains
-2. Niche specialized domains
-3. Emerging domains with future potential
-4. Cross-functional domains combining ${keyword} with other fields
-5. Industry-specific applications (healthcare, finance, gaming, etc.)
-
-For each category, provide realistic job counts based on current market data (LinkedIn, Indeed, etc.).
-Focus on domains with REAL job opportunities, not just theoretical applications.
-
-Return comprehensive JSON as specified in the system prompt.`;
-  }
-
-  buildDomainDetailPrompt(domainName, parentKeyword) {
-    return `Provide detailed career information for the "${domainName}" domain (related to ${parentKeyword}).
-
-Include:
-{
-  "domain": "${domainName}",
-  "detailedDescription": "Comprehensive description",
-  "dailyWork": "What professionals do day-to-day",
-  "jobRoles": [
-    {
-      "id": "unique_id",
-      "title": "Job Title",
-      "description": "Role description",
-      "salaryRange": { "min": 0, "max": 0, "currency": "USD" },
-      "experience": "0-2 years / 2-5 years / 5+ years",
-      "demandLevel": "High/Medium/Low",
-      "topCompanies": ["Company1", "Company2"],
-      "linkedinSearchUrl": "LinkedIn job search URL for this role"
-    }
-  ],
-  "skills": {
-    "technical": ["skill1", "skill2"],
-    "soft": ["skill1", "skill2"],
-    "tools": ["tool1", "tool2"]
-  },
-  "certifications": ["Cert 1", "Cert 2"],
-  "interviewTopics": ["Topic 1", "Topic 2"],
-  "careerPath": {
-    "entry": { "title": "", "yearsExp": "0-2", "avgSalary": 0 },
-    "mid": { "title": "", "yearsExp": "2-5", "avgSalary": 0 },
-    "senior": { "title": "", "yearsExp": "5-10", "avgSalary": 0 },
-    "lead": { "title": "", "yearsExp": "10+", "avgSalary": 0 }
-  }
-}`;
-  }
-
-  buildJobRolePrompt(jobRole, domain) {
-    return `Provide comprehensive details for the "${jobRole}" position in the ${domain} domain.
-
-Return JSON:
-{
-  "role": "${jobRole}",
-  "domain": "${domain}",
-  "overview": "What this role entails",
-  "responsibilities": ["resp1", "resp2"],
-  "requiredSkills": {
-    "mustHave": ["skill1", "skill2"],
-    "niceToHave": ["skill1", "skill2"]
-  },
-  "salaryInsights": {
-    "entry": { "min": 0, "max": 0 },
-    "mid": { "min": 0, "max": 0 },
-    "senior": { "min": 0, "max": 0 },
-    "currency": "USD",
-    "factors": ["Location impacts", "Company size impacts"]
-  },
-  "topHiringCompanies": [
-    {
-      "name": "Company Name",
-      "linkedinUrl": "https://linkedin.com/company/...",
-      "glassdoorRating": 4.2,
-      "avgSalary": 0
-    }
-  ],
-  "jobBoards": [
-    {
-      "name": "LinkedIn",
-      "searchUrl": "https://www.linkedin.com/jobs/search/?keywords=${jobRole}",
-      "estimatedListings": 500
-    }
-  ],
-  "interviewPrep": {
-    "commonQuestions": ["Q1", "Q2"],
-    "technicalTopics": ["Topic1", "Topic2"],
-    "resources": ["Resource1", "Resource2"]
-  },
-  "growthPath": ["Next role 1", "Next role 2"],
-  "dayInLife": "Description of typical work day"
-}`;
-  }
-
   // Cache helpers
   getCached(key) {
     const item = this.cache.get(key);
@@ -587,9 +337,10 @@ Return JSON:
    * Moderate keyword for appropriateness
    * Blocks offensive, inappropriate, or non-career related terms
    * @param {string} keyword - Keyword to check
+   * @param {Object} [context] - { userId } for usage accounting
    * @returns {Promise<Object>} { isAppropriate, reason, suggestion }
    */
-  async moderateKeyword(keyword) {
+  async moderateKeyword(keyword, context = {}) {
     const normalized = keyword.toLowerCase().trim();
     
     // Quick check against known bad patterns
@@ -610,48 +361,23 @@ Return JSON:
 
     // AI-powered moderation for edge cases
     try {
-      const response = await this.withApiKeyFallback(async (apiKey) => {
-        return axios.post(
-          `${this.groqBaseUrl}/chat/completions`,
-          {
-            model: 'llama-3.3-70b-versatile',
-            messages: [
-              { 
-                role: 'system', 
-                content: `You are a content moderator for a career guidance platform for students.
-              Determine if the given keyword is appropriate and career-related.
-              
-              APPROPRIATE: Technology names, programming languages, career fields, skills, tools, frameworks, job titles, industries
-              INAPPROPRIATE: Offensive words, adult content, violence, non-career topics (cooking recipes, entertainment gossip, etc.)
-              
-              Always try to find a career connection. For example:
-              - "cooking" → appropriate (culinary careers)
-              - "gaming" → appropriate (game dev, esports)
-              - "music" → appropriate (audio engineering, music tech)
-              
-              Return JSON: { "isAppropriate": true/false, "reason": "brief reason", "careerConnection": "how it relates to careers if appropriate", "suggestion": "alternative keyword if inappropriate" }`
-              },
-              { role: 'user', content: `Keyword: "${keyword}"` }
-            ],
-            temperature: 0.3,
-            max_tokens: 200,
-            response_format: { type: 'json_object' }
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-      });
-
-      const result = JSON.parse(response.data.choices[0].message.content);
+      const prompt = await promptRegistry.render('moderation', { keyword }, { assignmentKey: normalized });
+      const { data: result } = await llmClient.completeStructured(
+        prompt.messages,
+        'moderation',
+        {
+          temperature: 0.3,
+          maxTokens: 200,
+          feature: 'moderation',
+          userId: context.userId,
+          promptVersion: prompt.version
+        }
+      );
       return {
-        isAppropriate: result.isAppropriate !== false,
-        reason: result.reason || '',
-        careerConnection: result.careerConnection || '',
-        suggestion: result.suggestion || ''
+        isAppropriate: result.isAppropriate,
+        reason: result.reason,
+        careerConnection: result.careerConnection,
+        suggestion: result.suggestion
       };
     } catch (error) {
       this.log('error', `Moderation failed: ${error.message}`);
@@ -663,13 +389,14 @@ Return JSON:
   /**
    * Generate a comprehensive career roadmap with real-time web context
    * @param {string} keyword - Technology/field to create roadmap for
+   * @param {Object} [context] - { userId } for usage accounting
    * @returns {Promise<Object>} Complete career roadmap
    */
-  async generateCareerRoadmap(keyword) {
+  async generateCareerRoadmap(keyword, context = {}) {
     const normalized = keyword.toLowerCase().trim();
     
     // Check content appropriateness first
-    const moderation = await this.moderateKeyword(keyword);
+    const moderation = await this.moderateKeyword(keyword, context);
     if (!moderation.isAppropriate) {
       return {
         success: false,
@@ -707,68 +434,66 @@ Return JSON:
 
     // Generate comprehensive roadmap with AI
     try {
-      const response = await this.withApiKeyFallback(async (apiKey) => {
-        return axios.post(
-          `${this.groqBaseUrl}/chat/completions`,
-          {
-            model: 'llama-3.3-70b-versatile',
-            messages: [
-              { role: 'system', content: this.getRoadmapSystemPrompt() },
-              { role: 'user', content: this.buildRoadmapPrompt(normalized, webContext) }
-            ],
-            temperature: 0.7,
-            max_tokens: 6000,
-            response_format: { type: 'json_object' }
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-      });
-
-      const aiResponse = JSON.parse(response.data.choices[0].message.content);
+      const prompt = await promptRegistry.render(
+        'roadmap',
+        { keyword: normalized, webContext: webContext || '(No real-time web data available - use your knowledge)' },
+        { assignmentKey: normalized }
+      );
+      const completion = await llmClient.completeStructured(
+        prompt.messages,
+        'roadmap',
+        {
+          temperature: 0.7,
+          maxTokens: 6000,
+          feature: 'roadmap',
+          userId: context.userId,
+          promptVersion: prompt.version
+        }
+      );
+      const aiResponse = completion.data;
       
       // Structure the roadmap data
       const roadmapData = {
         isAppropriate: true,
         overview: {
-          name: aiResponse.name || keyword,
+          name: aiResponse.name,
           description: aiResponse.description,
           latestVersion: aiResponse.latestVersion,
           category: aiResponse.category,
           subcategory: aiResponse.subcategory
         },
         marketInsights: {
-          demandLevel: aiResponse.marketDemand || 'Medium',
+          demandLevel: aiResponse.marketDemand,
           growthRate: aiResponse.growthRate,
           averageSalary: aiResponse.salary,
-          topHiringCompanies: aiResponse.topCompanies || [],
-          hotLocations: aiResponse.hotLocations || ['Bangalore', 'Mumbai', 'Delhi', 'Hyderabad'],
+          topHiringCompanies: aiResponse.topCompanies,
+          hotLocations: aiResponse.hotLocations,
           jobCount: aiResponse.estimatedJobs
         },
-        relatedDomains: aiResponse.relatedDomains || [],
+        relatedDomains: aiResponse.relatedDomains,
         roadmap: {
-          prerequisites: aiResponse.prerequisites || [],
-          phases: aiResponse.learningPath || [],
-          certifications: aiResponse.certifications || [],
-          timeline: aiResponse.timeline || {}
+          prerequisites: aiResponse.prerequisites,
+          phases: aiResponse.learningPath,
+          certifications: aiResponse.certifications,
+          timeline: aiResponse.timeline
         },
         careerPath: {
-          entryLevel: aiResponse.entryJobs || [],
-          midLevel: aiResponse.midJobs || [],
-          seniorLevel: aiResponse.seniorJobs || [],
-          leadership: aiResponse.leadershipJobs || []
+          entryLevel: aiResponse.entryJobs,
+          midLevel: aiResponse.midJobs,
+          seniorLevel: aiResponse.seniorJobs,
+          leadership: aiResponse.leadershipJobs
         },
         generatedBy: {
-          model: 'llama-3.3-70b-versatile',
+          model: completion.model,
+          promptVersion: prompt.version,
           webContextUsed: !!webContext,
           webSearchDate: new Date()
         }
       };
 
+      // Only schema-valid roadmaps are persisted
+      assertValid(RECORD_SCHEMAS.careerRoadmap, roadmapData, 'careerRoadmap');
+
       // Save to database
       try {
         await CareerRoadmap.saveRoadmap(normalized, roadmapData);
@@ -784,111 +509,11 @@ Return JSON:
       };
     } catch (error) {
       this.log('error', `Roadmap generation failed: ${error.message}`);
+      if (error instanceof AIOutputValidationError) throw error;
       throw new Error(`Failed to generate roadmap: ${error.message}`);
     }
   }
 
-  /**
-   * System prompt for roadmap generation
-   */
-  getRoadmapSystemPrompt() {
-    return `You are an expert career counselor with real-time knowledge of the tech industry.
-    Generate comprehensive, actionable career roadmaps for students.
-    
-    Your roadmaps should include:
-    1. Technology overview with LATEST version info
-    2. Current market demand and salary ranges (focus on India market)
-    3. ALL related domains and career paths (be expansive, not narrow)
-    4. Step-by-step learning path with realistic timelines
-    5. Specific job titles at each career stage
-    6. Top companies actively hiring
-    
-    IMPORTANT: 
-    - Always relate ANY keyword to tech/career opportunities
-    - Show ALL related fields, not just the obvious ones
-    - Include both traditional and emerging career paths
-    - Be specific with salary ranges (in both INR and USD)
-    
-    Return JSON with this structure:
-    {
-      "name": "Technology/Field Name",
-      "description": "Comprehensive description",
-      "latestVersion": "Current version if applicable",
-      "category": "Primary category",
-      "subcategory": "Subcategory",
-      "marketDemand": "Very Low/Low/Medium/High/Very High/Extreme",
-      "growthRate": "Percentage growth",
-      "salary": {
-        "entry": { "min": INR, "max": INR },
-        "mid": { "min": INR, "max": INR },
-        "senior": { "min": INR, "max": INR },
-        "currency": "INR"
-      },
-      "topCompanies": ["Company1", "Company2", ...],
-      "hotLocations": ["City1", "City2", ...],
-      "estimatedJobs": number,
-      "relatedDomains": [
-        {
-          "name": "Related Field",
-          "description": "How it connects",
-          "relevanceScore": 1-100,
-          "jobTitles": ["Title1", "Title2"],
-          "skills": ["Skill1", "Skill2"]
-        }
-      ],
-      "prerequisites": [
-        { "skill": "Skill name", "importance": "Essential/Recommended/Optional", "resources": ["Resource1"] }
-      ],
-      "learningPath": [
-        {
-          "phase": 1,
-          "title": "Phase Title",
-          "duration": "2-3 months",
-          "objectives": ["Objective1"],
-          "skills": ["Skill1"],
-          "projects": ["Project idea"],
-          "resources": [
-            { "name": "Resource", "type": "course/book/tool", "url": "", "isFree": true }
-          ]
-        }
-      ],
-      "certifications": [
-        { "name": "Cert name", "provider": "Provider", "cost": "Free/$99", "difficulty": "Beginner/Intermediate/Advanced", "url": "" }
-      ],
-      "timeline": {
-        "beginnerToJob": "3-6 months",
-        "beginnerToMid": "2-3 years",
-        "beginnerToSenior": "5-7 years"
-      },
-      "entryJobs": [{ "title": "Job Title", "salaryRange": "₹3-6 LPA", "companies": ["Company1"] }],
-      "midJobs": [{ "title": "Job Title", "salaryRange": "₹8-15 LPA", "yearsExperience": "3-5 years" }],
-      "seniorJobs": [{ "title": "Job Title", "salaryRange": "₹20-40 LPA", "yearsExperience": "7+ years" }],
-      "leadershipJobs": [{ "title": "Job Title", "salaryRange": "₹50+ LPA" }]
-    }`;
-  }
-
-  /**
-   * Build the roadmap generation prompt with web context
-   */
-  buildRoadmapPrompt(keyword, webContext) {
-    return `Generate a comprehensive career roadmap for: "${keyword}"
-
-${webContext ? webContext : '(No real-time web data available - use your knowledge)'}
-
-Create a detailed, actionable career guide that includes:
-1. What "${keyword}" is and its latest developments
-2. Why it's valuable in today's job market
-3. ALL related career domains (be expansive - show students the full picture)
-4. Complete step-by-step learning path from beginner to expert
-5. Specific job roles with realistic salary expectations
-6. Top companies hiring and in-demand locations
-
-Focus on the Indian job market but include global opportunities.
-Be specific, practical, and encouraging for students just starting out.
-
-Return comprehensive JSON as specified in the system prompt.`;
-  }
-
   /**
    * Get popular career roadmaps
    * @param {number} limit - Number of roadmaps to return
@@ -904,13 +529,14 @@ Return comprehensive JSON as specified in the system prompt.`;
   }
 
   // Process AI response
-  processAIResponse(aiResponse, keyword) {
+  processAIResponse(aiResponse, keyword, promptVersion) {
     // Add metadata
     return {
       ...aiResponse,
       analyzedAt: new Date().toISOString(),
       keyword: keyword,
-      source: 'groq-ai'
+      source: 'groq-ai',
+      promptVersion
     };
   }
 }
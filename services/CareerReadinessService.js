@@ -1,6 +1,8 @@
 const UserLearningPath = require('../models/UserLearningPath');
 const SavedVideo = require('../models/SavedVideo');
 const User = require('../models/User');
+const SkillService = require('./SkillService');
+const roleProfiles = require('./RoleProfileService');
 
 /**
  * Career Readiness Service
@@ -50,7 +52,8 @@ class CareerReadinessService {
       
       // Calculate components
       const pathProgress = this._calculatePathProgress(paths);
-      const skillsCoverage = this._calculateSkillsCoverage(paths, savedVideos, targetCareer);
+      const profile = await roleProfiles.getProfileFor(targetCareer);
+      const skillsCoverage = this._calculateSkillsCoverage(paths, savedVideos, profile.skills.length);
       const careerAlignment = this._calculateCareerAlignment(paths, savedVideos, targetCareer);
       const videosCompleted = this._calculateVideosCompleted(paths);
       
@@ -138,7 +141,7 @@ class CareerReadinessService {
   /**
    * Calculate skills coverage component (0-100)
    */
-  static _calculateSkillsCoverage(paths, savedVideos, targetCareer) {
+  static _calculateSkillsCoverage(paths, savedVideos, expectedSkillsCount) {
     // Get all skills from completed videos in paths
     const coveredSkills = new Set();
     
@@ -154,9 +157,6 @@ class CareerReadinessService {
       }
     });
     
-    // Define expected skills per career (simplified - in production, fetch from career data)
-    const expectedSkillsCount = this._getExpectedSkillsCount(targetCareer);
-    
     if (expectedSkillsCount === 0) return 50; // Default if no career data
     
     // Calculate coverage (capped at 100)
@@ -226,36 +226,6 @@ class CareerReadinessService {
     return (completedVideos / totalVideos) * 100;
   }
   
-  /**
-   * Get expected skills count for a career
-   */
-  static _getExpectedSkillsCount(career) {
-    // In production, this would fetch from CareerDomain collection
-    const careerSkillsMap = {
-      'frontend developer': 15,
-      'backend developer': 15,
-      'full stack developer': 25,
-      'data scientist': 20,
-      'devops engineer': 18,
-      'mobile developer': 15,
-      'ui/ux designer': 12,
-      'machine learning engineer': 22,
-      'cloud architect': 20,
-      'cybersecurity analyst': 18
-    };
-    
-    const careerLower = career?.toLowerCase() || '';
-    
-    // Find matching career
-    for (const [key, value] of Object.entries(careerSkillsMap)) {
-      if (careerLower.includes(key) || key.includes(careerLower)) {
-        return value;
-      }
-    }
-    
-    return 15; // Default
-  }
-  
   /**
    * Get readiness level description
    */
@@ -355,42 +325,20 @@ class CareerReadinessService {
         };
       }
       
-      // Get user's acquired skills
-      const paths = await UserLearningPath.find({ userId, deletedAt: null });
-      const savedVideos = await SavedVideo.find({ userId, deletedAt: null, isCompleted: true });
-      
-      const coveredSkills = new Set();
-      
-      paths.forEach(path => {
-        path.inferredSkills?.forEach(skill => coveredSkills.add(skill.toLowerCase()));
-      });
-      
-      savedVideos.forEach(video => {
-        video.inferredSkills?.forEach(skill => coveredSkills.add(skill.toLowerCase()));
-      });
-      
-      // Get expected skills for career (in production, fetch from database)
-      const expectedSkills = this._getExpectedSkills(targetCareer);
-      
-      const covered = [];
-      const missing = [];
-      
-      expectedSkills.forEach(skill => {
-        const skillLower = skill.toLowerCase();
-        if (coveredSkills.has(skillLower) || 
-            Array.from(coveredSkills).some(s => s.includes(skillLower) || skillLower.includes(s))) {
-          covered.push(skill);
-        } else {
-          missing.push(skill);
-        }
-      });
+      // Same role profile and levels as /api/skills/gaps/:role
+      const analysis = await SkillService.analyzeRoleGaps(userId, targetCareer);
+      const covered = analysis.skills.filter(skill => skill.covered).map(skill => skill.displayName);
+      const missing = analysis.skills.filter(skill => !skill.covered).map(skill => skill.displayName);
       
       return {
         careerId: targetCareer,
+        roleId: analysis.roleId,
+        profileVersion: analysis.version,
         covered,
         missing,
-        coveragePercentage: Math.round((covered.length / expectedSkills.length) * 100),
-        suggested: missing.slice(0, 5) // Top 5 missing skills to learn
+        coveragePercentage: analysis.coveragePercentage,
+        suggested: missing.slice(0, 5), // Top 5 missing skills to learn (biggest weighted gaps)
+        skills: analysis.skills
       };
       
     } catch (error) {
@@ -398,49 +346,6 @@ class CareerReadinessService {
       throw error;
     }
   }
-  
-  /**
-   * Get expected skills for a career
-   */
-  static _getExpectedSkills(career) {
-    // In production, fetch from CareerDomain collection
-    const careerSkillsMap = {
-      'frontend developer': [
-        'HTML', 'CSS', 'JavaScript', 'React', 'TypeScript', 'Responsive Design',
-        'Git', 'REST APIs', 'Testing', 'Performance Optimization', 'Accessibility',
-        'State Management', 'Build Tools', 'CSS Frameworks', 'Browser DevTools'
-      ],
-      'backend developer': [
-        'Node.js', 'Python', 'Databases', 'REST APIs', 'SQL', 'NoSQL',
-        'Authentication', 'Git', 'Testing', 'Linux', 'Docker', 'Caching',
-        'Message Queues', 'Security', 'Microservices'
-      ],
-      'full stack developer': [
-        'HTML', 'CSS', 'JavaScript', 'React', 'Node.js', 'Databases',
-        'REST APIs', 'Git', 'Authentication', 'TypeScript', 'Testing',
-        'Docker', 'Deployment', 'Security', 'Performance', 'State Management',
-        'GraphQL', 'Linux', 'Cloud Services', 'CI/CD', 'Agile', 'SQL', 'NoSQL'
-      ],
-      'data scientist': [
-        'Python', 'Statistics', 'Machine Learning', 'Data Visualization',
-        'SQL', 'Pandas', 'NumPy', 'Scikit-learn', 'Deep Learning', 'TensorFlow',
-        'Data Cleaning', 'Feature Engineering', 'Model Evaluation', 'Jupyter',
-        'Data Storytelling', 'A/B Testing', 'Big Data', 'ETL', 'Cloud Platforms'
-      ]
-    };
-    
-    const careerLower = career?.toLowerCase() || '';
-    
-    for (const [key, skills] of Object.entries(careerSkillsMap)) {
-      if (careerLower.includes(key) || key.includes(careerLower)) {
-        return skills;
-      }
-    }
-    
-    // Default skills for unknown careers
-    return ['Problem Solving', 'Communication', 'Version Control', 'Documentation', 
-            'Testing', 'Debugging', 'Learning', 'Collaboration'];
-  }
 }
 
 module.exports = CareerReadinessService;
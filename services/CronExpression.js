@@ -0,0 +1,169 @@
+/**
+ * Cron Expression Parser
+ *
+ * Minimal 5-field cron support for JobQueue schedules:
+ *   minute hour day-of-month month day-of-week
+ *
+ * Supports "*", lists ("1,15"), ranges ("1-5"), steps ("*\/10", "0-30/5")
+ * and the @hourly, @daily, @weekly, @monthly and @yearly shortcuts.
+ * All times are evaluated in UTC.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Give up looking for a match after this many years (e.g. "0 0 31 2 *")
+const MAX_LOOKAHEAD_YEARS = 5;
+
+class CronExpression {
+  /**
+   * @param {string} expression - Cron expression or @alias
+   * @throws {Error} If the expression is invalid
+   */
+  constructor(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new Error('Cron expression must be a non-empty string');
+    }
+
+    this.expression = expression.trim();
+    const normalized = ALIASES[this.expression] || this.expression;
+    const parts = normalized.split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields`);
+    }
+
+    [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+      parts.map((part, i) => this._parseField(part, FIELDS[i]));
+
+    // Sunday may be written as 7
+    if (this.daysOfWeek.has(7)) {
+      this.daysOfWeek.delete(7);
+      this.daysOfWeek.add(0);
+    }
+
+    // Standard cron: when both day fields are restricted, either may match
+    this.dayOfMonthRestricted = parts[2] !== '*';
+    this.dayOfWeekRestricted = parts[4] !== '*';
+  }
+
+  /**
+   * Check whether an expression parses
+   * @param {string} expression
+   * @returns {boolean}
+   */
+  static isValid(expression) {
+    try {
+      new CronExpression(expression);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse one field into the set of values it matches
+   */
+  _parseField(part, { name, min, max }) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+      const [rangePart, stepPart] = item.split('/');
+      const step = stepPart === undefined ? 1 : Number(stepPart);
+
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid step "${stepPart}" in cron ${name} field`);
+      }
+
+      let start;
+      let end;
+      if (rangePart === '*') {
+        start = min;
+        end = max;
+      } else if (rangePart.includes('-')) {
+        [start, end] = rangePart.split('-').map(Number);
+      } else {
+        start = Number(rangePart);
+        end = stepPart === undefined ? start : max;
+      }
+
+      if (
+        !Number.isInteger(start) || !Number.isInteger(end) ||
+        start < min || end > max || start > end
+      ) {
+        throw new Error(`Invalid value "${item}" in cron ${name} field (allowed ${min}-${max})`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  _matchesDay(date) {
+    const domMatch = this.daysOfMonth.has(date.getUTCDate());
+    const dowMatch = this.daysOfWeek.has(date.getUTCDay());
+
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+      return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+  }
+
+  /**
+   * Get the next matching time strictly after the given date
+   * @param {Date} [after=new Date()]
+   * @returns {Date}
+   */
+  next(after = new Date()) {
+    const date = new Date(after);
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    const limit = new Date(date);
+    limit.setUTCFullYear(limit.getUTCFullYear() + MAX_LOOKAHEAD_YEARS);
+
+    while (date < limit) {
+      if (!this.months.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!this._matchesDay(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!this.hours.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        continue;
+      }
+      if (!this.minutes.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        continue;
+      }
+      return date;
+    }
+
+    throw new Error(`Cron expression "${this.expression}" has no upcoming run`);
+  }
+}
+
+module.exports = CronExpression;
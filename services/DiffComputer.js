@@ -5,8 +5,13 @@
  * - Version comparison
  * - Efficient storage (delta encoding)
  * - Change detection
+ * - Three-way merge of path versions
  */
 
+const PathGraphValidator = require('./PathGraphValidator');
+
+const MERGE_FIELDS = ['title', 'description', 'careerId', 'status', 'visibility'];
+
 class DiffComputer {
   /**
    * Compute diff between two path states
@@ -17,6 +22,8 @@ class DiffComputer {
       description: this._computeFieldDiff(oldState.description, newState.description),
       status: this._computeFieldDiff(oldState.status, newState.status),
       visibility: this._computeFieldDiff(oldState.visibility, newState.visibility),
+      careerId: this._computeFieldDiff(oldState.careerId, newState.careerId),
+      readinessScore: this._computeFieldDiff(oldState.readinessScore, newState.readinessScore),
       nodes: this._computeNodesDiff(
         oldState.structureGraph?.nodes || [],
         newState.structureGraph?.nodes || []
@@ -101,7 +108,7 @@ class DiffComputer {
   static _getNodeChanges(oldNode, newNode) {
     const changes = {};
     
-    const fieldsToCompare = ['title', 'isCompleted', 'completedAt'];
+    const fieldsToCompare = ['videoId', 'title', 'isCompleted', 'completedAt', 'notes'];
     
     for (const field of fieldsToCompare) {
       if (oldNode[field] !== newNode[field]) {
@@ -158,7 +165,7 @@ class DiffComputer {
     const result = { ...baseState };
 
     // Apply simple field diffs
-    ['title', 'description', 'status', 'visibility'].forEach(field => {
+    [...MERGE_FIELDS, 'readinessScore'].forEach(field => {
       if (diff[field]) {
         result[field] = diff[field].to;
       }
@@ -228,6 +235,210 @@ class DiffComputer {
     return result;
   }
 
+  /**
+   * Three-way merge: apply the changes from base to target on top of current.
+   *
+   * Changes made on only one side merge automatically. Node, edge, skill and
+   * career additions/removals from both sides are combined. A conflict is
+   * raised when both sides changed the same thing differently:
+   * - field:       title, description, careerId, status or visibility
+   * - node_field:  the same field of the same node (title, notes, completion)
+   * - node_order:  the same node moved to different positions
+   * - node:        one side removed a node the other side changed, or both
+   *                added the same node id with different content
+   *
+   * @param {Object} base - Common ancestor snapshot
+   * @param {Object} current - Current path state ("ours")
+   * @param {Object} target - Target snapshot ("theirs")
+   * @param {Object} [resolutions] - conflictId -> 'current' | 'target'
+   * @returns {Object} { merged, conflicts, unresolvedCount, droppedEdges,
+   *   validation, summary } - merged holds the current side of unresolved
+   *   conflicts; each conflict has { id, type, base, current, target, resolution }
+   */
+  static mergeThreeWay(base, current, target, resolutions = {}) {
+    // Plain copies so dates compare by value and inputs stay untouched
+    [base, current, target] = [base, current, target].map(state => JSON.parse(JSON.stringify(state)));
+
+    const ours = this.computePathDiff(base, current);
+    const theirs = this.computePathDiff(base, target);
+    const merged = {
+      ...current,
+      structureGraph: {
+        nodes: [...(current.structureGraph?.nodes || [])],
+        edges: [...(current.structureGraph?.edges || [])]
+      }
+    };
+    const conflicts = [];
+    const restoredIds = new Set();
+
+    const findNode = (state, id) => state.structureGraph?.nodes?.find(n => n.id === id) || null;
+    const mergedNode = (id) => merged.structureGraph.nodes.find(n => n.id === id);
+    const setNode = (id, node) => {
+      const others = merged.structureGraph.nodes.filter(n => n.id !== id);
+      merged.structureGraph.nodes = node ? [...others, { ...node }] : others;
+    };
+    const addConflict = (conflict, applyTarget) => {
+      const resolution = ['current', 'target'].includes(resolutions[conflict.id])
+        ? resolutions[conflict.id]
+        : null;
+      if (resolution === 'target') applyTarget();
+      conflicts.push({ ...conflict, resolution });
+    };
+
+    // Scalar fields
+    MERGE_FIELDS.forEach(field => {
+      const theirChange = theirs[field];
+      if (!theirChange) return;
+
+      const ourChange = ours[field];
+      if (ourChange && ourChange.to !== theirChange.to) {
+        addConflict(
+          { id: `field:${field}`, type: 'field', field, base: theirChange.from, current: ourChange.to, target: theirChange.to },
+          () => { merged[field] = theirChange.to; }
+        );
+      } else {
+        merged[field] = theirChange.to;
+      }
+    });
+
+    // Nodes
+    const ourAdded = new Map(ours.nodes.added.map(n => [n.id, n]));
+    const ourRemoved = new Set(ours.nodes.removed.map(n => n.id));
+    const ourModified = new Map(ours.nodes.modified.map(m => [m.id, m.changes]));
+    const ourReordered = new Map(ours.nodes.reordered.map(r => [r.id, r.to]));
+
+    theirs.nodes.added.forEach(node => {
+      const ourNode = ourAdded.get(node.id);
+      if (!ourNode) {
+        setNode(node.id, node);
+      } else if (this._nodeContentDiffers(ourNode, node)) {
+        addConflict(
+          { id: `node:${node.id}`, type: 'node', nodeId: node.id, base: null, current: ourNode, target: node },
+          () => setNode(node.id, node)
+        );
+      }
+    });
+
+    theirs.nodes.removed.forEach(node => {
+      if (ourRemoved.has(node.id)) return;
+
+      if (ourModified.has(node.id) || ourReordered.has(node.id)) {
+        addConflict(
+          { id: `node:${node.id}`, type: 'node', nodeId: node.id, base: node, current: findNode(current, node.id), target: null },
+          () => setNode(node.id, null)
+        );
+      } else {
+        setNode(node.id, null);
+      }
+    });
+
+    theirs.nodes.modified.forEach(({ id, changes }) => {
+      if (ourRemoved.has(id)) {
+        addConflict(
+          { id: `node:${id}`, type: 'node', nodeId: id, base: findNode(base, id), current: null, target: findNode(target, id) },
+          () => {
+            setNode(id, findNode(target, id));
+            restoredIds.add(id);
+          }
+        );
+        return;
+      }
+
+      Object.entries(changes).forEach(([field, change]) => {
+        const ourChange = ourModified.get(id)?.[field];
+        if (ourChange && ourChange.to !== change.to) {
+          addConflict(
+            { id: `node:${id}:${field}`, type: 'node_field', nodeId: id, field, base: change.from, current: ourChange.to, target: change.to },
+            () => { mergedNode(id)[field] = change.to; }
+          );
+        } else {
+          mergedNode(id)[field] = change.to;
+        }
+      });
+    });
+
+    theirs.nodes.reordered.forEach(({ id, from, to }) => {
+      if (ourRemoved.has(id)) return; // Covered by the node conflict if it was also modified
+
+      if (ourReordered.has(id) && ourReordered.get(id) !== to) {
+        addConflict(
+          { id: `order:${id}`, type: 'node_order', nodeId: id, base: from, current: ourReordered.get(id), target: to },
+          () => { mergedNode(id).order = to; }
+        );
+      } else {
+        mergedNode(id).order = to;
+      }
+    });
+
+    // Edges: apply their removals and additions, then drop edges left
+    // pointing at nodes that no longer exist
+    const edgeKey = (e) => `${e.from}->${e.to}`;
+    const theirRemovedEdges = new Set(theirs.edges.removed.map(edgeKey));
+    const mergedEdges = merged.structureGraph.edges.filter(e => !theirRemovedEdges.has(edgeKey(e)));
+    const mergedEdgeKeys = new Set(mergedEdges.map(edgeKey));
+    theirs.edges.added.forEach(edge => {
+      if (!mergedEdgeKeys.has(edgeKey(edge))) {
+        mergedEdges.push(edge);
+        mergedEdgeKeys.add(edgeKey(edge));
+      }
+    });
+
+    // A node brought back from the target also gets the target's edges to it
+    const mergedIds = new Set(merged.structureGraph.nodes.map(n => n.id));
+    (target.structureGraph?.edges || []).forEach(edge => {
+      const touchesRestored = restoredIds.has(edge.from) || restoredIds.has(edge.to);
+      if (touchesRestored && mergedIds.has(edge.from) && mergedIds.has(edge.to) &&
+          !mergedEdgeKeys.has(edgeKey(edge))) {
+        mergedEdges.push(edge);
+        mergedEdgeKeys.add(edgeKey(edge));
+      }
+    });
+
+    const droppedEdges = mergedEdges.filter(e => !mergedIds.has(e.from) || !mergedIds.has(e.to));
+    merged.structureGraph.edges = mergedEdges.filter(e => mergedIds.has(e.from) && mergedIds.has(e.to));
+    merged.structureGraph.nodes.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+    // Skills and careers
+    merged.inferredSkills = this._mergeArray(current.inferredSkills, theirs.skills);
+    merged.inferredCareers = this._mergeArray(current.inferredCareers, theirs.careers);
+
+    const unresolvedCount = conflicts.filter(c => !c.resolution).length;
+
+    return {
+      merged,
+      conflicts,
+      unresolvedCount,
+      droppedEdges,
+      validation: PathGraphValidator.validate(merged.structureGraph),
+      summary: this.summarizeDiff(this.computePathDiff(current, merged))
+    };
+  }
+
+  /**
+   * Whether two versions of the same node differ in content
+   */
+  static _nodeContentDiffers(a, b) {
+    return a.videoId !== b.videoId || Object.keys(this._getNodeChanges(a, b)).length > 0;
+  }
+
+  /**
+   * Apply an array diff on top of another array
+   */
+  static _mergeArray(array = [], diff) {
+    const items = new Set(array);
+    diff.removed.forEach(item => items.delete(item));
+    diff.added.forEach(item => items.add(item));
+    return [...items];
+  }
+
+  /**
+   * Whether a computePathDiff result contains any change
+   */
+  static hasChanges(diff) {
+    return [...MERGE_FIELDS, 'readinessScore'].some(field => diff[field]) ||
+      ['nodes', 'edges', 'skills', 'careers'].some(key => diff[key]?.hasChanges);
+  }
+
   /**
    * Summarize diff for human-readable display
    */
@@ -254,6 +465,12 @@ class DiffComputer {
         if (completions.length > 0) {
           summary.push(`Marked ${completions.length} video(s) as completed`);
         }
+        const edits = diff.nodes.modified.filter(m =>
+          Object.keys(m.changes).some(field => !['isCompleted', 'completedAt'].includes(field))
+        );
+        if (edits.length > 0) {
+          summary.push(`Updated ${edits.length} video(s)`);
+        }
       }
       if (diff.nodes.reordered.length > 0) {
         summary.push(`Reordered ${diff.nodes.reordered.length} video(s)`);
@@ -115,16 +115,29 @@ class EventService {
     }
   }
 
+  /**
+   * Record quiz start
+   */
+  static async quizStarted(userId, quizId, maxScore) {
+    return this.recordAssessmentEvent(userId, 'quiz_started', {
+      quizId,
+      maxScore
+    });
+  }
+
   /**
    * Record quiz completion
+   * @param {Object} [details] - { questionsAnswered, correctAnswers }
    */
-  static async quizCompleted(userId, quizId, score, maxScore, passingScore, timeTaken, passed) {
+  static async quizCompleted(userId, quizId, score, maxScore, passingScore, timeTaken, passed, details = {}) {
     return this.recordAssessmentEvent(userId, passed ? 'quiz_passed' : 'quiz_failed', {
       quizId,
       score,
       maxScore,
       passingScore,
-      timeTaken
+      timeTaken,
+      questionsAnswered: details.questionsAnswered,
+      correctAnswers: details.correctAnswers
     });
   }
 
@@ -159,14 +172,18 @@ class EventService {
 
   /**
    * Record skill update
+   * @param {Object} [details] - { changeReason, skillRawScore, decayPoints }
    */
-  static async skillUpdated(userId, skillName, skillBefore, skillAfter, skillLevel, xpEarned = 0) {
+  static async skillUpdated(userId, skillName, skillBefore, skillAfter, skillLevel, xpEarned = 0, details = {}) {
     return this.recordSkillEvent(userId, 'skill_updated', {
       skillName,
       skillBefore,
       skillAfter,
       skillLevel,
-      xpEarned
+      xpEarned,
+      changeReason: details.changeReason,
+      skillRawScore: details.skillRawScore,
+      decayPoints: details.decayPoints
     });
   }
 
@@ -3,6 +3,9 @@ const FreeResource = require('../models/FreeResource');
 const YouTubeAnalysisCache = require('../models/YouTubeAnalysisCache');
 const youtubeService = require('./YouTubeService');
 const groqService = require('./GroqService');
+const skillTaxonomy = require('./SkillTaxonomyService');
+const { RECORD_SCHEMAS } = require('./AISchemas');
+const { assertValid } = require('./SchemaValidator');
 
 /**
  * FreeResourceService - Business logic layer for free resources
@@ -37,13 +40,14 @@ class FreeResourceService extends BaseService {
    * Analyze a YouTube video URL
    * Returns video details and AI evaluation
    * @param {string} url - YouTube video or playlist URL
+   * @param {Object} [context] - { userId } for AI usage accounting
    * @returns {Promise<Object>} Analysis result
    */
-  async analyzeVideo(url) {
+  async analyzeVideo(url, context = {}) {
     try {
       // Check if this is a playlist URL
       if (youtubeService.isPlaylistUrl(url)) {
-        return this.analyzePlaylist(url);
+        return this.analyzePlaylist(url, context);
       }
 
       // Validate URL
@@ -102,7 +106,7 @@ class FreeResourceService extends BaseService {
       const comments = await youtubeService.getVideoComments(videoId, 30);
 
       // Get AI evaluation
-      const evaluation = await groqService.evaluateVideoQuality(videoData, comments);
+      const evaluation = await groqService.evaluateVideoQuality(videoData, comments, context);
 
       // Calculate engagement metrics
       const engagement = youtubeService.calculateEngagement(videoData.statistics);
@@ -150,6 +154,16 @@ class FreeResourceService extends BaseService {
       const subcategory = evaluation.detectedSubcategory || '';
       const tags = this.extractTags(evaluation, videoData);
 
+      // Tags become saved videos' skills; queue unknown ones for taxonomy review
+      skillTaxonomy.recordUnknownTags(tags, { videoId })
+        .catch(err => this.log('warn', `Failed to queue unknown tags: ${err.message}`));
+
+      const analysisData = assertValid(
+        RECORD_SCHEMAS.videoAnalysis,
+        { evaluation, engagement },
+        'videoAnalysis'
+      );
+
       const cacheEntry = new YouTubeAnalysisCache({
         youtubeId: videoId,
         type: 'video',
@@ -157,10 +171,11 @@ class FreeResourceService extends BaseService {
         channelName: videoData.channelTitle,
         thumbnail: videoData.thumbnails?.high?.url || videoData.thumbnails?.medium?.url,
         duration: videoData.duration,
+        description: videoData.description?.substring(0, 1000),
         category,
         subcategory,
         tags,
-        analysisData: { evaluation, engagement }
+        analysisData
       });
 
       await cacheEntry.save();
@@ -231,6 +246,12 @@ class FreeResourceService extends BaseService {
         });
       }
 
+      const analysisData = assertValid(
+        RECORD_SCHEMAS.playlistAnalysis,
+        { evaluation: result.evaluation, aggregateStats: result.aggregateStats },
+        'playlistAnalysis'
+      );
+
       const cacheEntry = new YouTubeAnalysisCache({
         youtubeId: playlistId,
         type: 'playlist',
@@ -241,10 +262,7 @@ class FreeResourceService extends BaseService {
         category,
         subcategory: '',
         tags: [...allTags].slice(0, 10),
-        analysisData: {
-          evaluation: result.evaluation,
-          aggregateStats: result.aggregateStats
-        }
+        analysisData
       });
 
       await cacheEntry.save();
@@ -260,9 +278,10 @@ class FreeResourceService extends BaseService {
    * Analyze a YouTube playlist
    * Evaluates multiple videos and provides aggregate assessment
    * @param {string} url - YouTube playlist URL
+   * @param {Object} [context] - { userId } for AI usage accounting
    * @returns {Promise<Object>} Playlist analysis result
    */
-  async analyzePlaylist(url) {
+  async analyzePlaylist(url, context = {}) {
     try {
       const playlistId = youtubeService.extractPlaylistId(url);
       if (!playlistId) {
@@ -343,7 +362,7 @@ class FreeResourceService extends BaseService {
           const comments = await youtubeService.getVideoComments(video.id, 20);
           
           // Get AI evaluation
-          const evaluation = await groqService.evaluateVideoQuality(video, comments);
+          const evaluation = await groqService.evaluateVideoQuality(video, comments, context);
           
           videoAnalyses.push({
             videoId: video.id,
@@ -491,6 +510,129 @@ class FreeResourceService extends BaseService {
     }
   }
 
+  /**
+   * Score every video in a playlist, in playlist order
+   * Unlike analyzePlaylist (which samples a few videos for an aggregate
+   * verdict), each video is evaluated or read from the analysis cache.
+   * @param {string} url - YouTube playlist URL
+   * @param {Object} [options] - { maxVideos, onProgress(done, total) }
+   * @param {Object} [context] - { userId } for AI usage accounting
+   * @returns {Promise<Object>} { playlistData, videos: [{ videoId, position, title,
+   *   channelName, duration, thumbnail, available, evaluation, analysisData,
+   *   tags, category, subcategory, fromCache }] }
+   *   evaluation is null when the video could not be analyzed
+   */
+  async analyzePlaylistVideos(url, options = {}, context = {}) {
+    const { maxVideos = 50, onProgress } = options;
+
+    try {
+      const playlistId = youtubeService.extractPlaylistId(url);
+      if (!playlistId) {
+        throw new Error('Invalid playlist URL');
+      }
+
+      this.log('info', `Scoring playlist videos: ${playlistId}`);
+
+      const playlistDetails = await youtubeService.getPlaylistDetails(playlistId);
+      const playlistItems = await youtubeService.getPlaylistItems(playlistId, maxVideos);
+
+      if (!playlistItems || playlistItems.length === 0) {
+        throw new Error('Playlist is empty or private');
+      }
+
+      const videoDetails = await youtubeService.getMultipleVideoDetails(
+        playlistItems.map(item => item.videoId)
+      );
+      const detailsById = new Map(videoDetails.map(video => [video.id, video]));
+
+      const videos = [];
+      for (const [index, item] of playlistItems.entries()) {
+        const video = detailsById.get(item.videoId);
+
+        // Private and deleted videos have no details
+        if (!video) {
+          videos.push({
+            videoId: item.videoId,
+            position: item.position ?? index,
+            title: item.title,
+            available: false,
+            evaluation: null
+          });
+        } else {
+          videos.push({
+            videoId: video.id,
+            position: item.position ?? index,
+            title: video.title,
+            channelName: video.channelTitle,
+            duration: video.duration,
+            thumbnail: video.thumbnails?.high?.url || video.thumbnails?.medium?.url,
+            available: true,
+            ...await this._scorePlaylistVideo(video, context)
+          });
+        }
+
+        if (onProgress) await onProgress(index + 1, playlistItems.length);
+      }
+
+      return {
+        playlistData: {
+          playlistId,
+          title: playlistDetails.title,
+          description: playlistDetails.description?.substring(0, 500),
+          thumbnail: playlistDetails.thumbnail,
+          channelName: playlistDetails.channelTitle,
+          videoCount: playlistDetails.videoCount
+        },
+        videos
+      };
+    } catch (error) {
+      this.handleError(error, 'analyzePlaylistVideos');
+    }
+  }
+
+  /**
+   * Evaluation for one playlist video, from the analysis cache when possible
+   */
+  async _scorePlaylistVideo(video, context) {
+    try {
+      const cachedAnalysis = await YouTubeAnalysisCache.findByYoutubeId(video.id);
+      if (cachedAnalysis) {
+        return {
+          evaluation: cachedAnalysis.analysisData.evaluation,
+          analysisData: cachedAnalysis.analysisData,
+          tags: cachedAnalysis.tags || [],
+          category: cachedAnalysis.category,
+          subcategory: cachedAnalysis.subcategory,
+          fromCache: true
+        };
+      }
+    } catch (cacheError) {
+      this.log('warn', `Cache check failed: ${cacheError.message}`);
+    }
+
+    try {
+      const comments = await youtubeService.getVideoComments(video.id, 20);
+      const evaluation = await groqService.evaluateVideoQuality(video, comments, context);
+      const engagement = youtubeService.calculateEngagement(video.statistics);
+
+      if (evaluation.isProgrammingTutorial) {
+        await this.saveVideoToCache(video.id, video, evaluation, engagement);
+      }
+
+      return {
+        evaluation,
+        analysisData: { evaluation, engagement },
+        tags: this.extractTags(evaluation, video),
+        category: this.mapToCategory(evaluation.detectedCategory),
+        subcategory: evaluation.detectedSubcategory || '',
+        fromCache: false
+      };
+    } catch (error) {
+      this.log('warn', `Failed to analyze video ${video.id}: ${error.message}`);
+      return { evaluation: null, tags: (video.tags || []).slice(0, 5).map(t => t.toLowerCase()) };
+    }
+  }
+
   /**
    * Generate a summary for playlist analysis
    */
@@ -515,11 +657,12 @@ class FreeResourceService extends BaseService {
   }
 
   /**
-   * Parse duration string to minutes
+   * Parse duration string ("1:30:45" or "45:30") to minutes, 0 if unparseable
    */
   parseDurationToMinutes(duration) {
     if (!duration) return 0;
     const parts = duration.split(':').map(Number);
+    if (parts.some(Number.isNaN)) return 0;
     if (parts.length === 3) {
       return parts[0] * 60 + parts[1] + parts[2] / 60;
     } else if (parts.length === 2) {
@@ -1,9 +1,12 @@
 const BaseService = require('./BaseService');
-const axios = require('axios');
+const llmClient = require('./LLMClient');
+const promptRegistry = require('./PromptRegistry');
+const { AIOutputValidationError } = llmClient;
 
 /**
- * GroqService - Service for AI-powered video quality evaluation using Groq
+ * GroqService - Service for AI-powered video quality evaluation
  * Extends BaseService for common functionality
+ * Completions go through LLMClient (Groq by default, see LLM_PROVIDER)
  * 
  * This service provides HONEST, CRITICAL assessments of tutorial quality
  * by analyzing video metadata, comments, and engagement patterns
@@ -11,163 +14,57 @@ const axios = require('axios');
 class GroqService extends BaseService {
   constructor() {
     super('GroqService');
-    this.apiKeys = [
-      process.env.GROQ_API_KEY,
-      process.env.GROQ_API_KEY2
-    ].filter(Boolean); // Filter out undefined/empty keys
-    this.currentKeyIndex = 0;
-    this.baseUrl = 'https://api.groq.com/openai/v1/chat/completions';
-    this.model = 'llama-3.3-70b-versatile';
     this.cacheTimeout = 60 * 60 * 1000; // 1 hour for AI evaluations
   }
 
-  /**
-   * Get current API key
-   * @returns {string} Current API key
-   */
-  get apiKey() {
-    return this.apiKeys[this.currentKeyIndex];
-  }
-
-  /**
-   * Switch to the next available API key
-   * @returns {boolean} True if switched successfully, false if no more keys
-   */
-  switchToNextKey() {
-    if (this.currentKeyIndex < this.apiKeys.length - 1) {
-      this.currentKeyIndex++;
-      this.log('info', `Switched to API key ${this.currentKeyIndex + 1} of ${this.apiKeys.length}`);
-      return true;
-    }
-    return false;
-  }
-
-  /**
-   * Reset to the first API key
-   */
-  resetApiKey() {
-    this.currentKeyIndex = 0;
-  }
-
-  /**
-   * Check if an error is a rate limit or auth error that warrants key switching
-   * @param {Error} error - The error to check
-   * @returns {boolean} True if error is rate limit or auth related
-   */
-  isRateLimitOrAuthError(error) {
-    // Check response status code
-    const statusCode = error.response?.status;
-    if (statusCode === 429 || statusCode === 401) {
-      return true;
-    }
-    
-    // Also check error message for rate limit indicators (fallback)
-    const message = (error.message || '').toLowerCase();
-    if (message.includes('429') || message.includes('rate limit') || message.includes('too many requests')) {
-      return true;
-    }
-    
-    return false;
-  }
-
-  /**
-   * Make API call with automatic fallback to secondary key on rate limit
-   * @param {Function} apiCall - Function that makes the API call (receives apiKey as param)
-   * @returns {Promise<*>} API response
-   */
-  async withApiKeyFallback(apiCall) {
-    let lastError;
-    const totalKeys = this.apiKeys.length;
-    
-    // Try each API key
-    for (let keyAttempt = 0; keyAttempt < totalKeys; keyAttempt++) {
-      try {
-        this.log('info', `Trying API key ${this.currentKeyIndex + 1} of ${totalKeys}`);
-        return await apiCall(this.apiKey);
-      } catch (error) {
-        lastError = error;
-        
-        // Check if this is a rate limit or auth error
-        if (this.isRateLimitOrAuthError(error)) {
-          this.log('warn', `API key ${this.currentKeyIndex + 1} rate limited or auth failed: ${error.message}`);
-          
-          // Try next key if available
-          if (keyAttempt < totalKeys - 1) {
-            this.switchToNextKey();
-            this.log('info', `Switching to API key ${this.currentKeyIndex + 1}...`);
-          } else {
-            this.log('error', 'All API keys exhausted (rate limited or auth failed)');
-          }
-        } else {
-          // For other errors, don't switch keys - just throw
-          throw error;
-        }
-      }
-    }
-    
-    // Reset to first key for next request cycle
-    this.resetApiKey();
-    
-    // All keys exhausted
-    throw lastError;
-  }
-
   /**
    * Evaluate video quality based on metadata and comments
    * @param {Object} videoData - Video metadata from YouTube API
    * @param {Object[]} comments - Array of video comments
+   * @param {Object} [context] - { userId } for usage accounting
    * @returns {Promise<Object>} AI evaluation result
    */
-  async evaluateVideoQuality(videoData, comments) {
+  async evaluateVideoQuality(videoData, comments, context = {}) {
     const cacheKey = `eval_${videoData.id}`;
     const cached = this.getFromCache(cacheKey);
     if (cached) return cached;
 
-    // Check if any API key is configured
-    if (this.apiKeys.length === 0) {
-      throw new Error('GROQ API key is not configured. Please add GROQ_API_KEY to your .env file.');
+    // Check if the AI provider is configured
+    if (!llmClient.isConfigured()) {
+      throw new Error('AI provider is not configured. Please add GROQ_API_KEY to your .env file.');
     }
 
     try {
       // Analyze comments first
       const commentAnalysis = this.analyzeComments(comments);
       
-      const prompt = this.buildEvaluationPrompt(videoData, comments, commentAnalysis);
+      const prompt = await promptRegistry.render(
+        'videoEvaluation',
+        this.buildEvaluationVariables(videoData, comments, commentAnalysis),
+        { assignmentKey: videoData.id }
+      );
       
-      const response = await this.withApiKeyFallback(async (apiKey) => {
-        return axios.post(
-          this.baseUrl,
-          {
-            model: this.model,
-            messages: [
-              {
-                role: 'system',
-                content: this.getSystemPrompt()
-              },
-              {
-                role: 'user',
-                content: prompt
-              }
-            ],
-            temperature: 0.2, // Lower temperature for more consistent, analytical responses
-            max_tokens: 1500,
-            response_format: { type: 'json_object' }
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-      });
+      const { data: aiResponse } = await llmClient.completeStructured(
+        prompt.messages,
+        'videoEvaluation',
+        {
+          temperature: 0.2, // Lower temperature for more consistent, analytical responses
+          maxTokens: 1500,
+          feature: 'video_analysis',
+          userId: context.userId,
+          promptVersion: prompt.version
+        }
+      );
 
-      const aiResponse = JSON.parse(response.data.choices[0].message.content);
-      const result = this.processEvaluationResult(aiResponse, videoData, commentAnalysis);
+      const result = {
+        ...this.processEvaluationResult(aiResponse, videoData, commentAnalysis),
+        promptVersion: prompt.version
+      };
       
       this.setCache(cacheKey, result);
       return result;
     } catch (error) {
+      if (error instanceof AIOutputValidationError) throw error;
       this.handleError(error, 'evaluateVideoQuality');
     }
   }
@@ -286,169 +183,13 @@ class GroqService extends BaseService {
   }
 
   /**
-   * Get system prompt for video evaluation
-   * @returns {string} System prompt
-   */
-  getSystemPrompt() {
-    return `You are a FAIR, EVIDENCE-BASED, and CRITICAL educational content evaluator for CodeLearnn, a platform that helps learners discover high-quality programming tutorials and avoid misleading, outdated, or low-value content.
-
-Your goal is ACCURATE assessment, not harshness and not hype.
-
-You must judge based on actual learning value.
-
-==============================
-PHASE 0 — RELEVANCE CHECK (MANDATORY)
-==============================
-
-First determine whether the video is genuinely about programming or technical education.
-
-Valid topics include:
-- Programming, software development
-- Web, mobile, backend, frontend development
-- Data science, machine learning, AI
-- DevOps, cloud, infrastructure
-- Computer science, algorithms, data structures
-- Developer tools, IDEs, version control
-
-If the video is NOT about programming or technical education (e.g., entertainment, vlogs, gaming, podcasts, music, fitness, news, etc.):
-- Set "isProgrammingTutorial": false
-- Set "detectedCategory" to what it actually is
-- Set ALL numeric scores to 0
-- Set "overallRecommendation": "not_applicable"
-- Summary must clearly explain that this is not a programming tutorial
-
-Do not evaluate further.
-
-==============================
-PHASE 1 — EVIDENCE COLLECTION (NO SCORING YET)
-==============================
-
-Internally identify:
-- Main topics covered
-- Intended audience level: beginner / intermediate / advanced
-- Teaching style: conceptual, code-along, deep-dive, reference / overview
-
-Collect positive signals:
-- Clear explanations
-- Logical structure
-- Explains "why", not only "what"
-- Real-world reasoning or use cases
-- Edge cases or limitations mentioned
-- Many comments reporting success or understanding
-- Long, technical discussion in comments
-
-Collect negative signals:
-- Repeated confusion
-- Repeated bug reports
-- Repeated "doesn't work" / "wrong"
-- Repeated "outdated" warnings
-- Logical errors or misleading claims
-- Title/content mismatch
-
-==============================
-PHASE 2 — WEIGHTED INTERPRETATION (IMPORTANT)
-==============================
-
-Judge by proportion and severity, not by existence:
-- A few negative comments among many positive ones = small penalty
-- Many negative comments = large penalty
-- Highly-liked critical comments matter more than random complaints
-
-Consider audience mismatch:
-- Beginner confusion on advanced content = small or no penalty
-- Confusion among the target audience = big penalty
-
-==============================
-PHASE 3 — CONTEXT & REPUTATION SIGNALS
-==============================
-
-You may apply a small positive adjustment if:
-- The video is part of a well-received playlist
-- The creator consistently produces well-received technical content
-- Many users mention using this in real projects
-
-These are weak positive signals, not proof of quality by themselves.
-
-==============================
-PHASE 4 — SCORING PHILOSOPHY
-==============================
-
-Start from a neutral baseline of 6
-Move scores up or down based on evidence
-
-Do NOT apply hard caps unless the problem is:
-- Repeated
-- Severe
-- Clearly confirmed
-
-Hard penalties apply ONLY if:
-- Many users report "doesn't work", "wrong", or serious bugs
-- Or the content is clearly outdated
-- Or the core explanation is incorrect or misleading
-
-==============================
-PHASE 5 — SCORING SCALE
-==============================
-
-3–4: Bad / misleading
-5: Weak
-6: Average
-7: Good
-8: Very good
-9: Excellent
-10: Exceptional (rare)
-
-==============================
-PHASE 6 — CONSISTENCY CHECK
-==============================
-
-Before finalizing:
-- Scores must match listed strengths and weaknesses
-- Summary must match the scores
-- Recommendation must reflect the most serious weakness
-- If unsure, be conservative but fair.
-
-==============================
-PHASE 7 — OUTPUT FORMAT (STRICT JSON)
-==============================
-
-You MUST respond with VALID JSON ONLY in exactly this format:
-
-{
-  "isProgrammingTutorial": true,
-  "detectedCategory": "<topic or non-programming category>",
-  "contentQuality": <1-10 or 0>,
-  "teachingClarity": <1-10 or 0>,
-  "practicalValue": <1-10 or 0>,
-  "upToDateScore": <1-10 or 0>,
-  "commentSentiment": <1-10 or 0>,
-  "overallRecommendation": "<strongly_recommend|recommend|neutral|caution|avoid|not_applicable>",
-  "strengths": ["<specific, evidence-based strength>"],
-  "weaknesses": ["<specific, evidence-based weakness>"],
-  "redFlags": ["<serious concern, if any>"],
-  "recommendedFor": "<who benefits>",
-  "notRecommendedFor": "<who should avoid>",
-  "summary": "<2–3 sentence honest assessment>"
-}
-
-==============================
-FINAL DIRECTIVE
-==============================
-
-Your job is to accurately estimate real learning value.
-Do NOT overrate because of popularity.
-Do NOT underrate because of a few complaints.
-Be fair, evidence-based, and useful to learners.`;
-  }
-
-  /**
-   * Build evaluation prompt from video data
+   * Build the videoEvaluation prompt variables from video data
    * @param {Object} videoData - Video metadata
    * @param {Object[]} comments - Video comments
    * @param {Object} commentAnalysis - Pre-analyzed comment data
-   * @returns {string} Formatted prompt
+   * @returns {Object} Template variables
    */
-  buildEvaluationPrompt(videoData, comments, commentAnalysis) {
+  buildEvaluationVariables(videoData, comments, commentAnalysis) {
     // Categorize comments by sentiment for the AI
     const sortedComments = [...comments].sort((a, b) => (b.likeCount || 0) - (a.likeCount || 0));
     
@@ -484,96 +225,62 @@ Be fair, evidence-based, and useful to learners.`;
       ? ((videoData.statistics.commentCount / videoData.statistics.viewCount) * 100).toFixed(3)
       : 0;
 
-    return `EVALUATE THIS PROGRAMMING TUTORIAL CRITICALLY:
-
-═══════════════════════════════════════════════════════════
-VIDEO METADATA
-═══════════════════════════════════════════════════════════
-Title: ${videoData.title}
-Channel: ${videoData.channelTitle}
-Duration: ${videoData.duration}
-Published: ${videoData.publishedAt || 'Unknown'}
-
-Description (first 600 chars):
-${videoData.description?.substring(0, 600) || 'No description provided'}
-
-Tags: ${videoData.tags?.slice(0, 15).join(', ') || 'None'}
-
-═══════════════════════════════════════════════════════════
-ENGAGEMENT STATISTICS
-═══════════════════════════════════════════════════════════
-Views: ${videoData.statistics.viewCount.toLocaleString()}
-Likes: ${videoData.statistics.likeCount.toLocaleString()}
-Comments: ${videoData.statistics.commentCount.toLocaleString()}
-Like Ratio: ${likeRatio}% (typical good: 3-5%)
-Comment Ratio: ${commentRatio}% (typical: 0.1-0.5%)
-
-═══════════════════════════════════════════════════════════
-COMMENT ANALYSIS (Pre-processed)
-═══════════════════════════════════════════════════════════
-Total Comments Analyzed: ${commentAnalysis.totalAnalyzed}
-Positive Comments: ${commentAnalysis.positiveCount} (${commentAnalysis.totalAnalyzed > 0 ? Math.round(commentAnalysis.positiveCount / commentAnalysis.totalAnalyzed * 100) : 0}%)
-Negative Comments: ${commentAnalysis.negativeCount} (${commentAnalysis.totalAnalyzed > 0 ? Math.round(commentAnalysis.negativeCount / commentAnalysis.totalAnalyzed * 100) : 0}%)
-Questions Asked: ${commentAnalysis.questionsCount}
-Complaints: ${commentAnalysis.complaintsCount}
-Confusion Indicators: ${commentAnalysis.confusionIndicators}
-Outdated Mentions: ${commentAnalysis.outdatedIndicators}
-Overall Sentiment: ${commentAnalysis.overallSentiment.toUpperCase()}
-
-═══════════════════════════════════════════════════════════
-POSITIVE COMMENTS (Most Liked)
-═══════════════════════════════════════════════════════════
-${topPositiveComments || 'No clearly positive comments found'}
-
-═══════════════════════════════════════════════════════════
-NEGATIVE/CRITICAL COMMENTS (Most Liked) ⚠️ PAY ATTENTION
-═══════════════════════════════════════════════════════════
-${topNegativeComments || 'No clearly negative comments found'}
-
-═══════════════════════════════════════════════════════════
-QUESTIONS FROM VIEWERS
-═══════════════════════════════════════════════════════════
-${topQuestions || 'No questions found'}
-
-═══════════════════════════════════════════════════════════
-YOUR TASK
-═══════════════════════════════════════════════════════════
-Based on ALL the above information, provide an HONEST evaluation.
-
-KEY THINGS TO CHECK:
-1. Is the title clickbait-y? Does the content likely match the promise?
-2. Are there comments mentioning confusion, errors, or outdated content?
-3. Is the video age concerning for a fast-moving tech topic?
-4. Do questions suggest the video failed to explain key concepts?
-5. Is this actually educational or just entertainment?
-
-Respond with your JSON evaluation now:`;
+    const percentOfAnalyzed = (count) => commentAnalysis.totalAnalyzed > 0
+      ? Math.round(count / commentAnalysis.totalAnalyzed * 100)
+      : 0;
+
+    return {
+      title: videoData.title,
+      channelTitle: videoData.channelTitle,
+      duration: videoData.duration,
+      publishedAt: videoData.publishedAt || 'Unknown',
+      description: videoData.description?.substring(0, 600) || 'No description provided',
+      tags: videoData.tags?.slice(0, 15).join(', ') || 'None',
+      viewCount: videoData.statistics.viewCount.toLocaleString(),
+      likeCount: videoData.statistics.likeCount.toLocaleString(),
+      commentCount: videoData.statistics.commentCount.toLocaleString(),
+      likeRatio,
+      commentRatio,
+      totalAnalyzed: commentAnalysis.totalAnalyzed,
+      positiveCount: commentAnalysis.positiveCount,
+      positivePercent: percentOfAnalyzed(commentAnalysis.positiveCount),
+      negativeCount: commentAnalysis.negativeCount,
+      negativePercent: percentOfAnalyzed(commentAnalysis.negativeCount),
+      questionsCount: commentAnalysis.questionsCount,
+      complaintsCount: commentAnalysis.complaintsCount,
+      confusionIndicators: commentAnalysis.confusionIndicators,
+      outdatedIndicators: commentAnalysis.outdatedIndicators,
+      overallSentiment: commentAnalysis.overallSentiment.toUpperCase(),
+      positiveComments: topPositiveComments || 'No clearly positive comments found',
+      negativeComments: topNegativeComments || 'No clearly negative comments found',
+      questions: topQuestions || 'No questions found'
+    };
   }
 
   /**
    * Process AI evaluation result and calculate final score
-   * @param {Object} aiResponse - Raw AI response
+   * @param {Object} aiResponse - AI response validated against the videoEvaluation schema
    * @param {Object} videoData - Video metadata
    * @param {Object} commentAnalysis - Comment analysis data
    * @returns {Object} Processed evaluation with CodeLearnn score
    */
   processEvaluationResult(aiResponse, videoData, commentAnalysis) {
     const {
-      isProgrammingTutorial = true,
-      detectedCategory = 'programming',
-      contentQuality = 5,
-      teachingClarity = 5,
-      practicalValue = 5,
-      upToDateScore = 5,
-      commentSentiment = 5,
-      overallRecommendation = 'neutral',
-      evaluationConfidence = 'medium',
-      strengths = [],
-      weaknesses = [],
-      redFlags = [],
-      recommendedFor = 'General learners',
-      notRecommendedFor = '',
-      summary = ''
+      isProgrammingTutorial,
+      detectedCategory,
+      contentQuality,
+      teachingClarity,
+      practicalValue,
+      upToDateScore,
+      commentSentiment,
+      overallRecommendation,
+      evaluationConfidence,
+      strengths,
+      weaknesses,
+      redFlags,
+      recommendedFor,
+      notRecommendedFor,
+      summary
     } = aiResponse;
 
     // Handle non-programming videos
@@ -791,41 +498,42 @@ Respond with your JSON evaluation now:`;
   /**
    * Generic chat completion for flexible AI interactions
    * @param {Object[]} messages - Array of chat messages [{role, content}]
-   * @param {Object} options - Optional parameters
+   * @param {Object} options - Optional parameters (temperature, maxTokens,
+   *   model and provider overrides; feature, userId, promptType and
+   *   promptVersion for usage accounting)
    * @returns {Promise<string>} AI response text
    */
   async chat(messages, options = {}) {
-    if (this.apiKeys.length === 0) {
-      throw new Error('GROQ API key is not configured');
+    if (!llmClient.isConfigured(options.provider)) {
+      throw new Error('AI provider is not configured');
     }
 
-    const { temperature = 0.7, maxTokens = 2000 } = options;
+    const {
+      temperature = 0.7,
+      maxTokens = 2000,
+      model,
+      provider,
+      feature = 'chat',
+      userId,
+      promptType,
+      promptVersion
+    } = options;
 
     try {
-      const response = await this.withApiKeyFallback(async (apiKey) => {
-        return this.withRetry(async () => {
-          return axios.post(
-            this.baseUrl,
-            {
-              model: this.model,
-              messages,
-              temperature,
-              max_tokens: maxTokens
-            },
-            {
-              headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json'
-              },
-              timeout: 60000
-            }
-          );
-        });
+      const { content } = await llmClient.complete(messages, {
+        temperature,
+        maxTokens,
+        model,
+        provider,
+        feature,
+        userId,
+        promptType,
+        promptVersion
       });
 
-      return response.data.choices[0]?.message?.content || '';
+      return content;
     } catch (error) {
-      this.logError('Chat completion failed', error);
+      this.log('error', 'Chat completion failed', { error: error.message });
       throw error;
     }
   }
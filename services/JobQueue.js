@@ -1,72 +1,214 @@
 /**
  * Background Job Queue Service
- * 
+ *
  * Manages async processing for:
  * - Video analysis
  * - AI suggestion generation
  * - Readiness score recalculation
  * - Path inference updates
- * 
- * Uses in-memory queue with optional Bull/Redis for production
+ *
+ * Job state lives in a pluggable store (see JobStore.js). The default
+ * MongoDB store persists jobs, leases them to one worker at a time with a
+ * visibility timeout and recovers interrupted work on boot, so a pm2
+ * restart no longer drops pending or retrying jobs.
+ *
+ * Jobs can be looked up by id, cancelled while pending, and permanently
+ * failed jobs are kept as a dead-letter list until re-queued.
+ *
+ * Schedules enqueue jobs on a cron expression or at a fixed time. They are
+ * checked on every poll and claimed atomically in the store, so only one
+ * process in a pm2 cluster fires a given run.
+ *
+ * Each job type can have its own concurrency cap and token-bucket rate
+ * limit (see register). Runnable jobs are leased strictly by priority
+ * then age across all types, and delayed jobs wait in the store instead
+ * of holding a worker slot.
+ *
+ * Concurrency caps and rate limits are kept in memory and apply per
+ * process, not per cluster: with pm2 running N instances (ecosystem.config.js
+ * uses one per CPU), a type can run up to N times its limits overall.
+ * Set them with that in mind.
  */
 
+const os = require('os');
+const { MemoryJobStore, MongoJobStore } = require('./JobStore');
+const CronExpression = require('./CronExpression');
+
+// Lower value is leased first. add() also accepts a number directly.
+const PRIORITY_LEVELS = {
+  critical: 0,
+  high: 1,
+  normal: 2,
+  low: 3,
+  background: 4
+};
+
+/**
+ * Token bucket used for per-type rate limits.
+ * Holds up to `tokens` tokens and refills them evenly over `intervalMs`.
+ * Each process has its own buckets (see the module doc).
+ */
+class TokenBucket {
+  constructor({ tokens, intervalMs }) {
+    this.capacity = tokens;
+    this.refillRate = tokens / intervalMs; // tokens per ms
+    this.tokens = tokens;
+    this.updatedAt = Date.now();
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillRate);
+    this.updatedAt = now;
+  }
+
+  available() {
+    this._refill();
+    return Math.floor(this.tokens);
+  }
+
+  hasToken() {
+    return this.available() >= 1;
+  }
+
+  take() {
+    this._refill();
+    this.tokens -= 1;
+  }
+
+  // Milliseconds until the next whole token is available
+  msUntilToken() {
+    this._refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillRate);
+  }
+}
+
 class JobQueue {
-  constructor() {
-    this.queues = new Map();
+  constructor(options = {}) {
+    this.store = options.store || new MemoryJobStore();
     this.workers = new Map();
+    this.typeOptions = new Map();
+    this.active = new Map(); // jobType -> jobs currently running in this process
+    this.activeCount = 0;
     this.isProcessing = false;
-    this.concurrency = 3;
+    this.fillRequested = false;
+    this.rateLimitTimer = null;
+    this.concurrency = options.concurrency || 5;
     this.retryAttempts = 3;
     this.retryDelay = 5000;
+    this.leaseTimeout = options.leaseTimeout || 5 * 60 * 1000; // 5 minutes
+    this.pollInterval = options.pollInterval || 5000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollTimer = null;
+    this.statusCounts = {}; // jobType -> { status: count }, refreshed on each poll
+    this.statusCountsAt = null;
   }
 
   /**
    * Register a job type with its processor
+   * @param {string} jobType
+   * @param {Function} processor - async (data, job) => result. Throw an error
+   *   with `retryable: false` to fail the job without using its remaining attempts.
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Max jobs of this type running at once in this process
+   * @param {Object} [options.rateLimit] - { tokens, intervalMs } token bucket, enforced per
+   *   process (a cluster of N processes can start N * tokens jobs per interval)
    */
-  register(jobType, processor) {
-    if (!this.queues.has(jobType)) {
-      this.queues.set(jobType, []);
-    }
+  register(jobType, processor, options = {}) {
+    const { concurrency = this.concurrency, rateLimit = null } = options;
+
     this.workers.set(jobType, processor);
+    this.typeOptions.set(jobType, {
+      concurrency,
+      rateLimit,
+      bucket: rateLimit ? new TokenBucket(rateLimit) : null
+    });
+    this.active.set(jobType, this.active.get(jobType) || 0);
     console.log(`Job type "${jobType}" registered`);
   }
 
+  /**
+   * Recover interrupted jobs and start polling the store.
+   * Call once after all job types are registered.
+   */
+  async start() {
+    if (this.pollTimer) return;
+
+    const recovered = await this.store.recover();
+    if (recovered > 0) {
+      console.log(`Recovered ${recovered} interrupted jobs`);
+    }
+
+    this.pollTimer = setInterval(() => this._poll(), this.pollInterval);
+    this.pollTimer.unref();
+
+    await this.refreshStats();
+    await this._fireDueSchedules();
+    this._startProcessing();
+  }
+
+  /**
+   * Stop polling (in-flight jobs finish, their leases expire otherwise)
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
   /**
    * Add a job to the queue
    */
   async add(jobType, data, options = {}) {
+    if (!this.workers.has(jobType)) {
+      throw new Error(`Unknown job type: ${jobType}`);
+    }
+
+    const now = new Date();
+    const delay = options.delay || 0;
+    const userId = options.userId || data?.userId;
     const job = {
       id: `${jobType}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       type: jobType,
+      userId: userId ? String(userId) : null,
       data,
       attempts: 0,
       maxAttempts: options.maxAttempts || this.retryAttempts,
-      priority: options.priority || 'normal',
-      delay: options.delay || 0,
-      createdAt: new Date(),
+      priority: this._resolvePriority(options.priority),
+      delay,
+      // Delayed jobs stay in the store until runAt instead of holding a worker
+      runAt: new Date(now.getTime() + delay),
+      lockedBy: null,
+      lockedUntil: null,
+      attemptHistory: [],
+      progress: 0,
+      requeueCount: 0,
+      createdAt: now,
       status: 'pending'
     };
 
-    const queue = this.queues.get(jobType);
-    if (!queue) {
-      throw new Error(`Unknown job type: ${jobType}`);
-    }
-
-    // Insert based on priority
-    if (job.priority === 'high') {
-      queue.unshift(job);
-    } else {
-      queue.push(job);
-    }
+    await this.store.insert(job);
 
     console.log(`Job ${job.id} added to queue`);
-    
+
     // Start processing if not already running
     this._startProcessing();
-    
+    if (delay > 0) {
+      setTimeout(() => this._startProcessing(), delay).unref();
+    }
+
     return job.id;
   }
 
+  /**
+   * Map a priority name or number to its numeric level
+   */
+  _resolvePriority(priority) {
+    if (typeof priority === 'number' && Number.isFinite(priority)) {
+      return priority;
+    }
+    return PRIORITY_LEVELS[priority] ?? PRIORITY_LEVELS.normal;
+  }
+
   /**
    * Add multiple jobs in bulk
    */
@@ -80,25 +222,332 @@ class JobQueue {
   }
 
   /**
-   * Start processing queue
+   * Get a job by id (null if unknown or cleaned up)
+   */
+  async getJob(jobId) {
+    return this.store.get(jobId);
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} [filter] - { userId, status, type }
+   * @param {Object} [options] - { limit, offset }
+   */
+  async listJobs(filter = {}, options = {}) {
+    return this.store.list(filter, options);
+  }
+
+  /**
+   * List permanently failed jobs (dead-letter view)
+   */
+  async getDeadLetter(filter = {}, options = {}) {
+    return this.store.list({ ...filter, status: 'failed' }, options);
+  }
+
+  /**
+   * Cancel a pending job. Returns null if the job is not pending.
+   */
+  async cancel(jobId) {
+    const job = await this.store.cancel(jobId);
+    if (job) {
+      console.log(`Job ${jobId} cancelled`);
+    }
+    return job;
+  }
+
+  /**
+   * Re-queue a failed or cancelled job with a fresh set of attempts.
+   * Returns null if the job is in any other status.
+   */
+  async retry(jobId) {
+    const job = await this.store.requeue(jobId);
+    if (job) {
+      console.log(`Job ${jobId} re-queued`);
+      this._startProcessing();
+    }
+    return job;
+  }
+
+  /**
+   * Record progress (0-100) for a job that is currently processing
+   */
+  async updateProgress(jobId, progress) {
+    const value = Math.max(0, Math.min(100, Math.round(progress)));
+    return this.store.updateProgress(jobId, value);
+  }
+
+  /**
+   * Shape a job for API responses
+   * @param {Object} job
+   * @param {Object} [options] - { includeData } to expose the processor payload
+   */
+  formatJob(job, { includeData = false } = {}) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress || 0,
+      result: job.result ?? null,
+      error: job.error || null,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      requeueCount: job.requeueCount || 0,
+      attemptHistory: job.attemptHistory || [],
+      ...(includeData && { userId: job.userId, data: job.data }),
+      createdAt: job.createdAt,
+      startedAt: job.startedAt || null,
+      completedAt: job.completedAt || null,
+      failedAt: job.failedAt || null,
+      cancelledAt: job.cancelledAt || null
+    };
+  }
+
+  /**
+   * Create or update a schedule.
+   * Re-registering an existing schedule keeps its paused state and run
+   * history; nextRunAt is only recomputed when the timing changes.
+   * @param {string} name - Unique schedule name
+   * @param {string} jobType - Registered job type to enqueue
+   * @param {Object} [data] - Job payload
+   * @param {Object} options - { cron } or { runAt }, plus priority, maxAttempts, description
+   */
+  async schedule(name, jobType, data = {}, options = {}) {
+    const { cron = null, runAt = null, priority, maxAttempts, description } = options;
+
+    if (!cron && !runAt) {
+      throw new Error(`Schedule "${name}" needs either a cron expression or runAt`);
+    }
+    if (cron && runAt) {
+      throw new Error(`Schedule "${name}" cannot have both cron and runAt`);
+    }
+
+    const definition = {
+      jobType,
+      data,
+      jobOptions: { priority, maxAttempts },
+      cron,
+      runAt: runAt ? new Date(runAt) : null,
+      description
+    };
+    // Validates the cron expression before anything is stored
+    const nextRunAt = this._nextRunAt(definition);
+
+    const existing = await this.store.getSchedule(name);
+
+    if (!existing) {
+      return this.store.insertSchedule({
+        name,
+        ...definition,
+        enabled: true,
+        pausedAt: null,
+        nextRunAt,
+        lastRunAt: null,
+        lastJobId: null,
+        runCount: 0,
+        createdAt: new Date()
+      });
+    }
+
+    const timingChanged =
+      existing.cron !== definition.cron ||
+      new Date(existing.runAt || 0).getTime() !== new Date(definition.runAt || 0).getTime();
+
+    return this.store.updateSchedule(name, {
+      ...definition,
+      ...(timingChanged && { nextRunAt })
+    });
+  }
+
+  /**
+   * Delete a schedule
+   */
+  async unschedule(name) {
+    return this.store.removeSchedule(name);
+  }
+
+  /**
+   * List all schedules
+   */
+  async listSchedules() {
+    return this.store.listSchedules();
+  }
+
+  /**
+   * Get a schedule by name
+   */
+  async getSchedule(name) {
+    return this.store.getSchedule(name);
+  }
+
+  /**
+   * Stop a schedule from firing until resumed
+   */
+  async pauseSchedule(name) {
+    return this.store.updateSchedule(name, { enabled: false, pausedAt: new Date() });
+  }
+
+  /**
+   * Resume a paused schedule. Cron schedules continue from now rather
+   * than catching up on runs missed while paused.
+   */
+  async resumeSchedule(name) {
+    const schedule = await this.store.getSchedule(name);
+    if (!schedule) return null;
+
+    return this.store.updateSchedule(name, {
+      enabled: true,
+      pausedAt: null,
+      nextRunAt: schedule.cron ? this._nextRunAt(schedule) : schedule.nextRunAt
+    });
+  }
+
+  /**
+   * Enqueue a schedule's job immediately without changing its next run
+   * @returns {Promise<string|null>} Job id, or null if the schedule does not exist
+   */
+  async triggerSchedule(name) {
+    const schedule = await this.store.getSchedule(name);
+    if (!schedule) return null;
+
+    const jobId = await this.add(schedule.jobType, schedule.data, schedule.jobOptions || {});
+    await this.store.updateSchedule(name, {
+      lastRunAt: new Date(),
+      lastJobId: jobId,
+      runCount: (schedule.runCount || 0) + 1
+    });
+    return jobId;
+  }
+
+  _nextRunAt(schedule, after = new Date()) {
+    if (schedule.cron) {
+      return new CronExpression(schedule.cron).next(after);
+    }
+    return schedule.runAt;
+  }
+
+  /**
+   * Enqueue jobs for schedules whose nextRunAt has passed
+   */
+  async _fireDueSchedules() {
+    const now = new Date();
+    const due = await this.store.dueSchedules(now);
+
+    for (const schedule of due) {
+      // Leave schedules for job types this process cannot run to other processes
+      if (!this.workers.has(schedule.jobType)) continue;
+
+      const claimed = await this.store.claimSchedule(schedule.name, schedule.nextRunAt, {
+        nextRunAt: schedule.cron ? this._nextRunAt(schedule, now) : null,
+        lastRunAt: now
+      });
+      if (!claimed) continue;
+
+      const jobId = await this.add(schedule.jobType, schedule.data, schedule.jobOptions || {});
+      await this.store.updateSchedule(schedule.name, { lastJobId: jobId });
+      console.log(`Schedule "${schedule.name}" fired job ${jobId}`);
+    }
+  }
+
+  /**
+   * Start processing queue.
+   * Leases one job at a time until the global or per-type limits are
+   * reached; each finished job calls back in to fill its slot.
    */
   async _startProcessing() {
-    if (this.isProcessing) return;
+    if (this.isProcessing) {
+      this.fillRequested = true;
+      return;
+    }
     this.isProcessing = true;
 
-    while (this._hasJobs()) {
-      const jobs = this._getNextJobs(this.concurrency);
-      
-      await Promise.all(
-        jobs.map(job => this._processJob(job))
-      );
+    try {
+      do {
+        this.fillRequested = false;
+
+        while (this.activeCount < this.concurrency) {
+          const types = this._availableTypes();
+          if (types.length === 0) break;
+
+          const [job] = await this.store.lease(types, 1, this.workerId, this.leaseTimeout);
+          if (!job) break;
+
+          this.typeOptions.get(job.type)?.bucket?.take();
+          this._run(job);
+        }
+      } while (this.fillRequested);
+    } catch (error) {
+      console.error('Job queue processing error:', error.message);
+    } finally {
+      this.isProcessing = false;
     }
+  }
 
-    this.isProcessing = false;
+  /**
+   * Job types below their concurrency cap with a rate-limit token available.
+   * Schedules a wake-up when a type is only blocked by its rate limit.
+   */
+  _availableTypes() {
+    const available = [];
+    let wakeIn = null;
+
+    for (const [type, options] of this.typeOptions.entries()) {
+      if (this.active.get(type) >= options.concurrency) continue;
+
+      if (options.bucket && !options.bucket.hasToken()) {
+        const wait = options.bucket.msUntilToken();
+        wakeIn = wakeIn === null ? wait : Math.min(wakeIn, wait);
+        continue;
+      }
+
+      available.push(type);
+    }
+
+    if (wakeIn !== null && !this.rateLimitTimer) {
+      this.rateLimitTimer = setTimeout(() => {
+        this.rateLimitTimer = null;
+        this._startProcessing();
+      }, wakeIn);
+      this.rateLimitTimer.unref();
+    }
+
+    return available;
+  }
+
+  /**
+   * Run a leased job in the background and free its slot when done
+   */
+  _run(job) {
+    this.activeCount++;
+    this.active.set(job.type, this.active.get(job.type) + 1);
+
+    this._processJob(job)
+      .catch(error => {
+        console.error(`Job ${job.id} processing error:`, error.message);
+      })
+      .finally(() => {
+        this.activeCount--;
+        this.active.set(job.type, this.active.get(job.type) - 1);
+        this._startProcessing();
+      });
+  }
+
+  /**
+   * Periodic tick: re-queue expired leases, fire due schedules and pick up
+   * jobs added by other processes or due for retry
+   */
+  async _poll() {
+    try {
+      await this.store.recover();
+      await this._fireDueSchedules();
+      await this._startProcessing();
+      await this.refreshStats();
+    } catch (error) {
+      console.error('Job queue poll error:', error.message);
+    }
   }
 
   /**
-   * Process a single job
+   * Process a single (already leased) job
    */
   async _processJob(job) {
     const worker = this.workers.get(job.type);
@@ -107,134 +556,137 @@ class JobQueue {
       return;
     }
 
-    // Apply delay if specified
-    if (job.delay > 0 && job.attempts === 0) {
-      await this._sleep(job.delay);
-    }
-
-    job.status = 'processing';
-    job.startedAt = new Date();
-    job.attempts++;
+    // Keep the lease alive while the processor runs
+    const heartbeat = setInterval(() => {
+      this.store.extendLease(job, this.leaseTimeout).catch(error => {
+        console.error(`Lease renewal failed for job ${job.id}:`, error.message);
+      });
+    }, this.leaseTimeout / 2);
 
+    let result;
     try {
-      const result = await worker(job.data, job);
-      job.status = 'completed';
-      job.result = result;
-      job.completedAt = new Date();
-      console.log(`Job ${job.id} completed`);
+      result = await worker(job.data, job);
     } catch (error) {
-      job.error = error.message;
-      
-      if (job.attempts < job.maxAttempts) {
-        // Retry with exponential backoff
-        job.status = 'pending';
-        const delay = this.retryDelay * Math.pow(2, job.attempts - 1);
-        const queue = this.queues.get(job.type);
-        
-        setTimeout(() => {
-          queue.push(job);
-          this._startProcessing();
-        }, delay);
-        
-        console.log(`Job ${job.id} failed, retrying in ${delay}ms (attempt ${job.attempts}/${job.maxAttempts})`);
-      } else {
-        job.status = 'failed';
-        job.failedAt = new Date();
-        console.error(`Job ${job.id} failed permanently:`, error.message);
-      }
+      await this._handleFailure(job, error);
+      return;
+    } finally {
+      clearInterval(heartbeat);
     }
+
+    await this.store.complete(job, result);
+    console.log(`Job ${job.id} completed`);
   }
 
   /**
-   * Check if any queue has jobs
+   * Schedule a retry with exponential backoff or fail permanently
    */
-  _hasJobs() {
-    for (const queue of this.queues.values()) {
-      if (queue.some(j => j.status === 'pending')) return true;
+  async _handleFailure(job, error) {
+    if (job.attempts < job.maxAttempts && error.retryable !== false) {
+      const delay = this.retryDelay * Math.pow(2, job.attempts - 1);
+      await this.store.fail(job, error.message, new Date(Date.now() + delay));
+
+      // Pick the retry up without waiting for the next poll
+      setTimeout(() => this._startProcessing(), delay).unref();
+
+      console.log(`Job ${job.id} failed, retrying in ${delay}ms (attempt ${job.attempts}/${job.maxAttempts})`);
+    } else {
+      await this.store.fail(job, error.message);
+      console.error(`Job ${job.id} failed permanently:`, error.message);
     }
-    return false;
   }
 
   /**
-   * Get next jobs to process
+   * Reload the per-type status counts that getStats reports.
+   * Runs on start and on every poll; call it directly for fresh numbers.
    */
-  _getNextJobs(count) {
-    const jobs = [];
-    
-    for (const queue of this.queues.values()) {
-      for (const job of queue) {
-        if (job.status === 'pending' && jobs.length < count) {
-          jobs.push(job);
-        }
-      }
-    }
-    
-    return jobs;
+  async refreshStats() {
+    this.statusCounts = await this.store.countByStatus();
+    this.statusCountsAt = new Date();
   }
 
   /**
-   * Get queue stats
+   * Get queue stats.
+   * Job counts come from the last refreshStats (at most one poll interval
+   * old, see countsUpdatedAt); worker usage is live.
+   * @returns {Object} { queues, total, worker, countsUpdatedAt }
    */
   getStats() {
+    const counts = this.statusCounts;
     const stats = {
       queues: {},
       total: {
         pending: 0,
         processing: 0,
         completed: 0,
-        failed: 0
+        failed: 0,
+        cancelled: 0
       }
     };
 
-    for (const [type, queue] of this.queues.entries()) {
+    const types = new Set([...this.workers.keys(), ...Object.keys(counts)]);
+
+    for (const type of types) {
       stats.queues[type] = {
-        pending: queue.filter(j => j.status === 'pending').length,
-        processing: queue.filter(j => j.status === 'processing').length,
-        completed: queue.filter(j => j.status === 'completed').length,
-        failed: queue.filter(j => j.status === 'failed').length
+        pending: counts[type]?.pending || 0,
+        processing: counts[type]?.processing || 0,
+        completed: counts[type]?.completed || 0,
+        failed: counts[type]?.failed || 0,
+        cancelled: counts[type]?.cancelled || 0
       };
-      
+
       Object.keys(stats.queues[type]).forEach(status => {
         stats.total[status] += stats.queues[type][status];
       });
     }
 
-    return stats;
-  }
-
-  /**
-   * Clear completed/failed jobs older than specified age
-   */
-  cleanup(maxAgeMs = 3600000) {
-    const cutoff = Date.now() - maxAgeMs;
-    let removed = 0;
+    // Limits and usage for this process
+    stats.worker = {
+      id: this.workerId,
+      concurrency: this.concurrency,
+      active: this.activeCount,
+      types: {}
+    };
 
-    for (const queue of this.queues.values()) {
-      for (let i = queue.length - 1; i >= 0; i--) {
-        const job = queue[i];
-        if (
-          ['completed', 'failed'].includes(job.status) &&
-          new Date(job.completedAt || job.failedAt).getTime() < cutoff
-        ) {
-          queue.splice(i, 1);
-          removed++;
-        }
-      }
+    for (const [type, options] of this.typeOptions.entries()) {
+      stats.worker.types[type] = {
+        concurrency: options.concurrency,
+        active: this.active.get(type),
+        rateLimit: options.rateLimit,
+        tokensAvailable: options.bucket ? options.bucket.available() : null
+      };
     }
 
-    return removed;
+    stats.countsUpdatedAt = this.statusCountsAt;
+
+    return stats;
   }
 
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  /**
+   * Clear completed/cancelled jobs older than specified age.
+   * Failed jobs stay in the dead-letter list unless includeFailed is set.
+   * Returns a promise: removal is a store query (this was synchronous
+   * before jobs moved to the store).
+   * @returns {Promise<number>} Number of jobs removed
+   */
+  async cleanup(maxAgeMs = 3600000, { includeFailed = false } = {}) {
+    const statuses = ['completed', 'cancelled'];
+    if (includeFailed) statuses.push('failed');
+    return this.store.removeFinished(new Date(Date.now() - maxAgeMs), statuses);
   }
 }
 
-// Singleton instance
-const jobQueue = new JobQueue();
+// Singleton instance (set JOB_QUEUE_STORE=memory to run without persistence)
+const jobQueue = new JobQueue({
+  store: process.env.JOB_QUEUE_STORE === 'memory'
+    ? new MemoryJobStore()
+    : new MongoJobStore()
+});
 
 // Export singleton
 module.exports = jobQueue;
 
-// Also export class for testing
+// Also export class and stores for testing
 module.exports.JobQueue = JobQueue;
+module.exports.MemoryJobStore = MemoryJobStore;
+module.exports.MongoJobStore = MongoJobStore;
+module.exports.PRIORITY_LEVELS = PRIORITY_LEVELS;
@@ -0,0 +1,580 @@
+/**
+ * Job Store Backends
+ *
+ * Storage used by JobQueue for job and schedule state:
+ * - MemoryJobStore: per-process Map (jobs are lost on restart)
+ * - MongoJobStore: BackgroundJob collection with leases and crash recovery
+ *
+ * Both stores expose the same async interface so JobQueue does not care
+ * which one it runs on.
+ */
+
+// Terminal statuses and the timestamp recording when each was reached
+const FINISHED_AT = {
+  completed: 'completedAt',
+  failed: 'failedAt',
+  cancelled: 'cancelledAt'
+};
+
+// Statuses a job can be re-queued from (the dead-letter list plus cancelled jobs)
+const REQUEUEABLE_STATUSES = ['failed', 'cancelled'];
+
+const emptyCounts = () => ({
+  pending: 0,
+  processing: 0,
+  completed: 0,
+  failed: 0,
+  cancelled: 0
+});
+
+const requeueFields = () => ({
+  status: 'pending',
+  attempts: 0,
+  progress: 0,
+  runAt: new Date(),
+  requeuedAt: new Date(),
+  error: null,
+  failedAt: null,
+  cancelledAt: null
+});
+
+const matchesFilter = (job, filter) =>
+  (!filter.userId || job.userId === String(filter.userId)) &&
+  (!filter.status || job.status === filter.status) &&
+  (!filter.type || job.type === filter.type);
+
+const attemptEntry = (job, status, error = null) => ({
+  attempt: job.attempts,
+  workerId: job.lockedBy,
+  startedAt: job.startedAt,
+  finishedAt: new Date(),
+  status,
+  error
+});
+
+/**
+ * In-memory store (default for tests and single-process development)
+ */
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+    this.schedules = new Map();
+  }
+
+  async insert(job) {
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  async get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  async list(filter = {}, { limit = 20, offset = 0 } = {}) {
+    const jobs = [...this.jobs.values()]
+      .filter(job => matchesFilter(job, filter))
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return {
+      jobs: jobs.slice(offset, offset + limit),
+      total: jobs.length
+    };
+  }
+
+  async lease(types, limit, workerId, leaseMs) {
+    const now = Date.now();
+    const runnable = [];
+
+    for (const job of this.jobs.values()) {
+      if (
+        job.status === 'pending' &&
+        types.includes(job.type) &&
+        new Date(job.runAt).getTime() <= now
+      ) {
+        runnable.push(job);
+      }
+    }
+
+    runnable.sort((a, b) =>
+      a.priority - b.priority || a.createdAt - b.createdAt
+    );
+
+    return runnable.slice(0, limit).map(job => {
+      job.status = 'processing';
+      job.lockedBy = workerId;
+      job.lockedUntil = new Date(now + leaseMs);
+      job.startedAt = new Date(now);
+      job.attempts++;
+      return job;
+    });
+  }
+
+  async extendLease(job, leaseMs) {
+    const stored = this.jobs.get(job.id);
+    if (!stored || stored.lockedBy !== job.lockedBy) return false;
+    stored.lockedUntil = new Date(Date.now() + leaseMs);
+    return true;
+  }
+
+  async updateProgress(jobId, progress) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.status !== 'processing') return false;
+    job.progress = progress;
+    return true;
+  }
+
+  async complete(job, result) {
+    job.attemptHistory.push(attemptEntry(job, 'completed'));
+    job.status = 'completed';
+    job.progress = 100;
+    job.result = result;
+    job.completedAt = new Date();
+    job.lockedBy = null;
+    job.lockedUntil = null;
+    return job;
+  }
+
+  async fail(job, errorMessage, retryAt = null) {
+    job.attemptHistory.push(attemptEntry(job, 'failed', errorMessage));
+    job.error = errorMessage;
+    job.lockedBy = null;
+    job.lockedUntil = null;
+
+    if (retryAt) {
+      job.status = 'pending';
+      job.runAt = retryAt;
+    } else {
+      job.status = 'failed';
+      job.failedAt = new Date();
+    }
+    return job;
+  }
+
+  async cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.status !== 'pending') return null;
+    job.status = 'cancelled';
+    job.cancelledAt = new Date();
+    return job;
+  }
+
+  async requeue(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || !REQUEUEABLE_STATUSES.includes(job.status)) return null;
+    Object.assign(job, requeueFields());
+    job.requeueCount++;
+    return job;
+  }
+
+  async recover() {
+    const now = Date.now();
+    let recovered = 0;
+
+    for (const job of this.jobs.values()) {
+      if (job.status === 'processing' && new Date(job.lockedUntil).getTime() < now) {
+        job.attemptHistory.push(attemptEntry(job, 'interrupted', 'Lease expired'));
+        job.lockedBy = null;
+        job.lockedUntil = null;
+        if (job.attempts >= job.maxAttempts) {
+          job.status = 'failed';
+          job.error = 'Lease expired';
+          job.failedAt = new Date();
+        } else {
+          job.status = 'pending';
+          job.runAt = new Date();
+        }
+        recovered++;
+      }
+    }
+
+    return recovered;
+  }
+
+  async countByStatus() {
+    const counts = {};
+    for (const job of this.jobs.values()) {
+      counts[job.type] = counts[job.type] || emptyCounts();
+      counts[job.type][job.status]++;
+    }
+    return counts;
+  }
+
+  async removeFinished(cutoff, statuses) {
+    let removed = 0;
+    for (const [id, job] of this.jobs.entries()) {
+      if (
+        statuses.includes(job.status) &&
+        new Date(job[FINISHED_AT[job.status]]).getTime() < cutoff.getTime()
+      ) {
+        this.jobs.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async getSchedule(name) {
+    return this.schedules.get(name) || null;
+  }
+
+  async listSchedules() {
+    return [...this.schedules.values()]
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async insertSchedule(schedule) {
+    if (!this.schedules.has(schedule.name)) {
+      this.schedules.set(schedule.name, schedule);
+    }
+    return this.schedules.get(schedule.name);
+  }
+
+  async updateSchedule(name, fields) {
+    const schedule = this.schedules.get(name);
+    if (!schedule) return null;
+    return Object.assign(schedule, fields);
+  }
+
+  async removeSchedule(name) {
+    return this.schedules.delete(name);
+  }
+
+  async dueSchedules(now) {
+    // Copies, like the Mongo store's lean reads: a caller must still hold
+    // the nextRunAt it saw when another process claims the run
+    return [...this.schedules.values()]
+      .filter(schedule =>
+        schedule.enabled &&
+        schedule.nextRunAt &&
+        new Date(schedule.nextRunAt).getTime() <= now.getTime()
+      )
+      .map(schedule => ({ ...schedule }));
+  }
+
+  async claimSchedule(name, expectedRunAt, fields) {
+    const schedule = this.schedules.get(name);
+    if (
+      !schedule ||
+      !schedule.enabled ||
+      new Date(schedule.nextRunAt).getTime() !== new Date(expectedRunAt).getTime()
+    ) {
+      return false;
+    }
+    Object.assign(schedule, fields);
+    schedule.runCount++;
+    return true;
+  }
+}
+
+/**
+ * MongoDB store backed by the BackgroundJob model
+ *
+ * Leasing uses findOneAndUpdate so two processes in a pm2 cluster can
+ * never pick up the same job.
+ */
+class MongoJobStore {
+  constructor() {
+    // Lazy require so the in-memory store can be used without mongoose models
+    this.Model = require('../models/BackgroundJob');
+    this.ScheduleModel = require('../models/JobSchedule');
+  }
+
+  /**
+   * Convert a stored document into the plain job object processors receive
+   */
+  _toJob(doc) {
+    if (!doc) return null;
+    const { jobId, _id, __v, ...rest } = doc.toObject ? doc.toObject() : doc;
+    return { id: jobId, ...rest };
+  }
+
+  /**
+   * Strip mongoose documents and other non-JSON values before storing
+   */
+  _serialize(value) {
+    if (value === undefined) return null;
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  async insert(job) {
+    const { id, ...fields } = job;
+    await this.Model.create({
+      jobId: id,
+      ...fields,
+      data: this._serialize(job.data)
+    });
+    return job;
+  }
+
+  async get(jobId) {
+    const doc = await this.Model.findOne({ jobId }).lean();
+    return this._toJob(doc);
+  }
+
+  async list(filter = {}, { limit = 20, offset = 0 } = {}) {
+    const query = {};
+    if (filter.userId) query.userId = String(filter.userId);
+    if (filter.status) query.status = filter.status;
+    if (filter.type) query.type = filter.type;
+
+    const [docs, total] = await Promise.all([
+      this.Model.find(query)
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      this.Model.countDocuments(query)
+    ]);
+
+    return {
+      jobs: docs.map(doc => this._toJob(doc)),
+      total
+    };
+  }
+
+  async lease(types, limit, workerId, leaseMs) {
+    const leased = [];
+
+    while (leased.length < limit) {
+      const now = new Date();
+      const doc = await this.Model.findOneAndUpdate(
+        {
+          status: 'pending',
+          type: { $in: types },
+          runAt: { $lte: now }
+        },
+        {
+          $set: {
+            status: 'processing',
+            lockedBy: workerId,
+            lockedUntil: new Date(now.getTime() + leaseMs),
+            startedAt: now
+          },
+          $inc: { attempts: 1 }
+        },
+        {
+          sort: { priority: 1, createdAt: 1 },
+          new: true,
+          lean: true
+        }
+      );
+
+      if (!doc) break;
+      leased.push(this._toJob(doc));
+    }
+
+    return leased;
+  }
+
+  async extendLease(job, leaseMs) {
+    const result = await this.Model.updateOne(
+      { jobId: job.id, status: 'processing', lockedBy: job.lockedBy },
+      { $set: { lockedUntil: new Date(Date.now() + leaseMs) } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async updateProgress(jobId, progress) {
+    const result = await this.Model.updateOne(
+      { jobId, status: 'processing' },
+      { $set: { progress } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async complete(job, result) {
+    job.status = 'completed';
+    job.progress = 100;
+    job.result = result;
+    job.completedAt = new Date();
+
+    await this.Model.updateOne(
+      { jobId: job.id, lockedBy: job.lockedBy },
+      {
+        $set: {
+          status: 'completed',
+          progress: 100,
+          result: this._serialize(result),
+          completedAt: job.completedAt,
+          lockedBy: null,
+          lockedUntil: null
+        },
+        $push: { attemptHistory: attemptEntry(job, 'completed') }
+      }
+    );
+    return job;
+  }
+
+  async fail(job, errorMessage, retryAt = null) {
+    const update = {
+      error: errorMessage,
+      lockedBy: null,
+      lockedUntil: null
+    };
+
+    if (retryAt) {
+      update.status = 'pending';
+      update.runAt = retryAt;
+    } else {
+      update.status = 'failed';
+      update.failedAt = new Date();
+    }
+
+    await this.Model.updateOne(
+      { jobId: job.id, lockedBy: job.lockedBy },
+      {
+        $set: update,
+        $push: { attemptHistory: attemptEntry(job, 'failed', errorMessage) }
+      }
+    );
+
+    Object.assign(job, update);
+    return job;
+  }
+
+  async cancel(jobId) {
+    const doc = await this.Model.findOneAndUpdate(
+      { jobId, status: 'pending' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true, lean: true }
+    );
+    return this._toJob(doc);
+  }
+
+  async requeue(jobId) {
+    const doc = await this.Model.findOneAndUpdate(
+      { jobId, status: { $in: REQUEUEABLE_STATUSES } },
+      {
+        $set: requeueFields(),
+        $inc: { requeueCount: 1 }
+      },
+      { new: true, lean: true }
+    );
+    return this._toJob(doc);
+  }
+
+  async recover() {
+    const now = new Date();
+    const expired = await this.Model.find({
+      status: 'processing',
+      lockedUntil: { $lt: now }
+    }).select('jobId attempts maxAttempts lockedBy startedAt').lean();
+
+    let recovered = 0;
+    for (const doc of expired) {
+      const exhausted = doc.attempts >= doc.maxAttempts;
+      const update = exhausted
+        ? { status: 'failed', error: 'Lease expired', failedAt: now }
+        : { status: 'pending', runAt: now };
+
+      // Guard on lockedBy so a lease renewed in the meantime is left alone
+      const result = await this.Model.updateOne(
+        { _id: doc._id, status: 'processing', lockedBy: doc.lockedBy, lockedUntil: { $lt: now } },
+        {
+          $set: { ...update, lockedBy: null, lockedUntil: null },
+          $push: {
+            attemptHistory: {
+              attempt: doc.attempts,
+              workerId: doc.lockedBy,
+              startedAt: doc.startedAt,
+              finishedAt: now,
+              status: 'interrupted',
+              error: 'Lease expired'
+            }
+          }
+        }
+      );
+      recovered += result.modifiedCount;
+    }
+
+    return recovered;
+  }
+
+  async countByStatus() {
+    const rows = await this.Model.aggregate([
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const counts = {};
+    for (const row of rows) {
+      counts[row._id.type] = counts[row._id.type] || emptyCounts();
+      counts[row._id.type][row._id.status] = row.count;
+    }
+    return counts;
+  }
+
+  async removeFinished(cutoff, statuses) {
+    const result = await this.Model.deleteMany({
+      $or: statuses.map(status => ({
+        status,
+        [FINISHED_AT[status]]: { $lt: cutoff }
+      }))
+    });
+    return result.deletedCount;
+  }
+
+  _toSchedule(doc) {
+    if (!doc) return null;
+    const { _id, __v, ...schedule } = doc;
+    return schedule;
+  }
+
+  async getSchedule(name) {
+    const doc = await this.ScheduleModel.findOne({ name }).lean();
+    return this._toSchedule(doc);
+  }
+
+  async listSchedules() {
+    const docs = await this.ScheduleModel.find().sort({ name: 1 }).lean();
+    return docs.map(doc => this._toSchedule(doc));
+  }
+
+  async insertSchedule(schedule) {
+    try {
+      await this.ScheduleModel.create({
+        ...schedule,
+        data: this._serialize(schedule.data)
+      });
+    } catch (error) {
+      // Another process registered the same schedule first
+      if (error.code !== 11000) throw error;
+    }
+    return this.getSchedule(schedule.name);
+  }
+
+  async updateSchedule(name, fields) {
+    const doc = await this.ScheduleModel.findOneAndUpdate(
+      { name },
+      { $set: fields },
+      { new: true, lean: true }
+    );
+    return this._toSchedule(doc);
+  }
+
+  async removeSchedule(name) {
+    const result = await this.ScheduleModel.deleteOne({ name });
+    return result.deletedCount > 0;
+  }
+
+  async dueSchedules(now) {
+    const docs = await this.ScheduleModel.find({
+      enabled: true,
+      nextRunAt: { $ne: null, $lte: now }
+    }).lean();
+    return docs.map(doc => this._toSchedule(doc));
+  }
+
+  async claimSchedule(name, expectedRunAt, fields) {
+    // Matching on the old nextRunAt means only one process wins each run
+    const result = await this.ScheduleModel.updateOne(
+      { name, enabled: true, nextRunAt: expectedRunAt },
+      { $set: fields, $inc: { runCount: 1 } }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = {
+  MemoryJobStore,
+  MongoJobStore
+};
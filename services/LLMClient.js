@@ -0,0 +1,577 @@
+const BaseService = require('./BaseService');
+const axios = require('axios');
+const { validate, repair, SchemaValidationError } = require('./SchemaValidator');
+const { getPromptSchema } = require('./AISchemas');
+
+/**
+ * LLM Client - single entry point for chat completions
+ *
+ * Providers share one interface:
+ *   complete({ messages, model, temperature, maxTokens, json, timeout, apiKey })
+ *     -> { content, model, usage }
+ *
+ * Built-in providers:
+ * - groq: Groq API (GROQ_API_KEY, GROQ_API_KEY2)
+ * - openai: any OpenAI-compatible endpoint (LLM_OPENAI_BASE_URL,
+ *   LLM_OPENAI_API_KEYS or OPENAI_API_KEY, LLM_OPENAI_MODEL)
+ * - fixture: deterministic local responses, no network (default under Jest)
+ *
+ * The active provider comes from LLM_PROVIDER (default groq). Callers may
+ * pick a provider and model per call. The client rotates API keys on rate
+ * limit/auth errors and retries transient failures (network, 5xx).
+ *
+ * completeStructured() validates JSON output against the prompt type's
+ * schema (AISchemas.js), repairs it locally, re-asks the model with the
+ * validation errors, and throws AIOutputValidationError if it still fails.
+ *
+ * Every model call is passed to the usage recorder (AIUsageService by
+ * default) with its tokens, latency, outcome and the caller's
+ * { feature, userId }.
+ */
+
+const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+const GROQ_DEFAULT_MODEL = 'llama-3.3-70b-versatile';
+
+/**
+ * Check if an error is a rate limit or auth error that warrants key switching
+ * @param {Error} error - The error to check
+ * @returns {boolean} True if error is rate limit or auth related
+ */
+const isRateLimitOrAuthError = (error) => {
+  const statusCode = error.response?.status;
+  if (statusCode === 429 || statusCode === 401) {
+    return true;
+  }
+
+  // Also check error message for rate limit indicators (fallback)
+  const message = (error.message || '').toLowerCase();
+  return message.includes('429') || message.includes('rate limit') || message.includes('too many requests');
+};
+
+/**
+ * Check if an error is worth retrying with the same key
+ * (network failures, timeouts and server errors)
+ * @param {Error} error - The error to check
+ * @returns {boolean}
+ */
+const isTransientError = (error) => {
+  const statusCode = error.response?.status;
+  if (statusCode) return statusCode >= 500;
+  return Boolean(error.code) || error.name === 'AbortError';
+};
+
+/**
+ * Thrown when model output can't be parsed or repaired into its schema
+ */
+class AIOutputValidationError extends SchemaValidationError {
+  /**
+   * @param {string} promptType - Prompt schema name
+   * @param {string[]} errors - Validation errors from the last attempt
+   * @param {number} attempts - Model calls made
+   */
+  constructor(promptType, errors, attempts) {
+    super(promptType, errors);
+    this.name = 'AIOutputValidationError';
+    this.message = `AI response for ${promptType} was invalid after ${attempts} attempt(s): ${errors.slice(0, 5).join('; ')}`;
+    this.promptType = promptType;
+    this.attempts = attempts;
+    this.statusCode = 502;
+  }
+}
+
+/**
+ * Rotates through a list of API keys, remembering the last working one
+ */
+class KeyRotator {
+  constructor(keys = []) {
+    this.keys = keys.filter(Boolean);
+    this.currentIndex = 0;
+  }
+
+  get size() {
+    return this.keys.length;
+  }
+
+  get current() {
+    return this.keys[this.currentIndex];
+  }
+
+  /**
+   * Switch to the next key, wrapping around
+   * @returns {number} New key index
+   */
+  next() {
+    this.currentIndex = (this.currentIndex + 1) % this.keys.length;
+    return this.currentIndex;
+  }
+
+  /**
+   * Run an API call, moving to the next key on rate limit or auth errors
+   * until every key has been tried once
+   * @param {Function} apiCall - Receives the API key
+   * @param {Function} [log] - log(level, message)
+   * @returns {Promise<*>} API call result
+   */
+  async withFallback(apiCall, log = () => {}) {
+    let lastError;
+
+    for (let keyAttempt = 0; keyAttempt < this.keys.length; keyAttempt++) {
+      try {
+        return await apiCall(this.current);
+      } catch (error) {
+        lastError = error;
+
+        // For other errors, don't switch keys - just throw
+        if (!isRateLimitOrAuthError(error)) throw error;
+
+        log('warn', `API key ${this.currentIndex + 1} of ${this.keys.length} rate limited or auth failed: ${error.message}`);
+        if (keyAttempt < this.keys.length - 1) {
+          this.next();
+        }
+      }
+    }
+
+    log('error', 'All API keys exhausted (rate limited or auth failed)');
+    throw lastError;
+  }
+}
+
+/**
+ * OpenAI-compatible chat completions provider
+ */
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.defaultModel = options.defaultModel || 'gpt-4o-mini';
+    this.keys = new KeyRotator(options.apiKeys || []);
+  }
+
+  isConfigured() {
+    return this.keys.size > 0;
+  }
+
+  async complete({ messages, model, temperature, maxTokens, json, timeout, apiKey }) {
+    const body = {
+      model: model || this.defaultModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (json) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout
+    });
+
+    return {
+      content: response.data.choices[0]?.message?.content || '',
+      model: response.data.model || body.model,
+      usage: {
+        promptTokens: response.data.usage?.prompt_tokens || 0,
+        completionTokens: response.data.usage?.completion_tokens || 0,
+        totalTokens: response.data.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+/**
+ * Groq provider (OpenAI-compatible API)
+ */
+class GroqProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super({
+      name: 'groq',
+      baseUrl: GROQ_BASE_URL,
+      defaultModel: GROQ_DEFAULT_MODEL,
+      apiKeys: [process.env.GROQ_API_KEY, process.env.GROQ_API_KEY2],
+      ...options
+    });
+  }
+}
+
+/**
+ * Deterministic local provider for tests and offline development
+ *
+ * Fixtures are matched in registration order against the last user
+ * message (string: substring match, RegExp, or function(messages, options)).
+ * A fixture response may be a string, an object (JSON-encoded) or a
+ * function returning either. Unmatched JSON calls get "{}", text calls
+ * get an empty string. Every call is recorded in `calls`.
+ */
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.defaultModel = 'fixture';
+    this.fixtures = [];
+    this.calls = [];
+    (options.fixtures || []).forEach(({ match, response }) => this.addFixture(match, response));
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  addFixture(match, response) {
+    this.fixtures.push({ match, response });
+    return this;
+  }
+
+  reset() {
+    this.fixtures = [];
+    this.calls = [];
+  }
+
+  _matches(match, prompt, request) {
+    if (typeof match === 'function') return match(request.messages, request);
+    if (match instanceof RegExp) return match.test(prompt);
+    return prompt.includes(match);
+  }
+
+  async complete(request) {
+    const userMessages = request.messages.filter(m => m.role === 'user');
+    const prompt = userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+    this.calls.push(request);
+
+    const fixture = this.fixtures.find(f => this._matches(f.match, prompt, request));
+    let content = fixture
+      ? (typeof fixture.response === 'function' ? fixture.response(request) : fixture.response)
+      : (request.json ? '{}' : '');
+    if (typeof content !== 'string') {
+      content = JSON.stringify(content);
+    }
+
+    // Rough token estimate (~4 characters per token)
+    const promptTokens = Math.ceil(request.messages.reduce((sum, m) => sum + m.content.length, 0) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content,
+      model: request.model || this.defaultModel,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+}
+
+class LLMClient extends BaseService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.providers] - Map of provider name -> provider
+   * @param {string} [options.defaultProvider] - Provider used when a call doesn't name one
+   * @param {number} [options.maxRetries=3] - Attempts per key for transient errors
+   * @param {number} [options.retryDelay=1000] - Base backoff delay in ms
+   * @param {number} [options.timeout=60000] - Request timeout in ms
+   * @param {number} [options.maxRepairAttempts=1] - Re-asks after invalid structured output
+   * @param {Function} [options.usageRecorder] - Receives one usage entry per model call
+   */
+  constructor(options = {}) {
+    super('LLMClient');
+    this.providers = new Map(Object.entries(options.providers || {}));
+    this.defaultProvider = options.defaultProvider || 'groq';
+    this.maxRetries = options.maxRetries || 3;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.timeout = options.timeout || 60000;
+    this.maxRepairAttempts = options.maxRepairAttempts ?? 1;
+    this.usageRecorder = options.usageRecorder || null;
+  }
+
+  /**
+   * Pass a usage entry to the recorder; recording never fails a call
+   */
+  _recordUsage(entry) {
+    if (!this.usageRecorder) return;
+    try {
+      Promise.resolve(this.usageRecorder(entry)).catch(error => {
+        this.log('warn', `Failed to record AI usage: ${error.message}`);
+      });
+    } catch (error) {
+      this.log('warn', `Failed to record AI usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Register (or replace) a provider
+   */
+  registerProvider(name, provider) {
+    this.providers.set(name, provider);
+    return this;
+  }
+
+  /**
+   * Switch the default provider (e.g. to 'fixture' in tests)
+   */
+  useProvider(name) {
+    this.getProvider(name);
+    this.defaultProvider = name;
+    return this;
+  }
+
+  getProvider(name = this.defaultProvider) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Whether the (default) provider has credentials to make calls
+   */
+  isConfigured(providerName) {
+    return this.getProvider(providerName).isConfigured();
+  }
+
+  /**
+   * Retry transient failures with exponential backoff
+   */
+  async _withTransientRetry(operation) {
+    let lastError;
+
+    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        lastError = error;
+        if (!isTransientError(error) || attempt === this.maxRetries - 1) throw error;
+
+        const delay = this.retryDelay * Math.pow(2, attempt);
+        this.log('warn', `LLM call failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object[]} messages - Chat messages [{role, content}]
+   * @param {Object} [options]
+   * @param {string} [options.provider] - Provider name (defaults to LLM_PROVIDER)
+   * @param {string} [options.model] - Model id (defaults to the provider's)
+   * @param {number} [options.temperature=0.7]
+   * @param {number} [options.maxTokens=2000]
+   * @param {boolean} [options.json=false] - Request a JSON object response
+   * @param {number} [options.timeout] - Request timeout in ms
+   * @param {string} [options.feature] - Feature name for usage accounting
+   * @param {string} [options.userId] - User the call is made for
+   * @param {string} [options.promptType] - Prompt template name, for usage accounting
+   * @param {number} [options.promptVersion] - Prompt template version (PromptRegistry)
+   * @param {boolean} [options.recordUsage=true] - Record this call's usage
+   * @returns {Promise<Object>} { content, model, provider, usage, latencyMs }
+   */
+  async complete(messages, options = {}) {
+    const provider = this.getProvider(options.provider);
+
+    if (!provider.isConfigured()) {
+      throw new Error(`LLM provider "${provider.name}" is not configured (missing API key)`);
+    }
+
+    const request = {
+      messages,
+      model: options.model || provider.defaultModel,
+      temperature: options.temperature ?? 0.7,
+      maxTokens: options.maxTokens || 2000,
+      json: Boolean(options.json),
+      timeout: options.timeout || this.timeout
+    };
+
+    const startedAt = Date.now();
+    const call = (apiKey) => this._withTransientRetry(() => provider.complete({ ...request, apiKey }));
+    const usageContext = {
+      feature: options.feature,
+      userId: options.userId,
+      provider: provider.name,
+      promptType: options.promptType,
+      promptVersion: options.promptVersion
+    };
+    let result;
+
+    try {
+      result = provider.keys
+        ? await provider.keys.withFallback(call, (level, message) => this.log(level, message))
+        : await call(null);
+    } catch (error) {
+      if (options.recordUsage !== false) {
+        this._recordUsage({
+          ...usageContext,
+          model: request.model,
+          latencyMs: Date.now() - startedAt,
+          outcome: 'error',
+          error: error.message
+        });
+      }
+      throw error;
+    }
+
+    const completion = {
+      ...result,
+      provider: provider.name,
+      latencyMs: Date.now() - startedAt
+    };
+
+    if (options.recordUsage !== false) {
+      this._recordUsage({
+        ...usageContext,
+        model: completion.model,
+        usage: completion.usage,
+        latencyMs: completion.latencyMs,
+        outcome: 'success'
+      });
+    }
+
+    return completion;
+  }
+
+  /**
+   * Run a chat completion that must return a JSON object
+   * @param {Object[]} messages - Chat messages [{role, content}]
+   * @param {Object} [options] - Same as complete()
+   * @returns {Promise<Object>} Parsed response
+   */
+  async completeJSON(messages, options = {}) {
+    const { content } = await this.complete(messages, { ...options, json: true });
+    return JSON.parse(content);
+  }
+
+  /**
+   * Run a chat completion whose JSON output must match a prompt schema.
+   * Invalid output is repaired locally first; if it still fails, the model
+   * is shown its response and the errors and asked again.
+   * @param {Object[]} messages - Chat messages [{role, content}]
+   * @param {string} promptType - Schema name in AISchemas.PROMPT_SCHEMAS
+   * @param {Object} [options] - Same as complete()
+   * @returns {Promise<Object>} { data, model, provider, usage, latencyMs, attempts }
+   * @throws {AIOutputValidationError} When no attempt yields a valid response
+   */
+  async completeStructured(messages, promptType, options = {}) {
+    const schema = getPromptSchema(promptType);
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    const startedAt = Date.now();
+    let conversation = messages;
+    let errors = [];
+    let attempt = 0;
+    const provider = this.getProvider(options.provider);
+    const usageContext = {
+      feature: options.feature,
+      userId: options.userId,
+      provider: provider.name,
+      promptType,
+      promptVersion: options.promptVersion
+    };
+
+    while (attempt <= this.maxRepairAttempts) {
+      attempt++;
+      const attemptStartedAt = Date.now();
+      let completion;
+      try {
+        completion = await this.complete(conversation, { ...options, json: true, recordUsage: false });
+      } catch (error) {
+        this._recordUsage({
+          ...usageContext,
+          model: options.model || provider.defaultModel,
+          latencyMs: Date.now() - attemptStartedAt,
+          outcome: 'error',
+          error: error.message,
+          attempt
+        });
+        throw error;
+      }
+      Object.keys(usage).forEach(key => { usage[key] += completion.usage?.[key] || 0; });
+
+      let data;
+      try {
+        data = JSON.parse(completion.content);
+        errors = [];
+      } catch (parseError) {
+        errors = [`$: response is not valid JSON (${parseError.message})`];
+      }
+
+      if (errors.length === 0) {
+        data = repair(schema, data);
+        errors = validate(schema, data);
+      }
+
+      this._recordUsage({
+        ...usageContext,
+        model: completion.model,
+        usage: completion.usage,
+        latencyMs: completion.latencyMs,
+        outcome: errors.length === 0 ? 'success' : 'invalid_output',
+        error: errors.length === 0 ? undefined : errors.slice(0, 3).join('; '),
+        attempt
+      });
+
+      if (errors.length === 0) {
+        return {
+          data,
+          model: completion.model,
+          provider: completion.provider,
+          usage,
+          latencyMs: Date.now() - startedAt,
+          attempts: attempt
+        };
+      }
+
+      this.log('warn', `Invalid ${promptType} response (attempt ${attempt}): ${errors.slice(0, 3).join('; ')}`);
+      conversation = [
+        ...messages,
+        { role: 'assistant', content: completion.content },
+        {
+          role: 'user',
+          content: `Your response did not match the required JSON structure:\n${errors.slice(0, 10).map(e => `- ${e}`).join('\n')}\n\nReturn the complete corrected JSON object only.`
+        }
+      ];
+    }
+
+    throw new AIOutputValidationError(promptType, errors, attempt);
+  }
+}
+
+/**
+ * Build a client with the built-in providers from environment configuration
+ */
+const createClient = (options = {}) => {
+  const openAIKeys = (process.env.LLM_OPENAI_API_KEYS || process.env.OPENAI_API_KEY || '')
+    .split(',')
+    .map(key => key.trim());
+
+  const defaultProvider = options.defaultProvider ||
+    process.env.LLM_PROVIDER ||
+    (process.env.NODE_ENV === 'test' ? 'fixture' : 'groq');
+
+  return new LLMClient({
+    usageRecorder: (entry) => require('./AIUsageService').record(entry),
+    ...options,
+    defaultProvider,
+    providers: {
+      groq: new GroqProvider({ defaultModel: process.env.LLM_GROQ_MODEL || GROQ_DEFAULT_MODEL }),
+      openai: new OpenAICompatibleProvider({
+        baseUrl: process.env.LLM_OPENAI_BASE_URL,
+        defaultModel: process.env.LLM_OPENAI_MODEL,
+        apiKeys: openAIKeys
+      }),
+      fixture: new FixtureProvider(),
+      ...options.providers
+    }
+  });
+};
+
+// Singleton instance
+const llmClient = createClient();
+
+module.exports = llmClient;
+module.exports.LLMClient = LLMClient;
+module.exports.KeyRotator = KeyRotator;
+module.exports.OpenAICompatibleProvider = OpenAICompatibleProvider;
+module.exports.GroqProvider = GroqProvider;
+module.exports.FixtureProvider = FixtureProvider;
+module.exports.createClient = createClient;
+module.exports.AIOutputValidationError = AIOutputValidationError;
@@ -0,0 +1,269 @@
+const SavedVideo = require('../models/SavedVideo');
+const UserCareerJourney = require('../models/UserCareerJourney');
+const PathGraphValidator = require('./PathGraphValidator');
+const freeResourceService = require('./FreeResourceService');
+
+/**
+ * Path Analytics Service
+ *
+ * Graph analytics for non-linear learning paths, weighted by each node's
+ * video length (SavedVideo.duration):
+ * - topological order (prerequisites first, ties broken by node order)
+ * - critical path: the longest chain of prerequisite edges, and the longest
+ *   chain of the nodes still to do
+ * - depth and parallel tracks: chains that can be worked on side by side
+ * - remaining minutes and an estimated completion date at the user's
+ *   weekly pace (UserCareerJourney.preferences.weeklyHours)
+ *
+ * Optional edges take part in ordering but not in the critical path or tracks.
+ */
+
+// Matches the UserCareerJourney preferences default
+const DEFAULT_WEEKLY_HOURS = 10;
+
+class PathAnalyticsService {
+  /**
+   * Analyze a user's path using their saved videos and active journey
+   * @param {Object} path - UserLearningPath document
+   * @param {string} [userId] - Viewer whose completion and pace to use
+   *   (defaults to the owner); durations always come from the owner's videos
+   * @returns {Promise<Object>} See analyze()
+   */
+  static async getPathAnalytics(path, userId = null) {
+    const viewerId = userId || path.userId;
+    const videoIds = [...new Set(path.structureGraph.nodes.map(n => n.videoId))];
+
+    const [savedVideos, journey] = await Promise.all([
+      SavedVideo.find({ userId: path.userId, videoId: { $in: videoIds } })
+        .select('videoId duration')
+        .lean(),
+      UserCareerJourney.getActiveJourney(viewerId)
+    ]);
+
+    const minutesByVideo = new Map(
+      savedVideos.map(v => [v.videoId, freeResourceService.parseDurationToMinutes(v.duration)])
+    );
+
+    const completion = path.getCompletionFor(viewerId);
+    const graph = {
+      nodes: path.structureGraph.nodes.map(n => ({
+        id: n.id,
+        videoId: n.videoId,
+        title: n.title,
+        order: n.order,
+        isCompleted: completion.has(n.id)
+      })),
+      edges: path.structureGraph.edges
+    };
+
+    return this.analyze(graph, minutesByVideo, {
+      weeklyHours: journey?.preferences?.weeklyHours || DEFAULT_WEEKLY_HOURS
+    });
+  }
+
+  /**
+   * Analyze a structure graph
+   * @param {Object} graph - { nodes, edges }; must pass PathGraphValidator
+   * @param {Map<string, number>} minutesByVideo - videoId -> minutes
+   * @param {Object} [options] - { weeklyHours, now }
+   * @returns {Object} { topologicalOrder, depth, criticalPath, parallelTracks,
+   *   totalMinutes, remainingMinutes, unknownDurationNodeIds, estimatedCompletion }
+   * @throws {PathGraphError} If the graph has cycles or dangling edges
+   */
+  static analyze(graph, minutesByVideo, options = {}) {
+    PathGraphValidator.assertValid(graph);
+
+    const { weeklyHours = DEFAULT_WEEKLY_HOURS, now = new Date() } = options;
+    const nodes = graph.nodes || [];
+    const edges = graph.edges || [];
+    const nodeMap = new Map(nodes.map(n => [n.id, n]));
+
+    const minutes = new Map();
+    const unknownDurationNodeIds = [];
+    nodes.forEach(node => {
+      const value = minutesByVideo.get(node.videoId);
+      if (!value) unknownDurationNodeIds.push(node.id);
+      minutes.set(node.id, value || 0);
+    });
+
+    const order = this.topologicalSort(nodes, edges);
+
+    // Prerequisite-only adjacency (duplicate edges collapsed)
+    const successors = new Map(nodes.map(n => [n.id, new Set()]));
+    const predecessors = new Map(nodes.map(n => [n.id, new Set()]));
+    edges
+      .filter(e => e.type !== 'optional')
+      .forEach(e => {
+        successors.get(e.from).add(e.to);
+        predecessors.get(e.to).add(e.from);
+      });
+
+    const remainingWeight = (id) => (nodeMap.get(id).isCompleted ? 0 : minutes.get(id));
+    const critical = this._longestPath(order, predecessors, id => minutes.get(id));
+
+    // Longest chain left: the same over incomplete nodes and the edges between them
+    const incomplete = (id) => !nodeMap.get(id).isCompleted;
+    const remainingCritical = this._longestPath(
+      order.filter(incomplete),
+      new Map([...predecessors].map(([id, preds]) => [id, new Set([...preds].filter(incomplete))])),
+      id => minutes.get(id)
+    );
+
+    // Depth: number of prerequisite levels
+    const level = new Map();
+    order.forEach(id => {
+      const preds = [...predecessors.get(id)];
+      level.set(id, preds.length === 0 ? 0 : Math.max(...preds.map(p => level.get(p))) + 1);
+    });
+
+    const totalMinutes = this._round(nodes.reduce((sum, n) => sum + minutes.get(n.id), 0));
+    const remainingMinutes = this._round(nodes.reduce((sum, n) => sum + remainingWeight(n.id), 0));
+
+    return {
+      topologicalOrder: order.map(id => ({
+        id,
+        title: nodeMap.get(id).title,
+        level: level.get(id),
+        minutes: this._round(minutes.get(id)),
+        isCompleted: !!nodeMap.get(id).isCompleted
+      })),
+      depth: nodes.length === 0 ? 0 : Math.max(...level.values()) + 1,
+      criticalPath: {
+        nodeIds: critical.nodeIds,
+        minutes: this._round(critical.weight),
+        remainingNodeIds: remainingCritical.nodeIds,
+        remainingMinutes: this._round(remainingCritical.weight)
+      },
+      parallelTracks: this._buildTracks(order, successors, predecessors, minutes, nodeMap),
+      totalMinutes,
+      remainingMinutes,
+      unknownDurationNodeIds,
+      estimatedCompletion: this.estimateCompletion(remainingMinutes, weeklyHours, now)
+    };
+  }
+
+  /**
+   * Kahn's algorithm over all edges; among ready nodes the lowest order goes first
+   * @returns {string[]} Node ids
+   */
+  static topologicalSort(nodes, edges) {
+    const inDegree = new Map(nodes.map(n => [n.id, 0]));
+    const outgoing = new Map(nodes.map(n => [n.id, []]));
+    const rank = new Map(nodes.map((n, index) => [n.id, [n.order ?? index, index]]));
+
+    edges.forEach(e => {
+      outgoing.get(e.from).push(e.to);
+      inDegree.set(e.to, inDegree.get(e.to) + 1);
+    });
+
+    const byRank = (a, b) => {
+      const [orderA, indexA] = rank.get(a);
+      const [orderB, indexB] = rank.get(b);
+      return orderA - orderB || indexA - indexB;
+    };
+
+    const ready = nodes.filter(n => inDegree.get(n.id) === 0).map(n => n.id);
+    const result = [];
+
+    while (ready.length > 0) {
+      ready.sort(byRank);
+      const id = ready.shift();
+      result.push(id);
+
+      outgoing.get(id).forEach(next => {
+        inDegree.set(next, inDegree.get(next) - 1);
+        if (inDegree.get(next) === 0) ready.push(next);
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Estimate when the remaining minutes will be done at the weekly pace
+   */
+  static estimateCompletion(remainingMinutes, weeklyHours, now = new Date()) {
+    const weeks = remainingMinutes / (weeklyHours * 60);
+    const date = new Date(now.getTime() + Math.ceil(weeks * 7) * 24 * 60 * 60 * 1000);
+
+    return {
+      weeklyHours,
+      weeks: Math.round(weeks * 10) / 10,
+      date: remainingMinutes > 0 ? date : now
+    };
+  }
+
+  /**
+   * Heaviest chain of prerequisite edges, by dynamic programming over the
+   * topological order
+   */
+  static _longestPath(order, predecessors, weightOf) {
+    const best = new Map();
+    const via = new Map();
+    let end = null;
+
+    order.forEach(id => {
+      let bestPred = null;
+      predecessors.get(id).forEach(pred => {
+        if (bestPred === null || best.get(pred) > best.get(bestPred)) bestPred = pred;
+      });
+
+      best.set(id, weightOf(id) + (bestPred === null ? 0 : best.get(bestPred)));
+      via.set(id, bestPred);
+
+      // On ties prefer the later node so zero-length videos stay on the chain
+      if (end === null || best.get(id) >= best.get(end)) end = id;
+    });
+
+    const nodeIds = [];
+    for (let id = end; id !== null; id = via.get(id)) {
+      nodeIds.unshift(id);
+    }
+
+    return { nodeIds, weight: end === null ? 0 : best.get(end) };
+  }
+
+  /**
+   * Split the prerequisite graph into chains. A chain continues while a node
+   * has exactly one prerequisite and that prerequisite has exactly one
+   * dependant; every branch or merge point starts a new track. Tracks that
+   * don't depend on each other can be worked on in parallel.
+   */
+  static _buildTracks(order, successors, predecessors, minutes, nodeMap) {
+    const trackOf = new Map();
+    const tracks = [];
+
+    order.forEach(id => {
+      const preds = [...predecessors.get(id)];
+      const continues = preds.length === 1 && successors.get(preds[0]).size === 1;
+
+      if (continues) {
+        const track = tracks[trackOf.get(preds[0])];
+        track.nodeIds.push(id);
+        trackOf.set(id, track.index);
+      } else {
+        const track = {
+          index: tracks.length,
+          nodeIds: [id],
+          dependsOn: [...new Set(preds.map(p => trackOf.get(p)))]
+        };
+        tracks.push(track);
+        trackOf.set(id, track.index);
+      }
+    });
+
+    return tracks.map(track => ({
+      ...track,
+      minutes: this._round(track.nodeIds.reduce((sum, id) => sum + minutes.get(id), 0)),
+      remainingMinutes: this._round(track.nodeIds
+        .filter(id => !nodeMap.get(id).isCompleted)
+        .reduce((sum, id) => sum + minutes.get(id), 0))
+    }));
+  }
+
+  static _round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+module.exports = PathAnalyticsService;
@@ -0,0 +1,262 @@
+const User = require('../models/User');
+const UserLearningPath = require('../models/UserLearningPath');
+const { sendPathInvitationEmail } = require('./emailService');
+
+/**
+ * Path Collaboration Service
+ *
+ * Invitations, roles and membership for shared learning paths.
+ * Owners invite by email; the invitee accepts with the emailed token while
+ * signed in to the account with that email address.
+ */
+
+const COLLABORATOR_ROLES = ['editor', 'viewer'];
+
+/**
+ * Thrown for invalid invitations and membership changes
+ */
+class PathCollaborationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PathCollaborationError';
+    this.statusCode = statusCode;
+  }
+}
+
+class PathCollaborationService {
+  /**
+   * Invite someone to a path by email
+   * @param {Object} path - UserLearningPath document (caller checked ownership)
+   * @param {Object} inviter - User document
+   * @param {Object} invite - { email, role }
+   * @returns {Promise<Object>} { invitation, inviteUrl, emailSent }
+   */
+  static async invite(path, inviter, { email, role = 'viewer' }) {
+    if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+      throw new PathCollaborationError('A valid email is required');
+    }
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      throw new PathCollaborationError(`Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`);
+    }
+
+    const normalized = email.toLowerCase().trim();
+    const invitee = await User.findOne({ email: normalized }).select('_id');
+
+    if (invitee && path.getRole(invitee._id) === 'owner') {
+      throw new PathCollaborationError('You already own this path');
+    }
+    if (invitee && path.getRole(invitee._id)) {
+      throw new PathCollaborationError('This user is already a collaborator', 409);
+    }
+
+    const { invitation, token } = path.createInvitation(normalized, role, inviter._id);
+    await path.save();
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const inviteUrl = `${frontendUrl}/paths/invitations/${token}`;
+
+    const emailSent = await sendPathInvitationEmail(normalized, {
+      inviterName: inviter.name,
+      pathTitle: path.title,
+      role,
+      acceptUrl: inviteUrl
+    });
+
+    return {
+      invitation: this._formatInvitation(invitation),
+      inviteUrl,
+      emailSent
+    };
+  }
+
+  /**
+   * Look up a pending invitation by token
+   * @returns {Promise<Object>} { path, invitation }
+   */
+  static async getInvitation(token) {
+    const path = await UserLearningPath.findByInvitationToken(token);
+    const invitation = path?.findInvitation(token);
+
+    if (!invitation) {
+      throw new PathCollaborationError('Invitation not found', 404);
+    }
+    if (invitation.status !== 'pending') {
+      throw new PathCollaborationError(`This invitation was already ${invitation.status}`, 410);
+    }
+    if (invitation.expiresAt < new Date()) {
+      throw new PathCollaborationError('This invitation has expired', 410);
+    }
+
+    return { path, invitation };
+  }
+
+  /**
+   * Public details of an invitation, for the accept page
+   */
+  static async describeInvitation(token) {
+    const { path, invitation } = await this.getInvitation(token);
+    const inviter = await User.findById(invitation.invitedBy).select('name');
+
+    return {
+      pathId: path._id,
+      pathTitle: path.title,
+      pathDescription: path.description,
+      nodeCount: path.structureGraph.nodes.length,
+      role: invitation.role,
+      email: invitation.email,
+      invitedBy: inviter?.name || null,
+      expiresAt: invitation.expiresAt
+    };
+  }
+
+  /**
+   * Accept an invitation as the signed-in user
+   * @returns {Promise<Object>} The path
+   */
+  static async acceptInvitation(token, user) {
+    const { path, invitation } = await this.getInvitation(token);
+    this._assertInvitee(invitation, user);
+
+    if (path.getRole(user._id) === 'owner') {
+      throw new PathCollaborationError('You already own this path');
+    }
+
+    const existing = path.collaborators.find(c => c.userId.toString() === user._id.toString());
+    if (existing) {
+      existing.role = invitation.role;
+    } else {
+      path.collaborators.push({
+        userId: user._id,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy
+      });
+    }
+
+    invitation.status = 'accepted';
+    invitation.respondedAt = new Date();
+    await path.save();
+
+    return path;
+  }
+
+  /**
+   * Decline an invitation as the signed-in user
+   */
+  static async declineInvitation(token, user) {
+    const { path, invitation } = await this.getInvitation(token);
+    this._assertInvitee(invitation, user);
+
+    invitation.status = 'declined';
+    invitation.respondedAt = new Date();
+    await path.save();
+  }
+
+  /**
+   * Revoke a pending invitation (owner)
+   */
+  static async revokeInvitation(path, invitationId) {
+    const invitation = path.invitations.id(invitationId);
+
+    if (!invitation || invitation.status !== 'pending') {
+      throw new PathCollaborationError('Pending invitation not found', 404);
+    }
+
+    invitation.status = 'revoked';
+    invitation.respondedAt = new Date();
+    await path.save();
+  }
+
+  /**
+   * Change a collaborator's role (owner)
+   */
+  static async updateRole(path, userId, role) {
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      throw new PathCollaborationError(`Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`);
+    }
+
+    const collaborator = path.collaborators.find(c => c.userId.toString() === String(userId));
+    if (!collaborator) {
+      throw new PathCollaborationError('Collaborator not found', 404);
+    }
+
+    collaborator.role = role;
+    await path.save();
+    return path;
+  }
+
+  /**
+   * Remove a collaborator (owner), or leave a path (the collaborator)
+   */
+  static async removeCollaborator(path, userId) {
+    const index = path.collaborators.findIndex(c => c.userId.toString() === String(userId));
+    if (index === -1) {
+      throw new PathCollaborationError('Collaborator not found', 404);
+    }
+
+    path.collaborators.splice(index, 1);
+    await path.save();
+    return path;
+  }
+
+  /**
+   * List the owner, collaborators and (for owners) pending invitations
+   */
+  static async listMembers(path, viewerRole) {
+    await path.populate([
+      { path: 'userId', select: 'name email' },
+      { path: 'collaborators.userId', select: 'name email' }
+    ]);
+
+    const member = (user, role, extra = {}) => ({
+      userId: user?._id,
+      name: user?.name,
+      email: user?.email,
+      role,
+      ...extra
+    });
+
+    const result = {
+      members: [
+        member(path.userId, 'owner'),
+        ...path.collaborators.map(c => member(c.userId, c.role, {
+          addedAt: c.addedAt,
+          completedCount: c.completedNodes.length
+        }))
+      ]
+    };
+
+    if (viewerRole === 'owner') {
+      const now = new Date();
+      result.pendingInvitations = path.invitations
+        .filter(i => i.status === 'pending' && i.expiresAt > now)
+        .map(i => this._formatInvitation(i));
+    }
+
+    // Leave the document as it was for callers that keep using it
+    path.depopulate();
+
+    return result;
+  }
+
+  static _assertInvitee(invitation, user) {
+    if (invitation.email !== user.email?.toLowerCase()) {
+      throw new PathCollaborationError('This invitation was sent to a different email address', 403);
+    }
+  }
+
+  static _formatInvitation(invitation) {
+    return {
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      status: invitation.status,
+      expiresAt: invitation.expiresAt,
+      createdAt: invitation.createdAt
+    };
+  }
+}
+
+PathCollaborationService.COLLABORATOR_ROLES = COLLABORATOR_ROLES;
+
+module.exports = PathCollaborationService;
+module.exports.PathCollaborationError = PathCollaborationError;
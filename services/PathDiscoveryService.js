@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+const UserLearningPath = require('../models/UserLearningPath');
+const PathRating = require('../models/PathRating');
+const SavedVideo = require('../models/SavedVideo');
+const freeResourceService = require('./FreeResourceService');
+
+/**
+ * Path Discovery Service
+ *
+ * Search, ranking and ratings for public learning paths.
+ *
+ * Each public path keeps denormalized stats in `discovery` (clone count,
+ * completion rate among cloners, rating average, total minutes) and a
+ * ranking score built from them. Stats are refreshed when a path is cloned
+ * or rated, and for all public paths by the nightly path_discovery_stats job.
+ *
+ * Score (0-1):
+ *   0.5 * Bayesian rating average / 5 (RATING_PRIOR_COUNT ratings of RATING_PRIOR_MEAN)
+ * + 0.3 * completion rate among clones
+ * + 0.2 * popularity (log10 of clones, 100 clones = 1)
+ */
+
+const RATING_PRIOR_MEAN = 3;
+const RATING_PRIOR_COUNT = 5;
+const MAX_REVIEW_LENGTH = 500;
+
+const SORTS = {
+  rank: { 'discovery.score': -1, createdAt: -1 },
+  rating: { 'discovery.ratingAverage': -1, 'discovery.ratingCount': -1 },
+  clones: { 'discovery.cloneCount': -1 },
+  newest: { createdAt: -1 }
+};
+
+/**
+ * Thrown for rejected ratings and missing paths
+ */
+class PathDiscoveryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PathDiscoveryError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Optional minutes filter from a query string
+const parseMinutes = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    throw new PathDiscoveryError(`${name} must be a non-negative number`);
+  }
+  return minutes;
+};
+
+class PathDiscoveryService {
+  /**
+   * Search public paths
+   * @param {Object} [options] - { q, careerId, minMinutes, maxMinutes,
+   *   sort: 'relevance' | 'rank' | 'rating' | 'clones' | 'newest', limit, offset }
+   *   sort defaults to relevance when q is given and rank otherwise
+   * @returns {Promise<Object>} { paths, total }
+   * @throws {PathDiscoveryError} If minMinutes or maxMinutes is not a number
+   */
+  static async search(options = {}) {
+    const { q, careerId, limit = 20, offset = 0 } = options;
+    const minMinutes = parseMinutes(options.minMinutes, 'minMinutes');
+    const maxMinutes = parseMinutes(options.maxMinutes, 'maxMinutes');
+    const query = q?.trim();
+    const sort = options.sort || (query ? 'relevance' : 'rank');
+
+    const filter = {
+      visibility: 'public',
+      deletedAt: null,
+      'structureGraph.nodes.0': { $exists: true } // Has at least one node
+    };
+
+    if (query) filter.$text = { $search: query };
+    if (careerId) filter.careerId = careerId;
+    if (minMinutes !== undefined || maxMinutes !== undefined) {
+      filter['discovery.totalMinutes'] = {
+        ...(minMinutes !== undefined && { $gte: minMinutes }),
+        ...(maxMinutes !== undefined && { $lte: maxMinutes })
+      };
+    }
+
+    const sortBy = sort === 'relevance' && query
+      ? { score: { $meta: 'textScore' }, 'discovery.score': -1 }
+      : SORTS[sort] || SORTS.rank;
+
+    const [paths, total] = await Promise.all([
+      UserLearningPath.find(filter, query ? { score: { $meta: 'textScore' } } : {})
+        .sort(sortBy)
+        .skip(offset)
+        .limit(limit)
+        .select('title description careerId publicSlug totalNodesCount inferredSkills inferredCareers discovery createdAt userId')
+        .populate('userId', 'name'),
+      UserLearningPath.countDocuments(filter)
+    ]);
+
+    return { paths, total };
+  }
+
+  /**
+   * Recompute a path's discovery stats and score
+   * @param {string} pathId
+   * @returns {Promise<Object|null>} The new stats, or null if the path is gone
+   */
+  static async refreshStats(pathId) {
+    const path = await UserLearningPath.findOne({ _id: pathId, deletedAt: null })
+      .select('userId structureGraph.nodes.videoId');
+    if (!path) return null;
+
+    const videoIds = [...new Set(path.structureGraph.nodes.map(n => n.videoId))];
+
+    const [clones, ratings, savedVideos] = await Promise.all([
+      UserLearningPath.find({ ...this._cloneFilter(pathId), deletedAt: null })
+        .select('completedNodesCount totalNodesCount')
+        .lean(),
+      PathRating.getSummary(pathId),
+      SavedVideo.find({ userId: path.userId, videoId: { $in: videoIds } })
+        .select('videoId duration')
+        .lean()
+    ]);
+
+    const minutesByVideo = new Map(
+      savedVideos.map(v => [v.videoId, freeResourceService.parseDurationToMinutes(v.duration)])
+    );
+    const totalMinutes = path.structureGraph.nodes
+      .reduce((sum, n) => sum + (minutesByVideo.get(n.videoId) || 0), 0);
+
+    const progress = clones.map(c => (c.totalNodesCount ? c.completedNodesCount / c.totalNodesCount : 0));
+    const completionRate = progress.length
+      ? progress.reduce((sum, p) => sum + p, 0) / progress.length
+      : 0;
+
+    const discovery = {
+      cloneCount: clones.length,
+      activeCloneCount: clones.filter(c => c.completedNodesCount > 0).length,
+      completionRate: Math.round(completionRate * 1000) / 1000,
+      ratingAverage: ratings.average,
+      ratingCount: ratings.count,
+      totalMinutes: Math.round(totalMinutes),
+      refreshedAt: new Date()
+    };
+    discovery.score = this.score(discovery, ratings);
+
+    await UserLearningPath.updateOne({ _id: pathId }, { $set: { discovery } });
+    return discovery;
+  }
+
+  /**
+   * Ranking score (see module doc)
+   * @param {Object} stats - { cloneCount, completionRate }
+   * @param {Object} ratings - { average, count }
+   */
+  static score({ cloneCount, completionRate }, { average, count }) {
+    const bayesianRating = (RATING_PRIOR_MEAN * RATING_PRIOR_COUNT + (average || 0) * count) /
+      (RATING_PRIOR_COUNT + count);
+    const popularity = Math.min(1, Math.log10(1 + cloneCount) / 2);
+
+    return Math.round((0.5 * (bayesianRating / 5) + 0.3 * completionRate + 0.2 * popularity) * 10000) / 10000;
+  }
+
+  /**
+   * Rate a public path. The user needs a clone of it with progress.
+   * @param {string} pathId - Public path
+   * @param {string} userId - Rating user
+   * @param {Object} input - { rating: 1-5, review }
+   * @returns {Promise<Object>} { rating, stats }
+   */
+  static async ratePath(pathId, userId, { rating, review = '' }) {
+    const value = Number(rating);
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      throw new PathDiscoveryError('Rating must be a whole number from 1 to 5');
+    }
+    if (typeof review !== 'string' || review.length > MAX_REVIEW_LENGTH) {
+      throw new PathDiscoveryError(`Review must be at most ${MAX_REVIEW_LENGTH} characters`);
+    }
+
+    const path = await UserLearningPath.findOne({ _id: pathId, visibility: 'public', deletedAt: null })
+      .select('userId');
+    if (!path) {
+      throw new PathDiscoveryError('Path not found or is private', 404);
+    }
+    if (path.userId.toString() === userId.toString()) {
+      throw new PathDiscoveryError('You cannot rate your own path', 403);
+    }
+
+    const clone = await UserLearningPath.findOne({
+      ...this._cloneFilter(pathId),
+      userId,
+      deletedAt: null,
+      completedNodesCount: { $gt: 0 }
+    })
+      .sort({ completedNodesCount: -1 })
+      .select('completedNodesCount totalNodesCount');
+
+    if (!clone) {
+      throw new PathDiscoveryError(
+        'Clone this path and complete at least one video before rating it',
+        403
+      );
+    }
+
+    const saved = await PathRating.findOneAndUpdate(
+      { pathId, userId },
+      {
+        $set: {
+          clonePathId: clone._id,
+          rating: value,
+          review: review.trim(),
+          progressAtRating: clone.totalNodesCount
+            ? Math.round((clone.completedNodesCount / clone.totalNodesCount) * 100)
+            : 0
+        }
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    const stats = await this.refreshStats(pathId);
+    return { rating: saved, stats };
+  }
+
+  /**
+   * Remove the user's rating of a path
+   * @returns {Promise<boolean>} Whether there was a rating
+   */
+  static async removeRating(pathId, userId) {
+    const result = await PathRating.deleteOne({ pathId, userId });
+    if (result.deletedCount > 0) {
+      await this.refreshStats(pathId);
+    }
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Ratings and reviews for a path, newest first
+   * @returns {Promise<Object>} { summary, reviews, total }
+   */
+  static async getRatings(pathId, { limit = 20, offset = 0 } = {}) {
+    const [summary, reviews] = await Promise.all([
+      PathRating.getSummary(pathId),
+      PathRating.find({ pathId })
+        .sort({ updatedAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .select('userId rating review progressAtRating updatedAt')
+        .populate('userId', 'name')
+    ]);
+
+    return {
+      summary,
+      total: summary.count,
+      reviews: reviews.map(r => ({
+        id: r._id,
+        authorName: r.userId?.name || 'Anonymous',
+        rating: r.rating,
+        review: r.review,
+        progressAtRating: r.progressAtRating,
+        updatedAt: r.updatedAt
+      }))
+    };
+  }
+
+  /**
+   * Stats across an author's public paths
+   * @param {string} userId - Author
+   * @returns {Promise<Object>} { totals, paths }
+   */
+  static async getAuthorStats(userId) {
+    const paths = await UserLearningPath.find({ userId, visibility: 'public', deletedAt: null })
+      .select('title publicSlug totalNodesCount discovery createdAt')
+      .sort({ 'discovery.score': -1 })
+      .lean();
+
+    const pathIds = paths.map(p => p._id);
+    const ratingGroups = pathIds.length
+      ? await PathRating.aggregate([
+        { $match: { pathId: { $in: pathIds.map(toObjectId) } } },
+        { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$rating' } } }
+      ])
+      : [];
+
+    const sum = (valueOf) => paths.reduce((total, p) => total + (valueOf(p.discovery || {}) || 0), 0);
+    const clones = sum(d => d.cloneCount);
+    // Weighted by clone count, so popular paths count for more
+    const completedShare = sum(d => d.completionRate * d.cloneCount);
+    const ratings = ratingGroups[0] || { count: 0, total: 0 };
+
+    return {
+      totals: {
+        publicPaths: paths.length,
+        clones,
+        activeClones: sum(d => d.activeCloneCount),
+        completionRate: clones ? Math.round((completedShare / clones) * 1000) / 1000 : 0,
+        ratingCount: ratings.count,
+        ratingAverage: ratings.count ? Math.round((ratings.total / ratings.count) * 10) / 10 : null
+      },
+      paths: paths.map(p => ({
+        id: p._id,
+        title: p.title,
+        shareUrl: `/paths/${p.publicSlug}`,
+        totalNodesCount: p.totalNodesCount,
+        createdAt: p.createdAt,
+        ...p.discovery
+      }))
+    };
+  }
+
+  /**
+   * Clones of a path: tracked upstream (newer clones) or basedOnPathId
+   */
+  static _cloneFilter(pathId) {
+    return {
+      $or: [
+        { 'upstream.pathId': pathId },
+        { basedOnPathId: pathId }
+      ]
+    };
+  }
+}
+
+PathDiscoveryService.SORTS = Object.keys(SORTS).concat('relevance');
+
+module.exports = PathDiscoveryService;
+module.exports.PathDiscoveryError = PathDiscoveryError;
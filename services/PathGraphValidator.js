@@ -0,0 +1,177 @@
+/**
+ * Path Graph Validator
+ *
+ * Checks that a learning path's structureGraph is a DAG over its own nodes:
+ * - every node id is unique
+ * - no edge points from a node to itself
+ * - every edge references existing nodes
+ * - no edges (prerequisite or optional) form a cycle
+ *
+ * A prerequisite cycle leaves its nodes locked forever in
+ * getNextAvailableNodes, so structural mutations are rejected when the
+ * resulting graph has any error. Duplicate edges are reported as warnings.
+ */
+
+/**
+ * Thrown when a structural mutation would leave the graph invalid
+ */
+class PathGraphError extends Error {
+  /**
+   * @param {Object[]} problems - Errors from PathGraphValidator.validate()
+   */
+  constructor(problems) {
+    super(`Invalid learning path graph: ${problems.slice(0, 3).map(p => p.message).join('; ')}`);
+    this.name = 'PathGraphError';
+    this.statusCode = 400;
+    this.problems = problems;
+  }
+}
+
+class PathGraphValidator {
+  /**
+   * Validate a structure graph
+   * @param {Object} graph - { nodes: [{ id, title }], edges: [{ from, to, type }] }
+   * @returns {{ valid: boolean, errors: Object[], warnings: Object[] }}
+   *   Each problem has a type (duplicate_node, self_loop, dangling_reference,
+   *   cycle, duplicate_edge), a message, and the offending nodeIds in order
+   */
+  static validate(graph) {
+    const nodes = graph?.nodes || [];
+    const edges = graph?.edges || [];
+    const errors = [];
+    const warnings = [];
+
+    const titles = new Map();
+    nodes.forEach(node => {
+      if (titles.has(node.id)) {
+        errors.push({
+          type: 'duplicate_node',
+          message: `Node ${this._label(node.id, titles)} appears more than once`,
+          nodeIds: [node.id]
+        });
+      } else {
+        titles.set(node.id, node.title);
+      }
+    });
+
+    const adjacency = new Map([...titles.keys()].map(id => [id, []]));
+    const seenEdges = new Set();
+
+    edges.forEach(edge => {
+      const key = `${edge.from}->${edge.to}`;
+
+      if (edge.from === edge.to) {
+        errors.push({
+          type: 'self_loop',
+          message: `Node ${this._label(edge.from, titles)} depends on itself`,
+          nodeIds: [edge.from, edge.to],
+          edge: this._edge(edge)
+        });
+        return;
+      }
+
+      const missing = [edge.from, edge.to].filter(id => !titles.has(id));
+      if (missing.length > 0) {
+        errors.push({
+          type: 'dangling_reference',
+          message: `Edge ${edge.from} -> ${edge.to} references missing node(s): ${missing.join(', ')}`,
+          nodeIds: [edge.from, edge.to],
+          missingNodeIds: missing,
+          edge: this._edge(edge)
+        });
+        return;
+      }
+
+      if (seenEdges.has(key)) {
+        warnings.push({
+          type: 'duplicate_edge',
+          message: `Edge ${this._label(edge.from, titles)} -> ${this._label(edge.to, titles)} is defined more than once`,
+          nodeIds: [edge.from, edge.to],
+          edge: this._edge(edge)
+        });
+        return;
+      }
+
+      seenEdges.add(key);
+      adjacency.get(edge.from).push(edge.to);
+    });
+
+    this.findCycles(adjacency).forEach(cycle => {
+      errors.push({
+        type: 'cycle',
+        message: `Cycle: ${cycle.map(id => this._label(id, titles)).join(' -> ')}`,
+        nodeIds: cycle
+      });
+    });
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Validate and throw a PathGraphError when the graph has errors
+   */
+  static assertValid(graph) {
+    const { errors } = this.validate(graph);
+    if (errors.length > 0) {
+      throw new PathGraphError(errors);
+    }
+  }
+
+  /**
+   * Find cycles with an iterative depth-first search. Each back edge yields
+   * one cycle, returned as the node ids along it with the first id repeated
+   * at the end (e.g. [a, b, c, a]).
+   * @param {Map<string, string[]>} adjacency - Node id -> successor ids
+   * @returns {string[][]}
+   */
+  static findCycles(adjacency) {
+    const WHITE = 0, GREY = 1, BLACK = 2;
+    const color = new Map([...adjacency.keys()].map(id => [id, WHITE]));
+    const cycles = [];
+
+    for (const root of adjacency.keys()) {
+      if (color.get(root) !== WHITE) continue;
+
+      // Stack of [nodeId, index of next successor to visit]
+      const stack = [[root, 0]];
+      color.set(root, GREY);
+
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const [id, index] = frame;
+        const successors = adjacency.get(id) || [];
+
+        if (index >= successors.length) {
+          color.set(id, BLACK);
+          stack.pop();
+          continue;
+        }
+
+        frame[1]++;
+        const next = successors[index];
+
+        if (color.get(next) === GREY) {
+          const start = stack.findIndex(([stackId]) => stackId === next);
+          cycles.push([...stack.slice(start).map(([stackId]) => stackId), next]);
+        } else if (color.get(next) === WHITE) {
+          color.set(next, GREY);
+          stack.push([next, 0]);
+        }
+      }
+    }
+
+    return cycles;
+  }
+
+  static _label(id, titles) {
+    const title = titles.get(id);
+    return title ? `"${title}" (${id})` : id;
+  }
+
+  static _edge(edge) {
+    return { from: edge.from, to: edge.to, type: edge.type };
+  }
+}
+
+module.exports = PathGraphValidator;
+module.exports.PathGraphError = PathGraphError;
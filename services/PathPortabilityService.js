@@ -0,0 +1,471 @@
+const SavedVideo = require('../models/SavedVideo');
+const UserLearningPath = require('../models/UserLearningPath');
+const youtubeService = require('./YouTubeService');
+const PathAnalyticsService = require('./PathAnalyticsService');
+const PathGraphValidator = require('./PathGraphValidator');
+const { validate } = require('./SchemaValidator');
+
+/**
+ * Path Portability Service
+ *
+ * Moves learning paths between accounts and environments.
+ *
+ * Export format (JSON, FORMAT_VERSION 1):
+ * {
+ *   format: 'codelearnn.learning-path',
+ *   version: 1,
+ *   exportedAt: ISO date,
+ *   path: { title, description, careerId, inferredSkills, inferredCareers },
+ *   nodes: [{
+ *     id, videoId, url, title, order, notes,
+ *     isCompleted, completedAt,            // only with includeProgress
+ *     resource: { title, channel, duration, thumbnail, codeLearnnScore,
+ *                 category, subcategory, inferredSkills, inferredCareers }
+ *   }],
+ *   edges: [{ from, to, type: 'prerequisite' | 'optional' }]
+ * }
+ * Node ids only need to be unique within the file; edges refer to them.
+ * resource is the exporter's SavedVideo metadata and may be null.
+ *
+ * The Markdown export is a readable outline and can't be imported.
+ *
+ * Import validates the file and its graph, re-resolves each node's YouTube
+ * id (from videoId or url), reuses the importer's saved videos and saves
+ * the rest, then records an 'import' version.
+ */
+
+const FORMAT = 'codelearnn.learning-path';
+const FORMAT_VERSION = 1;
+const MAX_IMPORT_NODES = 500;
+
+const string = { type: 'string' };
+const stringList = { type: 'array', items: string };
+const optionalString = { type: ['string', 'null'] };
+
+// Fields copied into SavedVideo (see RESOURCE_FIELDS)
+const RESOURCE_SCHEMA = {
+  type: ['object', 'null'],
+  properties: {
+    title: optionalString,
+    channel: optionalString,
+    duration: { type: ['string', 'number', 'null'] },
+    thumbnail: optionalString,
+    codeLearnnScore: { type: ['number', 'null'], minimum: 0, maximum: 100 },
+    category: optionalString,
+    subcategory: optionalString,
+    inferredSkills: stringList,
+    inferredCareers: stringList
+  }
+};
+
+const EXPORT_SCHEMA = {
+  type: 'object',
+  required: ['format', 'version', 'path', 'nodes', 'edges'],
+  properties: {
+    format: { type: 'string', enum: [FORMAT] },
+    version: { type: 'integer', minimum: 1 },
+    exportedAt: string,
+    path: {
+      type: 'object',
+      required: ['title'],
+      properties: {
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        description: { type: ['string', 'null'], maxLength: 2000 },
+        careerId: { type: ['string', 'null'] },
+        inferredSkills: stringList,
+        inferredCareers: stringList
+      }
+    },
+    nodes: {
+      type: 'array',
+      maxItems: MAX_IMPORT_NODES,
+      items: {
+        type: 'object',
+        required: ['id', 'title'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          videoId: { type: ['string', 'null'] },
+          url: { type: ['string', 'null'] },
+          title: { type: 'string', minLength: 1 },
+          order: { type: 'number' },
+          notes: { type: ['string', 'null'] },
+          isCompleted: { type: 'boolean' },
+          completedAt: { type: ['string', 'null'] },
+          resource: RESOURCE_SCHEMA
+        }
+      }
+    },
+    edges: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['from', 'to'],
+        properties: {
+          from: string,
+          to: string,
+          type: { type: 'string', enum: ['prerequisite', 'optional'] }
+        }
+      }
+    }
+  }
+};
+
+const RESOURCE_FIELDS = [
+  'title', 'channel', 'duration', 'thumbnail', 'codeLearnnScore',
+  'category', 'subcategory', 'inferredSkills', 'inferredCareers'
+];
+
+/**
+ * Thrown when an import file is malformed
+ */
+class PathImportError extends Error {
+  constructor(message, problems = [], statusCode = 400) {
+    super(message);
+    this.name = 'PathImportError';
+    this.statusCode = statusCode;
+    this.problems = problems;
+  }
+}
+
+class PathPortabilityService {
+  /**
+   * Export a path as a portable document
+   * @param {Object} path - UserLearningPath document
+   * @param {string} userId - Exporting user (their completion and saved videos)
+   * @param {Object} [options] - { includeProgress: include completion state }
+   * @returns {Promise<Object>} Export document (see module doc)
+   */
+  static async exportJson(path, userId, { includeProgress = false } = {}) {
+    const view = path.toViewFor(userId);
+    const resources = await this._loadResources(path, userId);
+
+    return {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      path: {
+        title: view.title,
+        description: view.description || null,
+        careerId: view.careerId || null,
+        inferredSkills: view.inferredSkills || [],
+        inferredCareers: view.inferredCareers || []
+      },
+      nodes: view.structureGraph.nodes.map(node => ({
+        id: node.id,
+        videoId: node.videoId,
+        url: this.videoUrl(node.videoId),
+        title: node.title,
+        order: node.order,
+        notes: node.notes || null,
+        ...(includeProgress && {
+          isCompleted: !!node.isCompleted,
+          completedAt: node.completedAt ? new Date(node.completedAt).toISOString() : null
+        }),
+        resource: resources.get(node.videoId) || null
+      })),
+      edges: view.structureGraph.edges.map(({ from, to, type }) => ({ from, to, type }))
+    };
+  }
+
+  /**
+   * Export a path as a Markdown outline, prerequisites first
+   * @returns {Promise<string>}
+   */
+  static async exportMarkdown(path, userId, { includeProgress = false } = {}) {
+    const doc = await this.exportJson(path, userId, { includeProgress });
+    const nodeMap = new Map(doc.nodes.map(n => [n.id, n]));
+    const order = PathAnalyticsService.topologicalSort(doc.nodes, doc.edges);
+    const number = new Map(order.map((id, index) => [id, index + 1]));
+
+    const lines = [`# ${doc.path.title}`, ''];
+
+    if (doc.path.description) {
+      lines.push(doc.path.description, '');
+    }
+    if (doc.path.careerId) {
+      lines.push(`- **Career:** ${doc.path.careerId}`);
+    }
+    if (doc.path.inferredSkills.length > 0) {
+      lines.push(`- **Skills:** ${doc.path.inferredSkills.join(', ')}`);
+    }
+    lines.push(`- **Videos:** ${doc.nodes.length}`, `- **Exported:** ${doc.exportedAt}`, '', '## Videos', '');
+
+    order.forEach(id => {
+      const node = nodeMap.get(id);
+      const checkbox = includeProgress ? (node.isCompleted ? '[x] ' : '[ ] ') : '';
+      const details = [node.resource?.channel, node.resource?.duration].filter(Boolean).join(' · ');
+
+      lines.push(`${number.get(id)}. ${checkbox}[${this._escapeMarkdown(node.title)}](${node.url})${details ? ` (${details})` : ''}`);
+
+      const incoming = doc.edges.filter(e => e.to === id);
+      const requires = incoming.filter(e => e.type !== 'optional').map(e => `#${number.get(e.from)}`);
+      const after = incoming.filter(e => e.type === 'optional').map(e => `#${number.get(e.from)}`);
+      if (requires.length > 0) lines.push(`   - Requires: ${requires.join(', ')}`);
+      if (after.length > 0) lines.push(`   - Optional after: ${after.join(', ')}`);
+      if (node.notes) {
+        node.notes.split('\n').forEach(line => lines.push(`   > ${line}`));
+      }
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Import an export document as a new draft path for the user
+   * @param {string} userId - Importing user
+   * @param {Object|string} data - Export document (or its JSON text)
+   * @returns {Promise<Object>} { path, savedVideosCreated, savedVideosReused, warnings }
+   * @throws {PathImportError} If the file or its graph is invalid
+   */
+  static async importPath(userId, data) {
+    const doc = this.parseImport(data);
+    const warnings = [];
+
+    // Re-resolve ids; nodes get fresh ids so imports never collide
+    const idMap = new Map();
+    const nodes = doc.nodes.map((node, index) => {
+      const videoId = this.resolveVideoId(node);
+      const newId = `node_${Date.now()}_${index}`;
+      idMap.set(node.id, newId);
+
+      return {
+        id: newId,
+        videoId,
+        title: node.title,
+        order: node.order ?? index,
+        isCompleted: !!node.isCompleted,
+        completedAt: node.isCompleted && node.completedAt ? new Date(node.completedAt) : null,
+        notes: node.notes || undefined,
+        resource: node.resource
+      };
+    });
+
+    const unresolved = nodes
+      .map((node, index) => (node.videoId ? null : doc.nodes[index].id))
+      .filter(Boolean);
+    if (unresolved.length > 0) {
+      throw new PathImportError(
+        'Some nodes have no valid YouTube video id or URL',
+        unresolved.map(id => ({ type: 'invalid_video', nodeId: id }))
+      );
+    }
+
+    // Unknown ids are kept as-is so the validator reports them as dangling
+    const edges = doc.edges.map(edge => ({
+      from: idMap.get(edge.from) || edge.from,
+      to: idMap.get(edge.to) || edge.to,
+      type: edge.type || 'prerequisite'
+    }));
+
+    const graph = {
+      nodes: nodes.map(({ resource, ...node }) => node),
+      edges
+    };
+    PathGraphValidator.assertValid(graph);
+
+    const { savedVideos, created, reused } = await this._resolveSavedVideos(userId, nodes, warnings);
+
+    // Titles follow the current YouTube title when it was looked up
+    graph.nodes.forEach(node => {
+      node.title = savedVideos.get(node.videoId)?.title || node.title;
+    });
+
+    const path = await UserLearningPath.create({
+      userId,
+      title: doc.path.title,
+      description: doc.path.description || undefined,
+      careerId: doc.path.careerId || undefined,
+      isAutoGenerated: false,
+      status: 'draft',
+      visibility: 'private',
+      structureGraph: graph,
+      inferredSkills: doc.path.inferredSkills || [],
+      inferredCareers: doc.path.inferredCareers || []
+    });
+
+    await SavedVideo.updateMany(
+      { userId, videoId: { $in: [...savedVideos.keys()] }, addedToPathId: null },
+      { $set: { addedToPathId: path._id, pathStatus: 'in_path' } }
+    );
+
+    await path.createVersionSnapshot(
+      'import',
+      `Imported from a ${FORMAT} v${doc.version} file`,
+      userId
+    );
+
+    return { path, savedVideosCreated: created, savedVideosReused: reused, warnings };
+  }
+
+  /**
+   * Parse and validate an import document
+   * @throws {PathImportError}
+   */
+  static parseImport(data) {
+    let doc = data;
+
+    if (typeof data === 'string') {
+      try {
+        doc = JSON.parse(data);
+      } catch (error) {
+        throw new PathImportError('Import file is not valid JSON');
+      }
+    }
+
+    if (!doc || typeof doc !== 'object' || doc.format !== FORMAT) {
+      throw new PathImportError(`Import file is not a ${FORMAT} export`);
+    }
+    if (doc.version > FORMAT_VERSION) {
+      throw new PathImportError(
+        `Import file version ${doc.version} is newer than the supported version ${FORMAT_VERSION}`
+      );
+    }
+
+    const errors = validate(EXPORT_SCHEMA, doc);
+    if (errors.length === 0) {
+      doc.nodes.forEach((node, index) => {
+        if (node.completedAt && Number.isNaN(new Date(node.completedAt).getTime())) {
+          errors.push(`$.nodes[${index}].completedAt: must be a date`);
+        }
+      });
+    }
+    if (errors.length > 0) {
+      throw new PathImportError(
+        'Import file is malformed',
+        errors.map(message => ({ type: 'schema', message }))
+      );
+    }
+
+    // Edges refer to node ids, so a repeated id makes them ambiguous
+    const seen = new Set();
+    const duplicates = new Set(doc.nodes.map(node => node.id).filter(id => seen.has(id) || !seen.add(id)));
+    if (duplicates.size > 0) {
+      throw new PathImportError(
+        'Node ids must be unique within the file',
+        [...duplicates].map(id => ({ type: 'duplicate_node', nodeId: id }))
+      );
+    }
+
+    return doc;
+  }
+
+  /**
+   * YouTube id for an imported node, from videoId or url
+   * @returns {string|null}
+   */
+  static resolveVideoId(node) {
+    for (const candidate of [node.videoId, node.url]) {
+      if (!candidate) continue;
+      const videoId = youtubeService.extractVideoId(candidate.trim());
+      if (videoId && /^[a-zA-Z0-9_-]{11}$/.test(videoId)) return videoId;
+    }
+    return null;
+  }
+
+  static videoUrl(videoId) {
+    return `https://www.youtube.com/watch?v=${videoId}`;
+  }
+
+  /**
+   * Reuse the user's saved videos and save the rest, with current YouTube
+   * metadata where the API is available and the file's otherwise
+   * @returns {Promise<Object>} { savedVideos: Map videoId -> SavedVideo, created, reused }
+   */
+  static async _resolveSavedVideos(userId, nodes, warnings) {
+    const videoIds = [...new Set(nodes.map(n => n.videoId))];
+    const existing = await SavedVideo.find({ userId, videoId: { $in: videoIds } });
+    const savedVideos = new Map(existing.map(v => [v.videoId, v]));
+    let reused = 0;
+
+    for (const video of existing) {
+      if (video.deletedAt) {
+        video.deletedAt = null;
+        await video.save();
+      }
+      reused++;
+    }
+
+    const missing = videoIds.filter(id => !savedVideos.has(id));
+    const details = new Map();
+
+    if (missing.length > 0 && youtubeService.apiKey) {
+      const found = await youtubeService.getMultipleVideoDetails(missing);
+      found.forEach(video => details.set(video.id, video));
+      missing
+        .filter(id => !details.has(id))
+        .forEach(id => warnings.push({ type: 'video_unavailable', videoId: id }));
+    } else if (missing.length > 0) {
+      warnings.push({ type: 'youtube_unverified', videoIds: missing });
+    }
+
+    let created = 0;
+    for (const videoId of missing) {
+      const node = nodes.find(n => n.videoId === videoId);
+      const resource = this._pickResource(node.resource);
+      const live = details.get(videoId);
+
+      const video = await SavedVideo.create({
+        userId,
+        videoId,
+        title: live?.title || resource.title || node.title,
+        channel: live?.channelTitle || resource.channel,
+        duration: live?.duration || resource.duration,
+        thumbnail: live?.thumbnails?.medium?.url || resource.thumbnail,
+        inferredSkills: resource.inferredSkills || [],
+        inferredCareers: resource.inferredCareers || [],
+        codeLearnnScore: resource.codeLearnnScore,
+        category: resource.category,
+        subcategory: resource.subcategory,
+        analyzedData: { source: 'import', verified: !!live }
+      });
+
+      savedVideos.set(videoId, video);
+      created++;
+    }
+
+    return { savedVideos, created, reused };
+  }
+
+  /**
+   * The exporter's SavedVideo metadata for each video in the path
+   * @returns {Promise<Map<string, Object>>} videoId -> resource
+   */
+  static async _loadResources(path, userId) {
+    const videoIds = [...new Set(path.structureGraph.nodes.map(n => n.videoId))];
+    const videos = await SavedVideo.find({
+      userId: { $in: [userId, path.userId] },
+      videoId: { $in: videoIds }
+    }).lean();
+
+    // Prefer the exporter's own copy over the owner's
+    const resources = new Map();
+    videos
+      .sort((a, b) => (String(a.userId) === String(userId)) - (String(b.userId) === String(userId)))
+      .forEach(video => resources.set(video.videoId, this._pickResource(video)));
+
+    return resources;
+  }
+
+  static _pickResource(source) {
+    const resource = {};
+    if (!source || typeof source !== 'object') return resource;
+
+    RESOURCE_FIELDS.forEach(field => {
+      if (source[field] !== undefined && source[field] !== null) {
+        resource[field] = source[field];
+      }
+    });
+    return resource;
+  }
+
+  static _escapeMarkdown(text) {
+    return String(text).replace(/([\\[\]])/g, '\\$1');
+  }
+}
+
+PathPortabilityService.FORMAT = FORMAT;
+PathPortabilityService.FORMAT_VERSION = FORMAT_VERSION;
+PathPortabilityService.EXPORT_SCHEMA = EXPORT_SCHEMA;
+
+module.exports = PathPortabilityService;
+module.exports.PathImportError = PathImportError;
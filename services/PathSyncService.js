@@ -0,0 +1,209 @@
+const UserLearningPath = require('../models/UserLearningPath');
+const LearningPathVersion = require('../models/LearningPathVersion');
+const DiffComputer = require('./DiffComputer');
+const PathGraphValidator = require('./PathGraphValidator');
+
+/**
+ * Path Sync Service
+ *
+ * Keeps clones of public learning paths in step with their upstream.
+ * A clone records the upstream path and the upstream version it was last
+ * synced with; pulling three-way merges the upstream's changes since then
+ * into the clone (see DiffComputer.mergeThreeWay).
+ *
+ * Completion state and notes belong to the cloner, and so do status and
+ * visibility: they are neutralized on the upstream side so upstream values
+ * never overwrite them. Nodes the cloner added are kept.
+ */
+
+/**
+ * Thrown when a path has no upstream or the upstream can't be read
+ */
+class PathSyncError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PathSyncError';
+    this.statusCode = statusCode;
+  }
+}
+
+class PathSyncService {
+  /**
+   * Preview the upstream changes since the clone was last synced.
+   * Read-only: compares against the upstream's latest existing version, so
+   * upstream edits not captured in a version yet show up on pull.
+   * @param {Object} clone - UserLearningPath document
+   * @param {Object} [resolutions] - conflictId -> 'current' | 'target'
+   * @param {Object} [options] - { capture } to first version the upstream's
+   *   current state (used by pullUpstream)
+   * @returns {Promise<Object>} { upstream, upToDate, diff, summary, merge }
+   */
+  static async previewUpstream(clone, resolutions = {}, { capture = false } = {}) {
+    const { upstreamPath, base, latest } = await this._loadUpstream(clone, { capture });
+    const current = JSON.parse(JSON.stringify(clone.getSnapshot()));
+    const baseView = this._upstreamView(base.toObject().snapshot, current);
+    const targetView = this._upstreamView(latest.toObject().snapshot, current);
+
+    const diff = DiffComputer.computePathDiff(baseView, targetView);
+
+    return {
+      upstream: {
+        pathId: upstreamPath._id,
+        title: upstreamPath.title,
+        syncedVersion: base.versionNumber,
+        latestVersion: latest.versionNumber
+      },
+      upToDate: !DiffComputer.hasChanges(diff),
+      diff,
+      summary: DiffComputer.summarizeDiff(diff),
+      merge: DiffComputer.mergeThreeWay(baseView, current, targetView, resolutions)
+    };
+  }
+
+  /**
+   * Pull upstream changes into the clone
+   * @param {Object} clone - UserLearningPath document
+   * @param {Object} [resolutions] - conflictId -> 'current' | 'target'
+   * @param {string} [authorId] - User pulling (recorded on the versions)
+   * @returns {Promise<Object>} { pulled, path, preview } - pulled is false
+   *   when already up to date or when conflicts still need a resolution
+   */
+  static async pullUpstream(clone, resolutions = {}, authorId = null) {
+    const preview = await this.previewUpstream(clone, resolutions, { capture: true });
+
+    if (preview.upToDate || preview.merge.unresolvedCount > 0) {
+      return { pulled: false, path: clone, preview };
+    }
+
+    PathGraphValidator.assertValid(preview.merge.merged.structureGraph);
+
+    // Keep the pre-pull state so the pull can be undone
+    await clone.createVersionSnapshot(
+      'user_edit',
+      `State before pulling upstream version ${preview.upstream.latestVersion}`,
+      authorId
+    );
+
+    clone.applySnapshot(preview.merge.merged);
+    clone.upstream.versionNumber = preview.upstream.latestVersion;
+    clone.upstream.syncedAt = new Date();
+    await clone.save();
+
+    await clone.createVersionSnapshot(
+      'merge',
+      `Pulled upstream changes (version ${preview.upstream.syncedVersion} to ${preview.upstream.latestVersion})`,
+      authorId
+    );
+
+    return { pulled: true, path: clone, preview };
+  }
+
+  /**
+   * Upstream fields for a new clone of sourcePath
+   * @returns {Promise<Object>} { pathId, versionNumber, syncedAt }
+   */
+  static async getCloneBase(sourcePath) {
+    const version = await sourcePath.ensureCurrentVersion(
+      'upstream_snapshot',
+      'State captured for a clone'
+    );
+
+    return {
+      pathId: sourcePath._id,
+      versionNumber: version.versionNumber,
+      syncedAt: new Date()
+    };
+  }
+
+  /**
+   * Count clones following a path
+   * @returns {Promise<Object>} { total, active, behind } - active clones are
+   *   not deleted or archived; behind ones were synced before the latest version
+   */
+  static async getCloneStats(pathId) {
+    const [clones, latest] = await Promise.all([
+      UserLearningPath.find({ 'upstream.pathId': pathId, deletedAt: null })
+        .select('status upstream.versionNumber')
+        .lean(),
+      LearningPathVersion.findOne({ pathId })
+        .sort({ versionNumber: -1 })
+        .select('versionNumber')
+        .lean()
+    ]);
+
+    const active = clones.filter(c => c.status !== 'archived');
+
+    return {
+      total: clones.length,
+      active: active.length,
+      behind: latest
+        ? active.filter(c => (c.upstream?.versionNumber || 0) < latest.versionNumber).length
+        : 0
+    };
+  }
+
+  /**
+   * Load the upstream path, the version the clone last synced with and the
+   * upstream's latest version. With capture, the latest version is created
+   * first if the upstream changed since its last one.
+   */
+  static async _loadUpstream(clone, { capture = false } = {}) {
+    if (!clone.upstream?.pathId || !clone.upstream.versionNumber) {
+      throw new PathSyncError('This path was not cloned from another path');
+    }
+
+    const upstreamPath = await UserLearningPath.findOne({
+      _id: clone.upstream.pathId,
+      deletedAt: null,
+      $or: [
+        { visibility: 'public' },
+        { userId: clone.userId }
+      ]
+    });
+
+    if (!upstreamPath) {
+      throw new PathSyncError('Upstream path is no longer available', 404);
+    }
+
+    const [base, latest] = await Promise.all([
+      LearningPathVersion.getVersion(upstreamPath._id, clone.upstream.versionNumber),
+      capture
+        ? upstreamPath.ensureCurrentVersion('upstream_snapshot', 'State captured for a clone sync')
+        : LearningPathVersion.getLatestVersion(upstreamPath._id)
+    ]);
+
+    if (!base) {
+      throw new PathSyncError(
+        `Upstream version ${clone.upstream.versionNumber} no longer exists`,
+        404
+      );
+    }
+
+    return { upstreamPath, base, latest };
+  }
+
+  /**
+   * Upstream snapshot with the cloner's own fields neutralized: nodes are
+   * not completed and have no notes, status and visibility match the clone
+   */
+  static _upstreamView(snapshot, current) {
+    const plain = JSON.parse(JSON.stringify(snapshot));
+
+    return {
+      ...plain,
+      status: current.status,
+      visibility: current.visibility,
+      structureGraph: {
+        nodes: (plain.structureGraph?.nodes || []).map(({ _id, notes, ...node }) => ({
+          ...node,
+          isCompleted: false,
+          completedAt: null
+        })),
+        edges: (plain.structureGraph?.edges || []).map(({ _id, ...edge }) => edge)
+      }
+    };
+  }
+}
+
+module.exports = PathSyncService;
+module.exports.PathSyncError = PathSyncError;
@@ -0,0 +1,327 @@
+const SavedVideo = require('../models/SavedVideo');
+const User = require('../models/User');
+const UserLearningPath = require('../models/UserLearningPath');
+const youtubeService = require('./YouTubeService');
+const freeResourceService = require('./FreeResourceService');
+const PathGraphValidator = require('./PathGraphValidator');
+
+/**
+ * Playlist Path Service
+ *
+ * Turns a YouTube playlist into a draft learning path: one node per video in
+ * playlist order, each scored with FreeResourceService.analyzePlaylistVideos.
+ * Runs as the playlist_path background job (videos are scored one by one).
+ * The path records the job's id, so a retried job finishes the path its
+ * earlier attempt created instead of creating another.
+ *
+ * At most maxVideos videos (default DEFAULT_MAX_VIDEOS, at most
+ * MAX_PLAYLIST_VIDEOS) are used, from the start of the playlist; the result
+ * says when the playlist was longer (truncated).
+ *
+ * Videos below minScore, non-programming videos and videos that could not be
+ * analyzed are kept as nodes and listed in sourcePlaylist.flaggedVideos, or
+ * left out with skipLowScoring. Private and deleted videos are always left out.
+ *
+ * Edges (see inferEdges): a video requires the closest earlier video that
+ * shares one of its skills; a video sharing none with anything before it is
+ * linked to the previous video as optional, so the playlist order is kept
+ * without locking unrelated videos.
+ */
+
+const DEFAULT_MIN_SCORE = 50;
+const DEFAULT_MAX_VIDEOS = 50; // One playlistItems page
+const MAX_PLAYLIST_VIDEOS = 200; // Each unanalyzed video is an AI call
+const MAX_INFERRED_SKILLS = 15;
+
+// Share of job progress spent scoring videos; the rest is saving
+const ANALYSIS_PROGRESS = 90;
+
+/**
+ * Thrown for invalid playlists and options
+ */
+class PlaylistPathError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PlaylistPathError';
+    this.statusCode = statusCode;
+  }
+}
+
+class PlaylistPathService {
+  /**
+   * Check a generation request before it is queued
+   * @param {Object} options - { url, minScore, maxVideos }
+   * @returns {Object} The options with defaults applied
+   * @throws {PlaylistPathError}
+   */
+  static normalizeOptions(options = {}) {
+    const { url, title, careerId } = options;
+
+    if (!url || !youtubeService.extractPlaylistId(String(url))) {
+      throw new PlaylistPathError('A YouTube playlist URL is required');
+    }
+
+    const minScore = options.minScore === undefined ? DEFAULT_MIN_SCORE : Number(options.minScore);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+      throw new PlaylistPathError('minScore must be between 0 and 100');
+    }
+
+    const maxVideos = options.maxVideos === undefined ? DEFAULT_MAX_VIDEOS : parseInt(options.maxVideos);
+    if (!Number.isInteger(maxVideos) || maxVideos < 1 || maxVideos > MAX_PLAYLIST_VIDEOS) {
+      throw new PlaylistPathError(`maxVideos must be between 1 and ${MAX_PLAYLIST_VIDEOS}`);
+    }
+
+    if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > 200)) {
+      throw new PlaylistPathError('title must be 1-200 characters');
+    }
+
+    return {
+      url: String(url),
+      minScore,
+      maxVideos,
+      skipLowScoring: options.skipLowScoring === true || options.skipLowScoring === 'true',
+      title: title?.trim(),
+      careerId: careerId || undefined
+    };
+  }
+
+  /**
+   * Generate a draft path from a playlist
+   * @param {string} userId - Path owner
+   * @param {Object} options - { url, minScore, skipLowScoring, maxVideos, title, careerId }
+   *   careerId defaults to the user's active career
+   * @param {Object} [hooks] - { onProgress(percent), jobId }
+   * @returns {Promise<Object>} { path, flaggedVideos, savedVideosCreated, savedVideosReused,
+   *   playlistVideoCount, truncated } - truncated when the playlist has more
+   *   than maxVideos videos
+   * @throws {PlaylistPathError}
+   */
+  static async generate(userId, options, { onProgress, jobId = null } = {}) {
+    const { url, minScore, maxVideos, skipLowScoring, title, careerId: requestedCareerId } =
+      this.normalizeOptions(options);
+    const reportProgress = async (percent) => {
+      if (onProgress) await onProgress(Math.round(percent));
+    };
+
+    const { playlistData, videos } = await freeResourceService.analyzePlaylistVideos(
+      url,
+      {
+        maxVideos,
+        onProgress: (done, total) => reportProgress((done / total) * ANALYSIS_PROGRESS)
+      },
+      { userId }
+    );
+
+    // Playlists can list a video twice; the first occurrence wins
+    const seen = new Set();
+    let flaggedVideos = [];
+    const kept = [];
+
+    for (const video of videos) {
+      if (seen.has(video.videoId)) continue;
+      seen.add(video.videoId);
+
+      const reason = this.flagReason(video, minScore);
+      const skipped = reason === 'unavailable' ||
+        (skipLowScoring && (reason === 'low_score' || reason === 'not_programming'));
+
+      if (!skipped) kept.push(video);
+      if (reason) {
+        flaggedVideos.push({
+          videoId: video.videoId,
+          title: video.title,
+          score: video.evaluation?.codeLearnnScore,
+          reason,
+          skipped
+        });
+      }
+    }
+
+    if (kept.length === 0) {
+      throw new PlaylistPathError('No videos in this playlist meet the minimum score', 422);
+    }
+
+    const careerId = requestedCareerId ||
+      (await User.findById(userId).select('activeCareerId').lean())?.activeCareerId ||
+      undefined;
+
+    const stamp = Date.now();
+    const nodes = kept.map((video, index) => ({
+      id: `node_${stamp}_${index}`,
+      videoId: video.videoId,
+      title: video.title,
+      order: index,
+      isCompleted: false
+    }));
+    const graph = {
+      nodes,
+      edges: this.inferEdges(kept.map((video, index) => ({ id: nodes[index].id, skills: video.tags || [] })))
+    };
+    PathGraphValidator.assertValid(graph);
+
+    flaggedVideos.forEach(flag => {
+      if (!flag.skipped) flag.nodeId = nodes.find(n => n.videoId === flag.videoId).id;
+    });
+
+    const { created, reused } = await this._saveVideos(userId, kept, careerId);
+
+    const existing = jobId && await UserLearningPath.findOne({
+      userId,
+      'sourcePlaylist.playlistId': playlistData.playlistId,
+      'sourcePlaylist.jobId': jobId,
+      deletedAt: null
+    });
+    if (existing) {
+      // Node ids differ between attempts; report the saved path's flags
+      flaggedVideos = existing.toObject().sourcePlaylist.flaggedVideos;
+    }
+
+    const path = existing || await UserLearningPath.create({
+      userId,
+      careerId,
+      title: title || playlistData.title?.substring(0, 200) || 'Playlist Path',
+      description: playlistData.description?.substring(0, 1000) || undefined,
+      isAutoGenerated: true,
+      status: 'draft',
+      visibility: 'private',
+      structureGraph: graph,
+      inferredSkills: this.rankSkills(kept),
+      inferredCareers: careerId ? [careerId] : [],
+      sourcePlaylist: {
+        playlistId: playlistData.playlistId,
+        url,
+        minScore,
+        generatedAt: new Date(),
+        jobId,
+        flaggedVideos
+      }
+    });
+
+    await SavedVideo.updateMany(
+      { userId, videoId: { $in: kept.map(v => v.videoId) }, addedToPathId: null },
+      { $set: { addedToPathId: path._id, pathStatus: 'in_path' } }
+    );
+
+    await path.ensureCurrentVersion(
+      'path_created',
+      `Generated from YouTube playlist "${playlistData.title}"`
+    );
+
+    await reportProgress(100);
+
+    return {
+      path,
+      flaggedVideos,
+      savedVideosCreated: created,
+      savedVideosReused: reused,
+      playlistVideoCount: playlistData.videoCount,
+      truncated: playlistData.videoCount > maxVideos
+    };
+  }
+
+  /**
+   * Why a playlist video is flagged, or null if it isn't
+   * @returns {string|null} unavailable | unscored | not_programming | low_score
+   */
+  static flagReason(video, minScore) {
+    if (!video.available) return 'unavailable';
+    if (!video.evaluation) return 'unscored';
+    if (!video.evaluation.isProgrammingTutorial) return 'not_programming';
+    if ((video.evaluation.codeLearnnScore || 0) < minScore) return 'low_score';
+    return null;
+  }
+
+  /**
+   * Infer edges for videos in playlist order (see module doc)
+   * Videos without skills follow the previous video as a prerequisite.
+   * @param {Object[]} videos - [{ id, skills }] in order
+   * @returns {Object[]} Edges
+   */
+  static inferEdges(videos) {
+    const edges = [];
+
+    videos.forEach((video, index) => {
+      if (index === 0) return;
+
+      const previous = videos[index - 1];
+      if (video.skills.length === 0) {
+        edges.push({ from: previous.id, to: video.id, type: 'prerequisite' });
+        return;
+      }
+
+      const skills = new Set(video.skills);
+      const related = videos
+        .slice(0, index)
+        .reverse()
+        .find(earlier => earlier.skills.some(skill => skills.has(skill)));
+
+      edges.push(related
+        ? { from: related.id, to: video.id, type: 'prerequisite' }
+        : { from: previous.id, to: video.id, type: 'optional' });
+    });
+
+    return edges;
+  }
+
+  /**
+   * Most common skills across the kept videos
+   * @returns {string[]}
+   */
+  static rankSkills(videos) {
+    const counts = new Map();
+    videos.forEach(video => {
+      new Set(video.tags || []).forEach(skill => counts.set(skill, (counts.get(skill) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_INFERRED_SKILLS)
+      .map(([skill]) => skill);
+  }
+
+  /**
+   * Reuse the user's saved videos (restoring deleted ones) and save the rest
+   * @returns {Promise<Object>} { created, reused }
+   */
+  static async _saveVideos(userId, videos, careerId) {
+    const existing = await SavedVideo.find({ userId, videoId: { $in: videos.map(v => v.videoId) } });
+    const existingIds = new Set(existing.map(v => v.videoId));
+
+    for (const video of existing) {
+      if (video.deletedAt) {
+        video.deletedAt = null;
+        await video.save();
+      }
+    }
+
+    let created = 0;
+    for (const video of videos) {
+      if (existingIds.has(video.videoId)) continue;
+
+      await SavedVideo.create({
+        userId,
+        videoId: video.videoId,
+        title: video.title,
+        channel: video.channelName,
+        duration: video.duration,
+        thumbnail: video.thumbnail,
+        analyzedData: video.analysisData || { source: 'playlist', analyzed: false },
+        inferredSkills: video.tags || [],
+        inferredCareers: careerId ? [careerId] : [],
+        codeLearnnScore: video.evaluation?.codeLearnnScore,
+        category: video.category,
+        subcategory: video.subcategory
+      });
+      created++;
+    }
+
+    return { created, reused: existing.length };
+  }
+}
+
+PlaylistPathService.DEFAULT_MIN_SCORE = DEFAULT_MIN_SCORE;
+PlaylistPathService.DEFAULT_MAX_VIDEOS = DEFAULT_MAX_VIDEOS;
+PlaylistPathService.MAX_PLAYLIST_VIDEOS = MAX_PLAYLIST_VIDEOS;
+
+module.exports = PlaylistPathService;
+module.exports.PlaylistPathError = PlaylistPathError;
@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const PromptTemplate = require('../models/PromptTemplate');
+const AISuggestion = require('../models/AISuggestion');
+const AIUsageService = require('./AIUsageService');
+const { BUILT_IN_TEMPLATES } = require('./PromptTemplates');
+
+/**
+ * Prompt Registry - named, versioned prompt templates
+ *
+ * render(name, variables) picks a version of the template, fills its
+ * {{variable}} placeholders and returns chat messages plus the version,
+ * which callers store with the AI output it produced.
+ *
+ * Versions live in the PromptTemplate collection (built-ins from
+ * PromptTemplates.js are stored on first load) and are re-read every
+ * refreshInterval so admin changes reach every process. Without a
+ * database connection the built-in templates are used.
+ *
+ * When several versions of a name have a traffic weight, each render picks
+ * one in proportion to the weights. Passing an assignmentKey (e.g. a user
+ * id) keeps the choice stable for that key.
+ */
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z_][\w.]*)\s*\}\}/g;
+
+/**
+ * Thrown for unknown templates, missing variables and invalid versions
+ */
+class PromptTemplateError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PromptTemplateError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * List the variable names used by a template string
+ */
+const extractVariables = (text) =>
+  [...new Set([...text.matchAll(PLACEHOLDER)].map(match => match[1]))];
+
+/**
+ * Resolve a dotted variable path
+ */
+const resolveVariable = (variables, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+
+/**
+ * Fill {{variable}} placeholders. Objects and arrays are JSON-encoded.
+ * @throws {PromptTemplateError} When a variable is missing
+ */
+const interpolate = (text, variables = {}) => {
+  const missing = extractVariables(text).filter(name => resolveVariable(variables, name) === undefined);
+  if (missing.length > 0) {
+    throw new PromptTemplateError(`Missing prompt variables: ${missing.join(', ')}`);
+  }
+
+  return text.replace(PLACEHOLDER, (match, name) => {
+    const value = resolveVariable(variables, name);
+    if (value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+  });
+};
+
+/**
+ * Map a key to a stable number in [0, 1)
+ */
+const bucketFor = (key) =>
+  parseInt(crypto.createHash('md5').update(String(key)).digest('hex').slice(0, 8), 16) / 0x100000000;
+
+class PromptRegistry extends BaseService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.templates] - Built-in templates (name -> { version, system, user })
+   * @param {number} [options.refreshInterval=60000] - How long loaded versions are reused (ms)
+   */
+  constructor(options = {}) {
+    super('PromptRegistry');
+    this.builtIns = options.templates || BUILT_IN_TEMPLATES;
+    this.refreshInterval = options.refreshInterval ?? 60000;
+    this.versions = null; // name -> versions sorted by version
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Built-in versions when the database is unavailable
+   */
+  _builtInVersions() {
+    const versions = new Map();
+    for (const [name, template] of Object.entries(this.builtIns)) {
+      versions.set(name, [{ name, ...template, source: 'builtin', trafficWeight: 100 }]);
+    }
+    return versions;
+  }
+
+  /**
+   * Store built-in versions not yet in the database. A new built-in version
+   * takes all traffic for its name (shipping new prompt text is a rollout).
+   */
+  async _storeBuiltIns(existing) {
+    for (const [name, template] of Object.entries(this.builtIns)) {
+      const stored = existing.filter(doc => doc.name === name);
+      if (stored.some(doc => doc.version === template.version)) continue;
+      if (stored.some(doc => doc.version > template.version)) continue;
+
+      try {
+        await PromptTemplate.updateMany({ name }, { $set: { trafficWeight: 0 } });
+        await PromptTemplate.create({
+          name,
+          version: template.version,
+          system: template.system,
+          user: template.user,
+          description: template.description,
+          source: 'builtin',
+          trafficWeight: 100
+        });
+        this.log('info', `Stored built-in prompt ${name} v${template.version}`);
+      } catch (error) {
+        // Another process stored it first
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  async _load() {
+    if (mongoose.connection.readyState !== 1) {
+      return this._builtInVersions();
+    }
+
+    let docs = await PromptTemplate.find().sort({ name: 1, version: 1 }).lean();
+    const missing = Object.entries(this.builtIns).some(([name, template]) =>
+      !docs.some(doc => doc.name === name && doc.version >= template.version)
+    );
+    if (missing) {
+      await this._storeBuiltIns(docs);
+      docs = await PromptTemplate.find().sort({ name: 1, version: 1 }).lean();
+    }
+
+    const versions = new Map();
+    for (const doc of docs) {
+      if (!versions.has(doc.name)) versions.set(doc.name, []);
+      versions.get(doc.name).push(doc);
+    }
+    for (const [name, builtIn] of this._builtInVersions()) {
+      if (!versions.has(name)) versions.set(name, builtIn);
+    }
+    return versions;
+  }
+
+  /**
+   * Reload versions from the database
+   */
+  async refresh() {
+    if (!this.loading) {
+      this.loading = this._load()
+        .then(versions => {
+          this.versions = versions;
+          this.loadedAt = Date.now();
+          return versions;
+        })
+        .catch(error => {
+          this.log('warn', `Failed to load prompt templates, using built-ins: ${error.message}`);
+          this.versions = this.versions || this._builtInVersions();
+          this.loadedAt = Date.now();
+          return this.versions;
+        })
+        .finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  async _getVersions(name) {
+    if (!this.versions || Date.now() - this.loadedAt > this.refreshInterval) {
+      await this.refresh();
+    }
+    const versions = this.versions.get(name);
+    if (!versions || versions.length === 0) {
+      throw new PromptTemplateError(`Unknown prompt template: ${name}`, 404);
+    }
+    return versions;
+  }
+
+  /**
+   * Pick a version by traffic weight (the latest version if none has weight)
+   */
+  _selectVersion(versions, assignmentKey) {
+    const active = versions.filter(v => v.trafficWeight > 0);
+    if (active.length === 0) return versions[versions.length - 1];
+    if (active.length === 1) return active[0];
+
+    const totalWeight = active.reduce((sum, v) => sum + v.trafficWeight, 0);
+    const point = (assignmentKey != null ? bucketFor(`${versions[0].name}:${assignmentKey}`) : Math.random()) * totalWeight;
+
+    let cumulative = 0;
+    for (const version of active) {
+      cumulative += version.trafficWeight;
+      if (point < cumulative) return version;
+    }
+    return active[active.length - 1];
+  }
+
+  /**
+   * Render a template into chat messages
+   * @param {string} name - Template name
+   * @param {Object} [variables] - Values for {{placeholders}}
+   * @param {Object} [options]
+   * @param {string} [options.assignmentKey] - Keeps the A/B version stable for this key
+   * @param {number} [options.version] - Render a specific version
+   * @returns {Promise<Object>} { name, version, messages }
+   */
+  async render(name, variables = {}, options = {}) {
+    const versions = await this._getVersions(name);
+    const template = options.version
+      ? versions.find(v => v.version === Number(options.version))
+      : this._selectVersion(versions, options.assignmentKey);
+
+    if (!template) {
+      throw new PromptTemplateError(`Unknown version ${options.version} of prompt template ${name}`, 404);
+    }
+
+    return {
+      name,
+      version: template.version,
+      messages: [
+        { role: 'system', content: interpolate(template.system, variables) },
+        { role: 'user', content: interpolate(template.user, variables) }
+      ]
+    };
+  }
+
+  /**
+   * Variables the calling service provides for a template
+   */
+  _variablesFor(name) {
+    const builtIn = this.builtIns[name];
+    return builtIn ? extractVariables(builtIn.system + builtIn.user) : [];
+  }
+
+  /**
+   * List templates with their versions and traffic weights
+   */
+  async listTemplates() {
+    await this.refresh();
+    return [...this.versions.entries()].map(([name, versions]) => ({
+      name,
+      variables: this._variablesFor(name),
+      versions: versions.map(v => ({
+        version: v.version,
+        source: v.source,
+        description: v.description,
+        trafficWeight: v.trafficWeight,
+        createdAt: v.createdAt
+      }))
+    }));
+  }
+
+  /**
+   * Get every version of a template, including its text
+   */
+  async getTemplate(name) {
+    await this.refresh();
+    return this._getVersions(name);
+  }
+
+  /**
+   * Add a version of a template. It may only use the variables its calling
+   * service provides (those of the built-in template).
+   * @param {string} name
+   * @param {Object} data - { system, user, description, trafficWeight, createdBy }
+   * @returns {Promise<Object>} Created version
+   */
+  async createVersion(name, { system, user, description, trafficWeight = 0, createdBy = null }) {
+    if (mongoose.connection.readyState !== 1) {
+      throw new PromptTemplateError('Prompt versions can only be added with a database connection', 503);
+    }
+    if (!this.builtIns[name]) {
+      throw new PromptTemplateError(`Unknown prompt template: ${name}`, 404);
+    }
+    if (!system || !user) {
+      throw new PromptTemplateError('Both system and user text are required');
+    }
+
+    const allowed = this._variablesFor(name);
+    const unknown = extractVariables(system + user).filter(variable => !allowed.includes(variable));
+    if (unknown.length > 0) {
+      throw new PromptTemplateError(
+        `Unknown variables for ${name}: ${unknown.join(', ')} (available: ${allowed.join(', ') || 'none'})`
+      );
+    }
+
+    const latest = await PromptTemplate.findOne({ name }).sort({ version: -1 });
+    const version = Math.max(latest?.version || 0, this.builtIns[name].version) + 1;
+
+    const created = await PromptTemplate.create({
+      name,
+      version,
+      system,
+      user,
+      description,
+      trafficWeight,
+      createdBy,
+      source: 'admin'
+    });
+
+    await this.refresh();
+    this.log('info', `Added prompt ${name} v${version} (weight ${trafficWeight})`);
+    return created;
+  }
+
+  /**
+   * Set traffic weights for a template's versions; versions not listed get 0
+   * @param {string} name
+   * @param {Object} weights - { [version]: weight }
+   * @returns {Promise<Object[]>} Versions with their new weights
+   */
+  async setTrafficSplit(name, weights = {}) {
+    if (mongoose.connection.readyState !== 1) {
+      throw new PromptTemplateError('Traffic can only be split with a database connection', 503);
+    }
+
+    const versions = await this._getVersions(name);
+    const entries = Object.entries(weights).map(([version, weight]) => [Number(version), Number(weight)]);
+
+    for (const [version, weight] of entries) {
+      if (!versions.some(v => v.version === version)) {
+        throw new PromptTemplateError(`Unknown version ${version} of prompt template ${name}`, 404);
+      }
+      if (!Number.isFinite(weight) || weight < 0 || weight > 100) {
+        throw new PromptTemplateError(`Weight for version ${version} must be between 0 and 100`);
+      }
+    }
+    if (!entries.some(([, weight]) => weight > 0)) {
+      throw new PromptTemplateError('At least one version needs a weight above 0');
+    }
+
+    await PromptTemplate.updateMany({ name }, { $set: { trafficWeight: 0 } });
+    await Promise.all(entries.map(([version, weight]) =>
+      PromptTemplate.updateOne({ name, version }, { $set: { trafficWeight: weight } })
+    ));
+
+    await this.refresh();
+    return this._getVersions(name);
+  }
+
+  /**
+   * Compare a template's versions: model usage (calls, invalid output,
+   * tokens, latency) for every template, plus learner responses
+   * (accept/reject/dismiss) for the suggestions template
+   * @param {string} name
+   * @param {Object} [options] - { days = 30 }
+   * @returns {Promise<Object>} { name, days, versions, acceptanceDifference }
+   */
+  async compareVersions(name, { days = 30 } = {}) {
+    const versions = await this._getVersions(name);
+    const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const usage = await AIUsageService.aggregate('promptVersion', { promptType: name, from });
+    const feedback = name === 'suggestions' ? await AISuggestion.getStatsByPromptVersion(days) : [];
+
+    const rows = versions.map(v => ({
+      version: v.version,
+      trafficWeight: v.trafficWeight,
+      usage: usage.find(row => row.key === v.version) || null,
+      feedback: feedback.find(row => row.version === v.version) || null
+    }));
+
+    // Two-proportion z-test on acceptance between the two busiest versions
+    let acceptanceDifference = null;
+    const compared = rows
+      .filter(row => row.feedback && row.feedback.accepted + row.feedback.rejected > 0)
+      .sort((a, b) => b.feedback.total - a.feedback.total)
+      .slice(0, 2);
+    if (compared.length === 2) {
+      const [a, b] = compared.map(row => ({
+        version: row.version,
+        n: row.feedback.accepted + row.feedback.rejected,
+        accepted: row.feedback.accepted
+      }));
+      const pA = a.accepted / a.n;
+      const pB = b.accepted / b.n;
+      const pooled = (a.accepted + b.accepted) / (a.n + b.n);
+      const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.n + 1 / b.n));
+      const zScore = standardError > 0 ? (pA - pB) / standardError : 0;
+
+      acceptanceDifference = {
+        versions: [a.version, b.version],
+        difference: Math.round((pA - pB) * 100),
+        zScore: Math.round(zScore * 100) / 100,
+        significant: Math.abs(zScore) >= 1.96
+      };
+    }
+
+    return { name, days, versions: rows, acceptanceDifference };
+  }
+}
+
+// Singleton instance
+const promptRegistry = new PromptRegistry();
+
+module.exports = promptRegistry;
+module.exports.PromptRegistry = PromptRegistry;
+module.exports.PromptTemplateError = PromptTemplateError;
+module.exports.interpolate = interpolate;
+module.exports.extractVariables = extractVariables;
@@ -0,0 +1,625 @@
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const QuizQuestion = require('../models/QuizQuestion');
+const QuizAttempt = require('../models/QuizAttempt');
+const EventService = require('./EventService');
+const SkillService = require('./SkillService');
+const skillTaxonomy = require('./SkillTaxonomyService');
+
+const { QUESTION_TYPES } = QuizQuestion;
+
+/**
+ * Quiz Service
+ *
+ * Question banks per skill, quizzes drawn from them, and graded attempts.
+ * Starting an attempt copies the questions in shuffled order (options
+ * shuffled too) and sets a deadline; answers are graded on the server when
+ * the attempt is submitted. Submissions after the deadline (plus a short
+ * grace for the network) expire the attempt instead.
+ *
+ * Passing a quiz adds quiz points to the skills its questions cover
+ * (SkillService.updateFromQuizCompletion). Starts and results are recorded
+ * as quiz_started / quiz_passed / quiz_failed events.
+ */
+
+const SECONDS_PER_QUESTION = 60;
+const SUBMIT_GRACE_SECONDS = 10;
+const GRADING_TIMEOUT_SECONDS = 300;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Questions random draws pick from: AI questions ask about one video and
+// only appear in that video's quiz (see VideoQuizService)
+const BANK_QUESTIONS = { isActive: true, source: { $ne: 'ai' } };
+
+/**
+ * Thrown for unknown quizzes and attempts, invalid questions and answers
+ */
+class QuizError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'QuizError';
+    this.statusCode = statusCode;
+  }
+}
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Program output compared ignoring line endings and trailing whitespace
+const normalizeOutput = (text) => String(text)
+  .replace(/\r\n?/g, '\n')
+  .split('\n')
+  .map(line => line.trimEnd())
+  .join('\n')
+  .replace(/\n+$/, '');
+
+const sameMembers = (a, b) => a.length === b.length && new Set(a).size === a.length && a.every(id => b.includes(id));
+
+class QuizService {
+  /**
+   * Whether a response answers a question (an attempt question with answerKey)
+   * @returns {boolean}
+   */
+  static grade(question, response) {
+    const key = question.answerKey || [];
+
+    switch (question.type) {
+      case 'multiple_choice':
+        return typeof response === 'string' && response === key[0];
+      case 'multi_select':
+        return Array.isArray(response) && sameMembers(response, key);
+      case 'ordering':
+        return Array.isArray(response) && response.length === key.length &&
+          response.every((id, index) => id === key[index]);
+      case 'code_output':
+        return typeof response === 'string' &&
+          key.some(output => normalizeOutput(output) === normalizeOutput(response));
+      default:
+        return false;
+    }
+  }
+
+  // ==================== QUESTION BANK ====================
+
+  /**
+   * Check a question and fill in option ids ('a', 'b', ...)
+   * @throws {QuizError} On missing fields or an inconsistent answer
+   */
+  static async validateQuestion(data) {
+    const { type, prompt, skillName } = data;
+
+    if (!QUESTION_TYPES.includes(type)) {
+      throw new QuizError(`type must be one of: ${QUESTION_TYPES.join(', ')}`);
+    }
+    if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
+      throw new QuizError('A prompt is required');
+    }
+    if (!skillName || typeof skillName !== 'string') {
+      throw new QuizError('A skillName is required');
+    }
+
+    await skillTaxonomy.ready();
+    const question = {
+      skillName: skillTaxonomy.normalizeSkill(skillName),
+      type,
+      prompt: prompt.trim(),
+      code: data.code,
+      language: data.language,
+      explanation: data.explanation,
+      difficulty: data.difficulty || 'medium',
+      points: data.points ?? 1,
+      options: [],
+      correctOptionIds: [],
+      acceptedOutputs: []
+    };
+
+    if (!DIFFICULTIES.includes(question.difficulty)) {
+      throw new QuizError(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+    }
+    if (!Number.isInteger(question.points) || question.points < 1 || question.points > 10) {
+      throw new QuizError('points must be a whole number from 1 to 10');
+    }
+
+    if (type === 'code_output') {
+      const outputs = Array.isArray(data.acceptedOutputs) ? data.acceptedOutputs : [];
+      if (!data.code || typeof data.code !== 'string') {
+        throw new QuizError('code_output questions need the code to run');
+      }
+      if (outputs.length === 0 || outputs.some(output => typeof output !== 'string')) {
+        throw new QuizError('code_output questions need at least one accepted output');
+      }
+      question.acceptedOutputs = outputs;
+      return question;
+    }
+
+    const options = (Array.isArray(data.options) ? data.options : []).map((option, index) => (
+      typeof option === 'string'
+        ? { id: String.fromCharCode(97 + index), text: option.trim() }
+        : { id: String(option?.id ?? String.fromCharCode(97 + index)), text: String(option?.text ?? '').trim() }
+    ));
+    if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+      throw new QuizError(`${type} questions need ${MIN_OPTIONS} to ${MAX_OPTIONS} options`);
+    }
+    if (options.some(option => !option.text)) {
+      throw new QuizError('Every option needs text');
+    }
+    const ids = options.map(option => option.id);
+    if (new Set(ids).size !== ids.length) {
+      throw new QuizError('Option ids must be unique');
+    }
+    question.options = options;
+
+    // Ordering questions are answered by the order options are stored in
+    if (type === 'ordering') return question;
+
+    const correct = [...new Set(Array.isArray(data.correctOptionIds) ? data.correctOptionIds.map(String) : [])];
+    if (correct.some(id => !ids.includes(id))) {
+      throw new QuizError('correctOptionIds must refer to options');
+    }
+    if (type === 'multiple_choice' && correct.length !== 1) {
+      throw new QuizError('multiple_choice questions need exactly one correct option');
+    }
+    if (type === 'multi_select' && correct.length === 0) {
+      throw new QuizError('multi_select questions need at least one correct option');
+    }
+    question.correctOptionIds = correct;
+    return question;
+  }
+
+  /**
+   * Questions in the bank, for the admin API
+   * @param {Object} [filter] - { skillName, type, includeInactive, page, limit }
+   */
+  static async listQuestions({ skillName, type, includeInactive = false, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (skillName) {
+      await skillTaxonomy.ready();
+      query.skillName = skillTaxonomy.normalizeSkill(skillName);
+    }
+    if (type) query.type = type;
+    if (!includeInactive) query.isActive = true;
+
+    const [questions, total] = await Promise.all([
+      QuizQuestion.find(query)
+        .sort({ skillName: 1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      QuizQuestion.countDocuments(query)
+    ]);
+
+    return { questions, total };
+  }
+
+  /**
+   * Add a question to a skill's bank
+   */
+  static async createQuestion(data, userId = null, { source = 'admin' } = {}) {
+    const question = await this.validateQuestion(data);
+    return QuizQuestion.create({ ...question, source, createdBy: userId });
+  }
+
+  /**
+   * Change a question. Attempts already started keep their copy.
+   */
+  static async updateQuestion(questionId, changes) {
+    const existing = await this._findQuestion(questionId);
+    const question = await this.validateQuestion({ ...existing.toObject(), ...changes });
+
+    Object.assign(existing, question);
+    if (changes.isActive !== undefined) existing.isActive = Boolean(changes.isActive);
+    return existing.save();
+  }
+
+  /**
+   * Take a question out of the bank (attempts keep their copy)
+   */
+  static async archiveQuestion(questionId) {
+    const question = await this._findQuestion(questionId);
+    question.isActive = false;
+    return question.save();
+  }
+
+  static async _findQuestion(questionId) {
+    const question = mongoose.isValidObjectId(questionId) ? await QuizQuestion.findById(questionId) : null;
+    if (!question) {
+      throw new QuizError('Question not found', 404);
+    }
+    return question;
+  }
+
+  // ==================== QUIZZES ====================
+
+  /**
+   * Check quiz fields. Skills default to those of its fixed questions.
+   */
+  static async _validateQuiz(data) {
+    if (!data.title || typeof data.title !== 'string' || !data.title.trim()) {
+      throw new QuizError('A title is required');
+    }
+
+    const questionIds = Array.isArray(data.questionIds) ? data.questionIds.map(String) : [];
+    if (questionIds.some(id => !mongoose.isValidObjectId(id))) {
+      throw new QuizError('questionIds must be question ids');
+    }
+    const questions = questionIds.length > 0
+      ? await QuizQuestion.find({ _id: { $in: questionIds }, isActive: true }).select('skillName').lean()
+      : [];
+    if (questions.length !== new Set(questionIds).size) {
+      throw new QuizError('Every question must exist and be active');
+    }
+
+    await skillTaxonomy.ready();
+    const skills = [...new Set(
+      (Array.isArray(data.skills) && data.skills.length > 0 ? data.skills : questions.map(q => q.skillName))
+        .map(skill => skillTaxonomy.normalizeSkill(skill))
+    )];
+    if (skills.length === 0) {
+      throw new QuizError('A quiz needs skills to draw questions from, or questionIds');
+    }
+
+    const quiz = {
+      title: data.title.trim(),
+      description: data.description,
+      skills,
+      questionIds: [...new Set(questionIds)],
+      questionCount: data.questionCount ?? 10,
+      difficulty: data.difficulty || null,
+      timeLimitSeconds: data.timeLimitSeconds ?? null,
+      passingScore: data.passingScore ?? 70
+    };
+
+    // Mongoose range checks give a ValidationError; report them as QuizErrors
+    const error = new Quiz(quiz).validateSync();
+    if (error) {
+      throw new QuizError(Object.values(error.errors).map(e => e.message).join(', '));
+    }
+    return quiz;
+  }
+
+  /**
+   * Create a quiz
+   * @param {Object} data - { title, description, skills, questionIds, questionCount, difficulty, timeLimitSeconds, passingScore }
+   */
+  static async createQuiz(data, userId = null) {
+    const quiz = await this._validateQuiz(data);
+    return Quiz.create({ ...quiz, source: 'admin', createdBy: userId });
+  }
+
+  /**
+   * Change a quiz (attempts already started are unaffected)
+   */
+  static async updateQuiz(quizId, changes) {
+    const existing = await this.getQuiz(quizId, { includeInactive: true });
+    const quiz = await this._validateQuiz({ ...existing.toObject(), ...changes });
+
+    Object.assign(existing, quiz);
+    if (changes.isActive !== undefined) existing.isActive = Boolean(changes.isActive);
+    return existing.save();
+  }
+
+  /**
+   * Active quizzes, optionally for one skill (video quizzes are reached
+   * through their video, see VideoQuizService)
+   */
+  static async listQuizzes({ skillName } = {}) {
+    const query = { isActive: true, source: { $ne: 'video' } };
+    if (skillName) {
+      await skillTaxonomy.ready();
+      query.skills = skillTaxonomy.normalizeSkill(skillName);
+    }
+    return Quiz.find(query).sort({ source: 1, title: 1 }).lean();
+  }
+
+  static async getQuiz(quizId, { includeInactive = false } = {}) {
+    const quiz = mongoose.isValidObjectId(quizId) ? await Quiz.findById(quizId) : null;
+    if (!quiz || (!quiz.isActive && !includeInactive)) {
+      throw new QuizError('Quiz not found', 404);
+    }
+    return quiz;
+  }
+
+  /**
+   * The quiz for one skill's bank, created the first time it is asked for
+   * @throws {QuizError} 404 when the skill has no questions
+   */
+  static async getSkillQuiz(skillName) {
+    await skillTaxonomy.ready();
+    const info = skillTaxonomy.getSkillInfo(skillName);
+
+    const available = await QuizQuestion.countDocuments({ ...BANK_QUESTIONS, skillName: info.skillName });
+    if (available === 0) {
+      throw new QuizError(`No quiz questions for ${info.displayName} yet`, 404);
+    }
+
+    return Quiz.findOneAndUpdate(
+      { source: 'skill', skills: [info.skillName] },
+      { $setOnInsert: { title: `${info.displayName} Quiz`, isActive: true } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // ==================== ATTEMPTS ====================
+
+  /**
+   * Questions for a new attempt: the quiz's fixed questions, or a random
+   * draw from its skills' banks
+   */
+  static async _drawQuestions(quiz) {
+    if (quiz.questionIds.length > 0) {
+      return QuizQuestion.find({ _id: { $in: quiz.questionIds }, isActive: true }).lean();
+    }
+
+    const match = { ...BANK_QUESTIONS, skillName: { $in: quiz.skills } };
+    if (quiz.difficulty) match.difficulty = quiz.difficulty;
+
+    return QuizQuestion.aggregate([
+      { $match: match },
+      { $sample: { size: quiz.questionCount } }
+    ]);
+  }
+
+  /**
+   * Copy a bank question into an attempt, shuffling its options. Ordering
+   * questions are never shown already in order.
+   */
+  static _toAttemptQuestion(question) {
+    let options = shuffle(question.options || []);
+    if (question.type === 'ordering' && options.length > 1 &&
+        options.every((option, index) => option.id === question.options[index].id)) {
+      options = [...options.slice(1), options[0]];
+    }
+
+    return {
+      questionId: question._id,
+      skillName: question.skillName,
+      type: question.type,
+      prompt: question.prompt,
+      code: question.code,
+      language: question.language,
+      options,
+      points: question.points || 1,
+      explanation: question.explanation,
+      answerKey: question.type === 'code_output'
+        ? question.acceptedOutputs
+        : question.type === 'ordering'
+          ? question.options.map(option => option.id)
+          : question.correctOptionIds
+    };
+  }
+
+  /**
+   * Start an attempt (check checkFeature('quiz') before calling, except
+   * for video quizzes)
+   * @throws {QuizError} 409 when an attempt at this quiz is still running
+   *   or the quiz has no questions
+   */
+  static async startAttempt(userId, quizOrId, { now = new Date() } = {}) {
+    const quiz = quizOrId instanceof Quiz ? quizOrId : await this.getQuiz(quizOrId);
+    await this._expireStale(userId, now);
+
+    const running = await QuizAttempt.findOne({ userId, quizId: quiz._id, status: 'in_progress' }).select('_id');
+    if (running) {
+      const error = new QuizError('You already have an attempt at this quiz in progress', 409);
+      error.attemptId = running._id;
+      throw error;
+    }
+
+    const drawn = await this._drawQuestions(quiz);
+    if (drawn.length === 0) {
+      throw new QuizError('This quiz has no questions yet', 409);
+    }
+
+    const questions = shuffle(drawn).map(question => this._toAttemptQuestion(question));
+    const timeLimitSeconds = quiz.timeLimitSeconds || questions.length * SECONDS_PER_QUESTION;
+
+    const attempt = await QuizAttempt.create({
+      userId,
+      quizId: quiz._id,
+      quizTitle: quiz.title,
+      questions,
+      fixedQuestions: quiz.questionIds.length > 0,
+      startedAt: now,
+      expiresAt: new Date(now.getTime() + timeLimitSeconds * 1000),
+      maxScore: questions.reduce((sum, q) => sum + q.points, 0),
+      passingScore: quiz.passingScore
+    });
+
+    await EventService.quizStarted(userId, quiz._id, attempt.maxScore);
+    return attempt;
+  }
+
+  /**
+   * Grade an attempt
+   * @param {Object} answers - { [questionId]: response }; response is an
+   *   option id (multiple_choice), option ids (multi_select, ordering in
+   *   order) or the printed output (code_output)
+   * @returns {Promise<Object>} Graded (or expired) attempt
+   * @throws {QuizError} 409 when the attempt was already submitted or expired
+   */
+  static async submitAttempt(userId, attemptId, answers = {}, { now = new Date() } = {}) {
+    const existing = await this._findAttempt(userId, attemptId);
+    if (existing.status !== 'in_progress') {
+      throw this._closedError(existing);
+    }
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      throw new QuizError('answers must map question ids to responses');
+    }
+
+    // Claim the attempt so a second, concurrent submit can't grade it again
+    const attempt = await QuizAttempt.findOneAndUpdate(
+      { _id: existing._id, userId, status: 'in_progress' },
+      { $set: { status: 'grading' } },
+      { new: true }
+    );
+    if (!attempt) {
+      throw this._closedError(await this._findAttempt(userId, attemptId));
+    }
+
+    try {
+      return await this._grade(userId, attempt, answers, now);
+    } catch (error) {
+      // Let the learner submit again
+      await QuizAttempt.updateOne({ _id: attempt._id, status: 'grading' }, { $set: { status: 'in_progress' } });
+      throw error;
+    }
+  }
+
+  static _closedError(attempt) {
+    return new QuizError(
+      attempt.status === 'grading'
+        ? 'This attempt is already being graded'
+        : `This attempt has already been ${attempt.status === 'graded' ? 'submitted' : 'closed'}`,
+      409
+    );
+  }
+
+  /**
+   * Grade a claimed attempt (status 'grading'), or expire it when the
+   * deadline has passed
+   */
+  static async _grade(userId, attempt, answers, now) {
+    attempt.submittedAt = now;
+    attempt.timeTaken = Math.round((now - attempt.startedAt) / 1000);
+
+    if (this._isPastDeadline(attempt, now)) {
+      attempt.status = 'expired';
+      await attempt.save();
+      await EventService.quizCompleted(
+        userId, attempt.quizId, 0, attempt.maxScore, attempt.passingScore, attempt.timeTaken, false
+      );
+      return attempt;
+    }
+
+    let answered = 0;
+    let correct = 0;
+    for (const question of attempt.questions) {
+      const response = answers[String(question.questionId)];
+      const isCorrect = response !== undefined && this.grade(question, response);
+
+      if (response !== undefined) answered++;
+      if (isCorrect) correct++;
+      question.response = response ?? null;
+      question.isCorrect = isCorrect;
+      question.pointsEarned = isCorrect ? question.points : 0;
+    }
+
+    attempt.score = attempt.questions.reduce((sum, q) => sum + q.pointsEarned, 0);
+    attempt.percentage = attempt.maxScore > 0 ? Math.round((attempt.score / attempt.maxScore) * 100) : 0;
+    attempt.passed = attempt.percentage >= attempt.passingScore;
+    attempt.status = 'graded';
+
+    // Saved before awarding skill points, so a failed save can't be
+    // resubmitted and award them twice
+    await attempt.save();
+
+    if (attempt.passed) {
+      const skills = [...new Set(attempt.questions.map(q => q.skillName).filter(Boolean))];
+      attempt.skillUpdates = await SkillService.updateFromQuizCompletion(userId, skills, attempt.score, attempt.maxScore);
+      await attempt.save();
+    }
+
+    await EventService.quizCompleted(
+      userId,
+      attempt.quizId,
+      attempt.score,
+      attempt.maxScore,
+      attempt.passingScore,
+      attempt.timeTaken,
+      attempt.passed,
+      { questionsAnswered: answered, correctAnswers: correct }
+    );
+
+    return attempt;
+  }
+
+  /**
+   * One of the user's attempts
+   */
+  static async getAttempt(userId, attemptId, { now = new Date() } = {}) {
+    const attempt = await this._findAttempt(userId, attemptId);
+    if (attempt.status === 'in_progress' && this._isPastDeadline(attempt, now)) {
+      attempt.status = 'expired';
+      await attempt.save();
+    }
+    return attempt;
+  }
+
+  /**
+   * The user's attempts, newest first (without questions)
+   */
+  static async listAttempts(userId, { quizId, limit = 20 } = {}) {
+    const query = { userId };
+    if (quizId) query.quizId = quizId;
+
+    return QuizAttempt.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-questions')
+      .lean();
+  }
+
+  static async _findAttempt(userId, attemptId) {
+    const attempt = mongoose.isValidObjectId(attemptId)
+      ? await QuizAttempt.findOne({ _id: attemptId, userId })
+      : null;
+    if (!attempt) {
+      throw new QuizError('Attempt not found', 404);
+    }
+    return attempt;
+  }
+
+  static _isPastDeadline(attempt, now) {
+    return now.getTime() > attempt.expiresAt.getTime() + SUBMIT_GRACE_SECONDS * 1000;
+  }
+
+  /**
+   * Close the user's attempts that ran out of time without a submission,
+   * and attempts whose grading never finished (e.g. the server stopped)
+   */
+  static async _expireStale(userId, now) {
+    const deadline = now.getTime() - SUBMIT_GRACE_SECONDS * 1000;
+
+    await QuizAttempt.updateMany(
+      {
+        userId,
+        $or: [
+          { status: 'in_progress', expiresAt: { $lt: new Date(deadline) } },
+          // Claimed before the deadline, so grading has run for over GRADING_TIMEOUT_SECONDS
+          { status: 'grading', expiresAt: { $lt: new Date(deadline - GRADING_TIMEOUT_SECONDS * 1000) } }
+        ]
+      },
+      { $set: { status: 'expired' } }
+    );
+  }
+
+  /**
+   * An attempt as sent to the learner. Graded attempts show the learner's
+   * responses and which were right. The answer key and explanations are
+   * only shown for quizzes that draw new questions each time; for fixed
+   * questions (and expired attempts) they would make the retake a sure pass.
+   */
+  static toClient(attempt) {
+    const data = typeof attempt.toObject === 'function' ? attempt.toObject() : { ...attempt };
+    const revealAnswers = data.status === 'graded' && !data.fixedQuestions;
+
+    data.questions = data.questions.map(({ answerKey, response, isCorrect, pointsEarned, explanation, ...question }) => {
+      if (data.status !== 'graded') return question;
+      return revealAnswers
+        ? { ...question, response, isCorrect, pointsEarned, answerKey, explanation }
+        : { ...question, response, isCorrect, pointsEarned };
+    });
+    return data;
+  }
+}
+
+module.exports = QuizService;
+module.exports.QuizError = QuizError;
@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const ReviewCard = require('../models/ReviewCard');
+const SavedVideo = require('../models/SavedVideo');
+const SkillService = require('./SkillService');
+
+/**
+ * Review Scheduler
+ *
+ * Spaced-repetition reviews (SM-2) for completed learning path nodes and
+ * career journey resources. Completing an item creates a ReviewCard due the
+ * next day; each review is self-rated for recall and moves the due date out
+ * (or back to tomorrow when forgotten).
+ *
+ * Outcomes feed SkillService: recalled reviews win back skill points lost to
+ * earlier misses, forgotten ones cost a point, and reviews left overdue past
+ * MISSED_GRACE_DAYS are counted once per due date by the daily review_decay job.
+ */
+
+// Self-ratings accepted by recordReview, mapped to SM-2 quality (0-5)
+const RECALL_RATINGS = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+const MAX_INTERVAL_DAYS = 365;
+const MISSED_GRACE_DAYS = 2;
+
+/**
+ * Thrown for unknown cards and invalid ratings
+ */
+class ReviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+class ReviewScheduler {
+  /**
+   * SM-2 step
+   * @param {Object} state - { easeFactor, intervalDays, repetitions }
+   * @param {number} quality - Recall quality 0-5 (3+ counts as recalled)
+   * @returns {Object} { easeFactor, intervalDays, repetitions, recalled }
+   */
+  static sm2({ easeFactor = 2.5, intervalDays = 0, repetitions = 0 }, quality) {
+    const recalled = quality >= 3;
+
+    let nextInterval;
+    if (!recalled) {
+      repetitions = 0;
+      nextInterval = 1;
+    } else {
+      repetitions += 1;
+      if (repetitions === 1) nextInterval = 1;
+      else if (repetitions === 2) nextInterval = 6;
+      else nextInterval = Math.round(intervalDays * easeFactor);
+    }
+
+    const nextEase = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+    return {
+      easeFactor: Math.round(Math.max(MIN_EASE_FACTOR, nextEase) * 100) / 100,
+      intervalDays: Math.min(MAX_INTERVAL_DAYS, nextInterval),
+      repetitions,
+      recalled
+    };
+  }
+
+  /**
+   * Resolve a self-rating to SM-2 quality
+   * @param {string|number} rating - again | hard | good | easy, or 0-5
+   * @returns {number|null} Quality, or null if the rating is invalid
+   */
+  static parseRating(rating) {
+    if (typeof rating === 'string' && RECALL_RATINGS[rating] !== undefined) {
+      return RECALL_RATINGS[rating];
+    }
+    const value = Number(rating);
+    return Number.isInteger(value) && value >= 0 && value <= 5 ? value : null;
+  }
+
+  /**
+   * Schedule a completed learning path node for review
+   * @param {string} userId - User who completed it
+   * @param {Object} path - UserLearningPath
+   * @param {Object} node - The completed node
+   * @returns {Promise<Object>} The card
+   */
+  static async scheduleNode(userId, path, node) {
+    const video = await SavedVideo.findOne({ userId: path.userId, videoId: node.videoId })
+      .select('inferredSkills')
+      .lean();
+
+    const skills = video?.inferredSkills?.length ? video.inferredSkills : path.inferredSkills;
+
+    return this._schedule(userId, 'path_node', `${path._id}:${node.id}`, {
+      pathId: path._id,
+      nodeId: node.id,
+      title: node.title,
+      videoId: node.videoId,
+      url: `https://www.youtube.com/watch?v=${node.videoId}`,
+      skills: skills || []
+    });
+  }
+
+  /**
+   * Schedule a completed career journey resource for review
+   * @param {string} userId - Journey owner
+   * @param {Object} journey - UserCareerJourney
+   * @param {string} phaseId - Phase the resource belongs to
+   * @param {string} resourceId - resourceId or externalResourceId
+   * @returns {Promise<Object|null>} The card, or null if the resource is not found
+   */
+  static async scheduleJourneyResource(userId, journey, phaseId, resourceId) {
+    const phase = journey.roadmap.phases.find(p => p.phaseId === phaseId);
+    const resource = phase?.resources.find(r =>
+      r.resourceId?.toString() === resourceId || r.externalResourceId === resourceId
+    );
+    if (!resource) return null;
+
+    return this._schedule(userId, 'journey_resource', `${journey._id}:${phaseId}:${resourceId}`, {
+      journeyId: journey._id,
+      phaseId,
+      resourceId,
+      title: resource.title || 'Untitled resource',
+      url: resource.url,
+      skills: phase.skills.map(s => s.skillName).filter(Boolean)
+    });
+  }
+
+  /**
+   * Suspend the cards for a path node (e.g. the node was removed)
+   */
+  static async suspendNode(pathId, nodeId) {
+    await ReviewCard.updateMany(
+      { sourceType: 'path_node', sourceKey: `${pathId}:${nodeId}` },
+      { $set: { status: 'suspended' } }
+    );
+  }
+
+  /**
+   * Cards due for review today
+   * @param {string} userId
+   * @param {Object} [options] - { now, limit }
+   * @returns {Promise<Object>} { cards, total, nextDueAt }
+   */
+  static async getDue(userId, { now = new Date(), limit = 50 } = {}) {
+    const filter = { userId, status: 'active', dueAt: { $lte: endOfDay(now) } };
+
+    const [cards, total, next] = await Promise.all([
+      ReviewCard.find(filter).sort({ dueAt: 1 }).limit(limit).lean(),
+      ReviewCard.countDocuments(filter),
+      ReviewCard.findOne({ userId, status: 'active', dueAt: { $gt: endOfDay(now) } })
+        .sort({ dueAt: 1 })
+        .select('dueAt')
+        .lean()
+    ]);
+
+    return {
+      cards: cards.map(card => ({
+        ...card,
+        overdueDays: Math.max(0, Math.floor((now - card.dueAt) / DAY_MS))
+      })),
+      total,
+      nextDueAt: next?.dueAt || null
+    };
+  }
+
+  /**
+   * Review counts for a user
+   * @returns {Promise<Object>} { active, dueToday, overdue, reviewedToday, lapses }
+   */
+  static async getStats(userId, now = new Date()) {
+    const startOfDay = new Date(now);
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const [active, dueToday, overdue, reviewedToday, lapses] = await Promise.all([
+      ReviewCard.countDocuments({ userId, status: 'active' }),
+      ReviewCard.countDocuments({ userId, status: 'active', dueAt: { $lte: endOfDay(now) } }),
+      ReviewCard.countDocuments({ userId, status: 'active', dueAt: { $lt: startOfDay } }),
+      ReviewCard.countDocuments({ userId, lastReviewedAt: { $gte: startOfDay } }),
+      ReviewCard.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+        { $group: { _id: null, lapses: { $sum: '$lapses' } } }
+      ])
+    ]);
+
+    return { active, dueToday, overdue, reviewedToday, lapses: lapses[0]?.lapses || 0 };
+  }
+
+  /**
+   * Record a self-rated review
+   * @param {string} userId
+   * @param {string} cardId
+   * @param {string|number} rating - again | hard | good | easy, or 0-5
+   * @returns {Promise<Object>} { card, skillUpdates }
+   */
+  static async recordReview(userId, cardId, rating, now = new Date()) {
+    const quality = this.parseRating(rating);
+    if (quality === null) {
+      throw new ReviewError(`Rating must be one of ${Object.keys(RECALL_RATINGS).join(', ')} or 0-5`);
+    }
+
+    const card = await ReviewCard.findOne({ _id: cardId, userId, status: 'active' });
+    if (!card) {
+      throw new ReviewError('Review card not found', 404);
+    }
+    if (card.dueAt > endOfDay(now)) {
+      throw new ReviewError('This card is not due for review yet', 409);
+    }
+
+    const next = this.sm2(card, quality);
+
+    card.easeFactor = next.easeFactor;
+    card.intervalDays = next.intervalDays;
+    card.repetitions = next.repetitions;
+    card.dueAt = addDays(now, next.intervalDays);
+    card.lastReviewedAt = now;
+    card.lastRating = quality;
+    card.reviewCount += 1;
+    if (!next.recalled) card.lapses += 1;
+    await card.save();
+
+    const skillUpdates = card.skills.length
+      ? await SkillService.updateFromReview(userId, card.skills, next.recalled)
+      : [];
+
+    return { card, skillUpdates };
+  }
+
+  /**
+   * Count reviews left overdue past the grace period against skills.
+   * Each due date is counted once; run daily (review_decay job).
+   * @param {Object} [options] - { now, graceDays }
+   * @returns {Promise<Object>} { cardsMissed, skillsDecayed }
+   */
+  static async applyMissedReviews({ now = new Date(), graceDays = MISSED_GRACE_DAYS } = {}) {
+    const cards = await ReviewCard.find({
+      status: 'active',
+      dueAt: { $lt: addDays(now, -graceDays) },
+      $expr: { $ne: ['$missedPenaltyFor', '$dueAt'] },
+      'skills.0': { $exists: true }
+    }).select('userId skills dueAt');
+
+    let skillsDecayed = 0;
+
+    for (const card of cards) {
+      const updates = await SkillService.applyMissedReview(card.userId, card.skills);
+      skillsDecayed += updates.length;
+
+      await ReviewCard.updateOne(
+        { _id: card._id },
+        { $set: { missedPenaltyFor: card.dueAt }, $inc: { missedCount: 1 } }
+      );
+    }
+
+    return { cardsMissed: cards.length, skillsDecayed };
+  }
+
+  /**
+   * Create or reactivate the card for an item. Completing an item again
+   * keeps its SM-2 state.
+   */
+  static async _schedule(userId, sourceType, sourceKey, details) {
+    const existing = await ReviewCard.findOne({ userId, sourceType, sourceKey });
+
+    if (existing) {
+      Object.assign(existing, details);
+      if (existing.status === 'suspended') {
+        existing.status = 'active';
+        existing.dueAt = addDays(new Date(), 1);
+      }
+      return existing.save();
+    }
+
+    return ReviewCard.create({
+      userId,
+      sourceType,
+      sourceKey,
+      ...details,
+      dueAt: addDays(new Date(), 1)
+    });
+  }
+}
+
+ReviewScheduler.RECALL_RATINGS = RECALL_RATINGS;
+
+module.exports = ReviewScheduler;
+module.exports.ReviewError = ReviewError;
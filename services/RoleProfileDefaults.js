@@ -0,0 +1,144 @@
+/**
+ * Role Profile Defaults
+ *
+ * Built-in role profiles, stored by RoleProfileService on its first load.
+ * Bump a profile's version to ship a change; it is stored as a new version
+ * unless that role already has a version at least as high.
+ *
+ * Core skills carry weight 3, the rest weight 1. Skill names are normalized
+ * through the skill taxonomy; for skills it doesn't know, the name as
+ * written here is the display name.
+ * Each skill: [skillName, weight, minLevel]
+ */
+
+// Used when a role or career matches no profile
+const DEFAULT_ROLE_ID = 'general';
+
+const BUILT_IN_PROFILES = {
+  'frontend-developer': {
+    version: 1,
+    title: 'Frontend Developer',
+    aliases: ['front-end-developer', 'frontend-engineer', 'ui-developer'],
+    skills: [
+      ['javascript', 3, 'intermediate'],
+      ['react', 3, 'intermediate'],
+      ['html', 3, 'intermediate'],
+      ['css', 3, 'intermediate'],
+      ['typescript', 1, 'beginner'],
+      ['Responsive Design', 1, 'beginner'],
+      ['git', 1, 'beginner'],
+      ['rest', 1, 'beginner'],
+      ['Testing', 1, 'beginner'],
+      ['Performance Optimization', 1, 'beginner'],
+      ['Accessibility', 1, 'beginner'],
+      ['State Management', 1, 'beginner'],
+      ['Build Tools', 1, 'beginner'],
+      ['CSS Frameworks', 1, 'beginner'],
+      ['Browser DevTools', 1, 'beginner']
+    ]
+  },
+
+  'backend-developer': {
+    version: 1,
+    title: 'Backend Developer',
+    aliases: ['back-end-developer', 'backend-engineer'],
+    skills: [
+      ['node', 3, 'intermediate'],
+      ['express', 3, 'intermediate'],
+      ['mongodb', 3, 'beginner'],
+      ['sql', 3, 'beginner'],
+      ['python', 1, 'beginner'],
+      ['Databases', 1, 'beginner'],
+      ['rest', 1, 'beginner'],
+      ['NoSQL', 1, 'beginner'],
+      ['Authentication', 1, 'beginner'],
+      ['git', 1, 'beginner'],
+      ['Testing', 1, 'beginner'],
+      ['linux', 1, 'beginner'],
+      ['docker', 1, 'beginner'],
+      ['Caching', 1, 'beginner'],
+      ['Message Queues', 1, 'beginner'],
+      ['Security', 1, 'beginner'],
+      ['Microservices', 1, 'beginner']
+    ]
+  },
+
+  'fullstack-developer': {
+    version: 1,
+    title: 'Full Stack Developer',
+    aliases: ['full-stack-developer', 'fullstack-engineer', 'full-stack-engineer', 'mern-developer'],
+    skills: [
+      ['javascript', 3, 'intermediate'],
+      ['react', 3, 'beginner'],
+      ['node', 3, 'intermediate'],
+      ['mongodb', 3, 'beginner'],
+      ['html', 1, 'beginner'],
+      ['css', 1, 'beginner'],
+      ['Databases', 1, 'beginner'],
+      ['rest', 1, 'beginner'],
+      ['git', 1, 'beginner'],
+      ['Authentication', 1, 'beginner'],
+      ['typescript', 1, 'beginner'],
+      ['Testing', 1, 'beginner'],
+      ['docker', 1, 'beginner'],
+      ['Deployment', 1, 'beginner'],
+      ['Security', 1, 'beginner'],
+      ['Performance', 1, 'beginner'],
+      ['State Management', 1, 'beginner'],
+      ['graphql', 1, 'beginner'],
+      ['linux', 1, 'beginner'],
+      ['Cloud Services', 1, 'beginner'],
+      ['CI/CD', 1, 'beginner'],
+      ['Agile', 1, 'beginner'],
+      ['sql', 1, 'beginner'],
+      ['NoSQL', 1, 'beginner']
+    ]
+  },
+
+  'data-scientist': {
+    version: 1,
+    title: 'Data Scientist',
+    aliases: ['data-science', 'data-analyst'],
+    skills: [
+      ['python', 3, 'intermediate'],
+      ['sql', 3, 'intermediate'],
+      ['machine-learning', 3, 'beginner'],
+      ['Statistics', 1, 'beginner'],
+      ['Data Visualization', 1, 'beginner'],
+      ['pandas', 1, 'beginner'],
+      ['numpy', 1, 'beginner'],
+      ['scikit-learn', 1, 'beginner'],
+      ['Deep Learning', 1, 'beginner'],
+      ['TensorFlow', 1, 'beginner'],
+      ['Data Cleaning', 1, 'beginner'],
+      ['Feature Engineering', 1, 'beginner'],
+      ['Model Evaluation', 1, 'beginner'],
+      ['Jupyter', 1, 'beginner'],
+      ['Data Storytelling', 1, 'beginner'],
+      ['A/B Testing', 1, 'beginner'],
+      ['Big Data', 1, 'beginner'],
+      ['ETL', 1, 'beginner'],
+      ['Cloud Platforms', 1, 'beginner']
+    ]
+  },
+
+  [DEFAULT_ROLE_ID]: {
+    version: 1,
+    title: 'Software Developer',
+    aliases: ['software-developer', 'software-engineer', 'developer'],
+    skills: [
+      ['Problem Solving', 1, 'beginner'],
+      ['Communication', 1, 'beginner'],
+      ['git', 1, 'beginner'],
+      ['Documentation', 1, 'beginner'],
+      ['Testing', 1, 'beginner'],
+      ['Debugging', 1, 'beginner'],
+      ['Collaboration', 1, 'beginner']
+    ]
+  }
+};
+
+module.exports = {
+  BUILT_IN_PROFILES,
+  DEFAULT_ROLE_ID
+};
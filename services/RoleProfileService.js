@@ -0,0 +1,464 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const BaseService = require('./BaseService');
+const RoleProfile = require('../models/RoleProfile');
+const CareerJobRoleCache = require('../models/CareerJobRoleCache');
+const CareerRoadmap = require('../models/CareerRoadmap');
+const skillTaxonomy = require('./SkillTaxonomyService');
+const { BUILT_IN_PROFILES, DEFAULT_ROLE_ID } = require('./RoleProfileDefaults');
+
+const { REQUIRED_LEVELS } = RoleProfile;
+
+/**
+ * Role Profile Service - versioned skill requirements per role
+ *
+ * A profile lists the skills a role needs, each with a weight and a minimum
+ * level; skill gap analysis (SkillService.analyzeRoleGaps) compares a
+ * learner's skills against it. getProfileFor() resolves a role or career
+ * name by id, alias or a longer title containing one ("Senior Frontend
+ * Developer"), falling back to the general profile.
+ *
+ * Versions live in the RoleProfile collection (built-ins from
+ * RoleProfileDefaults.js are stored on first load) and are re-read every
+ * refreshInterval. The latest version of a role is used. Admins add
+ * versions; seedFromJobRoles() and seedFromRoadmaps() add versions from
+ * cached AI analyses but leave roles curated by someone else alone.
+ * Without a database connection the built-ins are used.
+ */
+
+// Seeded requirements: [weight, minLevel]
+const SEED_WEIGHTS = {
+  mustHave: [3, 'intermediate'],
+  niceToHave: [1, 'beginner'],
+  phase: [2, 'beginner'],
+  prerequisite: [1, 'beginner']
+};
+
+/**
+ * Thrown for unknown roles and invalid profiles
+ */
+class RoleProfileError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RoleProfileError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toRoleId = (text) => slugify(String(text || ''), { lower: true, strict: true, trim: true });
+
+const sameSkills = (a, b) =>
+  a.length === b.length && a.every(skill => b.some(other =>
+    other.skillName === skill.skillName && other.weight === skill.weight && other.minLevel === skill.minLevel
+  ));
+
+class RoleProfileService extends BaseService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.profiles] - Built-in profiles (roleId -> { version, title, aliases, skills })
+   * @param {number} [options.refreshInterval=60000] - How long loaded versions are reused (ms)
+   */
+  constructor(options = {}) {
+    super('RoleProfileService');
+    this.builtIns = options.profiles || BUILT_IN_PROFILES;
+    this.refreshInterval = options.refreshInterval ?? 60000;
+    this.loadedAt = 0;
+    this.loading = null;
+    this._buildIndex(this._builtInVersions());
+  }
+
+  /**
+   * Built-in versions when the database is unavailable
+   */
+  _builtInVersions() {
+    const versions = new Map();
+    for (const [roleId, profile] of Object.entries(this.builtIns)) {
+      versions.set(roleId, [this._fromBuiltIn(roleId, profile)]);
+    }
+    return versions;
+  }
+
+  _fromBuiltIn(roleId, { version, title, aliases = [], skills, description }) {
+    return {
+      roleId,
+      version,
+      title,
+      aliases,
+      description,
+      skills: skills.map(([name, weight, minLevel]) => ({ ...this._skillNames(name), weight, minLevel })),
+      source: 'builtin'
+    };
+  }
+
+  /**
+   * Canonical skill name, keeping the given name to display if the
+   * taxonomy doesn't know the skill
+   */
+  _skillNames(name) {
+    const info = skillTaxonomy.getSkillInfo(name);
+    return info.known ? { skillName: info.skillName } : { skillName: info.skillName, displayName: info.displayName };
+  }
+
+  /**
+   * Index roles by id (versions sorted by version) and by alias
+   */
+  _buildIndex(versions) {
+    this.profiles = versions;
+    this.aliases = new Map();
+
+    for (const [roleId, roleVersions] of versions) {
+      for (const alias of roleVersions[roleVersions.length - 1].aliases || []) {
+        if (!versions.has(alias)) this.aliases.set(alias, roleId);
+      }
+    }
+  }
+
+  /**
+   * Store built-in versions not yet in the database
+   */
+  async _storeBuiltIns(existing) {
+    for (const [roleId, profile] of Object.entries(this.builtIns)) {
+      if (existing.some(doc => doc.roleId === roleId && doc.version >= profile.version)) continue;
+
+      try {
+        await RoleProfile.create(this._fromBuiltIn(roleId, profile));
+        this.log('info', `Stored built-in role profile ${roleId} v${profile.version}`);
+      } catch (error) {
+        // Another process stored it first
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  async _load() {
+    if (mongoose.connection.readyState !== 1) {
+      return this._builtInVersions();
+    }
+
+    let docs = await RoleProfile.find().sort({ roleId: 1, version: 1 }).lean();
+    const missing = Object.entries(this.builtIns).some(([roleId, profile]) =>
+      !docs.some(doc => doc.roleId === roleId && doc.version >= profile.version)
+    );
+    if (missing) {
+      await this._storeBuiltIns(docs);
+      docs = await RoleProfile.find().sort({ roleId: 1, version: 1 }).lean();
+    }
+
+    const versions = new Map();
+    for (const doc of docs) {
+      if (!versions.has(doc.roleId)) versions.set(doc.roleId, []);
+      versions.get(doc.roleId).push(doc);
+    }
+    return versions;
+  }
+
+  /**
+   * Reload profiles from the database
+   */
+  async refresh() {
+    if (!this.loading) {
+      this.loading = this._load()
+        .then(versions => {
+          this._buildIndex(versions);
+          this.loadedAt = Date.now();
+        })
+        .catch(error => {
+          this.log('warn', `Failed to load role profiles, keeping the current ones: ${error.message}`);
+          this.loadedAt = Date.now();
+        })
+        .finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Reload profiles if they are stale
+   */
+  async ready() {
+    if (Date.now() - this.loadedAt > this.refreshInterval) {
+      await this.refresh();
+    }
+  }
+
+  _latest(roleId) {
+    const versions = this.profiles.get(roleId);
+    return versions ? versions[versions.length - 1] : null;
+  }
+
+  /**
+   * Role id for a role id, alias, or a title containing one (the longest
+   * match wins)
+   * @param {string} role
+   * @returns {string|null}
+   */
+  matchRole(role) {
+    const slug = toRoleId(role);
+    if (!slug) return null;
+    if (this.profiles.has(slug)) return slug;
+    if (this.aliases.has(slug)) return this.aliases.get(slug);
+
+    let best = null;
+    for (const id of [...this.profiles.keys(), ...this.aliases.keys()]) {
+      const contained = slug === id || slug.startsWith(`${id}-`) || slug.endsWith(`-${id}`) || slug.includes(`-${id}-`);
+      if (contained && (!best || id.length > best.length)) best = id;
+    }
+    return best ? (this.aliases.get(best) || best) : null;
+  }
+
+  /**
+   * Latest profile for a role or career, or the general profile
+   * @param {string} role - Role id, alias or title
+   * @returns {Promise<Object>}
+   */
+  async getProfileFor(role) {
+    await this.ready();
+    return this._latest(this.matchRole(role) || DEFAULT_ROLE_ID)
+      || this._fromBuiltIn(DEFAULT_ROLE_ID, BUILT_IN_PROFILES[DEFAULT_ROLE_ID]);
+  }
+
+  /**
+   * Latest version of every role
+   */
+  async listProfiles() {
+    await this.refresh();
+    return [...this.profiles.entries()].map(([roleId, versions]) => {
+      const latest = versions[versions.length - 1];
+      return {
+        roleId,
+        title: latest.title,
+        aliases: latest.aliases || [],
+        version: latest.version,
+        versionCount: versions.length,
+        source: latest.source,
+        skillCount: latest.skills.length,
+        updatedAt: latest.createdAt
+      };
+    });
+  }
+
+  /**
+   * Every version of a role, oldest first
+   */
+  async getProfile(roleId) {
+    await this.ready();
+    const versions = this.profiles.get(toRoleId(roleId));
+    if (!versions) {
+      throw new RoleProfileError(`Unknown role profile: ${roleId}`, 404);
+    }
+    return versions;
+  }
+
+  /**
+   * Add a version of a role (creating the role if it is new). Title,
+   * aliases and description default to the current version's.
+   * @param {string} roleId
+   * @param {Object} data - { title, aliases, description, skills: [{ skillName, weight, minLevel }] }
+   * @param {Object} [options] - { source, sourceRef, createdBy }
+   * @returns {Promise<Object>} Created version
+   */
+  async createVersion(roleId, data, { source = 'admin', sourceRef = null, createdBy = null } = {}) {
+    this._requireDatabase();
+    await this.refresh();
+
+    const id = toRoleId(roleId);
+    if (!id) {
+      throw new RoleProfileError('A role id is required');
+    }
+
+    const latest = this._latest(id);
+    const profile = await this._validate(id, {
+      title: data.title ?? latest?.title,
+      aliases: data.aliases ?? latest?.aliases,
+      description: data.description ?? latest?.description,
+      skills: data.skills
+    });
+
+    const version = Math.max(latest?.version || 0, this.builtIns[id]?.version || 0) + 1;
+    const created = await RoleProfile.create({ ...profile, roleId: id, version, source, sourceRef, createdBy });
+
+    await this.refresh();
+    this.log('info', `Added role profile ${id} v${version} (${source})`);
+    return created;
+  }
+
+  /**
+   * Seed profiles from cached job role analyses (CareerDomainService.getJobRoleDetails):
+   * must-have skills count 3 at intermediate, nice-to-have 1 at beginner.
+   * @param {Object} [options] - { overwrite, dryRun, createdBy }
+   */
+  async seedFromJobRoles(options = {}) {
+    this._requireDatabase();
+
+    const entries = await CareerJobRoleCache.find().sort({ usageCount: -1 }).lean();
+    const candidates = entries.map(entry => {
+      const required = entry.analysis?.requiredSkills || {};
+      return {
+        role: entry.roleName,
+        title: entry.roleName,
+        sourceRef: entry.cacheKey,
+        skills: [
+          ...(required.mustHave || []).map(skillName => this._seedSkill(skillName, SEED_WEIGHTS.mustHave)),
+          ...(required.niceToHave || []).map(skillName => this._seedSkill(skillName, SEED_WEIGHTS.niceToHave))
+        ]
+      };
+    });
+
+    return this._seed(candidates, 'job_role', options);
+  }
+
+  /**
+   * Seed profiles from career roadmaps: skills taught in a phase count 2,
+   * prerequisites 1, both at beginner.
+   * @param {Object} [options] - { overwrite, dryRun, createdBy }
+   */
+  async seedFromRoadmaps(options = {}) {
+    this._requireDatabase();
+
+    const roadmaps = await CareerRoadmap.find({ isAppropriate: true }).sort({ usageCount: -1 }).lean();
+    const candidates = roadmaps.map(roadmap => ({
+      role: roadmap.keyword,
+      title: roadmap.overview?.name || roadmap.keyword,
+      sourceRef: roadmap.keyword,
+      skills: [
+        ...(roadmap.roadmap?.phases || []).flatMap(phase =>
+          (phase.skills || []).map(skillName => this._seedSkill(skillName, SEED_WEIGHTS.phase))
+        ),
+        ...(roadmap.roadmap?.prerequisites || []).map(({ skill }) => this._seedSkill(skill, SEED_WEIGHTS.prerequisite))
+      ]
+    }));
+
+    return this._seed(candidates, 'roadmap', options);
+  }
+
+  _seedSkill(skillName, [weight, minLevel]) {
+    return { skillName, weight, minLevel };
+  }
+
+  /**
+   * Add a version for each candidate whose skills changed. Roles whose
+   * current version came from another source are skipped unless overwrite
+   * is set; the first candidate for a role wins.
+   * @returns {Promise<Object>} { created, unchanged, skipped }
+   */
+  async _seed(candidates, source, { overwrite = false, dryRun = false, createdBy = null } = {}) {
+    await this.refresh();
+    await skillTaxonomy.ready();
+
+    const result = { created: [], unchanged: [], skipped: [] };
+    const seen = new Set();
+
+    for (const candidate of candidates) {
+      const slug = toRoleId(candidate.role);
+      const roleId = this.profiles.has(slug) ? slug : (this.aliases.get(slug) || slug);
+      if (!roleId || seen.has(roleId)) continue;
+      seen.add(roleId);
+
+      const latest = this._latest(roleId);
+      if (latest && latest.source !== source && !overwrite) {
+        result.skipped.push({ roleId, reason: `current version is ${latest.source}` });
+        continue;
+      }
+
+      let profile;
+      try {
+        profile = await this._validate(roleId, {
+          title: latest?.title || candidate.title,
+          aliases: latest?.aliases,
+          description: latest?.description,
+          skills: candidate.skills
+        });
+      } catch (error) {
+        if (!(error instanceof RoleProfileError)) throw error;
+        result.skipped.push({ roleId, reason: error.message });
+        continue;
+      }
+
+      if (latest && sameSkills(latest.skills, profile.skills)) {
+        result.unchanged.push({ roleId, version: latest.version });
+        continue;
+      }
+
+      if (dryRun) {
+        result.created.push({ roleId, version: (latest?.version || 0) + 1, skillCount: profile.skills.length });
+        continue;
+      }
+
+      const created = await this.createVersion(roleId, profile, { source, sourceRef: candidate.sourceRef, createdBy });
+      result.created.push({ roleId, version: created.version, skillCount: created.skills.length });
+    }
+
+    return result;
+  }
+
+  /**
+   * Check a profile and normalize its skills and aliases
+   * @throws {RoleProfileError} On missing fields, bad skills or alias conflicts
+   */
+  async _validate(roleId, { title, aliases = [], description, skills }) {
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      throw new RoleProfileError('A title is required');
+    }
+    if (!Array.isArray(skills) || skills.length === 0) {
+      throw new RoleProfileError('At least one skill is required');
+    }
+
+    await skillTaxonomy.ready();
+    const bySkill = new Map();
+
+    for (const entry of skills) {
+      const raw = typeof entry === 'string' ? { skillName: entry } : entry || {};
+      if (!raw.skillName || typeof raw.skillName !== 'string' || !raw.skillName.trim()) {
+        throw new RoleProfileError('Every skill needs a skillName');
+      }
+
+      const { skillName, displayName } = this._skillNames(raw.skillName);
+      const weight = raw.weight === undefined ? 1 : Number(raw.weight);
+      const minLevel = raw.minLevel || 'beginner';
+
+      if (!Number.isFinite(weight) || weight < 0.1 || weight > 10) {
+        throw new RoleProfileError(`Weight for ${skillName} must be between 0.1 and 10`);
+      }
+      if (!REQUIRED_LEVELS.includes(minLevel)) {
+        throw new RoleProfileError(`minLevel for ${skillName} must be one of: ${REQUIRED_LEVELS.join(', ')}`);
+      }
+
+      // A skill listed twice keeps its highest weight and level
+      const existing = bySkill.get(skillName);
+      bySkill.set(skillName, {
+        skillName,
+        ...(displayName && { displayName }),
+        weight: Math.max(weight, existing?.weight || 0),
+        minLevel: REQUIRED_LEVELS[Math.max(REQUIRED_LEVELS.indexOf(minLevel), REQUIRED_LEVELS.indexOf(existing?.minLevel))]
+      });
+    }
+
+    const aliasIds = [...new Set((aliases || []).map(toRoleId))].filter(alias => alias && alias !== roleId);
+    for (const alias of aliasIds) {
+      const owner = this.profiles.has(alias) ? alias : this.aliases.get(alias);
+      if (owner && owner !== roleId) {
+        throw new RoleProfileError(`${alias} already refers to role ${owner}`, 409);
+      }
+    }
+
+    return {
+      title: title.trim(),
+      aliases: aliasIds,
+      description,
+      skills: [...bySkill.values()]
+    };
+  }
+
+  _requireDatabase() {
+    if (mongoose.connection.readyState !== 1) {
+      throw new RoleProfileError('Role profiles can only be managed with a database connection', 503);
+    }
+  }
+}
+
+// Export singleton instance
+const roleProfiles = new RoleProfileService();
+
+module.exports = roleProfiles;
+module.exports.RoleProfileService = RoleProfileService;
+module.exports.RoleProfileError = RoleProfileError;
+module.exports.DEFAULT_ROLE_ID = DEFAULT_ROLE_ID;
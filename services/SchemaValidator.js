@@ -0,0 +1,207 @@
+/**
+ * Schema Validator
+ *
+ * Minimal JSON Schema subset for checking AI output and the documents
+ * built from it:
+ *   type (string, number, integer, boolean, object, array, null or a list),
+ *   properties, required, items, enum, minimum, maximum,
+ *   minLength, maxLength, minItems, maxItems, default
+ *
+ * repair() applies safe local fixes before validation:
+ * - numeric strings become numbers, "true"/"false" become booleans
+ * - numbers are clamped into minimum/maximum, strings cut to maxLength
+ * - enum values match case- and punctuation-insensitively
+ * - a single value where an array is expected is wrapped
+ * - missing optional properties take their declared default
+ * - array items that still fail validation are dropped (minItems permitting)
+ * Missing required properties are never invented.
+ */
+
+/**
+ * Thrown when a value does not match its schema
+ */
+class SchemaValidationError extends Error {
+  /**
+   * @param {string} schemaName - Name of the schema that failed
+   * @param {string[]} errors - Validation messages ("$.path: problem")
+   */
+  constructor(schemaName, errors) {
+    super(`${schemaName} failed schema validation: ${errors.slice(0, 5).join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.schemaName = schemaName;
+    this.errors = errors;
+  }
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+const allowedTypes = (schema) =>
+  schema.type === undefined ? null : [].concat(schema.type);
+
+const normalizeEnumValue = (value) =>
+  String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const clone = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path='$'] - Path prefix for messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+const validate = (schema, value, path = '$') => {
+  const errors = [];
+  const types = allowedTypes(schema);
+
+  if (types && !types.some(type => matchesType(value, type))) {
+    errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Apply safe local fixes (see module doc). Does not mutate the input.
+ * @param {Object} schema
+ * @param {*} value
+ * @returns {*} Repaired copy
+ */
+const repair = (schema, value) => {
+  const types = allowedTypes(schema) || [];
+  let result = value;
+
+  if (typeof result === 'string') {
+    const trimmed = result.trim();
+    if ((types.includes('number') || types.includes('integer')) && trimmed !== '' && !Number.isNaN(Number(trimmed))) {
+      result = Number(trimmed);
+    } else if (types.includes('boolean') && /^(true|false)$/i.test(trimmed)) {
+      result = trimmed.toLowerCase() === 'true';
+    }
+  }
+
+  if (typeof result === 'string' && schema.maxLength !== undefined && result.length > schema.maxLength) {
+    result = result.slice(0, schema.maxLength);
+  }
+
+  if (typeof result === 'number') {
+    if (types.includes('integer') && !types.includes('number')) result = Math.round(result);
+    if (schema.minimum !== undefined) result = Math.max(schema.minimum, result);
+    if (schema.maximum !== undefined) result = Math.min(schema.maximum, result);
+  }
+
+  if (schema.enum && result !== undefined && !schema.enum.includes(result)) {
+    const match = schema.enum.find(option => normalizeEnumValue(option) === normalizeEnumValue(result));
+    if (match !== undefined) result = match;
+  }
+
+  if (types.includes('array') && result !== undefined && result !== null && !Array.isArray(result)) {
+    result = [result];
+  }
+
+  if (Array.isArray(result) && schema.items) {
+    const repaired = result.map(item => repair(schema.items, item));
+    const valid = repaired.filter(item => validate(schema.items, item).length === 0);
+    result = valid.length >= (schema.minItems || 0) ? valid : repaired;
+    if (schema.maxItems !== undefined) result = result.slice(0, schema.maxItems);
+  }
+
+  if (typeOf(result) === 'object' && schema.properties) {
+    result = { ...result };
+    const required = schema.required || [];
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (result[key] === undefined || result[key] === null) {
+        if (!required.includes(key) && propertySchema.default !== undefined) {
+          result[key] = clone(propertySchema.default);
+        } else if (result[key] === null && !(allowedTypes(propertySchema) || []).includes('null')) {
+          delete result[key];
+        }
+        continue;
+      }
+      result[key] = repair(propertySchema, result[key]);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Throw if a value does not match its schema
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} schemaName - Used in the error
+ * @throws {SchemaValidationError}
+ */
+const assertValid = (schema, value, schemaName) => {
+  const errors = validate(schema, value);
+  if (errors.length > 0) {
+    throw new SchemaValidationError(schemaName, errors);
+  }
+  return value;
+};
+
+module.exports = {
+  validate,
+  repair,
+  assertValid,
+  SchemaValidationError
+};
@@ -6,128 +6,29 @@
 const UserSkill = require('../models/UserSkill');
 const EventService = require('./EventService');
 const cacheService = require('./CacheService');
+const skillTaxonomy = require('./SkillTaxonomyService');
+const roleProfiles = require('./RoleProfileService');
 
-class SkillService {
-  /**
-   * Mapping of common tags to skill names and categories
-   */
-  static SKILL_MAPPINGS = {
-    // Languages
-    'javascript': { displayName: 'JavaScript', category: 'language' },
-    'js': { displayName: 'JavaScript', category: 'language', alias: 'javascript' },
-    'python': { displayName: 'Python', category: 'language' },
-    'java': { displayName: 'Java', category: 'language' },
-    'c++': { displayName: 'C++', category: 'language' },
-    'c': { displayName: 'C', category: 'language' },
-    'typescript': { displayName: 'TypeScript', category: 'language' },
-    'ts': { displayName: 'TypeScript', category: 'language', alias: 'typescript' },
-    'go': { displayName: 'Go', category: 'language' },
-    'rust': { displayName: 'Rust', category: 'language' },
-    'ruby': { displayName: 'Ruby', category: 'language' },
-    'php': { displayName: 'PHP', category: 'language' },
-    'swift': { displayName: 'Swift', category: 'language' },
-    'kotlin': { displayName: 'Kotlin', category: 'language' },
-    'sql': { displayName: 'SQL', category: 'language' },
-    
-    // Frontend Frameworks
-    'react': { displayName: 'React', category: 'framework' },
-    'reactjs': { displayName: 'React', category: 'framework', alias: 'react' },
-    'react.js': { displayName: 'React', category: 'framework', alias: 'react' },
-    'vue': { displayName: 'Vue.js', category: 'framework' },
-    'vuejs': { displayName: 'Vue.js', category: 'framework', alias: 'vue' },
-    'angular': { displayName: 'Angular', category: 'framework' },
-    'svelte': { displayName: 'Svelte', category: 'framework' },
-    'nextjs': { displayName: 'Next.js', category: 'framework' },
-    'next.js': { displayName: 'Next.js', category: 'framework', alias: 'nextjs' },
-    
-    // Backend Frameworks
-    'node': { displayName: 'Node.js', category: 'framework' },
-    'nodejs': { displayName: 'Node.js', category: 'framework', alias: 'node' },
-    'node.js': { displayName: 'Node.js', category: 'framework', alias: 'node' },
-    'express': { displayName: 'Express.js', category: 'framework' },
-    'expressjs': { displayName: 'Express.js', category: 'framework', alias: 'express' },
-    'django': { displayName: 'Django', category: 'framework' },
-    'flask': { displayName: 'Flask', category: 'framework' },
-    'spring': { displayName: 'Spring Boot', category: 'framework' },
-    'nestjs': { displayName: 'NestJS', category: 'framework' },
-    
-    // Mobile
-    'react-native': { displayName: 'React Native', category: 'framework' },
-    'flutter': { displayName: 'Flutter', category: 'framework' },
-    
-    // Databases
-    'mongodb': { displayName: 'MongoDB', category: 'tools' },
-    'mysql': { displayName: 'MySQL', category: 'tools' },
-    'postgresql': { displayName: 'PostgreSQL', category: 'tools' },
-    'redis': { displayName: 'Redis', category: 'tools' },
-    
-    // DevOps/Tools
-    'docker': { displayName: 'Docker', category: 'tools' },
-    'kubernetes': { displayName: 'Kubernetes', category: 'tools' },
-    'aws': { displayName: 'AWS', category: 'tools' },
-    'git': { displayName: 'Git', category: 'tools' },
-    'linux': { displayName: 'Linux', category: 'tools' },
-    
-    // Concepts
-    'dsa': { displayName: 'Data Structures & Algorithms', category: 'concepts' },
-    'data-structures': { displayName: 'Data Structures & Algorithms', category: 'concepts', alias: 'dsa' },
-    'algorithms': { displayName: 'Data Structures & Algorithms', category: 'concepts', alias: 'dsa' },
-    'system-design': { displayName: 'System Design', category: 'concepts' },
-    'oop': { displayName: 'Object-Oriented Programming', category: 'concepts' },
-    'api': { displayName: 'API Development', category: 'concepts' },
-    'rest': { displayName: 'REST APIs', category: 'concepts' },
-    'graphql': { displayName: 'GraphQL', category: 'concepts' },
-    
-    // Domain
-    'web-development': { displayName: 'Web Development', category: 'domain' },
-    'frontend': { displayName: 'Frontend Development', category: 'domain' },
-    'backend': { displayName: 'Backend Development', category: 'domain' },
-    'fullstack': { displayName: 'Full Stack Development', category: 'domain' },
-    'mobile-development': { displayName: 'Mobile Development', category: 'domain' },
-    'devops': { displayName: 'DevOps', category: 'domain' },
-    'machine-learning': { displayName: 'Machine Learning', category: 'domain' },
-    'data-science': { displayName: 'Data Science', category: 'domain' }
-  };
+// Skill score points per spaced-repetition outcome (see UserSkill.adjustRetention)
+const REVIEW_RECOVERY_POINTS = 3;
+const REVIEW_LAPSE_POINTS = 1;
+const MISSED_REVIEW_POINTS = 2;
+
+const SKILL_LEVELS = ['novice', 'beginner', 'intermediate', 'advanced', 'expert'];
 
+class SkillService {
   /**
-   * Normalize a skill tag to its canonical form
+   * Normalize a skill tag to its canonical form (see SkillTaxonomyService)
    */
   static normalizeSkill(tag) {
-    const normalized = tag.toLowerCase().trim();
-    const mapping = this.SKILL_MAPPINGS[normalized];
-    
-    if (mapping) {
-      // If it's an alias, return the canonical skill name
-      if (mapping.alias) {
-        return mapping.alias;
-      }
-      return normalized;
-    }
-    
-    return normalized;
+    return skillTaxonomy.normalizeSkill(tag);
   }
 
   /**
    * Get skill display info
    */
   static getSkillInfo(skillName) {
-    const normalized = this.normalizeSkill(skillName);
-    const mapping = this.SKILL_MAPPINGS[normalized];
-    
-    if (mapping && !mapping.alias) {
-      return {
-        skillName: normalized,
-        displayName: mapping.displayName,
-        category: mapping.category
-      };
-    }
-    
-    // Default for unknown skills
-    return {
-      skillName: normalized,
-      displayName: skillName,
-      category: 'language'
-    };
+    return skillTaxonomy.getSkillInfo(skillName);
   }
 
   /**
@@ -137,6 +38,7 @@ class SkillService {
    * @returns {Object[]} Array of skill updates
    */
   static async updateFromVideoCompletion(userId, tags) {
+    await skillTaxonomy.ready();
     const updates = [];
     const processedSkills = new Set();
     
@@ -178,7 +80,9 @@ class SkillService {
           normalizedSkill,
           previousScore,
           result.newScore,
-          result.newLevel
+          result.newLevel,
+          0,
+          this._eventDetails(skill, 'activity')
         );
         
         // Record level up event if applicable
@@ -202,6 +106,7 @@ class SkillService {
    * Update skills based on quiz completion
    */
   static async updateFromQuizCompletion(userId, skills, score, maxScore) {
+    await skillTaxonomy.ready();
     const updates = [];
     const percentage = (score / maxScore) * 100;
     
@@ -230,7 +135,7 @@ class SkillService {
           leveledUp: result.leveledUp
         });
         
-        await EventService.skillUpdated(userId, normalizedSkill, previousScore, result.newScore, result.newLevel);
+        await EventService.skillUpdated(userId, normalizedSkill, previousScore, result.newScore, result.newLevel, 0, this._eventDetails(skill, 'activity'));
       } catch (error) {
         console.error(`Error updating skill ${normalizedSkill}:`, error.message);
       }
@@ -247,6 +152,7 @@ class SkillService {
    * Update skills based on coding challenge completion
    */
   static async updateFromChallengeCompletion(userId, skills, difficulty) {
+    await skillTaxonomy.ready();
     const updates = [];
     
     // Points based on difficulty
@@ -275,7 +181,7 @@ class SkillService {
           leveledUp: result.leveledUp
         });
         
-        await EventService.skillUpdated(userId, normalizedSkill, previousScore, result.newScore, result.newLevel);
+        await EventService.skillUpdated(userId, normalizedSkill, previousScore, result.newScore, result.newLevel, 0, this._eventDetails(skill, 'activity'));
       } catch (error) {
         console.error(`Error updating skill ${normalizedSkill}:`, error.message);
       }
@@ -292,6 +198,7 @@ class SkillService {
    * Update skills based on project completion
    */
   static async updateFromProjectCompletion(userId, techStack, peerRating = null) {
+    await skillTaxonomy.ready();
     const updates = [];
     
     for (const tech of techStack) {
@@ -330,7 +237,7 @@ class SkillService {
           leveledUp: result.leveledUp
         });
         
-        await EventService.skillUpdated(userId, normalizedSkill, previousScore, result.newScore, result.newLevel);
+        await EventService.skillUpdated(userId, normalizedSkill, previousScore, result.newScore, result.newLevel, 0, this._eventDetails(skill, 'activity'));
       } catch (error) {
         console.error(`Error updating skill ${normalizedSkill}:`, error.message);
       }
@@ -343,6 +250,114 @@ class SkillService {
     return updates;
   }
 
+  /**
+   * Update skills from a spaced-repetition review
+   * Successful recall wins back points lost to missed reviews; forgetting
+   * costs a few. Skills the user has no score for are left alone.
+   * @param {string} userId - User ID
+   * @param {string[]} skills - Skills the reviewed item covers
+   * @param {boolean} recalled - Self-rated recall of 3 or more
+   * @returns {Object[]} Array of skill updates
+   */
+  static async updateFromReview(userId, skills, recalled) {
+    return this._adjustRetention(userId, skills, recalled ? -REVIEW_RECOVERY_POINTS : REVIEW_LAPSE_POINTS);
+  }
+
+  /**
+   * Decay skills for reviews that were skipped past their due date
+   * @param {string} userId - User ID
+   * @param {string[]} skills - Skills the missed item covers
+   * @returns {Object[]} Array of skill updates
+   */
+  static async applyMissedReview(userId, skills) {
+    return this._adjustRetention(userId, skills, MISSED_REVIEW_POINTS);
+  }
+
+  static async _adjustRetention(userId, skills, delta) {
+    await skillTaxonomy.ready();
+    const updates = [];
+    const normalizedSkills = [...new Set(skills.map(skill => this.normalizeSkill(skill)))];
+
+    for (const normalizedSkill of normalizedSkills) {
+      try {
+        const skill = await UserSkill.findOne({ user: userId, skillName: normalizedSkill });
+        if (!skill) continue;
+
+        const previousScore = skill.score;
+        const result = await skill.adjustRetention(delta);
+        if (result.newScore === previousScore) continue;
+
+        updates.push({
+          skillName: normalizedSkill,
+          previousScore,
+          newScore: result.newScore,
+          leveledUp: result.leveledUp
+        });
+
+        await EventService.skillUpdated(userId, normalizedSkill, previousScore, result.newScore, result.newLevel, 0, this._eventDetails(skill, 'review'));
+      } catch (error) {
+        console.error(`Error updating skill ${normalizedSkill}:`, error.message);
+      }
+    }
+
+    if (updates.length > 0) {
+      await cacheService.invalidateUserSkills(userId);
+    }
+
+    return updates;
+  }
+
+  /**
+   * Bring time decay up to date for every scored skill, recording a
+   * skill_updated event (changeReason 'decay') for each score it lowers.
+   * Run daily (skill_decay job).
+   * @returns {Promise<Object>} { skillsChecked, skillsDecayed, usersAffected }
+   */
+  static async applyTimeDecay({ now = new Date() } = {}) {
+    const users = new Set();
+    let skillsChecked = 0;
+    let skillsDecayed = 0;
+
+    const cursor = UserSkill.find({
+      $or: [{ score: { $gt: 0 } }, { lastPracticedAt: { $exists: false } }]
+    }).cursor();
+
+    for await (const skill of cursor) {
+      skillsChecked++;
+      try {
+        const result = await skill.applyDecay(now);
+        if (!result.changed) continue;
+
+        skillsDecayed++;
+        users.add(String(skill.user));
+        await EventService.skillUpdated(
+          skill.user,
+          skill.skillName,
+          result.previousScore,
+          result.newScore,
+          result.newLevel,
+          0,
+          this._eventDetails(skill, 'decay')
+        );
+      } catch (error) {
+        console.error(`Error decaying skill ${skill.skillName}:`, error.message);
+      }
+    }
+
+    return { skillsChecked, skillsDecayed, usersAffected: users.size };
+  }
+
+  /**
+   * skill_updated event details for a skill's current scores
+   */
+  static _eventDetails(skill, changeReason) {
+    return {
+      changeReason,
+      skillRawScore: skill.rawScore,
+      decayPoints: skill.decayPoints
+    };
+  }
+
   /**
    * Get user's skills (with caching)
    */
@@ -373,69 +388,69 @@ class SkillService {
    * Get skill by name for user
    */
   static async getSkill(userId, skillName) {
+    await skillTaxonomy.ready();
     const normalized = this.normalizeSkill(skillName);
     return UserSkill.findOne({ user: userId, skillName: normalized });
   }
 
   /**
-   * Get skill gaps based on career goal
-   * Returns skills that need improvement to reach goal
+   * Compare a user's skills against a role profile (see RoleProfileService).
+   * A skill is covered once its level reaches the profile's minimum;
+   * coverage is the covered share of the profile's total weight.
+   * @param {string} userId - User ID
+   * @param {string} role - Role id, alias, or career title
+   * @returns {Promise<Object>} { roleId, title, version, coveragePercentage, skills }
    */
-  static async getSkillGaps(userId, targetRole) {
-    // Define required skills for common roles
-    const roleRequirements = {
-      'frontend-developer': [
-        { skill: 'javascript', minLevel: 'intermediate' },
-        { skill: 'react', minLevel: 'intermediate' },
-        { skill: 'html', minLevel: 'intermediate' },
-        { skill: 'css', minLevel: 'intermediate' }
-      ],
-      'backend-developer': [
-        { skill: 'node', minLevel: 'intermediate' },
-        { skill: 'express', minLevel: 'intermediate' },
-        { skill: 'mongodb', minLevel: 'beginner' },
-        { skill: 'sql', minLevel: 'beginner' }
-      ],
-      'fullstack-developer': [
-        { skill: 'javascript', minLevel: 'intermediate' },
-        { skill: 'react', minLevel: 'beginner' },
-        { skill: 'node', minLevel: 'intermediate' },
-        { skill: 'mongodb', minLevel: 'beginner' }
-      ],
-      'data-scientist': [
-        { skill: 'python', minLevel: 'intermediate' },
-        { skill: 'sql', minLevel: 'intermediate' },
-        { skill: 'machine-learning', minLevel: 'beginner' }
-      ]
-    };
-    
-    const requirements = roleRequirements[targetRole] || [];
+  static async analyzeRoleGaps(userId, role) {
+    const profile = await roleProfiles.getProfileFor(role);
     const userSkills = await this.getUserSkills(userId);
     const skillMap = new Map(userSkills.map(s => [s.skillName, s]));
-    
-    const levelOrder = ['novice', 'beginner', 'intermediate', 'advanced', 'expert'];
-    
-    const gaps = [];
-    for (const req of requirements) {
-      const userSkill = skillMap.get(req.skill);
+
+    const skills = profile.skills.map(req => {
+      const info = this.getSkillInfo(req.skillName);
+      const skillName = info.skillName;
+      const userSkill = skillMap.get(skillName);
       const currentLevel = userSkill?.level || 'novice';
-      const requiredLevelIndex = levelOrder.indexOf(req.minLevel);
-      const currentLevelIndex = levelOrder.indexOf(currentLevel);
-      
-      if (currentLevelIndex < requiredLevelIndex) {
-        gaps.push({
-          skillName: req.skill,
-          displayName: this.getSkillInfo(req.skill).displayName,
-          currentLevel,
-          requiredLevel: req.minLevel,
-          currentScore: userSkill?.score || 0,
-          gap: requiredLevelIndex - currentLevelIndex
-        });
-      }
-    }
-    
-    // Sort by gap size (biggest gaps first)
-    return gaps.sort((a, b) => b.gap - a.gap);
+      const gap = Math.max(0, SKILL_LEVELS.indexOf(req.minLevel) - SKILL_LEVELS.indexOf(currentLevel));
+
+      return {
+        skillName,
+        displayName: (!info.known && req.displayName) || info.displayName,
+        weight: req.weight,
+        currentLevel,
+        requiredLevel: req.minLevel,
+        currentScore: userSkill?.score || 0,
+        gap,
+        covered: gap === 0
+      };
+    });
+
+    const totalWeight = skills.reduce((sum, s) => sum + s.weight, 0);
+    const coveredWeight = skills.filter(s => s.covered).reduce((sum, s) => sum + s.weight, 0);
+
+    // Biggest weighted gaps first
+    skills.sort((a, b) => (b.gap * b.weight) - (a.gap * a.weight) || b.weight - a.weight);
+
+    return {
+      roleId: profile.roleId,
+      title: profile.title,
+      version: profile.version,
+      coveragePercentage: totalWeight > 0 ? Math.round((coveredWeight / totalWeight) * 100) : 0,
+      skills
+    };
+  }
+
+  /**
+   * Skills below the level a role needs, biggest weighted gaps first
+   * @param {string} userId - User ID
+   * @param {string} targetRole - Role id, alias, or career title
+   * @returns {Promise<Object[]>}
+   */
+  static async getSkillGaps(userId, targetRole) {
+    const { skills } = await this.analyzeRoleGaps(userId, targetRole);
+    return skills
+      .filter(skill => !skill.covered)
+      .map(({ covered, ...gap }) => gap);
   }
 }
 
@@ -0,0 +1,87 @@
+/**
+ * Skill Taxonomy Defaults
+ *
+ * Built-in skills, stored by SkillTaxonomyService on its first load. Later
+ * edits are made from the admin API; a skill added here is stored on the
+ * next load unless a skill with that name already exists (including an
+ * archived one).
+ *
+ * Each skill: [skillName, displayName, category, parent, synonyms, related]
+ */
+
+const BUILT_IN_SKILLS = [
+  // Domains
+  ['web-development', 'Web Development', 'domain', null, ['web-dev', 'webdev'], []],
+  ['frontend', 'Frontend Development', 'domain', 'web-development', ['frontend-development', 'front-end'], ['backend']],
+  ['backend', 'Backend Development', 'domain', 'web-development', ['backend-development', 'back-end'], ['frontend']],
+  ['fullstack', 'Full Stack Development', 'domain', 'web-development', ['full-stack', 'mern'], ['frontend', 'backend']],
+  ['mobile-development', 'Mobile Development', 'domain', null, ['mobile', 'app-development'], []],
+  ['devops', 'DevOps', 'domain', null, [], ['linux']],
+  ['data-science', 'Data Science', 'domain', null, [], ['machine-learning', 'python']],
+  ['machine-learning', 'Machine Learning', 'domain', 'data-science', ['ml'], ['python']],
+
+  // Languages
+  ['javascript', 'JavaScript', 'language', 'web-development', ['js', 'es6', 'ecmascript'], ['typescript', 'html', 'css']],
+  ['typescript', 'TypeScript', 'language', 'javascript', ['ts'], []],
+  ['python', 'Python', 'language', null, ['python3', 'py'], []],
+  ['java', 'Java', 'language', null, [], ['spring']],
+  ['c++', 'C++', 'language', null, ['cpp'], ['c', 'dsa']],
+  ['c', 'C', 'language', null, ['c-programming'], ['c++']],
+  ['go', 'Go', 'language', 'backend', ['golang'], []],
+  ['rust', 'Rust', 'language', null, [], []],
+  ['ruby', 'Ruby', 'language', 'backend', [], []],
+  ['php', 'PHP', 'language', 'backend', [], []],
+  ['swift', 'Swift', 'language', 'mobile-development', [], []],
+  ['kotlin', 'Kotlin', 'language', 'mobile-development', [], ['java']],
+  ['sql', 'SQL', 'language', null, [], ['mysql', 'postgresql']],
+  ['html', 'HTML', 'language', 'frontend', ['html5'], ['css']],
+  ['css', 'CSS', 'language', 'frontend', ['css3'], ['html']],
+
+  // Frameworks and libraries
+  ['react', 'React', 'framework', 'javascript', ['reactjs', 'react.js'], ['nextjs']],
+  ['vue', 'Vue.js', 'framework', 'javascript', ['vuejs', 'vue.js'], []],
+  ['angular', 'Angular', 'framework', 'typescript', ['angularjs'], []],
+  ['svelte', 'Svelte', 'framework', 'javascript', [], []],
+  ['nextjs', 'Next.js', 'framework', 'react', ['next.js'], []],
+  ['node', 'Node.js', 'framework', 'javascript', ['nodejs', 'node.js'], ['express']],
+  ['express', 'Express.js', 'framework', 'node', ['expressjs', 'express.js'], ['mongodb']],
+  ['nestjs', 'NestJS', 'framework', 'node', ['nest.js'], ['typescript']],
+  ['django', 'Django', 'framework', 'python', [], []],
+  ['flask', 'Flask', 'framework', 'python', [], []],
+  ['spring', 'Spring Boot', 'framework', 'java', ['spring-boot', 'springboot'], []],
+  ['react-native', 'React Native', 'framework', 'react', ['reactnative'], ['mobile-development']],
+  ['flutter', 'Flutter', 'framework', 'mobile-development', [], []],
+  ['tailwind', 'Tailwind CSS', 'framework', 'css', ['tailwindcss', 'tailwind-css'], []],
+  ['pandas', 'pandas', 'framework', 'python', [], ['numpy', 'data-science']],
+  ['numpy', 'NumPy', 'framework', 'python', [], ['pandas']],
+
+  // Databases and tools
+  ['mongodb', 'MongoDB', 'tools', 'backend', ['mongo'], ['node']],
+  ['mysql', 'MySQL', 'tools', 'sql', [], []],
+  ['postgresql', 'PostgreSQL', 'tools', 'sql', ['postgres'], []],
+  ['redis', 'Redis', 'tools', 'backend', [], []],
+  ['docker', 'Docker', 'tools', 'devops', [], ['kubernetes']],
+  ['kubernetes', 'Kubernetes', 'tools', 'devops', ['k8s'], ['docker']],
+  ['aws', 'AWS', 'tools', 'devops', ['amazon-web-services'], []],
+  ['git', 'Git', 'tools', null, ['github'], []],
+  ['linux', 'Linux', 'tools', null, [], []],
+
+  // Concepts
+  ['dsa', 'Data Structures & Algorithms', 'concepts', null, ['data-structures', 'algorithms'], []],
+  ['system-design', 'System Design', 'concepts', null, [], ['backend']],
+  ['oop', 'Object-Oriented Programming', 'concepts', null, ['object-oriented-programming'], []],
+  ['api', 'API Development', 'concepts', 'backend', ['apis'], []],
+  ['rest', 'REST APIs', 'concepts', 'api', ['rest-api', 'restful'], []],
+  ['graphql', 'GraphQL', 'concepts', 'api', [], []]
+].map(([skillName, displayName, category, parent, synonyms, related]) => ({
+  skillName,
+  displayName,
+  category,
+  parent,
+  synonyms,
+  related
+}));
+
+module.exports = {
+  BUILT_IN_SKILLS
+};
@@ -0,0 +1,627 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const SkillTaxonomy = require('../models/SkillTaxonomy');
+const SkillTagReview = require('../models/SkillTagReview');
+const UserSkill = require('../models/UserSkill');
+const { BUILT_IN_SKILLS } = require('./SkillTaxonomyDefaults');
+
+const { SKILL_CATEGORIES } = SkillTaxonomy;
+
+/**
+ * Skill Taxonomy Service
+ *
+ * Canonical skills with categories, a parent hierarchy, synonyms and related
+ * skills. normalizeSkill() and getSkillInfo() are synchronous and read an
+ * in-memory index: it starts from the built-ins (SkillTaxonomyDefaults.js)
+ * and is reloaded from the SkillTaxonomy collection every refreshInterval,
+ * so admin changes reach every process. Async callers await ready() first.
+ * Without a database connection the built-ins are used.
+ *
+ * Tags that match no skill are queued in SkillTagReview for an admin to
+ * approve as a skill, map onto an existing skill, or ignore. Until then
+ * they are their own skill with category 'other'. Users' scores kept under
+ * a name that becomes a synonym move onto the skill (mergeUserSkills).
+ */
+
+const CATEGORY_INFO = {
+  language: { name: 'Programming Languages', icon: 'code' },
+  framework: { name: 'Frameworks & Libraries', icon: 'cubes' },
+  tools: { name: 'Tools & Technologies', icon: 'wrench' },
+  concepts: { name: 'Core Concepts', icon: 'lightbulb' },
+  'soft-skills': { name: 'Soft Skills', icon: 'users' },
+  domain: { name: 'Domain Knowledge', icon: 'folder' },
+  other: { name: 'Uncategorized', icon: 'tag' }
+};
+
+const SKILL_NAME_PATTERN = /^[a-z0-9][a-z0-9+#.\- ]{0,49}$/;
+const MAX_SAMPLE_VIDEOS = 5;
+
+/**
+ * Thrown for invalid skills, unknown skills and conflicting names
+ */
+class SkillTaxonomyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SkillTaxonomyError';
+    this.statusCode = statusCode;
+  }
+}
+
+const cleanTag = (tag) => String(tag).toLowerCase().trim().replace(/\s+/g, ' ');
+
+class SkillTaxonomyService extends BaseService {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.skills] - Built-in skills
+   * @param {number} [options.refreshInterval=60000] - How long the loaded taxonomy is reused (ms)
+   */
+  constructor(options = {}) {
+    super('SkillTaxonomyService');
+    this.builtIns = options.skills || BUILT_IN_SKILLS;
+    this.refreshInterval = options.refreshInterval ?? 60000;
+    this.loadedAt = 0;
+    this.loading = null;
+    this._buildIndex(this.builtIns);
+  }
+
+  /**
+   * Index active skills by name and by synonym
+   */
+  _buildIndex(skills) {
+    this.skills = new Map();
+    this.synonyms = new Map();
+
+    for (const skill of skills) {
+      if (skill.isArchived) continue;
+      this.skills.set(skill.skillName, skill);
+    }
+    for (const skill of this.skills.values()) {
+      for (const synonym of skill.synonyms || []) {
+        if (!this.skills.has(synonym)) this.synonyms.set(synonym, skill.skillName);
+      }
+    }
+  }
+
+  async _load() {
+    if (mongoose.connection.readyState !== 1) {
+      return this.builtIns;
+    }
+
+    let docs = await SkillTaxonomy.find().lean();
+    const stored = new Set(docs.map(doc => doc.skillName));
+    const missing = this.builtIns.filter(skill => !stored.has(skill.skillName));
+
+    if (missing.length > 0) {
+      try {
+        await SkillTaxonomy.insertMany(
+          missing.map(skill => ({ ...skill, source: 'builtin' })),
+          { ordered: false }
+        );
+        this.log('info', `Stored ${missing.length} built-in skills`);
+      } catch (error) {
+        // Another process stored some first
+        if (error.code !== 11000) throw error;
+      }
+      docs = await SkillTaxonomy.find().lean();
+    }
+
+    return docs;
+  }
+
+  /**
+   * Reload the taxonomy from the database
+   */
+  async refresh() {
+    if (!this.loading) {
+      this.loading = this._load()
+        .then(skills => {
+          this._buildIndex(skills);
+          this.loadedAt = Date.now();
+        })
+        .catch(error => {
+          this.log('warn', `Failed to load skill taxonomy, keeping the current one: ${error.message}`);
+          this.loadedAt = Date.now();
+        })
+        .finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Reload the taxonomy if it is stale
+   */
+  async ready() {
+    if (Date.now() - this.loadedAt > this.refreshInterval) {
+      await this.refresh();
+    }
+  }
+
+  /**
+   * Canonical skill name for a tag (the tag itself if it is unknown)
+   * @param {string} tag
+   * @returns {string}
+   */
+  normalizeSkill(tag) {
+    const cleaned = cleanTag(tag);
+    for (const candidate of [cleaned, cleaned.replace(/ /g, '-')]) {
+      if (this.skills.has(candidate)) return candidate;
+      if (this.synonyms.has(candidate)) return this.synonyms.get(candidate);
+    }
+    return cleaned;
+  }
+
+  /**
+   * Whether a tag normalizes to a known skill
+   */
+  isKnown(tag) {
+    return this.skills.has(this.normalizeSkill(tag));
+  }
+
+  /**
+   * Display info for a tag
+   * @returns {Object} { skillName, displayName, category, parent, known }
+   */
+  getSkillInfo(tag) {
+    const skillName = this.normalizeSkill(tag);
+    const skill = this.skills.get(skillName);
+
+    if (skill) {
+      return {
+        skillName,
+        displayName: skill.displayName,
+        category: skill.category,
+        parent: skill.parent || null,
+        known: true
+      };
+    }
+
+    return {
+      skillName,
+      displayName: String(tag).trim(),
+      category: 'other',
+      parent: null,
+      known: false
+    };
+  }
+
+  /**
+   * Broader skills of a skill, nearest first
+   * @returns {string[]}
+   */
+  getAncestors(skillName) {
+    const ancestors = [];
+    let parent = this.skills.get(this.normalizeSkill(skillName))?.parent;
+
+    while (parent && this.skills.has(parent) && !ancestors.includes(parent)) {
+      ancestors.push(parent);
+      parent = this.skills.get(parent).parent;
+    }
+    return ancestors;
+  }
+
+  /**
+   * Skills directly under a skill
+   * @returns {string[]}
+   */
+  getChildren(skillName) {
+    const name = this.normalizeSkill(skillName);
+    return [...this.skills.values()]
+      .filter(skill => skill.parent === name)
+      .map(skill => skill.skillName)
+      .sort();
+  }
+
+  /**
+   * A skill with its hierarchy and related skills
+   * @throws {SkillTaxonomyError} 404 if the skill is unknown
+   */
+  async getSkill(tag) {
+    await this.ready();
+    const info = this.getSkillInfo(tag);
+    if (!info.known) {
+      throw new SkillTaxonomyError(`Unknown skill: ${tag}`, 404);
+    }
+
+    const skill = this.skills.get(info.skillName);
+    const summarize = (name) => {
+      const { skillName, displayName, category } = this.getSkillInfo(name);
+      return { skillName, displayName, category };
+    };
+
+    return {
+      ...info,
+      synonyms: skill.synonyms || [],
+      description: skill.description || null,
+      ancestors: this.getAncestors(info.skillName).map(summarize),
+      children: this.getChildren(info.skillName).map(summarize),
+      related: (skill.related || []).filter(name => this.skills.has(name)).map(summarize)
+    };
+  }
+
+  /**
+   * Skill hierarchy as a tree of top-level skills
+   * @param {Object} [options] - { category } limits the tree to one category
+   * @returns {Promise<Object[]>} [{ skillName, displayName, category, children: [...] }]
+   */
+  async getTree({ category } = {}) {
+    await this.ready();
+
+    const skills = [...this.skills.values()]
+      .filter(skill => !category || skill.category === category);
+    const included = new Set(skills.map(skill => skill.skillName));
+
+    const build = (skill, seen) => ({
+      skillName: skill.skillName,
+      displayName: skill.displayName,
+      category: skill.category,
+      children: skills
+        .filter(child => child.parent === skill.skillName && !seen.has(child.skillName))
+        .sort((a, b) => a.displayName.localeCompare(b.displayName))
+        .map(child => build(child, new Set([...seen, child.skillName])))
+    });
+
+    // A skill whose parent is outside the tree is a root
+    return skills
+      .filter(skill => !skill.parent || !included.has(skill.parent))
+      .sort((a, b) => a.displayName.localeCompare(b.displayName))
+      .map(skill => build(skill, new Set([skill.skillName])));
+  }
+
+  /**
+   * Skill categories with the number of skills in each
+   * @returns {Promise<Object[]>} [{ id, name, icon, skillCount }]
+   */
+  async getCategories() {
+    await this.ready();
+
+    const counts = {};
+    for (const skill of this.skills.values()) {
+      counts[skill.category] = (counts[skill.category] || 0) + 1;
+    }
+
+    return SKILL_CATEGORIES.map(id => ({ id, ...CATEGORY_INFO[id], skillCount: counts[id] || 0 }));
+  }
+
+  /**
+   * Stored skills for the admin API
+   * @param {Object} [filter] - { category, q, includeArchived }
+   */
+  async listSkills({ category, q, includeArchived = false } = {}) {
+    this._requireDatabase();
+    await this.ready();
+
+    const query = {};
+    if (!includeArchived) query.isArchived = false;
+    if (category) query.category = category;
+    if (q) {
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ skillName: pattern }, { displayName: pattern }, { synonyms: pattern }];
+    }
+
+    return SkillTaxonomy.find(query).sort({ category: 1, skillName: 1 }).lean();
+  }
+
+  /**
+   * Add a skill
+   * @param {Object} data - { skillName, displayName, category, parent, synonyms, related, description }
+   * @param {string} [userId] - Admin making the change
+   */
+  async createSkill(data, userId = null, { source = 'admin' } = {}) {
+    this._requireDatabase();
+    await this.refresh();
+
+    const skillName = cleanTag(data.skillName || '');
+    const archived = await SkillTaxonomy.findOne({ skillName });
+    if (archived && !archived.isArchived) {
+      throw new SkillTaxonomyError(`Skill ${skillName} already exists`, 409);
+    }
+
+    const skill = this._validate({ ...data, skillName });
+
+    // Adding an archived skill again restores it with the new fields
+    let created;
+    if (archived) {
+      Object.assign(archived, skill, { isArchived: false, updatedBy: userId });
+      created = await archived.save();
+    } else {
+      created = await SkillTaxonomy.create({ ...skill, source, updatedBy: userId });
+    }
+
+    await this._syncUserSkills(created);
+    await this.refresh();
+    this.log('info', `Added skill ${skillName}`);
+    return created;
+  }
+
+  /**
+   * Change a skill. The skill name itself can't change.
+   * @param {string} skillName
+   * @param {Object} changes - Any of displayName, category, parent, synonyms, related, description
+   */
+  async updateSkill(skillName, changes, userId = null) {
+    this._requireDatabase();
+    await this.refresh();
+
+    const existing = await SkillTaxonomy.findOne({ skillName: cleanTag(skillName), isArchived: false });
+    if (!existing) {
+      throw new SkillTaxonomyError(`Unknown skill: ${skillName}`, 404);
+    }
+
+    const editable = ['displayName', 'category', 'parent', 'synonyms', 'related', 'description'];
+    const merged = { ...existing.toObject() };
+    editable.forEach(field => {
+      if (changes[field] !== undefined) merged[field] = changes[field];
+    });
+
+    const skill = this._validate(merged);
+    editable.forEach(field => { existing[field] = skill[field]; });
+    existing.updatedBy = userId;
+    await existing.save();
+
+    await this._syncUserSkills(existing);
+    await this.refresh();
+    return existing;
+  }
+
+  /**
+   * Archive a skill. Skills with children can't be archived.
+   */
+  async archiveSkill(skillName, userId = null) {
+    this._requireDatabase();
+    await this.refresh();
+
+    const name = cleanTag(skillName);
+    const existing = await SkillTaxonomy.findOne({ skillName: name, isArchived: false });
+    if (!existing) {
+      throw new SkillTaxonomyError(`Unknown skill: ${skillName}`, 404);
+    }
+
+    const children = this.getChildren(name);
+    if (children.length > 0) {
+      throw new SkillTaxonomyError(
+        `Move or archive the skills under ${name} first: ${children.join(', ')}`,
+        409
+      );
+    }
+
+    existing.isArchived = true;
+    existing.updatedBy = userId;
+    await existing.save();
+
+    await this.refresh();
+    return existing;
+  }
+
+  /**
+   * Queue tags from video analysis that match no skill
+   * @param {string[]} tags
+   * @param {Object} [source] - { videoId }
+   * @returns {Promise<string[]>} The unknown tags
+   */
+  async recordUnknownTags(tags, { videoId } = {}) {
+    await this.ready();
+
+    const unknown = [...new Set((tags || []).map(cleanTag))]
+      .filter(tag => tag && SKILL_NAME_PATTERN.test(tag) && !this.isKnown(tag));
+    if (unknown.length === 0 || mongoose.connection.readyState !== 1) return unknown;
+
+    const now = new Date();
+    await SkillTagReview.bulkWrite(unknown.map(tag => ({
+      updateOne: {
+        filter: { tag },
+        update: {
+          $inc: { occurrences: 1 },
+          $set: { lastSeenAt: now },
+          $setOnInsert: { status: 'pending', firstSeenAt: now },
+          ...(videoId && { $push: { sampleVideoIds: { $each: [videoId], $slice: -MAX_SAMPLE_VIDEOS } } })
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    return unknown;
+  }
+
+  /**
+   * Tags waiting for review, most seen first
+   * @param {Object} [options] - { status, limit, offset }
+   * @returns {Promise<Object>} { tags, total }
+   */
+  async listReviewQueue({ status = 'pending', limit = 50, offset = 0 } = {}) {
+    this._requireDatabase();
+
+    const filter = status === 'all' ? {} : { status };
+    const [tags, total] = await Promise.all([
+      SkillTagReview.find(filter).sort({ occurrences: -1, lastSeenAt: -1 }).skip(offset).limit(limit).lean(),
+      SkillTagReview.countDocuments(filter)
+    ]);
+
+    return { tags, total };
+  }
+
+  /**
+   * Approve a queued tag as a new skill
+   * @param {string} tag
+   * @param {Object} data - Skill fields; skillName defaults to the tag (which
+   *   becomes a synonym when another name is given)
+   */
+  async approveTag(tag, data, userId = null) {
+    const review = await this._getPendingTag(tag);
+    const skillName = cleanTag(data.skillName || review.tag);
+    const synonyms = [...(data.synonyms || [])];
+    if (skillName !== review.tag) synonyms.push(review.tag);
+
+    const skill = await this.createSkill({ ...data, skillName, synonyms }, userId, { source: 'review' });
+    await this._resolveTag(review, 'approved', skill.skillName, userId);
+    return skill;
+  }
+
+  /**
+   * Map a queued tag onto an existing skill as a synonym, moving users'
+   * scores for the tag onto the skill
+   */
+  async mapTag(tag, skillName, userId = null) {
+    const review = await this._getPendingTag(tag);
+    const target = cleanTag(skillName || '');
+
+    const existing = await SkillTaxonomy.findOne({ skillName: target, isArchived: false });
+    if (!existing) {
+      throw new SkillTaxonomyError(`Unknown skill: ${skillName}`, 404);
+    }
+
+    const skill = await this.updateSkill(target, {
+      synonyms: [...new Set([...existing.synonyms, review.tag])]
+    }, userId);
+    await this._resolveTag(review, 'mapped', target, userId);
+    return skill;
+  }
+
+  /**
+   * Stop queueing a tag
+   */
+  async ignoreTag(tag, userId = null) {
+    const review = await this._getPendingTag(tag);
+    return this._resolveTag(review, 'ignored', null, userId);
+  }
+
+  async _getPendingTag(tag) {
+    this._requireDatabase();
+
+    const review = await SkillTagReview.findOne({ tag: cleanTag(tag) });
+    if (!review) {
+      throw new SkillTaxonomyError(`Tag ${tag} is not in the review queue`, 404);
+    }
+    if (review.status !== 'pending') {
+      throw new SkillTaxonomyError(`Tag ${tag} was already ${review.status}`, 409);
+    }
+    return review;
+  }
+
+  async _resolveTag(review, status, skillName, userId) {
+    review.status = status;
+    review.resolvedSkill = skillName;
+    review.resolvedBy = userId;
+    review.resolvedAt = new Date();
+    return review.save();
+  }
+
+  /**
+   * Check and clean skill fields against the current taxonomy
+   * @returns {Object} The cleaned fields
+   * @throws {SkillTaxonomyError}
+   */
+  _validate(data) {
+    const skillName = cleanTag(data.skillName);
+    if (!SKILL_NAME_PATTERN.test(skillName)) {
+      throw new SkillTaxonomyError(
+        'skillName must be 1-50 characters of lowercase letters, digits, spaces and + # . -'
+      );
+    }
+    if (!data.displayName || typeof data.displayName !== 'string' || !data.displayName.trim()) {
+      throw new SkillTaxonomyError('displayName is required');
+    }
+    if (!SKILL_CATEGORIES.includes(data.category)) {
+      throw new SkillTaxonomyError(`category must be one of: ${SKILL_CATEGORIES.join(', ')}`);
+    }
+
+    const parent = data.parent ? cleanTag(data.parent) : null;
+    if (parent) {
+      if (parent === skillName) {
+        throw new SkillTaxonomyError('A skill cannot be its own parent');
+      }
+      if (!this.skills.has(parent)) {
+        throw new SkillTaxonomyError(`Unknown parent skill: ${parent}`);
+      }
+      if (this.getAncestors(parent).includes(skillName)) {
+        throw new SkillTaxonomyError(`${parent} is already under ${skillName}`);
+      }
+    }
+
+    const related = [...new Set((data.related || []).map(cleanTag))].filter(name => name !== skillName);
+    const unknownRelated = related.filter(name => !this.skills.has(name));
+    if (unknownRelated.length > 0) {
+      throw new SkillTaxonomyError(`Unknown related skills: ${unknownRelated.join(', ')}`);
+    }
+
+    const synonyms = [...new Set((data.synonyms || []).map(cleanTag))].filter(s => s && s !== skillName);
+    const taken = synonyms.filter(synonym =>
+      this.skills.has(synonym) ||
+      (this.synonyms.has(synonym) && this.synonyms.get(synonym) !== skillName)
+    );
+    if (taken.length > 0) {
+      throw new SkillTaxonomyError(`Synonyms already used by other skills: ${taken.join(', ')}`, 409);
+    }
+
+    return {
+      skillName,
+      displayName: data.displayName.trim(),
+      category: data.category,
+      parent,
+      synonyms,
+      related,
+      description: data.description
+    };
+  }
+
+  /**
+   * Carry a skill's display name and category over to users' scores, and
+   * fold scores kept under its synonyms into them
+   */
+  async _syncUserSkills(skill) {
+    await UserSkill.updateMany(
+      { skillName: skill.skillName },
+      { $set: { displayName: skill.displayName, category: skill.category } }
+    );
+    await this.mergeUserSkills(skill);
+  }
+
+  /**
+   * Move users' scores kept under other names onto a skill. A user who
+   * already has a score for the skill gets the two merged.
+   * @param {Object} skill - { skillName, displayName, category }
+   * @param {string[]} [names] - Names to move, default the skill's synonyms
+   * @returns {Promise<Object>} { renamed, merged }
+   */
+  async mergeUserSkills(skill, names = skill.synonyms || []) {
+    const result = { renamed: 0, merged: 0 };
+    const from = names.filter(name => name !== skill.skillName);
+    if (from.length === 0) return result;
+
+    const strays = await UserSkill.find({ skillName: { $in: from } });
+    for (const stray of strays) {
+      const kept = await UserSkill.findOne({ user: stray.user, skillName: skill.skillName });
+
+      if (kept) {
+        kept.mergeFrom(stray);
+        await kept.save();
+        await stray.deleteOne();
+        result.merged++;
+      } else {
+        stray.skillName = skill.skillName;
+        stray.displayName = skill.displayName;
+        stray.category = skill.category;
+        await stray.save();
+        result.renamed++;
+      }
+    }
+
+    if (strays.length > 0) {
+      this.log('info', `Moved ${strays.length} user scores onto ${skill.skillName}`, result);
+    }
+    return result;
+  }
+
+  _requireDatabase() {
+    if (mongoose.connection.readyState !== 1) {
+      throw new SkillTaxonomyError('The skill taxonomy can only be managed with a database connection', 503);
+    }
+  }
+}
+
+// Export singleton instance
+const skillTaxonomy = new SkillTaxonomyService();
+
+module.exports = skillTaxonomy;
+module.exports.SkillTaxonomyService = SkillTaxonomyService;
+module.exports.SkillTaxonomyError = SkillTaxonomyError;
+module.exports.SKILL_CATEGORIES = SKILL_CATEGORIES;
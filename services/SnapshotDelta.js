@@ -0,0 +1,91 @@
+/**
+ * Snapshot Delta Encoding
+ *
+ * Stores a learning path snapshot as a DiffComputer diff against an
+ * earlier keyframe snapshot, and rebuilds it from one. Used by
+ * LearningPathVersion for its keyframe + delta storage.
+ */
+
+const DiffComputer = require('./DiffComputer');
+
+// Store a keyframe when the diff is more than this share of the snapshot size
+const MAX_DELTA_RATIO = 0.5;
+
+/**
+ * Plain copy of a snapshot: no subdocument ids, dates as ISO strings
+ */
+const toPlainSnapshot = (snapshot) => {
+  const { _id, ...plain } = JSON.parse(JSON.stringify(snapshot || {}));
+  const stripIds = (items = []) => items.map(({ _id: itemId, ...rest }) => rest);
+  plain.structureGraph = {
+    nodes: stripIds(plain.structureGraph?.nodes),
+    edges: stripIds(plain.structureGraph?.edges)
+  };
+  return plain;
+};
+
+/**
+ * Order-independent string form of a snapshot, for checking a round trip
+ */
+const canonicalize = (snapshot) => {
+  const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((acc, key) => {
+        acc[key] = sortKeys(value[key]);
+        return acc;
+      }, {});
+    }
+    return value;
+  };
+  const edgeKey = (e) => `${e.from}->${e.to}:${e.type}`;
+  const plain = toPlainSnapshot(snapshot);
+
+  return JSON.stringify(sortKeys({
+    ...plain,
+    structureGraph: {
+      nodes: [...plain.structureGraph.nodes].sort((a, b) => String(a.id).localeCompare(String(b.id))),
+      edges: [...plain.structureGraph.edges].sort((a, b) => edgeKey(a).localeCompare(edgeKey(b)))
+    },
+    inferredSkills: [...(plain.inferredSkills || [])].sort(),
+    inferredCareers: [...(plain.inferredCareers || [])].sort()
+  }));
+};
+
+/**
+ * Rebuild a snapshot from its keyframe and stored diff
+ */
+const applyDelta = (keyframeSnapshot, diff) => {
+  const state = DiffComputer.applyDiff(
+    toPlainSnapshot(keyframeSnapshot),
+    JSON.parse(JSON.stringify(diff))
+  );
+  state.structureGraph.nodes.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  return state;
+};
+
+/**
+ * Diff a snapshot against a keyframe. Returns null when a keyframe should
+ * be stored instead: the diff is large, or it doesn't rebuild the snapshot
+ * exactly (e.g. duplicate edges or an edge type change).
+ */
+const encodeDelta = (keyframeSnapshot, snapshot) => {
+  const plain = toPlainSnapshot(snapshot);
+  const diff = DiffComputer.computePathDiff(toPlainSnapshot(keyframeSnapshot), plain);
+
+  if (JSON.stringify(diff).length > JSON.stringify(plain).length * MAX_DELTA_RATIO) {
+    return null;
+  }
+  if (canonicalize(applyDelta(keyframeSnapshot, diff)) !== canonicalize(plain)) {
+    return null;
+  }
+  return diff;
+};
+
+module.exports = {
+  toPlainSnapshot,
+  canonicalize,
+  applyDelta,
+  encodeDelta,
+  MAX_DELTA_RATIO
+};
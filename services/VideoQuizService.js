@@ -0,0 +1,338 @@
+const YouTubeAnalysisCache = require('../models/YouTubeAnalysisCache');
+const Quiz = require('../models/Quiz');
+const QuizQuestion = require('../models/QuizQuestion');
+const QuizAttempt = require('../models/QuizAttempt');
+const llmClient = require('./LLMClient');
+const promptRegistry = require('./PromptRegistry');
+const youtubeService = require('./YouTubeService');
+const skillTaxonomy = require('./SkillTaxonomyService');
+const jobQueue = require('./JobQueue');
+const QuizService = require('./QuizService');
+
+/**
+ * Video Quiz Service
+ *
+ * A short comprehension quiz per analyzed video, written by the model from
+ * the video's title, description, viewer comments and evaluation. Only
+ * videos in YouTubeAnalysisCache (programming tutorials) get one; learning
+ * path nodes use the quiz of their video.
+ *
+ * Generation runs as the video_quiz background job. Its state is kept on
+ * the cache entry (quiz.status: none -> pending -> ready | failed). The
+ * model's questions are checked against the videoQuiz schema and then by
+ * QuizService.validateQuestion; invalid ones are dropped. The rest are
+ * saved as 'ai' bank questions behind a 'video' quiz, so attempts, grading
+ * and skill updates work like any other quiz.
+ *
+ * Paths with requireQuizToComplete only let a learner complete a node once
+ * they have passed its video's quiz (see assertCanComplete). Attempts at
+ * video quizzes don't count towards the free tier's quiz limit, so the
+ * limit can't stop a learner completing a path.
+ */
+
+const QUESTIONS_PER_QUIZ = 5;
+const MIN_QUESTIONS = 3;
+const MAX_SKILLS = 3;
+const MAX_COMMENTS = 10;
+
+// A pending quiz whose job hasn't finished by then is requested again
+const PENDING_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Thrown for videos without an analysis, failed generation and blocked
+ * node completion
+ */
+class VideoQuizError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'VideoQuizError';
+    this.statusCode = statusCode;
+  }
+}
+
+class VideoQuizService {
+  /**
+   * Quiz state for a video
+   * @returns {Promise<Object>} { videoId, status, quizId, jobId, error, quiz }
+   *   quiz is set once the quiz is ready
+   * @throws {VideoQuizError} 404 when the video hasn't been analyzed
+   */
+  static async getStatus(videoId) {
+    const entry = await this._findEntry(videoId);
+    const { status = 'none', quizId = null, jobId = null, error = null } = entry.quiz || {};
+
+    const quiz = status === 'ready' && quizId ? await Quiz.findById(quizId).lean() : null;
+    return { videoId, status, quizId, jobId, error, quiz };
+  }
+
+  /**
+   * Queue generation unless the quiz is ready or already being generated
+   * @param {string} videoId - YouTube video id
+   * @param {Object} [options] - { userId, regenerate }
+   * @returns {Promise<Object>} Quiz state (see getStatus)
+   */
+  static async requestQuiz(videoId, { userId = null, regenerate = false } = {}) {
+    const entry = await this._findEntry(videoId);
+    const { status = 'none', requestedAt } = entry.quiz || {};
+
+    const pendingRecently = status === 'pending' && requestedAt &&
+      Date.now() - requestedAt.getTime() < PENDING_TIMEOUT_MS;
+    if (pendingRecently || (status === 'ready' && !regenerate)) {
+      return this.getStatus(videoId);
+    }
+
+    const jobId = await jobQueue.add(
+      'video_quiz',
+      { videoId, userId: userId ? String(userId) : null },
+      { maxAttempts: 2 }
+    );
+
+    await YouTubeAnalysisCache.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          'quiz.status': status === 'ready' ? 'ready' : 'pending',
+          'quiz.jobId': jobId,
+          'quiz.requestedAt': new Date(),
+          'quiz.error': null
+        }
+      }
+    );
+
+    return this.getStatus(videoId);
+  }
+
+  /**
+   * Generate (or regenerate) a video's quiz - the video_quiz job
+   * @param {string} videoId - YouTube video id
+   * @param {Object} [context] - { userId } for AI usage accounting
+   * @returns {Promise<Object>} { quizId, questionCount, dropped, promptVersion }
+   */
+  static async generate(videoId, context = {}) {
+    const entry = await this._findEntry(videoId);
+
+    try {
+      if (!llmClient.isConfigured()) {
+        throw new VideoQuizError('AI provider is not configured', 503);
+      }
+
+      await skillTaxonomy.ready();
+      const skills = this._videoSkills(entry);
+      const prompt = await promptRegistry.render(
+        'videoQuiz',
+        await this._buildVariables(entry, skills),
+        { assignmentKey: videoId }
+      );
+
+      const { data } = await llmClient.completeStructured(prompt.messages, 'videoQuiz', {
+        temperature: 0.4,
+        maxTokens: 2500,
+        feature: 'video_quiz',
+        userId: context.userId,
+        promptVersion: prompt.version
+      });
+
+      const questions = [];
+      for (const candidate of data.questions) {
+        const question = await this._toBankQuestion(candidate, skills);
+        if (question) questions.push(question);
+      }
+      if (questions.length < MIN_QUESTIONS) {
+        throw new VideoQuizError(
+          `Only ${questions.length} of ${data.questions.length} generated questions were usable`,
+          502
+        );
+      }
+
+      const quiz = await this._saveQuiz(entry, skills, questions.slice(0, QUESTIONS_PER_QUIZ));
+
+      await YouTubeAnalysisCache.updateOne(
+        { _id: entry._id },
+        {
+          $set: {
+            'quiz.status': 'ready',
+            'quiz.quizId': quiz._id,
+            'quiz.promptVersion': prompt.version,
+            'quiz.error': null,
+            'quiz.generatedAt': new Date()
+          }
+        }
+      );
+
+      return {
+        quizId: String(quiz._id),
+        questionCount: quiz.questionIds.length,
+        dropped: data.questions.length - questions.length,
+        promptVersion: prompt.version
+      };
+    } catch (error) {
+      // A previous quiz stays usable when regenerating fails
+      await YouTubeAnalysisCache.updateOne(
+        { _id: entry._id },
+        {
+          $set: {
+            'quiz.status': entry.quiz?.quizId ? 'ready' : 'failed',
+            'quiz.error': error.message
+          }
+        }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a user may complete a path node
+   * Paths with requireQuizToComplete need a passed attempt at the quiz of
+   * the node's video. Videos that can't have a quiz (not analyzed, or
+   * generation failed) don't block completion.
+   * @throws {VideoQuizError} 403 with error.quiz ({ quizId, status }) when
+   *   the quiz still has to be passed
+   */
+  static async assertCanComplete(userId, path, node) {
+    if (!path.requireQuizToComplete || !node) return;
+
+    const entry = await YouTubeAnalysisCache.findOne({ youtubeId: node.videoId, type: 'video' }).select('quiz');
+    if (!entry) return;
+
+    let state = { status: entry.quiz?.status || 'none', quizId: entry.quiz?.quizId || null };
+    if (state.status === 'failed') return;
+
+    if (state.status === 'ready' && state.quizId) {
+      const passed = await QuizAttempt.exists({ userId, quizId: state.quizId, status: 'graded', passed: true });
+      if (passed) return;
+    }
+
+    if (state.status === 'none') {
+      state = await this.requestQuiz(node.videoId, { userId });
+    }
+
+    const error = new VideoQuizError(
+      state.status === 'ready'
+        ? 'Pass this video\'s quiz to complete the node'
+        : 'This video\'s quiz is being prepared; try again shortly',
+      403
+    );
+    error.quiz = { quizId: state.quizId || null, status: state.status };
+    throw error;
+  }
+
+  static async _findEntry(videoId) {
+    const entry = await YouTubeAnalysisCache.findOne({ youtubeId: videoId, type: 'video' });
+    if (!entry) {
+      throw new VideoQuizError('Video must be analyzed first', 404);
+    }
+    return entry;
+  }
+
+  /**
+   * Canonical skills a video's questions count towards: its known tags,
+   * else its first tag or category
+   */
+  static _videoSkills(entry) {
+    const tags = entry.tags || [];
+    const known = [...new Set(
+      tags.filter(tag => skillTaxonomy.isKnown(tag)).map(tag => skillTaxonomy.normalizeSkill(tag))
+    )];
+    if (known.length > 0) return known.slice(0, MAX_SKILLS);
+
+    return [skillTaxonomy.normalizeSkill(tags[0] || entry.category)];
+  }
+
+  /**
+   * Prompt variables from the cached analysis, topped up from YouTube
+   * (entries cached before descriptions were stored, viewer comments)
+   */
+  static async _buildVariables(entry, skills) {
+    const evaluation = entry.analysisData?.evaluation || {};
+
+    let description = entry.description;
+    if (!description) {
+      description = await youtubeService.getVideoDetails(entry.youtubeId)
+        .then(video => video.description?.substring(0, 1000))
+        .catch(() => null);
+    }
+
+    const comments = await youtubeService.getVideoComments(entry.youtubeId, 30)
+      .then(list => [...list]
+        .sort((a, b) => (b.likeCount || 0) - (a.likeCount || 0))
+        .slice(0, MAX_COMMENTS)
+        .map(c => `- "${c.text.substring(0, 200)}"`)
+        .join('\n'))
+      .catch(() => '');
+
+    return {
+      questionCount: QUESTIONS_PER_QUIZ + 1, // One spare in case a question is invalid
+      title: entry.title,
+      channelName: entry.channelName || 'Unknown',
+      skills: skills.join(', '),
+      tags: (entry.tags || []).join(', ') || 'None',
+      description: description || 'No description provided',
+      summary: evaluation.summary || 'None',
+      strengths: (evaluation.strengths || []).join('; ') || 'None listed',
+      recommendedFor: evaluation.recommendedFor || 'General learners',
+      comments: comments || 'No comments available'
+    };
+  }
+
+  /**
+   * A bank question from a generated one, or null when it doesn't validate
+   */
+  static async _toBankQuestion(candidate, skills) {
+    const skill = skillTaxonomy.normalizeSkill(candidate.skill || '');
+    const letters = (candidate.correctOptions || []).map(index => String.fromCharCode(97 + index));
+
+    try {
+      return await QuizService.validateQuestion({
+        skillName: skills.includes(skill) ? skill : skills[0],
+        type: candidate.type,
+        prompt: candidate.prompt,
+        code: candidate.code || undefined,
+        language: candidate.language || undefined,
+        options: candidate.options,
+        correctOptionIds: letters,
+        acceptedOutputs: candidate.acceptedOutputs,
+        explanation: candidate.explanation || undefined,
+        difficulty: candidate.difficulty
+      });
+    } catch (error) {
+      if (!(error instanceof QuizService.QuizError)) throw error;
+      return null;
+    }
+  }
+
+  /**
+   * Save the questions and point the video's quiz at them, archiving the
+   * questions of a previous version (attempts keep their copies)
+   */
+  static async _saveQuiz(entry, skills, questions) {
+    const saved = await QuizQuestion.insertMany(
+      questions.map(question => ({ ...question, source: 'ai' }))
+    );
+    const questionIds = saved.map(question => question._id);
+
+    const previous = await Quiz.findOne({ source: 'video', videoId: entry.youtubeId });
+    if (previous) {
+      await QuizQuestion.updateMany(
+        { _id: { $in: previous.questionIds }, source: 'ai' },
+        { $set: { isActive: false } }
+      );
+    }
+
+    return Quiz.findOneAndUpdate(
+      { source: 'video', videoId: entry.youtubeId },
+      {
+        $set: {
+          title: `Quiz: ${entry.title.substring(0, 190)}`,
+          skills,
+          questionIds,
+          questionCount: questionIds.length,
+          isActive: true
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+}
+
+module.exports = VideoQuizService;
+module.exports.VideoQuizError = VideoQuizError;
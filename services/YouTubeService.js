@@ -128,7 +128,8 @@ class YouTubeService extends BaseService {
   }
 
   /**
-   * Get videos from a playlist
+   * Get videos from a playlist, in playlist order
+   * Pages through playlistItems (50 per request) until maxVideos are fetched.
    * @param {string} playlistId - YouTube playlist ID
    * @param {number} [maxVideos=20] - Maximum videos to fetch (for API efficiency)
    * @returns {Promise<Object[]>} Array of video items
@@ -143,25 +144,32 @@ class YouTubeService extends BaseService {
     }
 
     try {
-      const response = await this.withRetry(async () => {
-        return axios.get(`${this.baseUrl}/playlistItems`, {
-          params: {
-            key: this.apiKey,
-            playlistId: playlistId,
-            part: 'snippet,contentDetails',
-            maxResults: Math.min(maxVideos, 50) // YouTube API max is 50
-          }
+      const items = [];
+      let pageToken;
+
+      do {
+        const response = await this.withRetry(async () => {
+          return axios.get(`${this.baseUrl}/playlistItems`, {
+            params: {
+              key: this.apiKey,
+              playlistId: playlistId,
+              part: 'snippet,contentDetails',
+              maxResults: Math.min(maxVideos - items.length, 50), // YouTube API max is 50
+              pageToken
+            }
+          });
         });
-      });
 
-      const items = (response.data.items || []).map(item => ({
-        videoId: item.contentDetails.videoId,
-        title: item.snippet.title,
-        description: item.snippet.description?.substring(0, 200),
-        thumbnail: item.snippet.thumbnails?.medium?.url || item.snippet.thumbnails?.default?.url,
-        position: item.snippet.position,
-        publishedAt: item.contentDetails.videoPublishedAt
-      }));
+        items.push(...(response.data.items || []).map(item => ({
+          videoId: item.contentDetails.videoId,
+          title: item.snippet.title,
+          description: item.snippet.description?.substring(0, 200),
+          thumbnail: item.snippet.thumbnails?.medium?.url || item.snippet.thumbnails?.default?.url,
+          position: item.snippet.position,
+          publishedAt: item.contentDetails.videoPublishedAt
+        })));
+        pageToken = response.data.nextPageToken;
+      } while (pageToken && items.length < maxVideos);
 
       this.setCache(cacheKey, items);
       return items;
@@ -636,6 +636,108 @@ const sendEarlyAccessEmail = async (email, name = '') => {
   }
 };
 
+// Escape user-provided text for HTML email bodies
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Send a learning path collaboration invitation
+ * @param {string} email - Recipient email
+ * @param {Object} invite - { inviterName, pathTitle, role, acceptUrl }
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendPathInvitationEmail = async (email, { inviterName, pathTitle, role, acceptUrl }) => {
+  const transporter = createTransporter();
+
+  if (!transporter) {
+    console.warn('Email service not configured, skipping path invitation email');
+    return false;
+  }
+
+  const inviter = inviterName || 'A CodeLearnn learner';
+  const access = role === 'editor' ? 'edit' : 'follow';
+
+  const mailOptions = {
+    from: process.env.SMTP_FROM || '"CodeLearnn" <noreply@codelearnn.com>',
+    to: email,
+    subject: `${inviter} invited you to a learning path on CodeLearnn`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; background-color: #0a0a0f; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;">
+        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="background-color: #0a0a0f;">
+          <tr>
+            <td align="center" style="padding: 40px 20px;">
+              <table role="presentation" width="100%" style="max-width: 480px; background: linear-gradient(135deg, #12121a 0%, #1a1a2e 100%); border-radius: 16px; border: 1px solid #2a2a3e;">
+                <tr>
+                  <td style="padding: 40px 32px;">
+                    <!-- Logo -->
+                    <div style="text-align: center; margin-bottom: 32px;">
+                      <span style="font-size: 28px; font-weight: bold; color: #ffffff;">
+                        <span style="color: #00d4ff;">&lt;</span>CodeLearnn<span style="color: #7c3aed;">/&gt;</span>
+                      </span>
+                    </div>
+
+                    <!-- Title -->
+                    <h1 style="color: #ffffff; font-size: 22px; font-weight: 600; text-align: center; margin: 0 0 16px 0;">
+                      You're invited to "${escapeHtml(pathTitle)}"
+                    </h1>
+
+                    <p style="color: #a0a0b0; font-size: 15px; line-height: 1.6; text-align: center; margin: 0 0 32px 0;">
+                      ${escapeHtml(inviter)} invited you to ${access} their learning path as ${role === 'editor' ? 'an editor' : 'a viewer'}.
+                      Your progress stays your own.
+                    </p>
+
+                    <!-- CTA -->
+                    <div style="text-align: center; margin-bottom: 32px;">
+                      <a href="${acceptUrl}" style="display: inline-block; background: linear-gradient(135deg, #00d4ff 0%, #7c3aed 100%); color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-size: 15px; font-weight: 600;">
+                        View Invitation
+                      </a>
+                    </div>
+
+                    <p style="color: #6b6b7b; font-size: 13px; line-height: 1.5; text-align: center; margin: 0;">
+                      This invitation expires in 7 days. If you weren't expecting it, you can ignore this email.
+                    </p>
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="padding: 0 32px 32px 32px;">
+                    <div style="border-top: 1px solid #2a2a3e; padding-top: 24px; text-align: center;">
+                      <p style="color: #4a4a5a; font-size: 12px; margin: 0;">
+                        © ${new Date().getFullYear()} CodeLearnn. Learn like an engineer.
+                      </p>
+                    </div>
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+    text: `${inviter} invited you to ${access} the learning path "${pathTitle}" on CodeLearnn as ${role === 'editor' ? 'an editor' : 'a viewer'}.\n\nView the invitation: ${acceptUrl}\n\nThis invitation expires in 7 days.`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`✉️  Path invitation email sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error('Path invitation email send error:', error);
+    return false;
+  }
+};
+
 /**
  * Generate a 6-digit OTP
  * @returns {string} 6-digit OTP
@@ -649,5 +751,6 @@ module.exports = {
   sendWaitlistEmail,
   sendAdminNotification,
   sendEarlyAccessEmail,
+  sendPathInvitationEmail,
   generateOTP
 };
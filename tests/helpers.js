@@ -106,6 +106,18 @@ const createTestLearningPath = (userId, overrides = {}) => ({
   ...overrides
 });
 
+/**
+ * Create a structure graph node (for diff, merge and version tests)
+ */
+const createTestPathNode = (id, order, overrides = {}) => ({
+  id,
+  videoId: `v-${id}`,
+  title: id.toUpperCase(),
+  order,
+  isCompleted: false,
+  ...overrides
+});
+
 /**
  * Create a test saved video
  */
@@ -271,6 +283,7 @@ module.exports = {
   mockResponse,
   mockNext,
   createTestLearningPath,
+  createTestPathNode,
   createTestSavedVideo,
   createTestAISuggestion,
   createTestCareerJourney
@@ -0,0 +1,96 @@
+const AIUsageService = require('../../../services/AIUsageService');
+const AIUsageLog = require('../../../models/AIUsageLog');
+const User = require('../../../models/User');
+
+const createUser = (overrides = {}) => User.create({
+  name: 'Test User',
+  email: `user${Date.now()}${Math.random().toString(36).slice(2, 6)}@example.com`,
+  password: 'password123',
+  ...overrides
+});
+
+const call = (overrides = {}) => ({
+  feature: 'chat',
+  promptType: 'chat',
+  provider: 'groq',
+  model: 'llama-3.3-70b-versatile',
+  usage: { promptTokens: 1000, completionTokens: 500, totalTokens: 1500 },
+  latencyMs: 120,
+  outcome: 'success',
+  ...overrides
+});
+
+describe('AIUsageService', () => {
+  describe('record', () => {
+    it('logs the call with its estimated cost and charges the user', async () => {
+      const user = await createUser();
+
+      const log = await AIUsageService.record(call({ userId: user._id }));
+
+      expect(log.totalTokens).toBe(1500);
+      expect(log.costUsd).toBeCloseTo((1000 * 0.59 + 500 * 0.79) / 1000000, 10);
+
+      const updated = await User.findById(user._id);
+      expect(updated.usageLimits.aiTokensUsed).toBe(1500);
+    });
+
+    it('files unknown features under other and does not charge anonymous calls', async () => {
+      const log = await AIUsageService.record(call({ feature: 'made_up', userId: null }));
+
+      expect(log.feature).toBe('other');
+      expect(log.userId).toBeNull();
+    });
+
+    it('swallows storage errors', async () => {
+      jest.spyOn(AIUsageLog, 'create').mockRejectedValue(new Error('write failed'));
+
+      expect(await AIUsageService.record(call())).toBeNull();
+    });
+  });
+
+  describe('User.addTokenUsage', () => {
+    it('adds to the current month', async () => {
+      const user = await createUser();
+
+      await User.addTokenUsage(user._id, 100);
+      await User.addTokenUsage(user._id, 50);
+
+      const updated = await User.findById(user._id);
+      expect(updated.usageLimits.aiTokensUsed).toBe(150);
+      expect(updated.usageLimits.aiTokensResetAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('starts a new month once the reset date has passed', async () => {
+      const user = await createUser({
+        usageLimits: { aiTokensUsed: 999999, aiTokensResetAt: new Date(Date.now() - 1000) }
+      });
+
+      await User.addTokenUsage(user._id, 10);
+
+      const updated = await User.findById(user._id);
+      const now = new Date();
+      expect(updated.usageLimits.aiTokensUsed).toBe(10);
+      expect(updated.usageLimits.aiTokensResetAt).toEqual(new Date(now.getFullYear(), now.getMonth() + 1, 1));
+    });
+  });
+
+  describe('getUserUsage', () => {
+    it('reports this month by feature against the tier budget', async () => {
+      const user = await createUser();
+      await AIUsageService.record(call({ userId: user._id }));
+      await AIUsageService.record(call({ userId: user._id, feature: 'roadmap' }));
+
+      const usage = await AIUsageService.getUserUsage(String(user._id));
+
+      expect(usage.tokensUsed).toBe(3000);
+      expect(usage.tokenLimit).toBe(200000);
+      expect(usage.remaining).toBe(197000);
+      expect(usage.byFeature.map(row => row.key).sort()).toEqual(['chat', 'roadmap']);
+    });
+
+    it('returns null for an invalid or unknown user id', async () => {
+      expect(await AIUsageService.getUserUsage('not-an-id')).toBeNull();
+      expect(await AIUsageService.getUserUsage('64b000000000000000000000')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,256 @@
+const { MemoryJobStore, MongoJobStore } = require('../../../services/JobStore');
+
+let sequence = 0;
+
+// Same shape JobQueue.add stores
+const createJob = (overrides = {}) => {
+  const now = new Date(Date.now() - 1000 + sequence++);
+  return {
+    id: `test_${sequence}`,
+    type: 'test',
+    userId: null,
+    data: {},
+    attempts: 0,
+    maxAttempts: 3,
+    priority: 2,
+    delay: 0,
+    runAt: now,
+    lockedBy: null,
+    lockedUntil: null,
+    attemptHistory: [],
+    progress: 0,
+    requeueCount: 0,
+    createdAt: now,
+    status: 'pending',
+    ...overrides
+  };
+};
+
+describe.each([
+  ['MemoryJobStore', () => new MemoryJobStore()],
+  ['MongoJobStore', () => new MongoJobStore()]
+])('%s', (name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  describe('lease', () => {
+    it('locks the job to the worker and counts the attempt', async () => {
+      await store.insert(createJob({ id: 'a' }));
+
+      const [job] = await store.lease(['test'], 1, 'worker-1', 60000);
+
+      expect(job.id).toBe('a');
+      expect(job.status).toBe('processing');
+      expect(job.lockedBy).toBe('worker-1');
+      expect(job.attempts).toBe(1);
+      expect(new Date(job.lockedUntil).getTime()).toBeGreaterThan(Date.now());
+      expect(await store.lease(['test'], 1, 'worker-2', 60000)).toEqual([]);
+    });
+
+    it('leases by priority, then oldest first', async () => {
+      await store.insert(createJob({ id: 'low', priority: 3 }));
+      await store.insert(createJob({ id: 'old', priority: 1 }));
+      await store.insert(createJob({ id: 'new', priority: 1 }));
+
+      const leased = await store.lease(['test'], 3, 'worker-1', 60000);
+
+      expect(leased.map(job => job.id)).toEqual(['old', 'new', 'low']);
+    });
+
+    it('skips jobs that are not due or of another type', async () => {
+      await store.insert(createJob({ id: 'later', runAt: new Date(Date.now() + 60000) }));
+      await store.insert(createJob({ id: 'other', type: 'other' }));
+
+      expect(await store.lease(['test'], 5, 'worker-1', 60000)).toEqual([]);
+    });
+  });
+
+  describe('visibility timeout', () => {
+    it('extends the lease only for the worker holding it', async () => {
+      await store.insert(createJob({ id: 'a' }));
+      const [job] = await store.lease(['test'], 1, 'worker-1', 1000);
+
+      expect(await store.extendLease(job, 60000)).toBe(true);
+      expect(await store.extendLease({ ...job, lockedBy: 'worker-2' }, 60000)).toBe(false);
+
+      const stored = await store.get('a');
+      expect(new Date(stored.lockedUntil).getTime()).toBeGreaterThan(Date.now() + 30000);
+    });
+
+    it('leaves jobs with a live lease alone on recover', async () => {
+      await store.insert(createJob({ id: 'a' }));
+      await store.lease(['test'], 1, 'worker-1', 60000);
+
+      expect(await store.recover()).toBe(0);
+      expect((await store.get('a')).status).toBe('processing');
+    });
+  });
+
+  describe('recover', () => {
+    it('re-queues a job whose lease expired', async () => {
+      await store.insert(createJob({ id: 'a' }));
+      await store.lease(['test'], 1, 'worker-1', -1);
+
+      expect(await store.recover()).toBe(1);
+
+      const job = await store.get('a');
+      expect(job.status).toBe('pending');
+      expect(job.lockedBy).toBeNull();
+      expect(job.attemptHistory).toEqual([
+        expect.objectContaining({
+          attempt: 1,
+          workerId: 'worker-1',
+          status: 'interrupted',
+          error: 'Lease expired'
+        })
+      ]);
+
+      const [again] = await store.lease(['test'], 1, 'worker-2', 60000);
+      expect(again.id).toBe('a');
+      expect(again.attempts).toBe(2);
+    });
+
+    it('fails a job that has used all its attempts', async () => {
+      await store.insert(createJob({ id: 'a', maxAttempts: 1 }));
+      await store.lease(['test'], 1, 'worker-1', -1);
+
+      await store.recover();
+
+      const job = await store.get('a');
+      expect(job.status).toBe('failed');
+      expect(job.error).toBe('Lease expired');
+      expect(job.failedAt).toBeTruthy();
+    });
+  });
+
+  describe('attempt history', () => {
+    it('records each failed attempt and the final completion', async () => {
+      await store.insert(createJob({ id: 'a' }));
+
+      let [job] = await store.lease(['test'], 1, 'worker-1', 60000);
+      await store.fail(job, 'boom', new Date(Date.now() - 1));
+
+      expect((await store.get('a')).status).toBe('pending');
+
+      [job] = await store.lease(['test'], 1, 'worker-2', 60000);
+      await store.complete(job, { ok: true });
+
+      const stored = await store.get('a');
+      expect(stored.status).toBe('completed');
+      expect(stored.result).toEqual({ ok: true });
+      expect(stored.attemptHistory.map(entry => [entry.attempt, entry.workerId, entry.status, entry.error]))
+        .toEqual([
+          [1, 'worker-1', 'failed', 'boom'],
+          [2, 'worker-2', 'completed', null]
+        ]);
+    });
+
+    it('moves a job to the dead-letter list when failed without a retry', async () => {
+      await store.insert(createJob({ id: 'a' }));
+      const [job] = await store.lease(['test'], 1, 'worker-1', 60000);
+
+      await store.fail(job, 'boom');
+
+      const stored = await store.get('a');
+      expect(stored.status).toBe('failed');
+      expect(stored.failedAt).toBeTruthy();
+
+      const requeued = await store.requeue('a');
+      expect(requeued.status).toBe('pending');
+      expect(requeued.attempts).toBe(0);
+      expect(requeued.requeueCount).toBe(1);
+    });
+  });
+
+  describe('claimSchedule', () => {
+    const runAt = new Date(Date.now() - 1000);
+
+    beforeEach(async () => {
+      await store.insertSchedule({
+        name: 'nightly',
+        jobType: 'test',
+        data: {},
+        jobOptions: {},
+        cron: '0 3 * * *',
+        runAt: null,
+        enabled: true,
+        pausedAt: null,
+        nextRunAt: runAt,
+        lastRunAt: null,
+        lastJobId: null,
+        runCount: 0,
+        createdAt: new Date()
+      });
+    });
+
+    it('lets only one of several processes claim a run', async () => {
+      const [due] = await store.dueSchedules(new Date());
+      const next = new Date(Date.now() + 86400000);
+
+      const claims = await Promise.all(
+        [1, 2, 3].map(() => store.claimSchedule('nightly', due.nextRunAt, { nextRunAt: next, lastRunAt: new Date() }))
+      );
+
+      expect(claims.filter(Boolean)).toHaveLength(1);
+
+      const schedule = await store.getSchedule('nightly');
+      expect(schedule.runCount).toBe(1);
+      expect(new Date(schedule.nextRunAt).getTime()).toBe(next.getTime());
+    });
+
+    it('refuses a claim for a run that has already moved on', async () => {
+      await store.updateSchedule('nightly', { nextRunAt: new Date(Date.now() + 60000) });
+
+      expect(await store.claimSchedule('nightly', runAt, { nextRunAt: null })).toBe(false);
+    });
+
+    it('refuses a claim on a paused schedule', async () => {
+      await store.updateSchedule('nightly', { enabled: false });
+
+      expect(await store.claimSchedule('nightly', runAt, { nextRunAt: null })).toBe(false);
+    });
+  });
+});
+
+describe('MongoJobStore lockedBy guard', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new MongoJobStore();
+    await store.insert(createJob({ id: 'a' }));
+  });
+
+  // worker-1's lease expires and worker-2 picks the job up before worker-1 finishes
+  const takeOver = async () => {
+    const [stale] = await store.lease(['test'], 1, 'worker-1', -1);
+    await store.recover();
+    const [current] = await store.lease(['test'], 1, 'worker-2', 60000);
+    return { stale, current };
+  };
+
+  it('ignores complete from a worker that lost the lease', async () => {
+    const { stale } = await takeOver();
+
+    await store.complete(stale, { from: 'worker-1' });
+
+    const job = await store.get('a');
+    expect(job.status).toBe('processing');
+    expect(job.lockedBy).toBe('worker-2');
+    expect(job.result).toBeFalsy();
+  });
+
+  it('ignores fail from a worker that lost the lease', async () => {
+    const { stale, current } = await takeOver();
+
+    await store.fail(stale, 'late failure');
+    await store.complete(current, { from: 'worker-2' });
+
+    const job = await store.get('a');
+    expect(job.status).toBe('completed');
+    expect(job.result).toEqual({ from: 'worker-2' });
+    expect(job.attemptHistory.map(entry => entry.status)).toEqual(['interrupted', 'completed']);
+  });
+});
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { SkillTaxonomyService } = require('../../../services/SkillTaxonomyService');
+const UserSkill = require('../../../models/UserSkill');
+
+const BUILT_INS = [
+  { skillName: 'javascript', displayName: 'JavaScript', category: 'language', parent: null, synonyms: ['js'], related: [] }
+];
+
+const createScore = (user, skillName, overrides = {}) => UserSkill.create({
+  user,
+  skillName,
+  displayName: skillName,
+  category: 'other',
+  scoreBreakdown: { videos: 10, quizzes: 0, challenges: 0, projects: 0, peerReviews: 0 },
+  activities: { videosCompleted: 10, quizzesPassed: 0, challengesSolved: 0, projectsCompleted: 0, reviewsReceived: 0 },
+  xpEarned: 100,
+  ...overrides
+});
+
+describe('SkillTaxonomyService', () => {
+  let taxonomy;
+
+  beforeEach(async () => {
+    taxonomy = new SkillTaxonomyService({ skills: BUILT_INS, refreshInterval: 0 });
+    await taxonomy.refresh();
+  });
+
+  describe('mapTag', () => {
+    it('moves scores kept under the tag onto the skill, merging with existing ones', async () => {
+      const [both, tagOnly] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+      await createScore(both, 'javascript', { displayName: 'JavaScript', category: 'language' });
+      await createScore(both, 'vanillajs');
+      await createScore(tagOnly, 'vanillajs');
+      await taxonomy.recordUnknownTags(['vanillajs']);
+
+      await taxonomy.mapTag('vanillajs', 'javascript');
+
+      expect(await UserSkill.countDocuments({ skillName: 'vanillajs' })).toBe(0);
+
+      const merged = await UserSkill.find({ user: both });
+      expect(merged).toHaveLength(1);
+      expect(merged[0].scoreBreakdown.videos).toBe(20);
+      expect(merged[0].activities.videosCompleted).toBe(20);
+      expect(merged[0].xpEarned).toBe(200);
+
+      const renamed = await UserSkill.findOne({ user: tagOnly });
+      expect(renamed).toMatchObject({ skillName: 'javascript', displayName: 'JavaScript', category: 'language' });
+      expect(renamed.scoreBreakdown.videos).toBe(10);
+      expect(taxonomy.normalizeSkill('vanillajs')).toBe('javascript');
+    });
+  });
+
+  describe('approveTag', () => {
+    it('moves scores for the tag onto a skill approved under another name', async () => {
+      const user = new mongoose.Types.ObjectId();
+      await createScore(user, 'reactjs');
+      await taxonomy.recordUnknownTags(['reactjs']);
+
+      await taxonomy.approveTag('reactjs', { skillName: 'react', displayName: 'React', category: 'framework' });
+
+      const scores = await UserSkill.find({ user });
+      expect(scores).toHaveLength(1);
+      expect(scores[0]).toMatchObject({ skillName: 'react', displayName: 'React', category: 'framework' });
+    });
+
+    it('keeps scores in place when the tag is approved as is', async () => {
+      const user = new mongoose.Types.ObjectId();
+      await createScore(user, 'htmx');
+      await taxonomy.recordUnknownTags(['htmx']);
+
+      await taxonomy.approveTag('htmx', { displayName: 'htmx', category: 'framework' });
+
+      expect(await UserSkill.findOne({ user })).toMatchObject({ skillName: 'htmx', category: 'framework' });
+    });
+  });
+
+  describe('mergeUserSkills', () => {
+    it('moves the given names and reports what it did', async () => {
+      const [first, second] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+      await createScore(first, 'javascript', { displayName: 'JavaScript', category: 'language' });
+      await createScore(first, 'js');
+      await createScore(second, 'ecmascript');
+
+      const result = await taxonomy.mergeUserSkills(taxonomy.getSkillInfo('javascript'), ['js', 'ecmascript']);
+
+      expect(result).toEqual({ renamed: 1, merged: 1 });
+      expect(await UserSkill.countDocuments({ skillName: 'javascript' })).toBe(2);
+    });
+  });
+});
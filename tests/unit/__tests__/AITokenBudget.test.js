@@ -0,0 +1,74 @@
+const User = require('../../../models/User');
+const AIUsageService = require('../../../services/AIUsageService');
+const { checkAITokenBudget } = require('../../../middleware/premium');
+const { mockRequest, mockResponse, mockNext } = require('../../helpers');
+
+const nextMonth = () => new Date(Date.now() + 7 * 24 * 3600000);
+
+describe('checkAITokenBudget', () => {
+  const run = async (user) => {
+    const req = mockRequest({ user });
+    const res = mockResponse();
+    const next = mockNext();
+    await checkAITokenBudget(req, res, next);
+    return { res, next };
+  };
+
+  it('lets anonymous requests through', async () => {
+    const { next } = await run(undefined);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('allows users under their monthly budget', async () => {
+    const user = new User({ usageLimits: { aiTokensUsed: 199999, aiTokensResetAt: nextMonth() } });
+
+    const { next } = await run(user);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('blocks users who used their budget with an upgrade prompt', async () => {
+    const user = new User({ usageLimits: { aiTokensUsed: 200000, aiTokensResetAt: nextMonth() } });
+
+    const { res, next } = await run(user);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: false,
+      upgradeRequired: true,
+      feature: 'ai_tokens',
+      currentTier: 'free'
+    }));
+  });
+
+  it('allows the user again once the month has reset', async () => {
+    const user = new User({ usageLimits: { aiTokensUsed: 200000, aiTokensResetAt: new Date(Date.now() - 1000) } });
+
+    const { next } = await run(user);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('never blocks tiers without a token limit', async () => {
+    const user = new User({
+      subscription: { tier: 'pro' },
+      usageLimits: { aiTokensUsed: 1e9, aiTokensResetAt: nextMonth() }
+    });
+
+    const { next } = await run(user);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('AIUsageService.estimateCost', () => {
+  it('prices input and output tokens per million', () => {
+    expect(AIUsageService.estimateCost('gpt-4o', 1000000, 1000000)).toBe(12.5);
+  });
+
+  it('costs unknown models at zero', () => {
+    expect(AIUsageService.estimateCost('unknown-model', 1000, 1000)).toBe(0);
+  });
+});
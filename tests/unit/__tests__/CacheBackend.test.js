@@ -0,0 +1,237 @@
+const {
+  MemoryCacheBackend,
+  RedisCacheBackend,
+  InMemoryRedisClient,
+  ALL_TAG
+} = require('../../../services/CacheBackend');
+const { CacheService } = require('../../../services/CacheService');
+
+// Each entry below is (2-char key + '"vvvv"') * 2 = 16 bytes
+const ENTRY_BYTES = 16;
+
+describe('MemoryCacheBackend', () => {
+  let backend;
+
+  const createBackend = (evictionPolicy) => {
+    backend = new MemoryCacheBackend({ maxBytes: ENTRY_BYTES * 3, evictionPolicy });
+    return backend;
+  };
+
+  const keys = () => [...backend.cache.keys()];
+
+  afterEach(() => {
+    backend.destroy();
+  });
+
+  it('tracks the estimated size of its entries', async () => {
+    createBackend();
+    await backend.set('k1', 'vvvv', 60000);
+    await backend.set('k2', 'vvvv', 60000);
+
+    expect(backend.usage()).toEqual({
+      bytes: ENTRY_BYTES * 2,
+      maxBytes: ENTRY_BYTES * 3,
+      evictionPolicy: 'lru',
+      evictions: 0
+    });
+
+    await backend.delete('k1');
+    expect(backend.usage().bytes).toBe(ENTRY_BYTES);
+  });
+
+  it('does not cache an entry larger than the whole budget', async () => {
+    createBackend();
+    await backend.set('k1', 'v'.repeat(100), 60000);
+
+    expect(await backend.size()).toBe(0);
+    expect(backend.usage().bytes).toBe(0);
+  });
+
+  describe('lru', () => {
+    it('evicts the least recently used entry when the budget is full', async () => {
+      createBackend('lru');
+      await backend.set('k1', 'vvvv', 60000);
+      await backend.set('k2', 'vvvv', 60000);
+      await backend.set('k3', 'vvvv', 60000);
+      await backend.get('k1');
+
+      await backend.set('k4', 'vvvv', 60000);
+
+      expect(keys()).toEqual(['k3', 'k1', 'k4']);
+      expect(backend.usage()).toEqual(expect.objectContaining({ bytes: ENTRY_BYTES * 3, evictions: 1 }));
+    });
+
+    it('evicts as many entries as a larger value needs', async () => {
+      createBackend('lru');
+      await backend.set('k1', 'vvvv', 60000);
+      await backend.set('k2', 'vvvv', 60000);
+      await backend.set('k3', 'vvvv', 60000);
+
+      // (2 + 14) * 2 = 32 bytes, two entries' worth
+      await backend.set('k4', 'v'.repeat(12), 60000);
+
+      expect(keys()).toEqual(['k3', 'k4']);
+      expect(backend.usage().evictions).toBe(2);
+    });
+  });
+
+  describe('lfu', () => {
+    it('evicts the least frequently read entry', async () => {
+      createBackend('lfu');
+      await backend.set('k1', 'vvvv', 60000);
+      await backend.set('k2', 'vvvv', 60000);
+      await backend.set('k3', 'vvvv', 60000);
+      await backend.get('k1');
+      await backend.get('k1');
+      await backend.get('k2');
+      await backend.get('k3');
+      await backend.get('k3');
+
+      await backend.set('k4', 'vvvv', 60000);
+
+      expect(keys().sort()).toEqual(['k1', 'k3', 'k4']);
+    });
+
+    it('evicts the least recently used among equally read entries', async () => {
+      createBackend('lfu');
+      await backend.set('k1', 'vvvv', 60000);
+      await backend.set('k2', 'vvvv', 60000);
+      await backend.set('k3', 'vvvv', 60000);
+      await backend.get('k2');
+      await backend.get('k1');
+      await backend.get('k3');
+
+      await backend.set('k4', 'vvvv', 60000);
+
+      expect(keys().sort()).toEqual(['k1', 'k3', 'k4']);
+    });
+  });
+
+  it('drops tag links along with evicted entries', async () => {
+    createBackend('lru');
+    await backend.set('k1', 'vvvv', 60000, ['user:1']);
+    await backend.set('k2', 'vvvv', 60000);
+    await backend.set('k3', 'vvvv', 60000);
+    await backend.set('k4', 'vvvv', 60000);
+
+    expect(backend.tags.has('user:1')).toBe(false);
+    expect(await backend.deleteByTags(['user:1'])).toBe(0);
+  });
+});
+
+describe('RedisCacheBackend', () => {
+  let client;
+  let backend;
+
+  beforeEach(() => {
+    client = new InMemoryRedisClient();
+    backend = new RedisCacheBackend({ client, prefix: 'cache:test' });
+  });
+
+  it('requires a client', () => {
+    expect(() => new RedisCacheBackend()).toThrow('RedisCacheBackend requires a client');
+  });
+
+  it('stores entries with their expiry and the stale window as the Redis TTL', async () => {
+    const now = Date.now();
+    await backend.set('ns:a', { n: 1 }, 1000, ['ns:ns'], 500);
+
+    const entry = await backend.get('ns:a');
+    expect(entry.value).toEqual({ n: 1 });
+    expect(entry.expiresAt).toBeGreaterThanOrEqual(now + 1000);
+    expect(entry.staleUntil).toBe(entry.expiresAt + 500);
+
+    const stored = client.store.get('cache:test:entry:ns:a');
+    expect(stored.expiresAt - now).toBeGreaterThanOrEqual(1500);
+    expect(await client.smembers(`cache:test:tag:${ALL_TAG}`)).toEqual(['cache:test:entry:ns:a']);
+  });
+
+  it('returns null once Redis has expired the entry', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    await backend.set('ns:a', 'value', 100);
+
+    now.mockReturnValue(1101);
+    expect(await backend.get('ns:a')).toBeNull();
+  });
+
+  describe('tags', () => {
+    beforeEach(async () => {
+      await backend.set('skills:1', 's1', 60000, ['user:1', 'ns:skills']);
+      await backend.set('readiness:1', 'r1', 60000, ['user:1', 'ns:readiness']);
+      await backend.set('skills:2', 's2', 60000, ['user:2', 'ns:skills']);
+    });
+
+    it('deletes every entry carrying any of the tags', async () => {
+      expect(await backend.deleteByTags(['user:1'])).toBe(2);
+
+      expect(await backend.get('skills:1')).toBeNull();
+      expect(await backend.get('readiness:1')).toBeNull();
+      expect((await backend.get('skills:2')).value).toBe('s2');
+      expect(await client.smembers('cache:test:tag:user:1')).toEqual([]);
+    });
+
+    it('counts an entry matched by several tags once', async () => {
+      expect(await backend.deleteByTags(['user:1', 'ns:skills'])).toBe(3);
+    });
+
+    it('clears everything through the all-entries tag', async () => {
+      await backend.clear();
+
+      expect(await backend.get('skills:2')).toBeNull();
+      expect(await backend.size()).toBe(0);
+    });
+
+    it('deletes entries matching a wildcard pattern', async () => {
+      expect(await backend.deleteMatching('skills:*')).toBe(2);
+      expect((await backend.get('readiness:1')).value).toBe('r1');
+    });
+  });
+
+  it('keeps caches with different prefixes apart', async () => {
+    const other = new RedisCacheBackend({ client, prefix: 'cache:other' });
+    await backend.set('ns:a', 'mine', 60000, ['user:1']);
+    await other.set('ns:a', 'theirs', 60000, ['user:1']);
+
+    await other.deleteByTags(['user:1']);
+
+    expect((await backend.get('ns:a')).value).toBe('mine');
+  });
+
+  describe('across processes', () => {
+    // Two CacheService instances on one Redis, as two pm2 processes would be
+    let first;
+    let second;
+
+    beforeEach(() => {
+      first = new CacheService({ backend: new RedisCacheBackend({ client, prefix: 'cache:shared' }) });
+      second = new CacheService({ backend: new RedisCacheBackend({ client, prefix: 'cache:shared' }) });
+    });
+
+    it('shares entries', async () => {
+      await first.set('skills', '1', ['js']);
+
+      expect(await second.get('skills', '1')).toEqual(['js']);
+    });
+
+    it('drops tagged entries everywhere when one process invalidates', async () => {
+      await first.set('skills', '1', ['js'], null, { tags: ['user:1'] });
+      await first.set('readiness', '1', 80, null, { tags: ['user:1'] });
+
+      expect(await second.invalidateTags(['user:1'])).toBe(2);
+
+      expect(await first.get('skills', '1')).toBeNull();
+      expect(await first.get('readiness', '1')).toBeNull();
+    });
+
+    it('drops a namespace everywhere', async () => {
+      await first.set('skills', '1', ['js']);
+      await first.set('skills', '2', ['go']);
+      await first.set('readiness', '1', 80);
+
+      await second.deleteNamespace('skills');
+
+      expect(await first.get('skills', '2')).toBeNull();
+      expect(await first.get('readiness', '1')).toBe(80);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const { CacheService } = require('../../../services/CacheService');
+
+// Let background refreshes finish
+const settle = async () => {
+  for (let i = 0; i < 10; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+describe('CacheService', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new CacheService({ name: 'test', defaultTTL: 1000, staleTTL: 5000 });
+  });
+
+  afterEach(() => {
+    cache.destroy();
+  });
+
+  describe('coalesce', () => {
+    it('calls the loader once for concurrent misses on one key', async () => {
+      let resolveLoad;
+      const loader = jest.fn(() => new Promise(resolve => { resolveLoad = resolve; }));
+
+      const results = Promise.all([
+        cache.getOrSet('skills', '1', loader),
+        cache.getOrSet('skills', '1', loader),
+        cache.getOrSet('skills', '1', loader)
+      ]);
+      await settle();
+      resolveLoad(['js']);
+
+      expect(await results).toEqual([['js'], ['js'], ['js']]);
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(cache.stats.coalesced).toBe(2);
+      expect(cache.inFlight.size).toBe(0);
+      expect(await cache.get('skills', '1')).toEqual(['js']);
+    });
+
+    it('loads different keys separately', async () => {
+      const loader = jest.fn(async () => 'value');
+
+      await Promise.all([
+        cache.getOrSet('skills', '1', loader),
+        cache.getOrSet('skills', '2', loader)
+      ]);
+
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('lets the next miss retry after a failed load', async () => {
+      const loader = jest.fn()
+        .mockRejectedValueOnce(new Error('down'))
+        .mockResolvedValueOnce('value');
+
+      await expect(cache.getOrSet('skills', '1', loader)).rejects.toThrow('down');
+      expect(await cache.getOrSet('skills', '1', loader)).toBe('value');
+    });
+  });
+
+  describe('stale-while-revalidate', () => {
+    let now;
+
+    beforeEach(async () => {
+      now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+      await cache.set('skills', '1', 'old');
+      now.mockReturnValue(12000); // past the 1s TTL, inside the 5s stale window
+    });
+
+    it('returns the stale value and refreshes it once in the background', async () => {
+      const loader = jest.fn(async () => 'new');
+
+      expect(await cache.getOrSet('skills', '1', loader)).toBe('old');
+      expect(await cache.getOrSet('skills', '1', loader)).toBe('old');
+      await settle();
+
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(cache.stats.staleHits).toBe(2);
+      expect(await cache.getOrSet('skills', '1', loader)).toBe('new');
+    });
+
+    it('treats the stale value as a miss for plain get', async () => {
+      expect(await cache.get('skills', '1')).toBeNull();
+    });
+
+    it('keeps serving the stale value when the refresh fails', async () => {
+      const loader = jest.fn().mockRejectedValue(new Error('down'));
+
+      expect(await cache.getOrSet('skills', '1', loader)).toBe('old');
+      await settle();
+
+      expect(cache.stats.refreshErrors).toBe(1);
+      expect(await cache.getOrSet('skills', '1', loader)).toBe('old');
+    });
+
+    it('loads again once the stale window has passed', async () => {
+      now.mockReturnValue(17000);
+      const loader = jest.fn(async () => 'new');
+
+      expect(await cache.getOrSet('skills', '1', loader)).toBe('new');
+      expect(cache.stats.misses).toBe(1);
+    });
+  });
+
+  describe('getStats', () => {
+    it('reports hit ratios per namespace, counting stale hits as hits', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+      await cache.set('skills', '1', 'a');
+      await cache.set('readiness', '1', 80);
+
+      await cache.get('skills', '1');
+      await cache.get('skills', '2');
+      await cache.get('readiness', '1');
+      await cache.get('readiness', '1');
+      await cache.get('readiness', '1');
+      await cache.get('paths', '1');
+
+      now.mockReturnValue(12000);
+      await cache.getOrSet('skills', '1', async () => 'b');
+      await settle();
+
+      const stats = await cache.getStats();
+
+      expect(stats.namespaces).toEqual({
+        skills: { hits: 1, staleHits: 1, misses: 1, hitRate: 67 },
+        readiness: { hits: 3, staleHits: 0, misses: 0, hitRate: 100 },
+        paths: { hits: 0, staleHits: 0, misses: 1, hitRate: 0 }
+      });
+      expect(stats.hitRate).toBe(71);
+      expect(stats.backend).toBe('MemoryCacheBackend');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const CronExpression = require('../../../services/CronExpression');
+
+describe('CronExpression', () => {
+  const at = (iso) => new Date(iso);
+
+  describe('parsing', () => {
+    it('accepts lists, ranges, steps and aliases', () => {
+      expect(CronExpression.isValid('1,15 * * * *')).toBe(true);
+      expect(CronExpression.isValid('0 9-17 * * 1-5')).toBe(true);
+      expect(CronExpression.isValid('*/10 0-12/3 * * *')).toBe(true);
+      expect(CronExpression.isValid('@daily')).toBe(true);
+    });
+
+    it('rejects malformed expressions', () => {
+      expect(CronExpression.isValid('')).toBe(false);
+      expect(CronExpression.isValid('* * * *')).toBe(false);
+      expect(CronExpression.isValid('60 * * * *')).toBe(false);
+      expect(CronExpression.isValid('* 5-1 * * *')).toBe(false);
+      expect(CronExpression.isValid('*/0 * * * *')).toBe(false);
+      expect(() => new CronExpression('@sometimes')).toThrow(/expected 5 fields/);
+    });
+
+    it('treats day-of-week 7 as Sunday', () => {
+      const cron = new CronExpression('0 0 * * 7');
+      expect(cron.daysOfWeek.has(0)).toBe(true);
+      expect(cron.daysOfWeek.has(7)).toBe(false);
+    });
+  });
+
+  describe('next', () => {
+    it('returns the next matching minute strictly after the date', () => {
+      const cron = new CronExpression('*/15 * * * *');
+      expect(cron.next(at('2026-03-10T10:07:30Z'))).toEqual(at('2026-03-10T10:15:00Z'));
+      expect(cron.next(at('2026-03-10T10:15:00Z'))).toEqual(at('2026-03-10T10:30:00Z'));
+    });
+
+    it('rolls over hours, days, months and years in UTC', () => {
+      expect(new CronExpression('30 2 * * *').next(at('2026-03-10T03:00:00Z')))
+        .toEqual(at('2026-03-11T02:30:00Z'));
+      expect(new CronExpression('@monthly').next(at('2026-03-10T00:00:00Z')))
+        .toEqual(at('2026-04-01T00:00:00Z'));
+      expect(new CronExpression('@yearly').next(at('2026-12-31T23:59:00Z')))
+        .toEqual(at('2027-01-01T00:00:00Z'));
+    });
+
+    it('matches either day field when both are restricted', () => {
+      // The 15th, or any Monday (2026-03-09 is a Monday)
+      const cron = new CronExpression('0 0 15 * 1');
+      expect(cron.next(at('2026-03-10T00:00:00Z'))).toEqual(at('2026-03-15T00:00:00Z'));
+      expect(cron.next(at('2026-03-15T00:00:00Z'))).toEqual(at('2026-03-16T00:00:00Z'));
+    });
+
+    it('requires the day of week when only it is restricted', () => {
+      // Weekdays at 09:00; 2026-03-13 is a Friday
+      const cron = new CronExpression('0 9 * * 1-5');
+      expect(cron.next(at('2026-03-13T10:00:00Z'))).toEqual(at('2026-03-16T09:00:00Z'));
+    });
+
+    it('finds leap days', () => {
+      expect(new CronExpression('0 0 29 2 *').next(at('2026-03-01T00:00:00Z')))
+        .toEqual(at('2028-02-29T00:00:00Z'));
+    });
+
+    it('throws when the expression never matches', () => {
+      expect(() => new CronExpression('0 0 31 2 *').next(at('2026-01-01T00:00:00Z')))
+        .toThrow(/no upcoming run/);
+    });
+  });
+});
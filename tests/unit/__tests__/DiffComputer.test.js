@@ -0,0 +1,152 @@
+const DiffComputer = require('../../../services/DiffComputer');
+const { createTestPathNode: node } = require('../../helpers');
+
+describe('DiffComputer.mergeThreeWay', () => {
+  const edge = (from, to, type = 'prerequisite') => ({ from, to, type });
+
+  const base = {
+    title: 'Path',
+    description: 'Base',
+    status: 'draft',
+    visibility: 'private',
+    structureGraph: {
+      nodes: [node('a', 0), node('b', 1), node('c', 2)],
+      edges: [edge('a', 'b'), edge('b', 'c')]
+    },
+    inferredSkills: ['js'],
+    inferredCareers: []
+  };
+
+  // Copy of base with overrides; nodes/edges replace the base ones
+  const state = ({ nodes, edges, ...fields } = {}) => ({
+    ...JSON.parse(JSON.stringify(base)),
+    ...fields,
+    structureGraph: {
+      nodes: nodes || base.structureGraph.nodes.map(n => ({ ...n })),
+      edges: edges || base.structureGraph.edges.map(e => ({ ...e }))
+    }
+  });
+
+  it('combines changes made on different sides', () => {
+    const current = state({ title: 'Mine', nodes: [...base.structureGraph.nodes, node('d', 3)] });
+    const target = state({
+      description: 'Theirs',
+      nodes: [node('a', 0), node('b', 1, { title: 'Better B' }), node('c', 2)],
+      edges: [...base.structureGraph.edges, edge('a', 'c')],
+      inferredSkills: ['js', 'react']
+    });
+
+    const result = DiffComputer.mergeThreeWay(base, current, target);
+
+    expect(result.conflicts).toEqual([]);
+    expect(result.unresolvedCount).toBe(0);
+    expect(result.merged.title).toBe('Mine');
+    expect(result.merged.description).toBe('Theirs');
+    expect(result.merged.structureGraph.nodes.map(n => n.id)).toEqual(['a', 'b', 'c', 'd']);
+    expect(result.merged.structureGraph.nodes[1].title).toBe('Better B');
+    expect(result.merged.structureGraph.edges).toContainEqual(edge('a', 'c'));
+    expect(result.merged.inferredSkills).toEqual(['js', 'react']);
+    expect(result.validation.valid).toBe(true);
+  });
+
+  it('does not modify its inputs', () => {
+    const current = state({ title: 'Mine' });
+    const target = state({ title: 'Theirs' });
+    const before = JSON.stringify([base, current, target]);
+
+    DiffComputer.mergeThreeWay(base, current, target, { 'field:title': 'target' });
+
+    expect(JSON.stringify([base, current, target])).toBe(before);
+  });
+
+  it('treats identical changes on both sides as no conflict', () => {
+    const result = DiffComputer.mergeThreeWay(base, state({ status: 'active' }), state({ status: 'active' }));
+
+    expect(result.conflicts).toEqual([]);
+    expect(result.merged.status).toBe('active');
+  });
+
+  it('raises a field conflict and keeps the current value until resolved', () => {
+    const current = state({ title: 'Mine' });
+    const target = state({ title: 'Theirs' });
+
+    const unresolved = DiffComputer.mergeThreeWay(base, current, target);
+    expect(unresolved.conflicts).toEqual([
+      expect.objectContaining({ id: 'field:title', type: 'field', base: 'Path', current: 'Mine', target: 'Theirs', resolution: null })
+    ]);
+    expect(unresolved.unresolvedCount).toBe(1);
+    expect(unresolved.merged.title).toBe('Mine');
+
+    const resolved = DiffComputer.mergeThreeWay(base, current, target, { 'field:title': 'target' });
+    expect(resolved.unresolvedCount).toBe(0);
+    expect(resolved.merged.title).toBe('Theirs');
+  });
+
+  it('raises a node field conflict for the same field of the same node', () => {
+    const current = state({ nodes: [node('a', 0, { title: 'Ours' }), node('b', 1), node('c', 2)] });
+    const target = state({ nodes: [node('a', 0, { title: 'Theirs' }), node('b', 1), node('c', 2)] });
+
+    const result = DiffComputer.mergeThreeWay(base, current, target, { 'node:a:title': 'target' });
+
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({ id: 'node:a:title', type: 'node_field', resolution: 'target' })
+    ]);
+    expect(result.merged.structureGraph.nodes.find(n => n.id === 'a').title).toBe('Theirs');
+  });
+
+  it('raises an order conflict when a node moved to different positions', () => {
+    const current = state({ nodes: [node('a', 0), node('b', 1), node('c', 5)] });
+    const target = state({ nodes: [node('a', 0), node('b', 1), node('c', 7)] });
+
+    const result = DiffComputer.mergeThreeWay(base, current, target);
+
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({ id: 'order:c', type: 'node_order', base: 2, current: 5, target: 7 })
+    ]);
+  });
+
+  it('raises a node conflict when they removed a node we changed', () => {
+    const current = state({ nodes: [node('a', 0), node('b', 1), node('c', 2, { notes: 'keep' })] });
+    const target = state({ nodes: [node('a', 0), node('b', 1)], edges: [edge('a', 'b')] });
+
+    const kept = DiffComputer.mergeThreeWay(base, current, target);
+    expect(kept.conflicts).toEqual([expect.objectContaining({ id: 'node:c', type: 'node', target: null })]);
+    expect(kept.merged.structureGraph.nodes.map(n => n.id)).toEqual(['a', 'b', 'c']);
+
+    const removed = DiffComputer.mergeThreeWay(base, current, target, { 'node:c': 'target' });
+    expect(removed.merged.structureGraph.nodes.map(n => n.id)).toEqual(['a', 'b']);
+    expect(removed.merged.structureGraph.edges).toEqual([edge('a', 'b')]);
+  });
+
+  it('restores a node we removed, with its edges, when their change is taken', () => {
+    const current = state({ nodes: [node('a', 0), node('b', 1)], edges: [edge('a', 'b')] });
+    const target = state({ nodes: [node('a', 0), node('b', 1), node('c', 2, { title: 'New C' })] });
+
+    const result = DiffComputer.mergeThreeWay(base, current, target, { 'node:c': 'target' });
+
+    expect(result.conflicts).toEqual([expect.objectContaining({ id: 'node:c', current: null, resolution: 'target' })]);
+    expect(result.merged.structureGraph.nodes.find(n => n.id === 'c').title).toBe('New C');
+    expect(result.merged.structureGraph.edges).toContainEqual(edge('b', 'c'));
+  });
+
+  it('drops edges their side adds to nodes we removed', () => {
+    const current = state({ nodes: [node('a', 0), node('b', 1)], edges: [edge('a', 'b')] });
+    const target = state({ edges: [...base.structureGraph.edges, edge('a', 'c')] });
+
+    const result = DiffComputer.mergeThreeWay(base, current, target);
+
+    expect(result.conflicts).toEqual([]);
+    expect(result.droppedEdges).toEqual([edge('a', 'c')]);
+    expect(result.merged.structureGraph.edges).toEqual([edge('a', 'b')]);
+  });
+
+  it('reports a graph made cyclic by the merge', () => {
+    const current = state({ edges: [...base.structureGraph.edges, edge('c', 'a')] });
+    const target = state();
+
+    const result = DiffComputer.mergeThreeWay(base, current, target);
+
+    expect(result.validation.valid).toBe(false);
+    expect(result.validation.errors[0].type).toBe('cycle');
+  });
+});
@@ -0,0 +1,197 @@
+const { JobQueue, MemoryJobStore } = require('../../../services/JobQueue');
+
+// Let queued leases and job callbacks run
+const settle = async () => {
+  for (let i = 0; i < 20; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+// Processor whose jobs stay running until release() is called
+const blockingProcessor = () => {
+  const started = [];
+  const pending = [];
+  const processor = (data) => {
+    started.push(data.name);
+    return new Promise(resolve => pending.push(resolve));
+  };
+  processor.started = started;
+  processor.release = () => pending.splice(0).forEach(resolve => resolve('done'));
+  return processor;
+};
+
+describe('JobQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new JobQueue({ store: new MemoryJobStore() });
+  });
+
+  afterEach(() => {
+    queue.stop();
+  });
+
+  describe('getStats', () => {
+    it('returns synchronously from the counts of the last refresh', async () => {
+      queue.register('test', async () => 'done', { concurrency: 0 });
+      await queue.add('test', {});
+
+      expect(queue.getStats().total.pending).toBe(0);
+
+      await queue.refreshStats();
+      const stats = queue.getStats();
+
+      expect(stats.total.pending).toBe(1);
+      expect(stats.queues.test.pending).toBe(1);
+      expect(stats.countsUpdatedAt).toBeInstanceOf(Date);
+      expect(stats.worker.types.test).toEqual(expect.objectContaining({ concurrency: 0, active: 0 }));
+    });
+  });
+
+  describe('schedules', () => {
+    it('fires a due run once across processes sharing a store', async () => {
+      const store = new MemoryJobStore();
+      const processes = [new JobQueue({ store }), new JobQueue({ store })];
+      // concurrency 0 keeps the fired jobs pending so they can be counted
+      processes.forEach(instance => instance.register('test', async () => 'done', { concurrency: 0 }));
+
+      await processes[0].schedule('nightly', 'test', {}, { cron: '0 3 * * *' });
+      await store.updateSchedule('nightly', { nextRunAt: new Date(Date.now() - 1000) });
+
+      await Promise.all(processes.map(instance => instance._fireDueSchedules()));
+
+      const { total } = await store.list({ type: 'test' });
+      expect(total).toBe(1);
+      expect((await store.getSchedule('nightly')).runCount).toBe(1);
+    });
+  });
+
+  describe('per-type concurrency', () => {
+    it('caps running jobs of a type without blocking other types', async () => {
+      const limited = blockingProcessor();
+      const other = blockingProcessor();
+      queue.register('limited', limited, { concurrency: 1 });
+      queue.register('other', other);
+
+      await queue.add('limited', { name: 'l1' });
+      await queue.add('limited', { name: 'l2' });
+      await queue.add('other', { name: 'o1' });
+      await settle();
+
+      expect(limited.started).toEqual(['l1']);
+      expect(other.started).toEqual(['o1']);
+      expect(queue.active.get('limited')).toBe(1);
+
+      limited.release();
+      await settle();
+
+      expect(limited.started).toEqual(['l1', 'l2']);
+      other.release();
+      limited.release();
+    });
+  });
+
+  describe('rate limits', () => {
+    it('starts no more jobs than the bucket has tokens', async () => {
+      const processor = jest.fn().mockResolvedValue('done');
+      queue.register('limited', processor, { rateLimit: { tokens: 2, intervalMs: 60000 } });
+
+      await queue.addBulk('limited', [{ name: 'a' }, { name: 'b' }, { name: 'c' }]);
+      await settle();
+
+      expect(processor).toHaveBeenCalledTimes(2);
+      expect((await queue.listJobs({ status: 'pending' })).total).toBe(1);
+      expect(queue.typeOptions.get('limited').bucket.msUntilToken()).toBeGreaterThan(0);
+      // A wake-up is scheduled for when the next token is due
+      expect(queue.rateLimitTimer).not.toBeNull();
+
+      clearTimeout(queue.rateLimitTimer);
+    });
+
+    it('refills tokens evenly over the interval', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      queue.register('limited', async () => 'done', { rateLimit: { tokens: 4, intervalMs: 1000 } });
+      const bucket = queue.typeOptions.get('limited').bucket;
+
+      for (let i = 0; i < 4; i++) bucket.take();
+      expect(bucket.hasToken()).toBe(false);
+      expect(bucket.msUntilToken()).toBe(250);
+
+      now.mockReturnValue(500);
+      expect(bucket.available()).toBe(2);
+
+      now.mockReturnValue(10000);
+      expect(bucket.available()).toBe(4);
+    });
+  });
+
+  describe('priority', () => {
+    it('runs jobs by numeric priority, then in the order they were added', async () => {
+      const order = [];
+      queue.register('test', async (data) => { order.push(data.name); });
+      // Hold everything back until all jobs are queued
+      queue.concurrency = 0;
+
+      await queue.add('test', { name: 'background' }, { priority: 'background' });
+      await queue.add('test', { name: 'normal-1' });
+      await queue.add('test', { name: 'numeric-0' }, { priority: 0 });
+      await queue.add('test', { name: 'high' }, { priority: 'high' });
+      await queue.add('test', { name: 'normal-2' }, { priority: 'normal' });
+
+      queue.concurrency = 1;
+      await queue._startProcessing();
+      await settle();
+
+      expect(order).toEqual(['numeric-0', 'high', 'normal-1', 'normal-2', 'background']);
+    });
+  });
+
+  describe('failures', () => {
+    it('retry while attempts remain', async () => {
+      queue.register('test', async () => { throw new Error('timeout'); });
+
+      const jobId = await queue.add('test', {}, { maxAttempts: 3 });
+      await settle();
+
+      const failed = await queue.getJob(jobId);
+      expect(failed.status).toBe('pending');
+      expect(failed.attempts).toBe(1);
+    });
+
+    it('fail at once when the error is not retryable', async () => {
+      queue.register('test', async () => {
+        throw Object.assign(new Error('Playlist is private'), { retryable: false });
+      });
+
+      const jobId = await queue.add('test', {}, { maxAttempts: 3 });
+      await settle();
+
+      const failed = await queue.getJob(jobId);
+      expect(failed.status).toBe('failed');
+      expect(failed.attempts).toBe(1);
+      expect(failed.error).toBe('Playlist is private');
+    });
+  });
+
+  describe('delayed jobs', () => {
+    it('do not hold a worker slot while they wait', async () => {
+      const processor = blockingProcessor();
+      queue.concurrency = 1;
+      queue.register('test', processor);
+
+      await queue.add('test', { name: 'delayed' }, { delay: 60000 });
+      await queue.add('test', { name: 'now' });
+      await settle();
+
+      expect(processor.started).toEqual(['now']);
+      expect(queue.activeCount).toBe(1);
+
+      processor.release();
+      await settle();
+
+      const delayed = (await queue.listJobs({ status: 'pending' })).jobs;
+      expect(delayed.map(job => job.data.name)).toEqual(['delayed']);
+      expect(queue.activeCount).toBe(0);
+    });
+  });
+});
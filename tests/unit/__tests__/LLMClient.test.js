@@ -0,0 +1,149 @@
+const { LLMClient, FixtureProvider, AIOutputValidationError } = require('../../../services/LLMClient');
+
+describe('LLMClient', () => {
+  const ask = (content) => [
+    { role: 'system', content: 'You are a moderator.' },
+    { role: 'user', content }
+  ];
+
+  describe('FixtureProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new FixtureProvider();
+    });
+
+    it('matches the last user message by substring, RegExp or function', async () => {
+      provider
+        .addFixture('career', 'substring')
+        .addFixture(/^quiz \d+$/, 'regexp')
+        .addFixture((messages) => messages.length > 2, 'function');
+
+      expect((await provider.complete({ messages: ask('my career goals') })).content).toBe('substring');
+      expect((await provider.complete({ messages: ask('quiz 42') })).content).toBe('regexp');
+      expect((await provider.complete({
+        messages: [...ask('first'), { role: 'assistant', content: '{}' }, { role: 'user', content: 'again' }]
+      })).content).toBe('function');
+    });
+
+    it('uses the first matching fixture', async () => {
+      provider.addFixture('hello', 'first').addFixture('hello', 'second');
+
+      expect((await provider.complete({ messages: ask('hello') })).content).toBe('first');
+    });
+
+    it('JSON-encodes object responses and calls function responses', async () => {
+      provider
+        .addFixture('object', { ok: true })
+        .addFixture('function', (request) => ({ model: request.model }));
+
+      expect((await provider.complete({ messages: ask('object') })).content).toBe('{"ok":true}');
+      expect((await provider.complete({ messages: ask('function'), model: 'm1' })).content).toBe('{"model":"m1"}');
+    });
+
+    it('answers unmatched calls with an empty object or empty text', async () => {
+      expect((await provider.complete({ messages: ask('?'), json: true })).content).toBe('{}');
+      expect((await provider.complete({ messages: ask('?') })).content).toBe('');
+    });
+
+    it('records calls and estimates token usage', async () => {
+      const { usage, model } = await provider.complete({ messages: [{ role: 'user', content: 'x'.repeat(40) }] });
+
+      expect(provider.calls).toHaveLength(1);
+      expect(model).toBe('fixture');
+      expect(usage).toEqual({ promptTokens: 10, completionTokens: 0, totalTokens: 10 });
+
+      provider.reset();
+      expect(provider.calls).toHaveLength(0);
+    });
+  });
+
+  describe('completeStructured', () => {
+    let fixture;
+    let client;
+    let usage;
+
+    beforeEach(() => {
+      fixture = new FixtureProvider();
+      usage = [];
+      client = new LLMClient({
+        providers: { fixture },
+        defaultProvider: 'fixture',
+        usageRecorder: (entry) => usage.push(entry)
+      });
+    });
+
+    it('returns valid output with schema defaults filled in', async () => {
+      fixture.addFixture('moderate', { isAppropriate: true });
+
+      const result = await client.completeStructured(ask('moderate'), 'moderation', { feature: 'test' });
+
+      expect(result.data).toEqual({ isAppropriate: true, reason: '', careerConnection: '', suggestion: '' });
+      expect(result.attempts).toBe(1);
+      expect(fixture.calls[0].json).toBe(true);
+      expect(usage).toEqual([
+        expect.objectContaining({ feature: 'test', promptType: 'moderation', outcome: 'success', attempt: 1 })
+      ]);
+    });
+
+    it('repairs fixable output without asking again', async () => {
+      fixture.addFixture('moderate', { isAppropriate: 'TRUE', reason: 'fine' });
+
+      const result = await client.completeStructured(ask('moderate'), 'moderation');
+
+      expect(result.data.isAppropriate).toBe(true);
+      expect(result.attempts).toBe(1);
+      expect(fixture.calls).toHaveLength(1);
+    });
+
+    it('re-asks with the validation errors and sums usage across attempts', async () => {
+      fixture
+        .addFixture('did not match', { isAppropriate: false, reason: 'off topic' })
+        .addFixture('moderate', { reason: 'missing the verdict' });
+
+      const result = await client.completeStructured(ask('moderate'), 'moderation');
+
+      expect(result.attempts).toBe(2);
+      expect(result.data.isAppropriate).toBe(false);
+
+      const retry = fixture.calls[1].messages;
+      expect(retry.slice(0, 2)).toEqual(ask('moderate'));
+      expect(retry[2]).toEqual({ role: 'assistant', content: '{"reason":"missing the verdict"}' });
+      expect(retry[3].content).toMatch(/isAppropriate/);
+
+      const callTokens = usage.reduce((sum, entry) => sum + entry.usage.totalTokens, 0);
+      expect(result.usage.totalTokens).toBe(callTokens);
+      expect(usage.map(entry => entry.outcome)).toEqual(['invalid_output', 'success']);
+    });
+
+    it('re-asks when the response is not JSON', async () => {
+      fixture
+        .addFixture('did not match', { isAppropriate: true })
+        .addFixture('moderate', 'Sure! Here is the JSON: {');
+
+      const result = await client.completeStructured(ask('moderate'), 'moderation');
+
+      expect(result.attempts).toBe(2);
+      expect(fixture.calls[1].messages[3].content).toMatch(/not valid JSON/);
+    });
+
+    it('throws AIOutputValidationError once the re-asks are used up', async () => {
+      fixture.addFixture(() => true, { reason: 'never valid' });
+
+      const error = await client.completeStructured(ask('moderate'), 'moderation').catch(e => e);
+
+      expect(error).toBeInstanceOf(AIOutputValidationError);
+      expect(error.statusCode).toBe(502);
+      expect(error.attempts).toBe(2);
+      expect(fixture.calls).toHaveLength(2);
+    });
+
+    it('honours maxRepairAttempts', async () => {
+      client = new LLMClient({ providers: { fixture }, defaultProvider: 'fixture', maxRepairAttempts: 0 });
+      fixture.addFixture(() => true, {});
+
+      await expect(client.completeStructured(ask('moderate'), 'moderation')).rejects.toThrow(AIOutputValidationError);
+      expect(fixture.calls).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const LearningPathVersion = require('../../../models/LearningPathVersion');
+const UserLearningPath = require('../../../models/UserLearningPath');
+
+describe('LearningPathVersion', () => {
+  describe('applyRetention', () => {
+    let versions;
+    let pinned;
+
+    beforeEach(() => {
+      pinned = [];
+      jest.spyOn(LearningPathVersion, 'find').mockImplementation(() => ({
+        sort: () => ({ select: () => ({ lean: async () => versions }) })
+      }));
+      jest.spyOn(LearningPathVersion, 'updateOne').mockResolvedValue({});
+      jest.spyOn(LearningPathVersion, 'removeVersions').mockImplementation(async (pathId, numbers) => numbers.length);
+      jest.spyOn(UserLearningPath, 'distinct').mockImplementation(async () => pinned);
+    });
+
+    const history = (...reasons) => reasons.map((reason, i) => ({
+      _id: `v${i + 1}`,
+      versionNumber: i + 1,
+      reason,
+      squashedCount: 0
+    }));
+
+    it('squashes each run of minor versions into its newest version', async () => {
+      versions = history(
+        'path_created', 'node_completed', 'node_completed', 'node_completed',
+        'manual_edit', 'video_added', 'path_activated', 'manual_edit'
+      );
+
+      const result = await LearningPathVersion.applyRetention('p1', { keepRecent: 0 });
+
+      expect(result).toEqual({ squashed: 3, runs: 2 });
+      expect(LearningPathVersion.removeVersions).toHaveBeenCalledWith('p1', [2, 3, 6]);
+      expect(LearningPathVersion.updateOne).toHaveBeenCalledWith({ _id: 'v4' }, { $set: { squashedCount: 2 } });
+      expect(LearningPathVersion.updateOne).toHaveBeenCalledWith({ _id: 'v7' }, { $set: { squashedCount: 1 } });
+    });
+
+    it('adds up squash counts of versions squashed before', async () => {
+      versions = history('node_completed', 'node_completed');
+      versions[0].squashedCount = 4;
+
+      await LearningPathVersion.applyRetention('p1', { keepRecent: 0 });
+
+      expect(LearningPathVersion.updateOne).toHaveBeenCalledWith({ _id: 'v2' }, { $set: { squashedCount: 5 } });
+    });
+
+    it('leaves the newest versions alone', async () => {
+      versions = history('node_completed', 'node_completed', 'node_completed');
+
+      const result = await LearningPathVersion.applyRetention('p1', { keepRecent: 2 });
+
+      expect(result).toEqual({ squashed: 0, runs: 0 });
+      expect(LearningPathVersion.removeVersions).not.toHaveBeenCalled();
+    });
+
+    it('keeps versions that clones are synced with', async () => {
+      versions = history('node_completed', 'node_completed', 'node_completed', 'node_completed', 'manual_edit');
+      pinned = [2, null];
+
+      const result = await LearningPathVersion.applyRetention('p1', { keepRecent: 0 });
+
+      expect(result).toEqual({ squashed: 2, runs: 2 });
+      expect(LearningPathVersion.removeVersions).toHaveBeenCalledWith('p1', [1, 3]);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const UserLearningPath = require('../../../models/UserLearningPath');
+const PathCollaborationService = require('../../../services/PathCollaborationService');
+const { PathCollaborationError } = PathCollaborationService;
+const { requirePathRole } = require('../../../middleware/pathAccess');
+const {
+  createMockUser,
+  createTestLearningPath,
+  mockRequest,
+  mockResponse,
+  mockNext
+} = require('../../helpers');
+
+describe('path collaboration', () => {
+  let owner;
+  let editor;
+  let viewer;
+  let path;
+
+  beforeEach(() => {
+    owner = createMockUser({ email: 'owner@example.com' });
+    editor = createMockUser({ email: 'editor@example.com' });
+    viewer = createMockUser({ email: 'viewer@example.com' });
+
+    const { _id, ...fields } = createTestLearningPath(owner._id);
+    path = new UserLearningPath({
+      ...fields,
+      collaborators: [
+        { userId: editor._id, role: 'editor', invitedBy: owner._id },
+        { userId: viewer._id, role: 'viewer', invitedBy: owner._id }
+      ]
+    });
+    jest.spyOn(path, 'save').mockResolvedValue(path);
+  });
+
+  describe('requirePathRole', () => {
+    const check = async (user, minRole, found = path) => {
+      jest.spyOn(UserLearningPath, 'findOne').mockResolvedValue(found);
+      const req = mockRequest({ user: { ...user, id: String(user._id) }, params: { id: String(path._id) } });
+      const res = mockResponse();
+      const next = mockNext();
+
+      await requirePathRole(minRole)(req, res, next);
+      return { req, res, next };
+    };
+
+    it('lets a viewer read but not edit', async () => {
+      expect((await check(viewer, 'viewer')).next).toHaveBeenCalled();
+
+      const { res, next } = await check(viewer, 'editor');
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ role: 'viewer' }));
+    });
+
+    it('lets an editor edit but not use owner-only routes (visibility, collaborators)', async () => {
+      const { req, next } = await check(editor, 'editor');
+      expect(next).toHaveBeenCalled();
+      expect(req.pathRole).toBe('editor');
+      expect(req.learningPath).toBe(path);
+
+      const owned = await check(editor, 'owner');
+      expect(owned.next).not.toHaveBeenCalled();
+      expect(owned.res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('lets the owner do everything', async () => {
+      const { req, next } = await check(owner, 'owner');
+
+      expect(next).toHaveBeenCalled();
+      expect(req.pathRole).toBe('owner');
+    });
+
+    it('reports paths the user is not on as not found', async () => {
+      const { res, next } = await check(createMockUser(), 'viewer', null);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('only looks up paths the user owns or collaborates on', async () => {
+      await check(viewer, 'viewer');
+
+      expect(UserLearningPath.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        deletedAt: null,
+        $or: [{ userId: String(viewer._id) }, { 'collaborators.userId': String(viewer._id) }]
+      }));
+    });
+  });
+
+  describe('invitations', () => {
+    let invitee;
+    let token;
+
+    beforeEach(() => {
+      invitee = createMockUser({ email: 'New.Person@example.com' });
+      ({ token } = path.createInvitation(' new.person@example.com ', 'editor', owner._id));
+      jest.spyOn(UserLearningPath, 'findByInvitationToken').mockImplementation(async (value) =>
+        (path.findInvitation(value) ? path : null)
+      );
+    });
+
+    it('stores a hash of the token, not the token', () => {
+      const [invitation] = path.invitations;
+
+      expect(invitation.email).toBe('new.person@example.com');
+      expect(invitation.tokenHash).not.toBe(token);
+      expect(path.findInvitation(token)).toBe(invitation);
+      expect(path.findInvitation('wrong')).toBeNull();
+    });
+
+    it('adds the invitee with the invited role on accept', async () => {
+      await PathCollaborationService.acceptInvitation(token, invitee);
+
+      expect(path.getRole(invitee._id)).toBe('editor');
+      expect(path.invitations[0].status).toBe('accepted');
+      expect(path.save).toHaveBeenCalled();
+    });
+
+    it('rejects an unknown token', async () => {
+      await expect(PathCollaborationService.acceptInvitation('wrong', invitee))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('rejects a user signed in with a different email', async () => {
+      const error = await PathCollaborationService.acceptInvitation(token, viewer).catch(e => e);
+
+      expect(error).toBeInstanceOf(PathCollaborationError);
+      expect(error.statusCode).toBe(403);
+      expect(path.getRole(invitee._id)).toBeNull();
+    });
+
+    it('rejects expired and already used invitations', async () => {
+      path.invitations[0].expiresAt = new Date(Date.now() - 1000);
+      await expect(PathCollaborationService.acceptInvitation(token, invitee))
+        .rejects.toMatchObject({ statusCode: 410 });
+
+      path.invitations[0].expiresAt = new Date(Date.now() + 60000);
+      await PathCollaborationService.acceptInvitation(token, invitee);
+      await expect(PathCollaborationService.acceptInvitation(token, invitee))
+        .rejects.toMatchObject({ statusCode: 410 });
+    });
+
+    it('revokes the earlier pending invitation when the same email is invited again', () => {
+      const { token: second } = path.createInvitation('new.person@example.com', 'viewer', owner._id);
+
+      expect(path.invitations[0].status).toBe('revoked');
+      expect(path.findInvitation(second).status).toBe('pending');
+    });
+  });
+
+  describe('per-user completion', () => {
+    it('records a collaborator\'s completion without touching the owner\'s', async () => {
+      await path.completeNodeForCollaborator(editor._id, 'node_1');
+
+      expect(path.structureGraph.nodes[0].isCompleted).toBe(false);
+      expect([...path.getCompletionFor(editor._id).keys()]).toEqual(['node_1']);
+      expect(path.getCompletionFor(viewer._id).size).toBe(0);
+    });
+
+    it('rejects unknown nodes and users who are not collaborators', async () => {
+      await expect(path.completeNodeForCollaborator(editor._id, 'missing')).rejects.toThrow('Node not found');
+      await expect(path.completeNodeForCollaborator(new mongoose.Types.ObjectId(), 'node_1'))
+        .rejects.toThrow('Not a collaborator on this path');
+    });
+
+    it('shows each user their own progress', async () => {
+      path.structureGraph.nodes[1].isCompleted = true;
+      await path.completeNodeForCollaborator(editor._id, 'node_1');
+
+      const editorView = path.toViewFor(editor._id);
+      expect(editorView.role).toBe('editor');
+      expect(editorView.structureGraph.nodes.map(n => n.isCompleted)).toEqual([true, false]);
+      expect(editorView.progressPercentage).toBe(50);
+      expect(editorView.collaborators[0]).not.toHaveProperty('completedNodes');
+      expect(editorView).not.toHaveProperty('invitations');
+
+      const ownerView = path.toViewFor(owner._id);
+      expect(ownerView.role).toBe('owner');
+      expect(ownerView.structureGraph.nodes.map(n => n.isCompleted)).toEqual([false, true]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const UserLearningPath = require('../../../models/UserLearningPath');
+const PathRating = require('../../../models/PathRating');
+const PathDiscoveryService = require('../../../services/PathDiscoveryService');
+const { PathDiscoveryError } = PathDiscoveryService;
+
+describe('PathDiscoveryService', () => {
+  describe('score', () => {
+    it('pulls a path with few ratings towards the prior of 3 stars', () => {
+      // (3 * 5 + 5 * 1) / 6 = 3.333 stars
+      expect(PathDiscoveryService.score({ cloneCount: 0, completionRate: 0 }, { average: 5, count: 1 }))
+        .toBe(0.3333);
+    });
+
+    it('uses the prior alone for unrated paths', () => {
+      expect(PathDiscoveryService.score({ cloneCount: 0, completionRate: 0 }, { average: null, count: 0 }))
+        .toBe(0.3);
+    });
+
+    it('lets many ratings outweigh the prior', () => {
+      const few = PathDiscoveryService.score({ cloneCount: 0, completionRate: 0 }, { average: 5, count: 2 });
+      const many = PathDiscoveryService.score({ cloneCount: 0, completionRate: 0 }, { average: 4.5, count: 200 });
+
+      expect(many).toBeGreaterThan(few);
+    });
+
+    it('adds completion and popularity, capping popularity at 100 clones', () => {
+      const prior = { average: null, count: 0 };
+
+      expect(PathDiscoveryService.score({ cloneCount: 99, completionRate: 1 }, prior)).toBe(0.8);
+      expect(PathDiscoveryService.score({ cloneCount: 10000, completionRate: 1 }, prior)).toBe(0.8);
+      expect(PathDiscoveryService.score({ cloneCount: 9, completionRate: 0.5 }, prior)).toBe(0.55);
+    });
+  });
+
+  describe('ratePath', () => {
+    const pathId = new mongoose.Types.ObjectId();
+    const author = new mongoose.Types.ObjectId();
+    const rater = new mongoose.Types.ObjectId();
+    let clone;
+
+    beforeEach(() => {
+      clone = { _id: new mongoose.Types.ObjectId(), completedNodesCount: 3, totalNodesCount: 4 };
+
+      jest.spyOn(UserLearningPath, 'findOne').mockImplementation((filter) => {
+        // First lookup: the public path; second: the rater's clone with progress
+        const result = filter.visibility === 'public' ? { userId: author } : clone;
+        const query = { select: () => Promise.resolve(result), sort: () => query };
+        return query;
+      });
+      jest.spyOn(PathRating, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ ...filter, ...update.$set }));
+      jest.spyOn(PathDiscoveryService, 'refreshStats').mockResolvedValue({ ratingCount: 1 });
+    });
+
+    it('records the rating with the cloner\'s progress and refreshes stats', async () => {
+      const { rating, stats } = await PathDiscoveryService.ratePath(pathId, rater, { rating: '4', review: '  Good  ' });
+
+      expect(rating).toEqual(expect.objectContaining({
+        clonePathId: clone._id,
+        rating: 4,
+        review: 'Good',
+        progressAtRating: 75
+      }));
+      expect(stats).toEqual({ ratingCount: 1 });
+      expect(UserLearningPath.findOne).toHaveBeenLastCalledWith(expect.objectContaining({
+        userId: rater,
+        completedNodesCount: { $gt: 0 }
+      }));
+    });
+
+    it('only lets cloners with progress rate', async () => {
+      clone = null;
+
+      const error = await PathDiscoveryService.ratePath(pathId, rater, { rating: 5 }).catch(e => e);
+
+      expect(error).toBeInstanceOf(PathDiscoveryError);
+      expect(error.statusCode).toBe(403);
+      expect(PathRating.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('does not let authors rate their own path', async () => {
+      await expect(PathDiscoveryService.ratePath(pathId, author, { rating: 5 }))
+        .rejects.toMatchObject({ statusCode: 403, message: 'You cannot rate your own path' });
+    });
+
+    it('rejects ratings outside 1-5 and overlong reviews', async () => {
+      for (const rating of [0, 6, 3.5, 'x']) {
+        await expect(PathDiscoveryService.ratePath(pathId, rater, { rating })).rejects.toMatchObject({ statusCode: 400 });
+      }
+      await expect(PathDiscoveryService.ratePath(pathId, rater, { rating: 5, review: 'x'.repeat(501) }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('search', () => {
+    it('rejects minutes filters that are not numbers', async () => {
+      jest.spyOn(UserLearningPath, 'find');
+
+      await expect(PathDiscoveryService.search({ minMinutes: 'ten' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'minMinutes must be a non-negative number' });
+      await expect(PathDiscoveryService.search({ maxMinutes: '-5' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(UserLearningPath.find).not.toHaveBeenCalled();
+    });
+  });
+});
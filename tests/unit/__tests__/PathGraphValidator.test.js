@@ -0,0 +1,94 @@
+const PathGraphValidator = require('../../../services/PathGraphValidator');
+const { PathGraphError } = PathGraphValidator;
+
+describe('PathGraphValidator', () => {
+  const node = (id) => ({ id, title: id.toUpperCase() });
+  const edge = (from, to, type = 'prerequisite') => ({ from, to, type });
+
+  it('accepts a DAG', () => {
+    const result = PathGraphValidator.validate({
+      nodes: ['a', 'b', 'c', 'd'].map(node),
+      edges: [edge('a', 'b'), edge('a', 'c'), edge('b', 'd'), edge('c', 'd', 'optional')]
+    });
+
+    expect(result).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  it('accepts an empty or missing graph', () => {
+    expect(PathGraphValidator.validate({ nodes: [], edges: [] }).valid).toBe(true);
+    expect(PathGraphValidator.validate(null).valid).toBe(true);
+  });
+
+  it('reports duplicate node ids', () => {
+    const { valid, errors } = PathGraphValidator.validate({ nodes: [node('a'), node('a')], edges: [] });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([expect.objectContaining({ type: 'duplicate_node', nodeIds: ['a'] })]);
+  });
+
+  it('reports self loops', () => {
+    const { errors } = PathGraphValidator.validate({ nodes: [node('a')], edges: [edge('a', 'a')] });
+
+    expect(errors).toEqual([expect.objectContaining({ type: 'self_loop', nodeIds: ['a', 'a'] })]);
+    expect(errors[0].message).toContain('"A" (a)');
+  });
+
+  it('reports edges to missing nodes', () => {
+    const { errors } = PathGraphValidator.validate({ nodes: [node('a')], edges: [edge('a', 'x')] });
+
+    expect(errors).toEqual([
+      expect.objectContaining({ type: 'dangling_reference', missingNodeIds: ['x'], edge: edge('a', 'x') })
+    ]);
+  });
+
+  it('reports cycles through optional edges too, in edge order', () => {
+    const { errors } = PathGraphValidator.validate({
+      nodes: ['a', 'b', 'c'].map(node),
+      edges: [edge('a', 'b'), edge('b', 'c'), edge('c', 'a', 'optional')]
+    });
+
+    expect(errors).toEqual([expect.objectContaining({ type: 'cycle', nodeIds: ['a', 'b', 'c', 'a'] })]);
+  });
+
+  it('warns about duplicate edges without failing', () => {
+    const result = PathGraphValidator.validate({
+      nodes: ['a', 'b'].map(node),
+      edges: [edge('a', 'b'), edge('a', 'b', 'optional')]
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([expect.objectContaining({ type: 'duplicate_edge', nodeIds: ['a', 'b'] })]);
+  });
+
+  describe('findCycles', () => {
+    it('returns one cycle per back edge', () => {
+      const adjacency = new Map([
+        ['a', ['b']],
+        ['b', ['a', 'c']],
+        ['c', ['c']]
+      ]);
+
+      expect(PathGraphValidator.findCycles(adjacency)).toEqual([['a', 'b', 'a'], ['c', 'c']]);
+    });
+  });
+
+  describe('assertValid', () => {
+    it('throws a PathGraphError with the problems', () => {
+      const graph = { nodes: ['a', 'b'].map(node), edges: [edge('a', 'b'), edge('b', 'a')] };
+
+      expect(() => PathGraphValidator.assertValid(graph)).toThrow(PathGraphError);
+      try {
+        PathGraphValidator.assertValid(graph);
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+        expect(error.problems[0].type).toBe('cycle');
+      }
+    });
+
+    it('does not throw for warnings only', () => {
+      const graph = { nodes: ['a', 'b'].map(node), edges: [edge('a', 'b'), edge('a', 'b')] };
+
+      expect(() => PathGraphValidator.assertValid(graph)).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,190 @@
+const UserLearningPath = require('../../../models/UserLearningPath');
+const SavedVideo = require('../../../models/SavedVideo');
+const youtubeService = require('../../../services/YouTubeService');
+const PathPortabilityService = require('../../../services/PathPortabilityService');
+const { PathImportError } = PathPortabilityService;
+const { createMockUser, createTestLearningPath, createTestPathNode } = require('../../helpers');
+
+const VIDEO_IDS = ['aaaaaaaaaaa', 'bbbbbbbbbbb', 'ccccccccccc'];
+
+describe('PathPortabilityService', () => {
+  let owner;
+  let path;
+
+  beforeEach(() => {
+    owner = createMockUser();
+    const { _id, ...fields } = createTestLearningPath(owner._id, {
+      structureGraph: {
+        nodes: VIDEO_IDS.map((videoId, i) => createTestPathNode(`n${i}`, i, { videoId })),
+        edges: [
+          { from: 'n0', to: 'n1', type: 'prerequisite' },
+          { from: 'n0', to: 'n2', type: 'optional' }
+        ]
+      }
+    });
+    path = new UserLearningPath(fields);
+    path.structureGraph.nodes[0].isCompleted = true;
+    path.structureGraph.nodes[0].completedAt = new Date('2026-01-02T03:04:05Z');
+    path.structureGraph.nodes[1].notes = 'Watch twice';
+
+    jest.spyOn(SavedVideo, 'find').mockImplementation(() => {
+      const videos = [{ userId: owner._id, videoId: VIDEO_IDS[0], title: 'Saved A', channel: 'Chan', duration: '10:00', codeLearnnScore: 90 }];
+      const query = Promise.resolve([]);
+      query.lean = async () => videos;
+      return query;
+    });
+  });
+
+  describe('exportJson', () => {
+    it('writes the documented format', async () => {
+      const doc = await PathPortabilityService.exportJson(path, owner._id);
+
+      expect(doc).toEqual({
+        format: 'codelearnn.learning-path',
+        version: 1,
+        exportedAt: expect.any(String),
+        path: {
+          title: 'Test Learning Path',
+          description: 'A test path for unit testing',
+          careerId: 'frontend-developer',
+          inferredSkills: ['javascript', 'react'],
+          inferredCareers: ['frontend-developer']
+        },
+        nodes: [
+          {
+            id: 'n0',
+            videoId: VIDEO_IDS[0],
+            url: `https://www.youtube.com/watch?v=${VIDEO_IDS[0]}`,
+            title: 'N0',
+            order: 0,
+            notes: null,
+            resource: { title: 'Saved A', channel: 'Chan', duration: '10:00', codeLearnnScore: 90 }
+          },
+          expect.objectContaining({ id: 'n1', notes: 'Watch twice', resource: null }),
+          expect.objectContaining({ id: 'n2', resource: null })
+        ],
+        edges: [
+          { from: 'n0', to: 'n1', type: 'prerequisite' },
+          { from: 'n0', to: 'n2', type: 'optional' }
+        ]
+      });
+    });
+
+    it('includes completion only when asked to', async () => {
+      const doc = await PathPortabilityService.exportJson(path, owner._id, { includeProgress: true });
+
+      expect(doc.nodes[0]).toEqual(expect.objectContaining({ isCompleted: true, completedAt: '2026-01-02T03:04:05.000Z' }));
+      expect(doc.nodes[1]).toEqual(expect.objectContaining({ isCompleted: false, completedAt: null }));
+    });
+  });
+
+  describe('importPath', () => {
+    let created;
+    let apiKey;
+
+    beforeEach(() => {
+      // Import without YouTube lookups
+      apiKey = youtubeService.apiKey;
+      youtubeService.apiKey = undefined;
+      jest.spyOn(SavedVideo, 'create').mockImplementation(async (fields) => fields);
+      jest.spyOn(SavedVideo, 'updateMany').mockResolvedValue({});
+      jest.spyOn(UserLearningPath, 'create').mockImplementation(async (fields) => {
+        created = new UserLearningPath(fields);
+        jest.spyOn(created, 'createVersionSnapshot').mockResolvedValue({});
+        return created;
+      });
+    });
+
+    afterEach(() => {
+      youtubeService.apiKey = apiKey;
+    });
+
+    it('round-trips an export into a new draft path', async () => {
+      const doc = await PathPortabilityService.exportJson(path, owner._id, { includeProgress: true });
+      const importer = createMockUser();
+
+      const result = await PathPortabilityService.importPath(importer._id, JSON.stringify(doc));
+
+      const { nodes, edges } = created.structureGraph;
+      expect(created.status).toBe('draft');
+      expect(created.visibility).toBe('private');
+      expect(created.title).toBe(path.title);
+      expect(nodes.map(n => n.videoId)).toEqual(VIDEO_IDS);
+      expect(nodes.map(n => n.notes)).toEqual([undefined, 'Watch twice', undefined]);
+      expect(nodes[0].isCompleted).toBe(true);
+      expect(nodes[0].completedAt).toEqual(new Date('2026-01-02T03:04:05Z'));
+      expect(nodes.map(n => n.id)).not.toContain('n0');
+      expect(edges.map(e => [e.from, e.to, e.type])).toEqual([
+        [nodes[0].id, nodes[1].id, 'prerequisite'],
+        [nodes[0].id, nodes[2].id, 'optional']
+      ]);
+
+      expect(result.savedVideosCreated).toBe(3);
+      expect(SavedVideo.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: importer._id,
+        videoId: VIDEO_IDS[0],
+        channel: 'Chan',
+        codeLearnnScore: 90
+      }));
+      expect(result.warnings).toEqual([{ type: 'youtube_unverified', videoIds: VIDEO_IDS }]);
+      expect(created.createVersionSnapshot).toHaveBeenCalledWith('import', expect.any(String), importer._id);
+    });
+
+    const importError = async (mutate) => {
+      const doc = await PathPortabilityService.exportJson(path, owner._id, { includeProgress: true });
+      mutate(doc);
+      return PathPortabilityService.importPath(owner._id, doc).catch(error => error);
+    };
+
+    it('rejects duplicate node ids', async () => {
+      const error = await importError(doc => { doc.nodes[2].id = 'n1'; });
+
+      expect(error).toBeInstanceOf(PathImportError);
+      expect(error.statusCode).toBe(400);
+      expect(error.problems).toEqual([{ type: 'duplicate_node', nodeId: 'n1' }]);
+      expect(UserLearningPath.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects a completedAt that is not a date', async () => {
+      const error = await importError(doc => { doc.nodes[0].completedAt = 'yesterday-ish'; });
+
+      expect(error).toBeInstanceOf(PathImportError);
+      expect(error.problems[0].message).toMatch(/nodes\[0\]\.completedAt/);
+    });
+
+    it('rejects resource fields of the wrong type', async () => {
+      const error = await importError(doc => {
+        doc.nodes[0].resource.inferredSkills = 'react';
+        doc.nodes[0].resource.codeLearnnScore = 'high';
+      });
+
+      expect(error).toBeInstanceOf(PathImportError);
+      expect(error.problems.map(p => p.message)).toEqual([
+        expect.stringMatching(/resource\.codeLearnnScore/),
+        expect.stringMatching(/resource\.inferredSkills/)
+      ]);
+    });
+
+    it('rejects non-array path skills', async () => {
+      const error = await importError(doc => { doc.path.inferredSkills = 'react'; });
+
+      expect(error).toBeInstanceOf(PathImportError);
+    });
+
+    it('rejects nodes without a usable video id', async () => {
+      const error = await importError(doc => {
+        doc.nodes[1].videoId = 'nope';
+        doc.nodes[1].url = null;
+      });
+
+      expect(error.problems).toEqual([{ type: 'invalid_video', nodeId: 'n1' }]);
+    });
+
+    it('rejects newer format versions and other files', () => {
+      expect(() => PathPortabilityService.parseImport({ format: 'something-else' })).toThrow(PathImportError);
+      expect(() => PathPortabilityService.parseImport('{not json')).toThrow('Import file is not valid JSON');
+      expect(() => PathPortabilityService.parseImport({ format: 'codelearnn.learning-path', version: 2 }))
+        .toThrow('newer than the supported version');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const PathSyncService = require('../../../services/PathSyncService');
+const UserLearningPath = require('../../../models/UserLearningPath');
+const LearningPathVersion = require('../../../models/LearningPathVersion');
+const { createTestPathNode: node } = require('../../helpers');
+
+describe('PathSyncService', () => {
+  const snapshot = (fields = {}) => ({
+    title: 'Path',
+    description: 'Upstream',
+    status: 'active',
+    visibility: 'public',
+    structureGraph: {
+      nodes: [node('a', 0), node('b', 1)],
+      edges: [{ from: 'a', to: 'b', type: 'prerequisite' }]
+    },
+    inferredSkills: ['js'],
+    inferredCareers: [],
+    ...fields
+  });
+
+  const version = (versionNumber, fields) => ({
+    versionNumber,
+    toObject: () => ({ snapshot: snapshot(fields) })
+  });
+
+  let upstreamPath;
+  let clone;
+
+  beforeEach(() => {
+    upstreamPath = {
+      _id: 'upstream',
+      title: 'Upstream path',
+      ensureCurrentVersion: jest.fn().mockResolvedValue(version(3, { description: 'Captured' }))
+    };
+    clone = {
+      userId: 'cloner',
+      upstream: { pathId: 'upstream', versionNumber: 1 },
+      getSnapshot: () => snapshot({ visibility: 'private' })
+    };
+
+    jest.spyOn(UserLearningPath, 'findOne').mockResolvedValue(upstreamPath);
+    jest.spyOn(LearningPathVersion, 'getVersion').mockResolvedValue(version(1));
+    jest.spyOn(LearningPathVersion, 'getLatestVersion').mockResolvedValue(version(2, { description: 'Changed' }));
+  });
+
+  describe('previewUpstream', () => {
+    it('compares against the latest existing version without writing one', async () => {
+      const preview = await PathSyncService.previewUpstream(clone);
+
+      expect(upstreamPath.ensureCurrentVersion).not.toHaveBeenCalled();
+      expect(preview.upstream).toEqual(expect.objectContaining({ syncedVersion: 1, latestVersion: 2 }));
+      expect(preview.upToDate).toBe(false);
+      expect(preview.merge.merged.description).toBe('Changed');
+    });
+
+    it('captures the upstream state first when asked to', async () => {
+      const preview = await PathSyncService.previewUpstream(clone, {}, { capture: true });
+
+      expect(upstreamPath.ensureCurrentVersion).toHaveBeenCalled();
+      expect(preview.upstream.latestVersion).toBe(3);
+    });
+
+    it('keeps the clone\'s own visibility', async () => {
+      const preview = await PathSyncService.previewUpstream(clone);
+
+      expect(preview.merge.merged.visibility).toBe('private');
+    });
+  });
+
+  describe('pullUpstream', () => {
+    it('captures the upstream state before merging', async () => {
+      clone.upstream.versionNumber = 3;
+      LearningPathVersion.getVersion.mockResolvedValue(version(3, { description: 'Captured' }));
+
+      const { pulled, preview } = await PathSyncService.pullUpstream(clone);
+
+      expect(upstreamPath.ensureCurrentVersion).toHaveBeenCalled();
+      expect(pulled).toBe(false);
+      expect(preview.upToDate).toBe(true);
+    });
+  });
+});
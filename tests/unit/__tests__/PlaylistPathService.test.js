@@ -0,0 +1,89 @@
+const PlaylistPathService = require('../../../services/PlaylistPathService');
+const PathGraphValidator = require('../../../services/PathGraphValidator');
+
+describe('PlaylistPathService', () => {
+  describe('flagReason', () => {
+    const video = (evaluation, available = true) => ({ available, evaluation });
+    const tutorial = (codeLearnnScore) => ({ isProgrammingTutorial: true, codeLearnnScore });
+
+    it('returns null for available programming videos at or above minScore', () => {
+      expect(PlaylistPathService.flagReason(video(tutorial(50)), 50)).toBeNull();
+      expect(PlaylistPathService.flagReason(video(tutorial(90)), 50)).toBeNull();
+    });
+
+    it('names the first reason that applies', () => {
+      expect(PlaylistPathService.flagReason(video(tutorial(90), false), 50)).toBe('unavailable');
+      expect(PlaylistPathService.flagReason(video(null), 50)).toBe('unscored');
+      expect(PlaylistPathService.flagReason(
+        video({ isProgrammingTutorial: false, codeLearnnScore: 90 }), 50
+      )).toBe('not_programming');
+      expect(PlaylistPathService.flagReason(video(tutorial(49)), 50)).toBe('low_score');
+    });
+
+    it('treats a missing score as 0', () => {
+      expect(PlaylistPathService.flagReason(video({ isProgrammingTutorial: true }), 1)).toBe('low_score');
+      expect(PlaylistPathService.flagReason(video({ isProgrammingTutorial: true }), 0)).toBeNull();
+    });
+  });
+
+  describe('inferEdges', () => {
+    it('returns no edges for zero or one video', () => {
+      expect(PlaylistPathService.inferEdges([])).toEqual([]);
+      expect(PlaylistPathService.inferEdges([{ id: 'a', skills: ['js'] }])).toEqual([]);
+    });
+
+    it('requires the closest earlier video sharing a skill', () => {
+      const edges = PlaylistPathService.inferEdges([
+        { id: 'a', skills: ['js'] },
+        { id: 'b', skills: ['js', 'dom'] },
+        { id: 'c', skills: ['css'] },
+        { id: 'd', skills: ['js'] }
+      ]);
+
+      expect(edges).toEqual([
+        { from: 'a', to: 'b', type: 'prerequisite' },
+        { from: 'b', to: 'c', type: 'optional' },
+        { from: 'b', to: 'd', type: 'prerequisite' }
+      ]);
+    });
+
+    it('links videos sharing nothing earlier to the previous video as optional', () => {
+      const edges = PlaylistPathService.inferEdges([
+        { id: 'a', skills: ['python'] },
+        { id: 'b', skills: ['git'] },
+        { id: 'c', skills: ['sql'] }
+      ]);
+
+      expect(edges.map(edge => edge.type)).toEqual(['optional', 'optional']);
+      expect(edges.map(edge => [edge.from, edge.to])).toEqual([['a', 'b'], ['b', 'c']]);
+    });
+
+    it('makes videos without skills require the previous video', () => {
+      const edges = PlaylistPathService.inferEdges([
+        { id: 'a', skills: ['js'] },
+        { id: 'b', skills: [] },
+        { id: 'c', skills: ['js'] }
+      ]);
+
+      expect(edges).toEqual([
+        { from: 'a', to: 'b', type: 'prerequisite' },
+        { from: 'a', to: 'c', type: 'prerequisite' }
+      ]);
+    });
+
+    it('produces edges the graph validator accepts', () => {
+      const videos = [
+        { id: 'a', skills: ['js'] },
+        { id: 'b', skills: [] },
+        { id: 'c', skills: ['css'] },
+        { id: 'd', skills: ['js', 'css'] }
+      ];
+
+      const edges = PlaylistPathService.inferEdges(videos);
+
+      expect(edges).toHaveLength(videos.length - 1);
+      const nodes = videos.map(video => ({ id: video.id, title: video.id }));
+      expect(PathGraphValidator.validate({ nodes, edges }).valid).toBe(true);
+    });
+  });
+});
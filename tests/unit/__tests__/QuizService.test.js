@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const QuizService = require('../../../services/QuizService');
+const QuizAttempt = require('../../../models/QuizAttempt');
+const SkillService = require('../../../services/SkillService');
+const EventService = require('../../../services/EventService');
+
+describe('QuizService', () => {
+  describe('grade', () => {
+    const question = (type, answerKey) => ({ type, answerKey });
+
+    it('grades multiple choice by the single correct option', () => {
+      const q = question('multiple_choice', ['b']);
+
+      expect(QuizService.grade(q, 'b')).toBe(true);
+      expect(QuizService.grade(q, 'a')).toBe(false);
+      expect(QuizService.grade(q, ['b'])).toBe(false);
+    });
+
+    it('grades multi select by set equality', () => {
+      const q = question('multi_select', ['a', 'c']);
+
+      expect(QuizService.grade(q, ['c', 'a'])).toBe(true);
+      expect(QuizService.grade(q, ['a'])).toBe(false);
+      expect(QuizService.grade(q, ['a', 'c', 'd'])).toBe(false);
+      expect(QuizService.grade(q, ['a', 'a'])).toBe(false);
+      expect(QuizService.grade(q, 'a')).toBe(false);
+    });
+
+    it('grades ordering by exact order', () => {
+      const q = question('ordering', ['c', 'a', 'b']);
+
+      expect(QuizService.grade(q, ['c', 'a', 'b'])).toBe(true);
+      expect(QuizService.grade(q, ['a', 'b', 'c'])).toBe(false);
+      expect(QuizService.grade(q, ['c', 'a'])).toBe(false);
+    });
+
+    it('grades code output ignoring line endings and trailing whitespace', () => {
+      const q = question('code_output', ['1\n2', 'one two']);
+
+      expect(QuizService.grade(q, '1  \r\n2\n\n')).toBe(true);
+      expect(QuizService.grade(q, 'one two')).toBe(true);
+      expect(QuizService.grade(q, ' 1\n2')).toBe(false);
+      expect(QuizService.grade(q, 12)).toBe(false);
+    });
+
+    it('fails unknown types and missing keys', () => {
+      expect(QuizService.grade(question('essay', ['x']), 'x')).toBe(false);
+      expect(QuizService.grade({ type: 'multiple_choice' }, 'a')).toBe(false);
+    });
+  });
+
+  describe('_toAttemptQuestion', () => {
+    const options = [{ id: 'a', text: 'First' }, { id: 'b', text: 'Second' }, { id: 'c', text: 'Third' }];
+    const bankQuestion = (overrides = {}) => ({
+      _id: 'q1',
+      skillName: 'javascript',
+      type: 'multiple_choice',
+      prompt: 'Pick one',
+      options,
+      correctOptionIds: ['b'],
+      ...overrides
+    });
+
+    it('copies the question with its answer key and default points', () => {
+      const question = QuizService._toAttemptQuestion(bankQuestion());
+
+      expect(question).toMatchObject({ questionId: 'q1', skillName: 'javascript', type: 'multiple_choice', points: 1 });
+      expect(question.answerKey).toEqual(['b']);
+      expect(question.options).toHaveLength(3);
+      expect(question.options).toEqual(expect.arrayContaining(options));
+    });
+
+    it('keys ordering questions by the bank order and code output by the accepted outputs', () => {
+      const ordering = QuizService._toAttemptQuestion(bankQuestion({ type: 'ordering', correctOptionIds: undefined }));
+      const output = QuizService._toAttemptQuestion(bankQuestion({
+        type: 'code_output', options: [], correctOptionIds: undefined, acceptedOutputs: ['42']
+      }));
+
+      expect(ordering.answerKey).toEqual(['a', 'b', 'c']);
+      expect(output.answerKey).toEqual(['42']);
+    });
+
+    it('never shows an ordering question already in order', () => {
+      // Makes the shuffle keep every option in place
+      jest.spyOn(Math, 'random').mockReturnValue(0.999);
+
+      const question = QuizService._toAttemptQuestion(bankQuestion({ type: 'ordering' }));
+
+      expect(question.options.map(o => o.id)).toEqual(['b', 'c', 'a']);
+      expect(QuizService.grade(question, ['a', 'b', 'c'])).toBe(true);
+    });
+  });
+
+  describe('submitAttempt', () => {
+    const now = new Date('2026-06-01T12:00:00Z');
+    const userId = new mongoose.Types.ObjectId();
+    const questionId = new mongoose.Types.ObjectId();
+    let attempt;
+
+    beforeEach(() => {
+      attempt = new QuizAttempt({
+        userId,
+        quizId: new mongoose.Types.ObjectId(),
+        questions: [{
+          questionId,
+          skillName: 'javascript',
+          type: 'multiple_choice',
+          prompt: 'Pick one',
+          options: [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }],
+          points: 2,
+          answerKey: ['b']
+        }],
+        startedAt: new Date(now - 30000),
+        expiresAt: new Date(now.getTime() + 30000),
+        maxScore: 2,
+        passingScore: 70
+      });
+
+      jest.spyOn(QuizAttempt, 'findOne').mockResolvedValue(attempt);
+      jest.spyOn(QuizAttempt, 'findOneAndUpdate').mockImplementation(async () => {
+        attempt.status = 'grading';
+        return attempt;
+      });
+      jest.spyOn(QuizAttempt, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(EventService, 'quizCompleted').mockResolvedValue(null);
+      jest.spyOn(SkillService, 'updateFromQuizCompletion').mockResolvedValue([{ skillName: 'javascript' }]);
+    });
+
+    it('saves the graded attempt before awarding skill points', async () => {
+      const statusesSaved = [];
+      jest.spyOn(attempt, 'save').mockImplementation(async () => {
+        statusesSaved.push([attempt.status, attempt.skillUpdates.length]);
+        return attempt;
+      });
+      SkillService.updateFromQuizCompletion.mockImplementation(async () => {
+        expect(statusesSaved).toEqual([['graded', 0]]);
+        return [{ skillName: 'javascript' }];
+      });
+
+      const graded = await QuizService.submitAttempt(userId, attempt._id, { [questionId]: 'b' }, { now });
+
+      expect(graded).toMatchObject({ status: 'graded', score: 2, percentage: 100, passed: true });
+      expect(SkillService.updateFromQuizCompletion).toHaveBeenCalledWith(userId, ['javascript'], 2, 2);
+      expect(statusesSaved).toEqual([['graded', 0], ['graded', 1]]);
+    });
+
+    it('awards no skill points and reopens the attempt when the graded attempt is not saved', async () => {
+      jest.spyOn(attempt, 'save').mockRejectedValue(new Error('write failed'));
+
+      await expect(QuizService.submitAttempt(userId, attempt._id, { [questionId]: 'b' }, { now }))
+        .rejects.toThrow('write failed');
+
+      expect(SkillService.updateFromQuizCompletion).not.toHaveBeenCalled();
+      expect(QuizAttempt.updateOne).toHaveBeenCalledWith(
+        { _id: attempt._id, status: 'grading' },
+        { $set: { status: 'in_progress' } }
+      );
+    });
+
+    it('awards no skill points to failed attempts', async () => {
+      jest.spyOn(attempt, 'save').mockResolvedValue(attempt);
+
+      const graded = await QuizService.submitAttempt(userId, attempt._id, { [questionId]: 'a' }, { now });
+
+      expect(graded).toMatchObject({ status: 'graded', score: 0, passed: false });
+      expect(SkillService.updateFromQuizCompletion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('_expireStale', () => {
+    const now = new Date('2026-06-01T12:00:00Z');
+
+    it('expires timed out attempts and attempts stuck in grading', async () => {
+      const updateMany = jest.spyOn(QuizAttempt, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+      const userId = new mongoose.Types.ObjectId();
+
+      await QuizService._expireStale(userId, now);
+
+      const [filter, update] = updateMany.mock.calls[0];
+      expect(update).toEqual({ $set: { status: 'expired' } });
+      expect(filter.userId).toBe(userId);
+      expect(filter.$or).toEqual([
+        { status: 'in_progress', expiresAt: { $lt: new Date(now - 10 * 1000) } },
+        { status: 'grading', expiresAt: { $lt: new Date(now - (10 + 300) * 1000) } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const ReviewScheduler = require('../../../services/ReviewScheduler');
+
+describe('ReviewScheduler', () => {
+  describe('sm2', () => {
+    const fresh = { easeFactor: 2.5, intervalDays: 0, repetitions: 0 };
+
+    it('uses 1 and 6 day intervals for the first two recalls', () => {
+      const first = ReviewScheduler.sm2(fresh, 4);
+      expect(first).toEqual({ easeFactor: 2.5, intervalDays: 1, repetitions: 1, recalled: true });
+
+      const second = ReviewScheduler.sm2(first, 4);
+      expect(second).toEqual({ easeFactor: 2.5, intervalDays: 6, repetitions: 2, recalled: true });
+    });
+
+    it('multiplies the interval by the ease factor after that', () => {
+      const next = ReviewScheduler.sm2({ easeFactor: 2.5, intervalDays: 6, repetitions: 2 }, 5);
+
+      expect(next).toEqual({ easeFactor: 2.6, intervalDays: 15, repetitions: 3, recalled: true });
+    });
+
+    it('adjusts the ease factor by recall quality', () => {
+      expect(ReviewScheduler.sm2(fresh, 5).easeFactor).toBe(2.6);
+      expect(ReviewScheduler.sm2(fresh, 4).easeFactor).toBe(2.5);
+      expect(ReviewScheduler.sm2(fresh, 3).easeFactor).toBe(2.36);
+    });
+
+    it('restarts the schedule when the card is forgotten', () => {
+      const next = ReviewScheduler.sm2({ easeFactor: 2.5, intervalDays: 40, repetitions: 5 }, 1);
+
+      expect(next).toEqual({ easeFactor: 1.96, intervalDays: 1, repetitions: 0, recalled: false });
+    });
+
+    it('keeps the ease factor at 1.3 or more', () => {
+      expect(ReviewScheduler.sm2({ easeFactor: 1.3, intervalDays: 1, repetitions: 0 }, 0).easeFactor).toBe(1.3);
+    });
+
+    it('caps the interval at a year', () => {
+      const next = ReviewScheduler.sm2({ easeFactor: 2.5, intervalDays: 300, repetitions: 8 }, 5);
+
+      expect(next.intervalDays).toBe(365);
+    });
+
+    it('defaults missing state to a new card', () => {
+      expect(ReviewScheduler.sm2({}, 4)).toEqual(ReviewScheduler.sm2(fresh, 4));
+    });
+  });
+
+  describe('parseRating', () => {
+    it('maps named ratings and accepts 0-5', () => {
+      expect(ReviewScheduler.parseRating('again')).toBe(1);
+      expect(ReviewScheduler.parseRating('easy')).toBe(5);
+      expect(ReviewScheduler.parseRating('3')).toBe(3);
+      expect(ReviewScheduler.parseRating(0)).toBe(0);
+    });
+
+    it('returns null for anything else', () => {
+      expect(ReviewScheduler.parseRating('perfect')).toBeNull();
+      expect(ReviewScheduler.parseRating(6)).toBeNull();
+      expect(ReviewScheduler.parseRating(2.5)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const { RoleProfileService, DEFAULT_ROLE_ID } = require('../../../services/RoleProfileService');
+
+const PROFILES = {
+  'frontend-developer': {
+    version: 2,
+    title: 'Frontend Developer',
+    aliases: ['frontend-engineer', 'ui-developer'],
+    skills: [['javascript', 3, 'intermediate'], ['react', 2, 'beginner']]
+  },
+  'data-scientist': {
+    version: 1,
+    title: 'Data Scientist',
+    aliases: ['data-science'],
+    skills: [['python', 3, 'intermediate']]
+  },
+  [DEFAULT_ROLE_ID]: {
+    version: 1,
+    title: 'Software Developer',
+    aliases: ['developer', 'software-engineer'],
+    skills: [['git', 1, 'beginner']]
+  }
+};
+
+describe('RoleProfileService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new RoleProfileService({ profiles: PROFILES });
+  });
+
+  describe('matchRole', () => {
+    it('matches role ids and titles', () => {
+      expect(service.matchRole('frontend-developer')).toBe('frontend-developer');
+      expect(service.matchRole('Frontend Developer')).toBe('frontend-developer');
+    });
+
+    it('resolves aliases to their role', () => {
+      expect(service.matchRole('UI Developer')).toBe('frontend-developer');
+      expect(service.matchRole('software engineer')).toBe(DEFAULT_ROLE_ID);
+    });
+
+    it('matches a longer title containing an id or alias, preferring the longest', () => {
+      expect(service.matchRole('Senior Frontend Developer')).toBe('frontend-developer');
+      expect(service.matchRole('Lead Data Science Engineer')).toBe('data-scientist');
+      expect(service.matchRole('Junior Developer')).toBe(DEFAULT_ROLE_ID);
+    });
+
+    it('only matches whole words', () => {
+      expect(service.matchRole('Webdeveloper')).toBeNull();
+      expect(service.matchRole('Frontend Developers')).toBeNull();
+    });
+
+    it('returns null for unknown and empty roles', () => {
+      expect(service.matchRole('Pastry Chef')).toBeNull();
+      expect(service.matchRole('')).toBeNull();
+      expect(service.matchRole(null)).toBeNull();
+    });
+  });
+
+  describe('getProfileFor', () => {
+    it('returns the profile for a matched role with canonical skill names', async () => {
+      const profile = await service.getProfileFor('Senior Frontend Developer');
+
+      expect(profile).toMatchObject({ roleId: 'frontend-developer', version: 2, title: 'Frontend Developer' });
+      expect(profile.skills).toEqual([
+        expect.objectContaining({ skillName: 'javascript', weight: 3, minLevel: 'intermediate' }),
+        expect.objectContaining({ skillName: 'react', weight: 2, minLevel: 'beginner' })
+      ]);
+    });
+
+    it('returns the latest version of a role', async () => {
+      const older = { roleId: 'data-scientist', version: 1, title: 'Data Scientist', aliases: [], skills: [] };
+      const latest = { ...older, version: 2, aliases: ['ml-engineer'] };
+      service._buildIndex(new Map([['data-scientist', [older, latest]]]));
+      service.loadedAt = Date.now();
+
+      expect(await service.getProfileFor('data-scientist')).toBe(latest);
+      expect(service.matchRole('ML Engineer')).toBe('data-scientist');
+    });
+
+    it('falls back to the general profile for unknown roles', async () => {
+      const profile = await service.getProfileFor('Pastry Chef');
+
+      expect(profile).toMatchObject({ roleId: DEFAULT_ROLE_ID, title: 'Software Developer' });
+    });
+
+    it('falls back to the built-in general profile when none is loaded', async () => {
+      service = new RoleProfileService({ profiles: { 'data-scientist': PROFILES['data-scientist'] } });
+
+      const profile = await service.getProfileFor(undefined);
+
+      expect(profile).toMatchObject({ roleId: DEFAULT_ROLE_ID, source: 'builtin' });
+      expect(profile.skills.length).toBeGreaterThan(0);
+    });
+  });
+});
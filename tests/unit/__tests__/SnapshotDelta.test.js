@@ -0,0 +1,73 @@
+const { encodeDelta, applyDelta } = require('../../../services/SnapshotDelta');
+const { createTestPathNode: node } = require('../../helpers');
+
+describe('SnapshotDelta', () => {
+  const snapshot = (fields = {}) => ({
+    title: 'Path',
+    description: 'A path',
+    status: 'active',
+    visibility: 'private',
+    readinessScore: 10,
+    structureGraph: {
+      nodes: Array.from({ length: 12 }, (_, i) => node(`n${i}`, i)),
+      edges: Array.from({ length: 11 }, (_, i) => ({ from: `n${i}`, to: `n${i + 1}`, type: 'prerequisite' }))
+    },
+    inferredSkills: ['js', 'css'],
+    inferredCareers: [],
+    ...fields
+  });
+
+  describe('encodeDelta / applyDelta', () => {
+    it('round-trips a small change', () => {
+      const keyframe = snapshot();
+      const next = snapshot({ readinessScore: 20 });
+      next.structureGraph.nodes[3].isCompleted = true;
+
+      const diff = encodeDelta(keyframe, next);
+
+      expect(diff).not.toBeNull();
+      expect(applyDelta(keyframe, diff)).toEqual(next);
+    });
+
+    it('round-trips added and removed nodes, edges and skills', () => {
+      const keyframe = snapshot();
+      const next = snapshot({ inferredSkills: ['js', 'html'] });
+      next.structureGraph.nodes.splice(11, 1, node('x', 11));
+      next.structureGraph.edges.splice(10, 1, { from: 'n10', to: 'x', type: 'optional' });
+
+      const diff = encodeDelta(keyframe, next);
+
+      expect(diff).not.toBeNull();
+      const rebuilt = applyDelta(keyframe, diff);
+      expect(rebuilt.structureGraph.nodes).toEqual(next.structureGraph.nodes);
+      expect(rebuilt.structureGraph.edges).toEqual(expect.arrayContaining(next.structureGraph.edges));
+      expect(rebuilt.inferredSkills.sort()).toEqual(['html', 'js']);
+    });
+
+    it('ignores subdocument ids', () => {
+      const keyframe = snapshot();
+      keyframe._id = 'k';
+      keyframe.structureGraph.nodes.forEach((n, i) => { n._id = `id${i}`; });
+
+      const diff = encodeDelta(keyframe, snapshot({ title: 'Renamed' }));
+
+      expect(diff.nodes.hasChanges).toBe(false);
+      expect(applyDelta(keyframe, diff).structureGraph.nodes[0]).not.toHaveProperty('_id');
+    });
+
+    it('stores a keyframe when the diff is large', () => {
+      const next = snapshot();
+      next.structureGraph.nodes = next.structureGraph.nodes.map(n => ({ ...n, title: `${n.title} (new)`, notes: 'Rewritten' }));
+
+      expect(encodeDelta(snapshot(), next)).toBeNull();
+    });
+
+    it('stores a keyframe when the diff cannot rebuild the snapshot', () => {
+      // Diffs key edges by endpoints, so a type change is lost
+      const next = snapshot();
+      next.structureGraph.edges[0].type = 'optional';
+
+      expect(encodeDelta(snapshot(), next)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const UserSkill = require('../../../models/UserSkill');
+
+const { DECAY_HALF_LIFE_DAYS } = UserSkill;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createSkill = (overrides = {}) => new UserSkill({
+  user: new mongoose.Types.ObjectId(),
+  skillName: 'javascript',
+  displayName: 'JavaScript',
+  category: 'language',
+  ...overrides
+});
+
+describe('UserSkill', () => {
+  describe('decayFactor', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+    const practicedDaysAgo = (days, category = 'language') =>
+      createSkill({ category, lastPracticedAt: new Date(now - days * DAY_MS) });
+
+    it('is 1 without practice history or right after practice', () => {
+      expect(createSkill().decayFactor(now)).toBe(1);
+      expect(practicedDaysAgo(0).decayFactor(now)).toBe(1);
+    });
+
+    it('loses half of the decayable share each half-life of the category', () => {
+      const halfLife = DECAY_HALF_LIFE_DAYS.framework;
+
+      expect(practicedDaysAgo(halfLife, 'framework').decayFactor(now)).toBeCloseTo(0.75, 10);
+      expect(practicedDaysAgo(2 * halfLife, 'framework').decayFactor(now)).toBeCloseTo(0.625, 10);
+    });
+
+    it('decays categories at their own rate', () => {
+      const days = 100;
+      const expected = (category) => 0.5 + 0.5 * Math.pow(0.5, days / DECAY_HALF_LIFE_DAYS[category]);
+
+      expect(practicedDaysAgo(days, 'language').decayFactor(now)).toBeCloseTo(expected('language'), 10);
+      expect(practicedDaysAgo(days, 'soft-skills').decayFactor(now)).toBeCloseTo(expected('soft-skills'), 10);
+    });
+
+    it('never drops below the floor and ignores practice in the future', () => {
+      expect(practicedDaysAgo(100000).decayFactor(now)).toBeCloseTo(0.5, 10);
+      expect(practicedDaysAgo(-10).decayFactor(now)).toBe(1);
+    });
+  });
+
+  describe('recalculateScore', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+    const breakdown = { videos: 100, quizzes: 50, challenges: 20, projects: 10, peerReviews: 0 };
+    // 100 + 50 * 3 + 20 * 5 + 10 * 10 = 450 weighted points
+    const rawScore = Math.round(100 * (1 - Math.exp(-450 / 500)));
+
+    it('scales weighted evidence into a raw score', () => {
+      const skill = createSkill({ scoreBreakdown: breakdown, lastPracticedAt: now });
+
+      expect(skill.recalculateScore(now)).toBe(rawScore);
+      expect(skill.rawScore).toBe(rawScore);
+      expect(skill.decayPoints).toBe(0);
+      expect(skill.level).toBe('intermediate');
+      expect(skill.lastUpdatedAt).toEqual(now);
+    });
+
+    it('takes the retention penalty and then time decay off the raw score', () => {
+      const halfLife = DECAY_HALF_LIFE_DAYS.language;
+      const skill = createSkill({
+        scoreBreakdown: breakdown,
+        retentionPenalty: 10,
+        lastPracticedAt: new Date(now - halfLife * DAY_MS)
+      });
+
+      skill.recalculateScore(now);
+
+      const retained = rawScore - 10;
+      expect(skill.rawScore).toBe(rawScore);
+      expect(skill.decayPoints).toBe(Math.round(retained * 0.25));
+      expect(skill.score).toBe(retained - Math.round(retained * 0.25));
+    });
+
+    it('keeps at least half of the retained score however long ago the practice was', () => {
+      const skill = createSkill({
+        scoreBreakdown: breakdown,
+        lastPracticedAt: new Date(now - 100000 * DAY_MS)
+      });
+
+      skill.recalculateScore(now);
+
+      expect(skill.score).toBe(rawScore - Math.round(rawScore * 0.5));
+      expect(skill.score).toBeGreaterThanOrEqual(Math.floor(rawScore / 2));
+    });
+
+    it('starts decay from lastUpdatedAt for skills scored before decay existed', () => {
+      const lastUpdatedAt = new Date(now - 30 * DAY_MS);
+      const skill = createSkill({ scoreBreakdown: breakdown, lastUpdatedAt });
+      skill.lastPracticedAt = undefined;
+
+      skill.recalculateScore(now);
+
+      expect(skill.lastPracticedAt).toEqual(lastUpdatedAt);
+      expect(skill.decayPoints).toBeGreaterThan(0);
+    });
+
+    it('never goes below zero when the penalty exceeds the raw score', () => {
+      const skill = createSkill({
+        scoreBreakdown: { videos: 5, quizzes: 0, challenges: 0, projects: 0, peerReviews: 0 },
+        retentionPenalty: 30,
+        lastPracticedAt: now
+      });
+
+      skill.recalculateScore(now);
+
+      expect(skill.score).toBe(0);
+      expect(skill.level).toBe('novice');
+    });
+  });
+
+  describe('calculateConfidence', () => {
+    it('is 0 without evidence', () => {
+      expect(createSkill().calculateConfidence()).toBe(0);
+    });
+
+    it('weighs each kind of evidence up to three activities', () => {
+      expect(createSkill({ activities: { videosCompleted: 3 } }).calculateConfidence()).toBe(0.15);
+      expect(createSkill({ activities: { videosCompleted: 30 } }).calculateConfidence()).toBe(0.15);
+      expect(createSkill({ activities: { quizzesPassed: 1 } }).calculateConfidence()).toBe(0.08);
+    });
+
+    it('reaches 1 with saturated evidence of every kind', () => {
+      const skill = createSkill({
+        activities: {
+          videosCompleted: 3,
+          quizzesPassed: 3,
+          challengesSolved: 5,
+          projectsCompleted: 3,
+          reviewsReceived: 4
+        }
+      });
+
+      expect(skill.calculateConfidence()).toBe(1);
+    });
+
+    it('is set by recalculateScore', () => {
+      const skill = createSkill({ activities: { projectsCompleted: 3, reviewsReceived: 3 } });
+
+      skill.recalculateScore();
+
+      expect(skill.confidence).toBe(0.35);
+    });
+  });
+
+  describe('mergeFrom', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+
+    it('adds up evidence and XP and rescores', () => {
+      const kept = createSkill({
+        scoreBreakdown: { videos: 10, quizzes: 5, challenges: 0, projects: 0, peerReviews: 0 },
+        activities: { videosCompleted: 10, quizzesPassed: 1 },
+        xpEarned: 50,
+        lastPracticedAt: now
+      });
+      const stray = createSkill({
+        skillName: 'js',
+        scoreBreakdown: { videos: 5, quizzes: 0, challenges: 3, projects: 0, peerReviews: 0 },
+        activities: { videosCompleted: 5, challengesSolved: 1 },
+        xpEarned: 30,
+        lastPracticedAt: now
+      });
+
+      kept.mergeFrom(stray, now);
+
+      expect(kept.scoreBreakdown.toObject()).toEqual({ videos: 15, quizzes: 5, challenges: 3, projects: 0, peerReviews: 0 });
+      expect(kept.activities.toObject()).toEqual(expect.objectContaining({
+        videosCompleted: 15, quizzesPassed: 1, challengesSolved: 1
+      }));
+      expect(kept.xpEarned).toBe(80);
+      expect(kept.rawScore).toBe(Math.round(100 * (1 - Math.exp(-(15 + 5 * 3 + 3 * 5) / 500))));
+      expect(kept.skillName).toBe('javascript');
+    });
+
+    it('keeps the latest practice, the earliest start and the larger retention penalty', () => {
+      const kept = createSkill({
+        firstEarnedAt: new Date(now - 10 * DAY_MS),
+        lastPracticedAt: new Date(now - 5 * DAY_MS),
+        retentionPenalty: 4
+      });
+      const stray = createSkill({
+        skillName: 'js',
+        firstEarnedAt: new Date(now - 90 * DAY_MS),
+        lastPracticedAt: new Date(now - DAY_MS),
+        retentionPenalty: 10
+      });
+
+      kept.mergeFrom(stray, now);
+
+      expect(kept.firstEarnedAt).toEqual(new Date(now - 90 * DAY_MS));
+      expect(kept.lastPracticedAt).toEqual(new Date(now - DAY_MS));
+      expect(kept.retentionPenalty).toBe(10);
+    });
+
+    it('takes over a verification the kept score lacks', () => {
+      const verifiedAt = new Date(now - DAY_MS);
+      const kept = createSkill();
+      const stray = createSkill({ skillName: 'js', isVerified: true, verifiedAt, verificationScore: 85 });
+
+      kept.mergeFrom(stray, now);
+
+      expect(kept).toMatchObject({ isVerified: true, verifiedAt, verificationScore: 85 });
+    });
+  });
+});